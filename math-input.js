@@ -1,8 +1,17 @@
-import MathNode from './math-node.js';
+import MathNode, { MatrixNode } from './math-node.js';
 
 const DEBUG = false;
 const TAGNAME = 'math-input';
 const CURSORSPEED = 530;
+//for each supported 'format', the attribute whose content is submitted
+const FORMATS = {
+    'mathml': 'value',
+    'text': 'text',
+    'latex': 'latex',
+    'asciimath': 'asciimath',
+};
+//the 'action's which add or delete a row or column of a matrix
+const MATRIX_ACTIONS = ['addrow', 'addcolumn', 'deleterow', 'deletecolumn'];
 const TEMPLATE = document.createElement('template');
 TEMPLATE.innerHTML = `
     <style type='text/css'>
@@ -69,6 +78,14 @@ TEMPLATE.innerHTML = `
             background-image: url("data:image/svg+xml;charset=utf8,%3Csvg%20xmlns%3D%27http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%27%20xmlns%3Axlink%3D%27http%3A%2F%2Fwww.w3.org%2F1999%2Fxlink%27%20version%3D%271.1%27%20width%3D%2712%27%20height%3D%27100%27%20viewBox%3D%270%200%2012%2099.999996%27%3E%20%3Cg%20transform%3D%27matrix(2.8209367%2C0%2C0%2C5.9197596%2C-3.5980243%2C-77.91485)%27%3E%3Cpath%20d%3D%27M%202.4092605%2C30.054405%20C%203.2823107%2C28.95284%204.0205912%2C27.663779%204.6241042%2C26.187218%205.2276212%2C24.710657%205.5293787%2C23.181361%205.5293776%2C21.599327%205.5293787%2C20.204802%205.303793%2C18.868866%204.8526198%2C17.591515%204.3252784%2C16.109103%203.5108261%2C14.632542%202.4092605%2C13.161827%20H%201.2754714%20c%200.708989%2C1.218762%201.1777385%2C2.088878%201.40625%2C2.610352%200.3574254%2C0.808603%200.6386752%2C1.652352%200.84375%2C2.53125%200.251956%2C1.09571%200.3779324%2C2.197271%200.3779297%2C3.304687%202.7e-6%2C2.818361%20-0.875973%2C5.633788%20-2.6279297%2C8.446289%20z%27%20%2F%3E%3C%2Fg%3E%3C%2Fsvg%3E");
         }
 
+        .wrapper .brace-left {
+            background-image: url("data:image/svg+xml;charset=utf8,%3Csvg%20xmlns%3D%27http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%27%20version%3D%271.1%27%20width%3D%2712%27%20height%3D%27100%27%20viewBox%3D%270%200%2012%20100%27%20preserveAspectRatio%3D%27none%27%3E%3Cpath%20d%3D%27M%2010%2C1%20C%205%2C1%205%2C4%205%2C12%20V%2040%20C%205%2C46%204%2C50%201%2C50%20C%204%2C50%205%2C54%205%2C60%20V%2088%20C%205%2C96%205%2C99%2010%2C99%27%20fill%3D%27none%27%20stroke%3D%27%23000000%27%20stroke-width%3D%271.5%27%20vector-effect%3D%27non-scaling-stroke%27%20%2F%3E%3C%2Fsvg%3E");
+        }
+
+        .wrapper .brace-right {
+            background-image: url("data:image/svg+xml;charset=utf8,%3Csvg%20xmlns%3D%27http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%27%20version%3D%271.1%27%20width%3D%2712%27%20height%3D%27100%27%20viewBox%3D%270%200%2012%20100%27%20preserveAspectRatio%3D%27none%27%3E%3Cpath%20d%3D%27M%202%2C1%20C%207%2C1%207%2C4%207%2C12%20V%2040%20C%207%2C46%208%2C50%2011%2C50%20C%208%2C50%207%2C54%207%2C60%20V%2088%20C%207%2C96%207%2C99%202%2C99%27%20fill%3D%27none%27%20stroke%3D%27%23000000%27%20stroke-width%3D%271.5%27%20vector-effect%3D%27non-scaling-stroke%27%20%2F%3E%3C%2Fsvg%3E");
+        }
+
         .wrapper .pipe .pipe-display {
             height: 100%;
             width: 1px;
@@ -80,6 +97,11 @@ TEMPLATE.innerHTML = `
             margin-left: -2px;
         }
 
+        .wrapper .error {
+            color: #d9534f;
+            background-color: #f2dede;
+        }
+
         .wrapper .exponent .start:not(.cursor):only-child {
             background-color: #d9edf7;
             border: 1px solid #31708f;
@@ -100,6 +122,234 @@ TEMPLATE.innerHTML = `
             display: flex;
         }
 
+        .wrapper .subscript .expression {
+            height: 10px;
+            font-size: 10px;
+            line-height: 10px;
+            padding-top: 12px;
+        }
+
+        .wrapper .subscript .start {
+            height: 10px;
+        }
+
+        .wrapper .subscript .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .log {
+            display: flex;
+        }
+
+        .wrapper .log .log-base {
+            height: 10px;
+            font-size: 10px;
+            line-height: 10px;
+            padding-top: 12px;
+        }
+
+        .wrapper .log .log-base .start {
+            height: 10px;
+        }
+
+        .wrapper .log .log-base .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .derivative {
+            display: flex;
+            flex-direction: column;
+            padding: 0px 2px;
+        }
+
+        .wrapper .derivative-top, .wrapper .derivative-bottom {
+            display: flex;
+            justify-content: center;
+        }
+
+        .wrapper .derivative-top {
+            padding: 0px 5px 2px 2px;
+        }
+
+        .wrapper .derivative-bottom {
+            border-top: 1px solid;
+            padding: 2px 5px 0px 2px;
+        }
+
+        .wrapper .derivative .derivative-order, .wrapper .derivative-order-mirror {
+            height: 10px;
+            font-size: 10px;
+            line-height: 10px;
+        }
+
+        .wrapper .derivative .derivative-order .start {
+            height: 10px;
+        }
+
+        .wrapper .derivative .derivative-order .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .derivative .derivative-variable .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .integral {
+            display: flex;
+        }
+
+        .wrapper .integral-limits {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+        }
+
+        .wrapper .integral-upper, .wrapper .integral-lower {
+            height: 10px;
+            font-size: 10px;
+            line-height: 10px;
+        }
+
+        .wrapper .integral-upper .start, .wrapper .integral-lower .start {
+            height: 10px;
+        }
+
+        .wrapper .integral-upper .start:not(.cursor):only-child,
+        .wrapper .integral-lower .start:not(.cursor):only-child,
+        .wrapper .integrand .start:not(.cursor):only-child,
+        .wrapper .integral-variable .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .integral-sign {
+            background-position: center center;
+            background-repeat: no-repeat;
+            background-size: 100% 100%;
+            background-image: url("data:image/svg+xml;charset=utf8,%3Csvg%20xmlns%3D%27http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%27%20version%3D%271.1%27%20width%3D%2712%27%20height%3D%27100%27%20viewBox%3D%270%200%2012%20100%27%20preserveAspectRatio%3D%27none%27%3E%3Cpath%20d%3D%27M%2011%2C5%20C%2011%2C1%207%2C0%206.5%2C5%20V%2095%20C%206%2C100%201%2C99%201%2C95%27%20fill%3D%27none%27%20stroke%3D%27%23000000%27%20stroke-width%3D%271.5%27%20vector-effect%3D%27non-scaling-stroke%27%20%2F%3E%3C%2Fsvg%3E");
+        }
+
+        .wrapper .integrand {
+            margin-top: 13px;
+            padding-left: 2px;
+        }
+
+        .wrapper .integral-label {
+            padding-left: 3px;
+        }
+
+        .wrapper .integral-variable {
+            margin-right: 2px;
+        }
+
+        .wrapper .big-operator {
+            display: flex;
+        }
+
+        .wrapper .big-operator-bounds {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+        }
+
+        .wrapper .big-operator-lower-row {
+            display: flex;
+        }
+
+        .wrapper .big-operator-upper, .wrapper .big-operator-lower-row {
+            height: 10px;
+            font-size: 10px;
+            line-height: 10px;
+        }
+
+        .wrapper .big-operator-bounds .start {
+            height: 10px;
+        }
+
+        .wrapper .big-operator-bounds .start:not(.cursor):only-child,
+        .wrapper .big-operator-body .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .big-operator-sign {
+            margin: 0px 2px;
+            background-position: center center;
+            background-repeat: no-repeat;
+            background-size: 100% 100%;
+        }
+
+        .wrapper .big-operator-sum .big-operator-sign {
+            background-image: url("data:image/svg+xml;charset=utf8,%3Csvg%20xmlns%3D%27http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%27%20version%3D%271.1%27%20width%3D%2712%27%20height%3D%2720%27%20viewBox%3D%270%200%2012%2020%27%20preserveAspectRatio%3D%27none%27%3E%3Cpath%20d%3D%27M%2011%2C4%20V%201%20H%201%20L%206%2C10%20L%201%2C19%20H%2011%20V%2016%27%20fill%3D%27none%27%20stroke%3D%27%23000000%27%20stroke-width%3D%271.5%27%20vector-effect%3D%27non-scaling-stroke%27%20%2F%3E%3C%2Fsvg%3E");
+        }
+
+        .wrapper .big-operator-product .big-operator-sign {
+            background-image: url("data:image/svg+xml;charset=utf8,%3Csvg%20xmlns%3D%27http%3A%2F%2Fwww.w3.org%2F2000%2Fsvg%27%20version%3D%271.1%27%20width%3D%2712%27%20height%3D%2720%27%20viewBox%3D%270%200%2012%2020%27%20preserveAspectRatio%3D%27none%27%3E%3Cpath%20d%3D%27M%201%2C1%20H%2011%20M%203%2C1%20V%2019%20M%209%2C1%20V%2019%27%20fill%3D%27none%27%20stroke%3D%27%23000000%27%20stroke-width%3D%271.5%27%20vector-effect%3D%27non-scaling-stroke%27%20%2F%3E%3C%2Fsvg%3E");
+        }
+
+        .wrapper .big-operator-body {
+            margin-top: 13px;
+            padding-left: 2px;
+        }
+
+        .wrapper .limit {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            padding-right: 2px;
+        }
+
+        .wrapper .limit-approach {
+            display: flex;
+            height: 10px;
+            font-size: 10px;
+            line-height: 10px;
+            padding-top: 2px;
+        }
+
+        .wrapper .limit-approach .start {
+            height: 10px;
+        }
+
+        .wrapper .limit-approach .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .matrix {
+            display: flex;
+            align-items: center;
+        }
+
+        .wrapper .matrix-grid {
+            display: grid;
+            grid-gap: 4px 8px;
+            align-items: center;
+            justify-items: center;
+            padding: 0px 2px;
+        }
+
+        .wrapper .matrix-cell .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
+
+        .wrapper .unit-symbol {
+            padding-left: 3px;
+        }
+
         .wrapper .square-root .radix {
             background-position: center center;
             background-repeat: no-repeat;
@@ -123,6 +373,24 @@ TEMPLATE.innerHTML = `
             width: 5px;
             margin-right: 5px;
         }
+
+        .wrapper .square-root .root-index {
+            height: 10px;
+            font-size: 10px;
+            line-height: 10px;
+            margin-right: -7px;
+            z-index: 1;
+        }
+
+        .wrapper .square-root .root-index .start {
+            height: 10px;
+        }
+
+        .wrapper .square-root .root-index .start:not(.cursor):only-child {
+            background-color: #d9edf7;
+            border: 1px solid #31708f;
+            width: 5px;
+        }
     </style>
     <div id='wrapper' class='wrapper'>
     </div>
@@ -149,6 +417,9 @@ class MathInput extends HTMLElement {
         this.rootNode = MathNode.buildRootNode();
         this.wrapper.appendChild(this.rootNode.element);
 
+        this._errorNodes = [];
+        this._validationMessage = '';
+
         let self = this;
         setInterval(function() {
             if(self._focused) {
@@ -161,11 +432,42 @@ class MathInput extends HTMLElement {
         this.addEventListener('blur', this._blur);
         this.addEventListener('click', this._click);
 
+        // Multi-letter identifiers, function names and letters to treat
+        // literally can be set as space-separated lists, and the letter for
+        // the imaginary unit, if any, before any preset expression is drawn
+        let imaginary = this.getAttribute('imaginary');
+        this.rootNode.dictionary = {
+            identifiers: (this.getAttribute('identifiers') || '').split(/\s+/).filter(Boolean),
+            functions: (this.getAttribute('functions') || '').split(/\s+/).filter(Boolean),
+            constants: imaginary ? {[imaginary]: 'imaginaryi'} : {},
+            literals: (this.getAttribute('literals') || '').split(/\s+/).filter(Boolean),
+        };
+
+        // How numbers are written: the decimal separator, the digit
+        // grouping separator if any, and whether E-notation is recognised
+        this.rootNode.numberFormat = {
+            decimal: this.getAttribute('decimal') || '.',
+            grouping: this.getAttribute('grouping'),
+            eNotation: this.hasAttribute('enotation'),
+        };
+
+        // Whether a content MathML <vector> is displayed as a tuple or as a
+        // column vector
+        if(this.hasAttribute('vectors')) {
+            this.rootNode.vectors = this.getAttribute('vectors');
+        }
+
         // If the 'value' attribute already set, draw the MathNodes represented
         // by that MathML into the field
         let value = this.getAttribute('value');
+        let latex = this.getAttribute('latex');
+        let asciimath = this.getAttribute('asciimath');
         if(value !== null) {
             this.rootNode.value = value;
+        } else if(latex !== null) {
+            this.rootNode.latex = latex;
+        } else if(asciimath !== null) {
+            this.rootNode.asciimath = asciimath;
         }
     }
 
@@ -178,16 +480,25 @@ class MathInput extends HTMLElement {
     * after connection.
     */
     connectedCallback() {
+        if(!(this.format in FORMATS)) {
+            throw new Error(`Format not supported: ${this.format}`);
+        }
+
         //proxy input
         this.realInput = document.createElement('input');
         this.realInput.type = "hidden";
         this.realInput.name = this.getAttribute('name');
-        this.realInput.value = this.getAttribute('value');
+        this.realInput.value = this.getAttribute(FORMATS[this.format]);
         this.realInput.tabIndex = -1;
         this.realInput.setAttribute('class', 'real-input');
         this.parentNode.insertBefore(this.realInput, this);
 
         this._connected = true;
+
+        // Reflect any preset expression in the value and output attributes
+        if(this.rootNode.nodes.length > 1) {
+            this.updateValue();
+        }
     }
 
     /**
@@ -201,7 +512,12 @@ class MathInput extends HTMLElement {
         if(this._connected) {
             switch(name) {
                 case 'value':
-                    this.realInput.value = value;
+                case 'text':
+                case 'latex':
+                case 'asciimath':
+                    if(name === FORMATS[this.format]) {
+                        this.realInput.value = value;
+                    }
                     break;
                 case 'insert':
                     if(value !== '') {
@@ -223,6 +539,8 @@ class MathInput extends HTMLElement {
                         if(value === 'backspace') {
                             this.backspace();
                             this.focus();
+                        } else if(MATRIX_ACTIONS.includes(value)) {
+                            this.editMatrix(value);
                         } else {
                             throw new Error(`Action not supported: ${value}`);
                         }
@@ -241,7 +559,7 @@ class MathInput extends HTMLElement {
      * @return {array} The list of attributes to watch
      */
     static get observedAttributes() {
-        return ['value', 'insert', 'action'];
+        return ['value', 'text', 'latex', 'asciimath', 'insert', 'action'];
     }
 
 
@@ -288,6 +606,16 @@ class MathInput extends HTMLElement {
             e.preventDefault();
             this.backspace()
         }
+
+        // Tab moves between the cells of a matrix, or otherwise leaves the
+        // field as usual
+        if(char == 'Tab') {
+            let node = e.shiftKey ? this.cursorNode.nodePrevious() : this.cursorNode.nodeNext();
+            if(node !== this.cursorNode) {
+                e.preventDefault();
+                this.cursorNode = node;
+            }
+        }
     }
 
     /**
@@ -339,6 +667,148 @@ class MathInput extends HTMLElement {
         this.rootNode.cursor = node;
     }
 
+    /**
+     * Get the format of the value submitted with the form, set by the
+     * 'format' attribute. Defaults to 'mathml'.
+     *
+     * @return {String} The submission format
+     */
+    get format() {
+        return this.getAttribute('format') || 'mathml';
+    }
+
+    /**
+     * Get the dictionary of multi-letter identifiers, functions and constants
+     * the field recognises.
+     *
+     * @see MathNode.buildDictionary()
+     * @return {Object} The dictionary
+     */
+    get dictionary() {
+        return this.rootNode.dictionary;
+    }
+
+    /**
+     * Set the dictionary of multi-letter identifiers, functions, constants and
+     * literal letters the field recognises, then reparse the expression using
+     * it.
+     *
+     * @see MathNode.buildDictionary()
+     * @param  {Object} options The dictionary options
+     */
+    set dictionary(options) {
+        this.rootNode.dictionary = options;
+        this.updateValue();
+    }
+
+    /**
+     * Get the field's number format
+     *
+     * @see MathNode.buildNumberFormat()
+     * @return {Object} The number format
+     */
+    get numberFormat() {
+        return this.rootNode.numberFormat;
+    }
+
+    /**
+     * Set the field's decimal separator, digit grouping separator and whether
+     * E-notation is recognised, then reparse the expression using it.
+     *
+     * @see MathNode.buildNumberFormat()
+     * @param  {Object} options The number format options
+     */
+    set numberFormat(options) {
+        this.rootNode.numberFormat = options;
+        this.updateValue();
+    }
+
+    /**
+     * Get the way subscripted variables are named in the content MathML, set
+     * by the 'subscripts' attribute: 'msub' for <ci><msub>...</msub></ci>
+     * (the default) or 'underscore' for <ci>x_1</ci>.
+     *
+     * @return {String} The subscript naming scheme
+     */
+    get subscripts() {
+        return this.getAttribute('subscripts') || 'msub';
+    }
+
+    /**
+     * Get a description of why the expression in the field can't be parsed,
+     * or an empty string if it can.
+     *
+     * @return {String} The validation message
+     */
+    get validationMessage() {
+        return this._validationMessage;
+    }
+
+    /**
+     * Get an abstract syntax tree of the expression in the field, as plain
+     * objects like {type: 'apply', op: 'divide', args: [...]}. Raises an
+     * error if the expression can't be parsed.
+     *
+     * @see MathNode.astToMathML()
+     * @return {Object} The syntax tree
+     */
+    get ast() {
+        return this.rootNode.ast;
+    }
+
+    /**
+     * Get a plain-text representation of the expression in the field, like
+     * '(1+x)/(2*y)^3', for evaluation by calculator libraries. Also reflected
+     * in the 'text' attribute. Raises an error if the expression can't be
+     * parsed.
+     *
+     * @return {String} The plain-text string
+     */
+    get text() {
+        return this.rootNode.text;
+    }
+
+    /**
+     * Get a LaTeX representation of the expression in the field. Also
+     * reflected in the 'latex' attribute.
+     *
+     * @return {String} The LaTeX string
+     */
+    get latex() {
+        return this.rootNode.latex;
+    }
+
+    /**
+     * Get an AsciiMath representation of the expression in the field. Also
+     * reflected in the 'asciimath' attribute.
+     *
+     * @return {String} The AsciiMath string
+     */
+    get asciimath() {
+        return this.rootNode.asciimath;
+    }
+
+    /**
+     * Get a presentation MathML representation of the expression in the
+     * field, for display or for screen readers.
+     *
+     * @return {String} The presentation MathML string
+     */
+    get presentation() {
+        return this.rootNode.presentation;
+    }
+
+    /**
+     * Get a MathML <semantics> block containing both the presentation and
+     * content MathML of the expression. Raises an error if the expression
+     * can't be parsed.
+     *
+     * @return {String} The MathML string
+     */
+    get semantics() {
+        return this.rootNode.semantics;
+    }
+
 
     /** MISCELLANEOUS (CHANGE WHEN THERE'S MORE STRUCTURE) */
 
@@ -367,6 +837,10 @@ class MathInput extends HTMLElement {
             this.cursorNode = node.exponent.startNode;
         }
 
+        if(char == '_') {
+            this.cursorNode = node.subscript.startNode;
+        }
+
         this.focus();
     }
 
@@ -388,11 +862,149 @@ class MathInput extends HTMLElement {
 
         if(name == 'sqrt') {
             this.cursorNode = node.radicand.startNode;
+        } else if(name == 'nthroot') {
+            this.cursorNode = node.index.startNode;
+        } else if(name == 'logbase') {
+            this.cursorNode = node.base.startNode;
+        } else if(name == 'derivative') {
+            this.cursorNode = node.variable.startNode;
+        } else if(name == 'integral') {
+            this.cursorNode = node.integrand.startNode;
+        } else if(name == 'sum' || name == 'product') {
+            this.cursorNode = node.variable.startNode;
+        } else if(name == 'limit') {
+            this.cursorNode = node.variable.startNode;
+        } else if(name == 'matrix' || name == 'vector') {
+            this.cursorNode = node.cell(0, 0).startNode;
+        }
+
+        this.focus();
+    }
+
+    /**
+     * Add or delete a row or column of the innermost matrix containing the
+     * cursor. Rows and columns are added after the cursor's cell; the last
+     * row or column of a matrix is never deleted.
+     *
+     * @param  {String} action 'addrow', 'addcolumn', 'deleterow' or
+     *                         'deletecolumn'
+     */
+    editMatrix(action) {
+        let cell = this.cursorNode.parent;
+        while(!(cell.parent instanceof MatrixNode)) {
+            if(cell.parent === null) {
+                throw new Error('The cursor is not in a matrix.');
+            }
+
+            cell = cell.parent;
         }
 
+        let matrix = cell.parent;
+        let [row, column] = matrix.position(cell);
+
+        if(action === 'addrow') {
+            matrix.insertRow(row + 1);
+            this.cursorNode = matrix.cell(row + 1, column).startNode;
+        } else if(action === 'addcolumn') {
+            matrix.insertColumn(column + 1);
+            this.cursorNode = matrix.cell(row, column + 1).startNode;
+        } else if(action === 'deleterow' && matrix.rows > 1) {
+            matrix.deleteRow(row);
+            this.cursorNode = matrix.cell(Math.min(row, matrix.rows - 1), column).endNode;
+        } else if(action === 'deletecolumn' && matrix.columns > 1) {
+            matrix.deleteColumn(column);
+            this.cursorNode = matrix.cell(row, Math.min(column, matrix.columns - 1)).endNode;
+        }
+
+        this.updateValue();
         this.focus();
     }
 
+    /**
+     * Evaluate the expression in the field, substituting the values in
+     * `bindings` for its variables. If the field has an imaginary unit,
+     * real arguments take complex values by default, so √-4 is 2i.
+     *
+     * @see MathNode.evaluate()
+     * @param  {Object} bindings The value of each variable, keyed by name
+     * @param  {Object} options  The evaluation options
+     * @return {Number|ComplexNumber} The value of the expression
+     */
+    evaluate(bindings={}, options={}) {
+        return MathNode.evaluate(this.rootNode.ast, bindings, this._complexOptions(options));
+    }
+
+    /**
+     * Compare the expression in the field with `mml`, given as content MathML
+     * or as a syntax tree.
+     *
+     * @see MathNode.equivalent()
+     * @param  {String|Object} mml     The expression to compare against
+     * @param  {Object}        options The comparison options
+     * @return {String}                'exact', 'equivalent' or 'different'
+     */
+    equivalent(mml, options={}) {
+        return MathNode.equivalent(this.rootNode.ast, mml, this._complexOptions(options));
+    }
+
+    /**
+     * Add `complex: true` to evaluation options if the field has an imaginary
+     * unit and they don't say otherwise.
+     *
+     * @param  {Object} options The evaluation or comparison options
+     * @return {Object}         The options, with `complex` set
+     */
+    _complexOptions(options) {
+        let constants = Object.values(this.rootNode.dictionary.constants);
+
+        return Object.assign({complex: constants.includes('imaginaryi')}, options);
+    }
+
+    /**
+     * Replace the contents of the field with the expression described, in
+     * LaTeX, by `latex`. If the LaTeX can't be loaded, an error is raised and
+     * the field is left unchanged.
+     *
+     * @param  {String} latex The LaTeX of the new expression
+     */
+    setLatex(latex) {
+        let rootNode = MathNode.buildRootNode();
+        rootNode.latex = latex;
+
+        this._replaceRootNode(rootNode);
+    }
+
+    /**
+     * Replace the contents of the field with the expression described, in
+     * AsciiMath, by `asciimath`. If the AsciiMath can't be loaded, an error is
+     * raised and the field is left unchanged.
+     *
+     * @param  {String} asciimath The AsciiMath of the new expression
+     */
+    setAsciiMath(asciimath) {
+        let rootNode = MathNode.buildRootNode();
+        rootNode.asciimath = asciimath;
+
+        this._replaceRootNode(rootNode);
+    }
+
+    /**
+     * Replace the field's root node, and with it the entire expression, with
+     * `rootNode`.
+     *
+     * @param  {ExpressionNode} rootNode The new root node
+     */
+    _replaceRootNode(rootNode) {
+        this.wrapper.replaceChild(rootNode.element, this.rootNode.element);
+        this.rootNode = rootNode;
+
+        if(this._focused) {
+            this.cursorNode = this.rootNode.endNode;
+        }
+
+        this.updateValue();
+    }
+
     /**
      * Insert a node at the cursor position.
      * 
@@ -410,19 +1022,51 @@ class MathInput extends HTMLElement {
      * Update the element's value to reflect the expression in rootNode
      */
     updateValue() {
+        this.setAttribute('latex', this.latex);
+        this.setAttribute('asciimath', this.asciimath);
+
+        this._errorNodes.forEach((node) => node.element.classList.remove('error'));
+        this._errorNodes = [];
+
         try {
             this.classList.remove('error');
-            this.setAttribute('value', this.rootNode.value);
+            this.setAttribute('text', this.rootNode.text);
+            let options = {subscripts: this.subscripts};
+            this.setAttribute('value', MathNode.astToMathML(this.rootNode.ast, options));
+            this._validationMessage = '';
         } catch(error) {
             if(DEBUG) {
                 console.error(error);
             }
 
             this.classList.add('error');
+            this.setAttribute('text', '');
             this.setAttribute('value', '');
+            this._showError(error);
         }
     }
 
+    /**
+     * Highlight the nodes responsible for `error`, store its message as the
+     * field's validationMessage and dispatch a 'parseerror' event describing
+     * it.
+     *
+     * @param  {Error} error The error raised while parsing the expression
+     */
+    _showError(error) {
+        this._errorNodes = error.nodes || [];
+        this._errorNodes.forEach((node) => node.element.classList.add('error'));
+        this._validationMessage = error.message;
+
+        this.dispatchEvent(new CustomEvent('parseerror', {
+            detail: {
+                code: error.code || null,
+                message: error.message,
+                nodes: this._errorNodes,
+            },
+        }));
+    }
+
     /**
      * Delete the node immediately before the cursor position.
      */
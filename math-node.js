@@ -25,6 +25,666 @@ function assertChildren(node, count) {
         `<apply><${action}/> must have ${count-1} children.`);
 }
 
+/**
+ * The LaTeX commands for characters which can't be written into LaTeX
+ * directly. Greek capitals which look identical to latin letters (e.g. Α, Β)
+ * have no LaTeX command, so are written as their latin equivalents.
+ */
+const LATEX_SYMBOLS = {
+    '*': '\\times', '∞': '\\infty', 'π': '\\pi',
+    '≤': '\\leq', '≥': '\\geq', '≠': '\\neq',
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta',
+    'ε': '\\epsilon', 'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta',
+    'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda', 'μ': '\\mu',
+    'ν': '\\nu', 'ξ': '\\xi', 'ο': 'o', 'ρ': '\\rho', 'ς': '\\varsigma',
+    'σ': '\\sigma', 'τ': '\\tau', 'υ': '\\upsilon', 'φ': '\\phi',
+    'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+    'Α': 'A', 'Β': 'B', 'Γ': '\\Gamma', 'Δ': '\\Delta', 'Ε': 'E', 'Ζ': 'Z',
+    'Η': 'H', 'Θ': '\\Theta', 'Ι': 'I', 'Κ': 'K', 'Λ': '\\Lambda',
+    'Μ': 'M', 'Ν': 'N', 'Ξ': '\\Xi', 'Ο': 'O', 'Π': '\\Pi', 'Ρ': 'P',
+    'Σ': '\\Sigma', 'Τ': 'T', 'Υ': '\\Upsilon', 'Φ': '\\Phi', 'Χ': 'X',
+    'Ψ': '\\Psi', 'Ω': '\\Omega',
+};
+
+/**
+ * The characters represented by LaTeX commands, for importing LaTeX. The
+ * reverse of LATEX_SYMBOLS, plus a few synonyms.
+ */
+const LATEX_COMMANDS = Object.assign(
+    Object.fromEntries(Object.entries(LATEX_SYMBOLS)
+        .filter(([char, command]) => command.startsWith('\\'))
+        .map(([char, command]) => [command, char])),
+    {
+        '\\cdot': '*', '\\varepsilon': 'ε', '\\vartheta': 'θ',
+        '\\varphi': 'φ', '\\lvert': '|', '\\rvert': '|', '\\vert': '|',
+        '\\le': '≤', '\\ge': '≥', '\\ne': '≠', '\\lt': '<', '\\gt': '>',
+        '\\{': '{', '\\}': '}', '\\lbrace': '{', '\\rbrace': '}',
+    });
+
+/**
+ * LaTeX spacing commands, which are ignored when importing LaTeX.
+ */
+const LATEX_SPACES = ['\\,', '\\:', '\\;', '\\!', '\\ ', '\\quad', '\\qquad'];
+
+/**
+ * The LaTeX tokens which end a term, i.e. the body of a sum or product
+ * without braces.
+ */
+const LATEX_TERM_ENDS = ['+', '-', '=', '<', '>', ',', '}', '\\right',
+    '\\leq', '\\geq', '\\neq', '\\le', '\\ge', '\\ne', '\\lt', '\\gt'];
+
+/**
+ * The AsciiMath names for characters which AsciiMath writes by name. Any
+ * character not listed here is written as itself.
+ */
+const ASCIIMATH_SYMBOLS = {
+    '∞': 'oo', 'π': 'pi', '≤': '<=', '≥': '>=', '≠': '!=',
+    'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon',
+    'ζ': 'zeta', 'η': 'eta', 'θ': 'theta', 'ι': 'iota', 'κ': 'kappa',
+    'λ': 'lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'ρ': 'rho',
+    'σ': 'sigma', 'τ': 'tau', 'υ': 'upsilon', 'φ': 'phi', 'χ': 'chi',
+    'ψ': 'psi', 'ω': 'omega',
+    'Γ': 'Gamma', 'Δ': 'Delta', 'Θ': 'Theta', 'Λ': 'Lambda', 'Ξ': 'Xi',
+    'Π': 'Pi', 'Σ': 'Sigma', 'Φ': 'Phi', 'Ψ': 'Psi', 'Ω': 'Omega',
+};
+
+/**
+ * The characters represented by AsciiMath names, for importing AsciiMath. The
+ * reverse of ASCIIMATH_SYMBOLS, plus a few synonyms.
+ */
+const ASCIIMATH_NAMES = Object.assign(
+    Object.fromEntries(Object.entries(ASCIIMATH_SYMBOLS)
+        .map(([char, name]) => [name, char])),
+    {'xx': '*', 'cdot': '*', 'varepsilon': 'ε', 'vartheta': 'θ', 'varphi': 'φ'});
+
+/**
+ * The opening brackets, and the closing bracket which matches each.
+ * Parentheses group terms, or make a vector if they contain commas. Braces
+ * make a set.
+ */
+const BRACKETS = {'(': ')', '{': '}'};
+
+/**
+ * The relational operators, and the content MathML tag of each. Relations
+ * have the lowest precedence of all operators, and can be chained, e.g.
+ * 0<x≤1.
+ */
+const RELATIONS = {
+    '=': 'eq', '<': 'lt', '>': 'gt', '≤': 'leq', '≥': 'geq', '≠': 'neq',
+};
+
+/**
+ * Append the LaTeX string `term` to `latex`. If `latex` ends in a command
+ * (e.g. '\sin') and `term` begins with a letter, separate them with a space
+ * so that the letter isn't read as part of the command name.
+ *
+ * @param  {String} latex The LaTeX string being built
+ * @param  {String} term  The LaTeX string to be appended
+ * @return {String}       The concatenated LaTeX string
+ */
+function joinLatex(latex, term) {
+    if(/\\[a-zA-Z]+$/.test(latex) && /^[a-zA-Z]/.test(term)) {
+        return latex + ' ' + term;
+    } else {
+        return latex + term;
+    }
+}
+
+/**
+ * An error raised when an expression can't be evaluated. `code` is one of:
+ *  - 'unbound-variable': a variable was given no value. Its name is stored
+ *    in `variable`.
+ *  - 'domain': an operation was applied outside of its domain, e.g. division
+ *    by zero or the log of a negative number. The operation's MathML tag is
+ *    stored in `operation`.
+ *  - 'unsupported': the MathML contains an element which can't be evaluated.
+ *  - 'inconsistent-units': quantities of different dimensions are added or
+ *    compared, e.g. 2 m + 3 s. The operation's MathML tag is stored in
+ *    `operation`.
+ */
+class EvaluationError extends Error {
+    /**
+     * @constructs
+     *
+     * @param  {String} message A description of the error
+     * @param  {String} code    The type of error, see above
+     * @param  {Object} details Any other properties to store on the error
+     */
+    constructor(message, code, details={}) {
+        super(message);
+        this.name = 'EvaluationError';
+        this.code = code;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * An error raised when an expression in a field can't be parsed. `code` is
+ * one of:
+ *  - 'empty': an expression, or a slot such as a denominator, is empty
+ *  - 'missing-operand': an operator has nothing on one side of it
+ *  - 'missing-argument': a function has nothing to apply to
+ *  - 'unmatched-parenthesis': a parenthesis has no partner
+ *  - 'unmatched-brace': a brace has no partner
+ *  - 'unmatched-pipe': an absolute value pipe has no partner
+ *  - 'unexpected-symbol': a symbol appears where it makes no sense, e.g. an
+ *    exponent with nothing to raise to its power
+ *
+ * `nodes` contains the MathNodes responsible for the error.
+ */
+class ParseError extends Error {
+    /**
+     * @constructs
+     *
+     * @param  {String} message A description of the error
+     * @param  {String} code    The type of error, see above
+     * @param  {Array}  nodes   The offending MathNodes
+     */
+    constructor(message, code, nodes=[]) {
+        super(message);
+        this.name = 'ParseError';
+        this.code = code;
+        this.nodes = nodes;
+    }
+}
+
+/**
+ * A complex number, the value of an expression containing <imaginaryi/> or a
+ * <cn type="complex-cartesian">. Evaluation only produces one if the
+ * imaginary part is non-zero, otherwise the result is a plain Number.
+ * Operations return new ComplexNumbers, and follow the principal branch, e.g.
+ * the log of a negative number has an imaginary part of π.
+ */
+class ComplexNumber {
+    /**
+     * @constructs
+     *
+     * @param  {Number} re The real part
+     * @param  {Number} im The imaginary part
+     */
+    constructor(re, im=0) {
+        this.re = re;
+        this.im = im;
+    }
+
+    /**
+     * Convert a Number into a ComplexNumber, or return a ComplexNumber as it
+     * is.
+     *
+     * @param  {Number|ComplexNumber} value The value
+     * @return {ComplexNumber}              The complex value
+     */
+    static from(value) {
+        return value instanceof ComplexNumber ? value : new ComplexNumber(value, 0);
+    }
+
+    /**
+     * The exponential function, e^z.
+     *
+     * @param  {ComplexNumber} z The exponent
+     * @return {ComplexNumber}   e to the power of `z`
+     */
+    static exp(z) {
+        let r = Math.exp(z.re);
+
+        return new ComplexNumber(r * Math.cos(z.im), r * Math.sin(z.im));
+    }
+
+    /**
+     * The sine of z.
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   sin(z)
+     */
+    static sin(z) {
+        return new ComplexNumber(Math.sin(z.re) * Math.cosh(z.im),
+            Math.cos(z.re) * Math.sinh(z.im));
+    }
+
+    /**
+     * The cosine of z.
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   cos(z)
+     */
+    static cos(z) {
+        return new ComplexNumber(Math.cos(z.re) * Math.cosh(z.im),
+            -Math.sin(z.re) * Math.sinh(z.im));
+    }
+
+    /**
+     * The hyperbolic sine of z.
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   sinh(z)
+     */
+    static sinh(z) {
+        return new ComplexNumber(Math.sinh(z.re) * Math.cos(z.im),
+            Math.cosh(z.re) * Math.sin(z.im));
+    }
+
+    /**
+     * The hyperbolic cosine of z.
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   cosh(z)
+     */
+    static cosh(z) {
+        return new ComplexNumber(Math.cosh(z.re) * Math.cos(z.im),
+            Math.sinh(z.re) * Math.sin(z.im));
+    }
+
+    /**
+     * The inverse sine of z, -i ln(iz + √(1 - z²)).
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   arcsin(z)
+     */
+    static asin(z) {
+        let i = new ComplexNumber(0, 1);
+        let root = new ComplexNumber(1, 0).subtract(z.multiply(z)).sqrt();
+
+        return new ComplexNumber(0, -1).multiply(i.multiply(z).add(root).log());
+    }
+
+    /**
+     * The inverse tangent of z, i/2 (ln(1 - iz) - ln(1 + iz)).
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   arctan(z)
+     */
+    static atan(z) {
+        let [one, iz] = [new ComplexNumber(1, 0), new ComplexNumber(0, 1).multiply(z)];
+
+        let difference = one.subtract(iz).log().subtract(one.add(iz).log());
+
+        return new ComplexNumber(0, 0.5).multiply(difference);
+    }
+
+    /**
+     * The inverse hyperbolic sine of z, ln(z + √(z² + 1)).
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   arcsinh(z)
+     */
+    static asinh(z) {
+        return z.add(z.multiply(z).add(new ComplexNumber(1, 0)).sqrt()).log();
+    }
+
+    /**
+     * The inverse hyperbolic cosine of z, ln(z + √(z + 1) √(z - 1)).
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   arccosh(z)
+     */
+    static acosh(z) {
+        let one = new ComplexNumber(1, 0);
+
+        return z.add(z.add(one).sqrt().multiply(z.subtract(one).sqrt())).log();
+    }
+
+    /**
+     * The inverse hyperbolic tangent of z, (ln(1 + z) - ln(1 - z)) / 2.
+     *
+     * @param  {ComplexNumber} z The argument
+     * @return {ComplexNumber}   arctanh(z)
+     */
+    static atanh(z) {
+        let one = new ComplexNumber(1, 0);
+
+        return one.add(z).log().subtract(one.subtract(z).log()).multiply(new ComplexNumber(0.5, 0));
+    }
+
+    /**
+     * The reciprocal of a complex function, e.g. sec(z) from cos(z).
+     *
+     * @param  {Function} fn A function of a ComplexNumber
+     * @return {Function}    The function returning 1 / fn(z)
+     */
+    static reciprocal(fn) {
+        return (z) => new ComplexNumber(1, 0).divide(fn(z));
+    }
+
+    /**
+     * Get the modulus, |z|
+     * @return {Number} The modulus
+     */
+    get abs() {
+        return Math.hypot(this.re, this.im);
+    }
+
+    /**
+     * Get the argument, in (-π, π]
+     * @return {Number} The argument
+     */
+    get arg() {
+        return Math.atan2(this.im, this.re);
+    }
+
+    /**
+     * The value as a Number if it's real, otherwise as it is.
+     *
+     * @return {Number|ComplexNumber} The value
+     */
+    simplify() {
+        return this.im === 0 ? this.re : this;
+    }
+
+    /**
+     * Add another complex number, w.
+     *
+     * @param  {ComplexNumber} other The other number, w
+     * @return {ComplexNumber}       z + w
+     */
+    add(other) {
+        return new ComplexNumber(this.re + other.re, this.im + other.im);
+    }
+
+    /**
+     * Subtract another complex number, w.
+     *
+     * @param  {ComplexNumber} other The other number, w
+     * @return {ComplexNumber}       z - w
+     */
+    subtract(other) {
+        return new ComplexNumber(this.re - other.re, this.im - other.im);
+    }
+
+    /**
+     * Multiply by another complex number, w.
+     *
+     * @param  {ComplexNumber} other The other number, w
+     * @return {ComplexNumber}       z × w
+     */
+    multiply(other) {
+        return new ComplexNumber(this.re * other.re - this.im * other.im,
+            this.re * other.im + this.im * other.re);
+    }
+
+    /**
+     * Divide by another complex number, w.
+     *
+     * @param  {ComplexNumber} other The other number, w
+     * @return {ComplexNumber}       z / w
+     */
+    divide(other) {
+        let denominator = other.re * other.re + other.im * other.im;
+
+        return new ComplexNumber((this.re * other.re + this.im * other.im) / denominator,
+            (this.im * other.re - this.re * other.im) / denominator);
+    }
+
+    /**
+     * The principal natural log.
+     *
+     * @return {ComplexNumber} ln(z)
+     */
+    log() {
+        return new ComplexNumber(Math.log(this.abs), this.arg);
+    }
+
+    /**
+     * The principal square root, whose real part isn't negative. Unlike
+     * z^(1/2), the root of a real number is exact, e.g. √-4 is 2i.
+     *
+     * @return {ComplexNumber} √z
+     */
+    sqrt() {
+        let [r, sign] = [this.abs, this.im < 0 ? -1 : 1];
+
+        return new ComplexNumber(Math.sqrt((r + this.re) / 2), sign * Math.sqrt((r - this.re) / 2));
+    }
+
+    /**
+     * The principal value of z^w. 0^w is 0 for any w with a positive real
+     * part. Integer powers are found by repeated multiplication, so that
+     * e.g. i^2 is exactly -1.
+     *
+     * @param  {ComplexNumber} other The exponent, w
+     * @return {ComplexNumber}       z^w
+     */
+    pow(other) {
+        if(other.im === 0 && Number.isInteger(other.re) && Math.abs(other.re) <= 64) {
+            let result = new ComplexNumber(1, 0);
+            for(let i = 0; i < Math.abs(other.re); i++) {
+                result = result.multiply(this);
+            }
+
+            return other.re < 0 ? new ComplexNumber(1, 0).divide(result) : result;
+        } else if(this.re === 0 && this.im === 0) {
+            return other.re > 0 ? new ComplexNumber(0, 0) : new ComplexNumber(NaN, NaN);
+        }
+
+        return ComplexNumber.exp(other.multiply(this.log()));
+    }
+
+    /**
+     * Write the number as a string, e.g. '3-4i'.
+     *
+     * @return {String} The number
+     */
+    toString() {
+        return `${this.re}${this.im < 0 ? '-' : '+'}${Math.abs(this.im)}i`;
+    }
+}
+
+/**
+ * The content MathML qualifiers supported in <apply> elements, in the order
+ * in which they're output. Abstract syntax trees store them as properties,
+ * @see MathNode.astToMathML()
+ */
+const MATHML_QUALIFIERS = ['bvar', 'condition', 'lowlimit', 'uplimit', 'degree', 'logbase'];
+
+/**
+ * The content MathML operations which MathNode.evaluate() supports, besides
+ * the functions in FUNCTIONS which have an `evaluate` and the big operators.
+ */
+const EVALUATED_OPERATIONS = [
+    'plus', 'minus', 'times', 'divide', 'power', 'root', 'abs', 'factorial', 'ln', 'log',
+];
+
+/**
+ * The `type`s of <cn> which are read as plain numbers. A <cn type="e-notation">
+ * is read as a number in E-notation, and a <cn type="complex-cartesian"> as a
+ * complex number.
+ */
+const CN_TYPES = ['integer', 'real', 'double'];
+
+/**
+ * The content MathML elements which contain a sequence of expressions, rather
+ * than applying an operator to them. Abstract syntax trees store their
+ * contents in `args`, e.g. {type: 'set', args: [...]}.
+ */
+const MATHML_CONTAINERS = ['list', 'vector', 'set', 'matrix', 'matrixrow'];
+
+/**
+ * The names parsed as constants unless a field's dictionary says otherwise,
+ * and the content MathML element each represents.
+ * @see MathNode.buildDictionary()
+ */
+const DICTIONARY_CONSTANTS = {
+    'pi': 'pi', 'π': 'pi', 'e': 'exponentiale', '∞': 'infinity',
+};
+
+/**
+ * The content MathML elements which a field's dictionary may give names to.
+ * <imaginaryi/> has no name by default, so 'i' is a variable unless the
+ * dictionary says otherwise.
+ */
+const CONSTANT_TYPES = ['pi', 'exponentiale', 'infinity', 'imaginaryi'];
+
+/**
+ * The functions recognised by `_parse`, keyed by the name typed into the
+ * field. A function applies to the term which follows it, e.g. 'sinx' or
+ * 'max(1,2)'. Each has:
+ *  - op: the `op` of its syntax tree, and its content MathML tag
+ *  - mathml: the content MathML element representing it, if it isn't <op/>
+ *  - latex: its LaTeX command
+ *  - text: its name in the plain-text representation. Where possible these
+ *    match Python's `math` module, like TEXT_NAMES
+ *  - evaluate: a function computing its value from its arguments, if it can
+ *    be evaluated
+ *  - complex: a function computing its value from a ComplexNumber, if it
+ *    can be evaluated for complex arguments
+ *  - multiple: true if it takes several arguments, given as a
+ *    comma-separated list in parentheses
+ *
+ * Applications can add their own with MathNode.registerFunction().
+ */
+const FUNCTIONS = {
+    'sin': {op: 'sin', latex: '\\sin', text: 'sin', evaluate: Math.sin, complex: ComplexNumber.sin},
+    'cos': {op: 'cos', latex: '\\cos', text: 'cos', evaluate: Math.cos, complex: ComplexNumber.cos},
+    'tan': {
+        op: 'tan', latex: '\\tan', text: 'tan', evaluate: Math.tan,
+        complex: (z) => ComplexNumber.sin(z).divide(ComplexNumber.cos(z)),
+    },
+    'sec': {
+        op: 'sec', latex: '\\sec', text: 'sec', evaluate: (x) => 1 / Math.cos(x),
+        complex: ComplexNumber.reciprocal(ComplexNumber.cos),
+    },
+    'csc': {
+        op: 'csc', latex: '\\csc', text: 'csc', evaluate: (x) => 1 / Math.sin(x),
+        complex: ComplexNumber.reciprocal(ComplexNumber.sin),
+    },
+    'cot': {
+        op: 'cot', latex: '\\cot', text: 'cot', evaluate: (x) => 1 / Math.tan(x),
+        complex: (z) => ComplexNumber.cos(z).divide(ComplexNumber.sin(z)),
+    },
+    'arcsin': {
+        op: 'arcsin', latex: '\\arcsin', text: 'asin', evaluate: Math.asin,
+        complex: ComplexNumber.asin,
+    },
+    'arccos': {
+        op: 'arccos', latex: '\\arccos', text: 'acos', evaluate: Math.acos,
+        complex: (z) => new ComplexNumber(Math.PI / 2, 0).subtract(ComplexNumber.asin(z)),
+    },
+    'arctan': {
+        op: 'arctan', latex: '\\arctan', text: 'atan', evaluate: Math.atan,
+        complex: ComplexNumber.atan,
+    },
+    'sinh': {
+        op: 'sinh', latex: '\\sinh', text: 'sinh', evaluate: Math.sinh,
+        complex: ComplexNumber.sinh,
+    },
+    'cosh': {
+        op: 'cosh', latex: '\\cosh', text: 'cosh', evaluate: Math.cosh,
+        complex: ComplexNumber.cosh,
+    },
+    'tanh': {
+        op: 'tanh', latex: '\\tanh', text: 'tanh', evaluate: Math.tanh,
+        complex: (z) => ComplexNumber.sinh(z).divide(ComplexNumber.cosh(z)),
+    },
+    'sech': {
+        op: 'sech', latex: '\\operatorname{sech}', text: 'sech', evaluate: (x) => 1 / Math.cosh(x),
+        complex: ComplexNumber.reciprocal(ComplexNumber.cosh),
+    },
+    'csch': {
+        op: 'csch', latex: '\\operatorname{csch}', text: 'csch', evaluate: (x) => 1 / Math.sinh(x),
+        complex: ComplexNumber.reciprocal(ComplexNumber.sinh),
+    },
+    'coth': {
+        op: 'coth', latex: '\\coth', text: 'coth', evaluate: (x) => 1 / Math.tanh(x),
+        complex: (z) => ComplexNumber.cosh(z).divide(ComplexNumber.sinh(z)),
+    },
+    'arcsinh': {
+        op: 'arcsinh', latex: '\\operatorname{arcsinh}', text: 'asinh', evaluate: Math.asinh,
+        complex: ComplexNumber.asinh,
+    },
+    'arccosh': {
+        op: 'arccosh', latex: '\\operatorname{arccosh}', text: 'acosh', evaluate: Math.acosh,
+        complex: ComplexNumber.acosh,
+    },
+    'arctanh': {
+        op: 'arctanh', latex: '\\operatorname{arctanh}', text: 'atanh', evaluate: Math.atanh,
+        complex: ComplexNumber.atanh,
+    },
+    'exp': {op: 'exp', latex: '\\exp', text: 'exp', evaluate: Math.exp, complex: ComplexNumber.exp},
+    'ln': {op: 'ln', latex: '\\ln', text: 'log'},
+    'log': {op: 'log', latex: '\\log', text: 'log10'},
+    'floor': {op: 'floor', latex: '\\operatorname{floor}', text: 'floor', evaluate: Math.floor},
+    'ceil': {op: 'ceiling', latex: '\\operatorname{ceil}', text: 'ceil', evaluate: Math.ceil},
+    'sgn': {
+        op: 'sgn', mathml: '<ci type="function">sgn</ci>', latex: '\\operatorname{sgn}',
+        text: 'sign', evaluate: Math.sign,
+    },
+    'max': {op: 'max', latex: '\\max', text: 'max', evaluate: Math.max, multiple: true},
+    'min': {op: 'min', latex: '\\min', text: 'min', evaluate: Math.min, multiple: true},
+};
+
+/**
+ * The big operators, displayed by a BigOperatorNode, keyed by their content
+ * MathML tag, with their symbol, LaTeX and AsciiMath commands and the name of
+ * the SymPy function used in the plain-text representation.
+ */
+const BIG_OPERATORS = {
+    'sum': {symbol: '∑', latex: '\\sum', asciimath: 'sum', text: 'summation'},
+    'product': {symbol: '∏', latex: '\\prod', asciimath: 'prod', text: 'product'},
+};
+
+/**
+ * The SI base units, in the order in which dimensions are written.
+ */
+const SI_BASE_UNITS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd'];
+
+/**
+ * The physical units, displayed by a UnitSymbolNode, keyed by symbol. Each
+ * has a `dimension`, the power of each SI base unit it's made of, and a
+ * `scale`, its size in those base units, e.g. a km is 1000 m. A unit whose
+ * LaTeX isn't its symbol, e.g. '\Omega', has a `latex` too.
+ */
+const UNITS = {
+    'm': {dimension: {m: 1}, scale: 1},
+    'km': {dimension: {m: 1}, scale: 1000},
+    'cm': {dimension: {m: 1}, scale: 0.01},
+    'mm': {dimension: {m: 1}, scale: 0.001},
+    'kg': {dimension: {kg: 1}, scale: 1},
+    'g': {dimension: {kg: 1}, scale: 0.001},
+    's': {dimension: {s: 1}, scale: 1},
+    'ms': {dimension: {s: 1}, scale: 0.001},
+    'min': {dimension: {s: 1}, scale: 60},
+    'h': {dimension: {s: 1}, scale: 3600},
+    'A': {dimension: {A: 1}, scale: 1},
+    'K': {dimension: {K: 1}, scale: 1},
+    'mol': {dimension: {mol: 1}, scale: 1},
+    'cd': {dimension: {cd: 1}, scale: 1},
+    'L': {dimension: {m: 3}, scale: 0.001},
+    'Hz': {dimension: {s: -1}, scale: 1},
+    'N': {dimension: {kg: 1, m: 1, s: -2}, scale: 1},
+    'J': {dimension: {kg: 1, m: 2, s: -2}, scale: 1},
+    'kJ': {dimension: {kg: 1, m: 2, s: -2}, scale: 1000},
+    'eV': {dimension: {kg: 1, m: 2, s: -2}, scale: 1.602176634e-19},
+    'W': {dimension: {kg: 1, m: 2, s: -3}, scale: 1},
+    'kW': {dimension: {kg: 1, m: 2, s: -3}, scale: 1000},
+    'Pa': {dimension: {kg: 1, m: -1, s: -2}, scale: 1},
+    'kPa': {dimension: {kg: 1, m: -1, s: -2}, scale: 1000},
+    'C': {dimension: {A: 1, s: 1}, scale: 1},
+    'V': {dimension: {kg: 1, m: 2, s: -3, A: -1}, scale: 1},
+    'Ω': {dimension: {kg: 1, m: 2, s: -3, A: -2}, scale: 1, latex: '\\Omega'},
+};
+
+/**
+ * The most terms a sum or product may have for it to be evaluated.
+ */
+const SERIES_MAX_TERMS = 10000;
+
+/**
+ * The names used for constants and other operators in the plain-text
+ * representation, keyed by their content MathML tag. These match the names in
+ * Python's `math` module, the most likely consumer.
+ */
+const TEXT_NAMES = {
+    'pi': 'pi', 'exponentiale': 'e', 'infinity': 'inf', 'imaginaryi': '1j', 'abs': 'abs',
+    'factorial': 'factorial',
+};
+
+/**
+ * The operators used for relations in the plain-text representation, keyed
+ * by their content MathML tag. Like TEXT_NAMES, these match Python's.
+ */
+const TEXT_RELATIONS = {
+    'eq': '==', 'lt': '<', 'gt': '>', 'leq': '<=', 'geq': '>=', 'neq': '!=',
+};
+
 /**
  * Virtual class, don't instantiate.
  *
@@ -99,45 +759,145 @@ class MathNode {
     }
 
     /**
-     * Set the current cursor node. Shouldn't need overriding
-     * 
-     * @param  {MathNode} node The new cursor node
+     * Get the dictionary of names the field recognises. Like the cursor, it's
+     * stored on the root node. Shouldn't need overriding
+     *
+     * @see MathNode.buildDictionary()
+     * @return {Object} The dictionary
      */
-    set cursor(node) {
+    get dictionary() {
         if(this.parent === null) {
-            this._unsetCursor(this._cursor);
-            this._setCursor(node);
+            if(this._dictionary === undefined) {
+                this._dictionary = MathNode.buildDictionary();
+            }
 
-            node.toggleCursor(true);
+            return this._dictionary;
         } else {
-            this.parent.cursor = node;
+            return this.parent.dictionary;
         }
     }
 
     /**
-     * Set the new cursor, add CSS classes
-     * Don't call this, call `set cursor()` instead.
-     * 
-     * @param {MathNode} node The node to be made a cursor
+     * Set the dictionary of names the field recognises. Shouldn't need
+     * overriding
+     *
+     * @see MathNode.buildDictionary()
+     * @param  {Object} options The dictionary options
      */
-    _setCursor(node) {
-        this._cursor = node;
-        node.element.classList.add('cursor');
+    set dictionary(options) {
+        if(this.parent === null) {
+            this._dictionary = MathNode.buildDictionary(options);
+        } else {
+            throw new Error('Node is not a root node, so has no dictionary.');
+        }
     }
 
     /**
-     * Unset the old cursor, remove CSS classes
-     * Don't call this, used by `set cursor()`. I can't think of a reason you'd
-     * unset the cursor without setting a new one. Even when not displayed, the
-     * input needs a cursor incase an element is inserted through the `insert`
-     * attribute.
-     * 
-     * @param {MathNode} node The old cursor, to be unset
+     * Get how a content MathML <vector> is displayed when it's loaded into
+     * the field: 'tuple', in parentheses like (1,2), or 'column', as a
+     * column vector in a MatrixNode. Like the dictionary, it's stored on the
+     * root node. Shouldn't need overriding
+     *
+     * @return {String} 'tuple' or 'column'
      */
-    _unsetCursor(node) {
-        node.element.classList.remove('cursor');
-        node.toggleCursor(false);
-    }
+    get vectors() {
+        if(this.parent === null) {
+            return this._vectors === undefined ? 'tuple' : this._vectors;
+        } else {
+            return this.parent.vectors;
+        }
+    }
+
+    /**
+     * Set how a content MathML <vector> is displayed. Shouldn't need
+     * overriding
+     *
+     * @param  {String} vectors 'tuple' or 'column'
+     */
+    set vectors(vectors) {
+        assert(['tuple', 'column'].includes(vectors), `Unknown vector display: ${vectors}`);
+
+        if(this.parent === null) {
+            this._vectors = vectors;
+        } else {
+            throw new Error('Node is not a root node, so has no vector display.');
+        }
+    }
+
+    /**
+     * Get the number format of the field: how decimals, digit grouping and
+     * E-notation are written. Like the dictionary, it's stored on the root
+     * node. Shouldn't need overriding
+     *
+     * @see MathNode.buildNumberFormat()
+     * @return {Object} The number format
+     */
+    get numberFormat() {
+        if(this.parent === null) {
+            if(this._numberFormat === undefined) {
+                this._numberFormat = MathNode.buildNumberFormat();
+            }
+
+            return this._numberFormat;
+        } else {
+            return this.parent.numberFormat;
+        }
+    }
+
+    /**
+     * Set the number format of the field. Shouldn't need overriding
+     *
+     * @see MathNode.buildNumberFormat()
+     * @param  {Object} options The number format options
+     */
+    set numberFormat(options) {
+        if(this.parent === null) {
+            this._numberFormat = MathNode.buildNumberFormat(options);
+        } else {
+            throw new Error('Node is not a root node, so has no number format.');
+        }
+    }
+
+    /**
+     * Set the current cursor node. Shouldn't need overriding
+     * 
+     * @param  {MathNode} node The new cursor node
+     */
+    set cursor(node) {
+        if(this.parent === null) {
+            this._unsetCursor(this._cursor);
+            this._setCursor(node);
+
+            node.toggleCursor(true);
+        } else {
+            this.parent.cursor = node;
+        }
+    }
+
+    /**
+     * Set the new cursor, add CSS classes
+     * Don't call this, call `set cursor()` instead.
+     * 
+     * @param {MathNode} node The node to be made a cursor
+     */
+    _setCursor(node) {
+        this._cursor = node;
+        node.element.classList.add('cursor');
+    }
+
+    /**
+     * Unset the old cursor, remove CSS classes
+     * Don't call this, used by `set cursor()`. I can't think of a reason you'd
+     * unset the cursor without setting a new one. Even when not displayed, the
+     * input needs a cursor incase an element is inserted through the `insert`
+     * attribute.
+     * 
+     * @param {MathNode} node The old cursor, to be unset
+     */
+    _unsetCursor(node) {
+        node.element.classList.remove('cursor');
+        node.toggleCursor(false);
+    }
 
 
     /** MISCELLANEOUS FUNCTIONS */
@@ -186,6 +946,27 @@ class MathNode {
         throw new Error("You must define childDown().")
      }
 
+     /**
+      * Get the node after `node` when tabbing through the slots of a node,
+      * such as the cells of a matrix
+      *
+      * @see  childLeft
+      * @abstract
+      */
+     childNext(node, defaultNode) {
+        throw new Error("You must define childNext().")
+     }
+
+     /**
+      * Get the node before `node` when tabbing through the slots of a node
+      *
+      * @see  childNext
+      * @abstract
+      */
+     childPrevious(node, defaultNode) {
+        throw new Error("You must define childPrevious().")
+     }
+
     /**
      * From denominator, provide numerator. Otherwise pass it up the chain.
      *
@@ -258,1217 +1039,6996 @@ class MathNode {
     }
 
     /**
-     * Take a character (from input, usually) and determine based on value
-     * what MathNode class to return.
-     * 
-     * @param  {String}   char The character to create a MathNode from
-     * @return {MathNode}      The resultant MathNode
+     * Convert an abstract syntax tree into a content MathML string.
+     *
+     * Syntax trees are plain objects mirroring content MathML, each with a
+     * `type` which is the MathML tag it represents:
+     *  - {type: 'cn', value: '1.5'}: a number, stored as a string so that it's
+     *    reproduced exactly. A number in E-notation also has an `exponent`,
+     *    and a complex number an `imaginary` part
+     *  - {type: 'ci', name: 'x'}: a variable
+     *  - {type: 'csymbol', cd: 'units', name: 'km'}: a unit
+     *  - {type: 'pi'}, {type: 'exponentiale'}, {type: 'infinity'},
+     *    {type: 'imaginaryi'}: constants
+     *  - {type: 'list', args: [...]}: a sequence of expressions, likewise
+     *    'vector' and 'set'. A 'matrix' is a sequence of 'matrixrow's
+     *  - {type: 'apply', op: 'divide', args: [...]}: an operation, where `op`
+     *    is the tag of the operator and `args` its arguments. Qualifiers
+     *    (e.g. a root's <degree>) are stored as properties named for their
+     *    tag, e.g. {type: 'apply', op: 'root', degree: {...}, args: [...]}.
+     *    The application of a declared function has a syntax tree as its
+     *    `op`, e.g. {type: 'apply', op: {type: 'ci', name: 'f'}, args: [...]}
+     *
+     * A subscripted variable is a 'ci' whose name has the base and subscript
+     * separated by an underscore, e.g. {type: 'ci', name: 'x_1'}. By default
+     * this is written as <ci><msub><mi>x</mi><mn>1</mn></msub></ci>; with
+     * the option `subscripts: 'underscore'` it's left as <ci>x_1</ci>.
+     *
+     * @param  {Object} ast     An abstract syntax tree
+     * @param  {Object} options Options: `subscripts`, either 'msub' or
+     *                          'underscore'
+     * @return {String}         The content MathML string
      */
-    static buildFromCharacter(char) {
-        if(/^[a-zA-Zα-ωΑ-Ω0-9.+\-*∞!]$/.test(char)) {
-            return new AtomNode(char);
-        } else if(/^\/$/.test(char)) {
-            return new DivisionNode();
-        } else if(/^[()]$/.test(char)) {
-            return new BracketNode(char);
-        } else if(/^\|$/.test(char)) {
-            return new AbsoluteNode();
-        } else if(/^\^$/.test(char)) {
-            return new ExponentNode();
-        } else {
-            throw new Error('Not yet implemented: ' + char);
+    static astToMathML(ast, options={}) {
+        switch(ast.type) {
+            case 'apply':
+                let qualifiers = MATHML_QUALIFIERS.filter((qualifier) => qualifier in ast)
+                    //the degree of a derivative is part of its <bvar>
+                    .filter((qualifier) => !(qualifier === 'degree' && 'bvar' in ast))
+                    .map(function(qualifier) {
+                        let content = MathNode.astToMathML(ast[qualifier], options);
+                        if(qualifier === 'bvar' && 'degree' in ast) {
+                            let degree = MathNode.astToMathML(ast.degree, options);
+                            content += `<degree>${degree}</degree>`;
+                        }
+
+                        return `<${qualifier}>${content}</${qualifier}>`;
+                    });
+                let args = ast.args.map((arg) => MathNode.astToMathML(arg, options));
+                //the direction of a one-sided limit, e.g. <tendsto type="above"/>
+                let op = 'direction' in ast
+                    ? `<${ast.op} type="${ast.direction}"/>`
+                    : MathNode._mathMLOperator(ast.op, options);
+
+                return '<apply>' + op + qualifiers.join('') + args.join('') + '</apply>';
+            case 'list':
+            case 'vector':
+            case 'set':
+            case 'matrix':
+            case 'matrixrow':
+                let items = ast.args.map((arg) => MathNode.astToMathML(arg, options));
+
+                return `<${ast.type}>` + items.join('') + `</${ast.type}>`;
+            case 'cn':
+                if('exponent' in ast) {
+                    return `<cn type="e-notation">${ast.value}<sep/>${ast.exponent}</cn>`;
+                } else if('imaginary' in ast) {
+                    return `<cn type="complex-cartesian">${ast.value}<sep/>${ast.imaginary}</cn>`;
+                }
+
+                return `<cn>${ast.value}</cn>`;
+            case 'csymbol':
+                return `<csymbol cd="${ast.cd}">${ast.name}</csymbol>`;
+            case 'ci':
+                if(ast.name.includes('_') && options.subscripts !== 'underscore') {
+                    return '<ci>' + MathNode._subscriptPresentation(ast.name) + '</ci>';
+                }
+
+                return `<ci>${ast.name}</ci>`;
+            default:
+                return `<${ast.type}/>`;
         }
     }
 
     /**
-     * Take a named symbol (like 'sqrt') and determine based on that name what
-     * MathNode class to return.
-     * 
-     * @param  {String}   name The name of the MathNode to build
-     * @return {MathNode}      The resultant MathNode
+     * Convert the name of a subscripted variable, e.g. 'x_1', into the
+     * presentation MathML <msub> which displays it. Runs of digits in the
+     * subscript become <mn>s and runs of letters <mi>s.
+     *
+     * @param  {String} name The variable name
+     * @return {String}      The presentation MathML string
      */
-    static buildFromName(name) {
-        if(name == 'sqrt') {
-            return new SquareRootNode();
-        } else if(name == 'pi') {
-            return new AtomNode('π');
-        } else if(name == 'infty') {
-            return new AtomNode('∞');
-        } else {
-            throw new Error('Not implemented: ' + name);
+    static _subscriptPresentation(name) {
+        let [base, subscript] = name.split('_');
+        let tokens = subscript.match(/[0-9]+|[^0-9]+/g).map(function(token) {
+            return /^[0-9]/.test(token) ? `<mn>${token}</mn>` : `<mi>${token}</mi>`;
+        });
+        if(tokens.length > 1) {
+            tokens = ['<mrow>' + tokens.join('') + '</mrow>'];
         }
-    }
-}
 
+        return `<msub><mi>${base}</mi>${tokens[0]}</msub>`;
+    }
 
-/**
- * ExpressionNode contains any string of nodes which doesn't need to
- * be distinguished for display purposes. Divisions, Exponents etc will have
- * other MathNode types, but anything else will be stored in the array
- * this._nodes.
- *
- * The numerator and denominator of a division, exponent of a power etc. are
- * all ExpressionNodes, as is the root node of the MathInput.
- */
-class ExpressionNode extends MathNode {
     /**
-     * @constructs
+     * Convert a content MathML string into an abstract syntax tree, @see
+     * astToMathML(). Whitespace, and a surrounding <math> element, are
+     * ignored.
      *
-     * In addition to creating the element, register a listener for clicks so
-     * when the ExpressionNode is clicked, the cursor moves to the last child
-     * of the ExpressionNode.
+     * @param  {String} mml The content MathML string
+     * @return {Object}     An abstract syntax tree
+     */
+    static astFromMathML(mml) {
+        let parser = new DOMParser();
+        let doc = parser.parseFromString(mml, 'text/xml');
+
+        return MathNode._astFromMathMLNode(doc.documentElement);
+    }
+
+    /**
+     * Convert a node from a MathML XML document into an abstract syntax tree.
      *
-     * Because Nodes within the ExpressionNode have their own click handlers
-     * which call stopPropagation(), if a child node is clicked this listener
-     * won't be called.
+     * @see this.astFromMathML()
+     * @param  {Element} node A MathML node
+     * @return {Object}       An abstract syntax tree
      */
-    constructor(parent=null) {
-        super(parent);
+    static _astFromMathMLNode(node) {
+        switch(node.tagName) {
+            case 'math':
+                return MathNode._astFromMathMLNode(node.firstElementChild);
+            case 'apply':
+                assert(node.childElementCount >= 1, '<apply> must have at least one child.');
 
-        this._nodes = new Array();
-        this._element.classList.add('expression');
+                let ast = {
+                    type: 'apply', op: MathNode._mathMLOperatorOp(node.firstElementChild), args: [],
+                };
+                if(ast.op === 'tendsto' && node.firstElementChild.hasAttribute('type')) {
+                    ast.direction = node.firstElementChild.getAttribute('type');
+                }
+                Array.from(node.children).slice(1).forEach(function(child) {
+                    if(MATHML_QUALIFIERS.includes(child.tagName)) {
+                        ast[child.tagName] = MathNode._astFromMathMLNode(child.firstElementChild);
+
+                        //the degree of a derivative is part of its <bvar>
+                        let degree = child.children[1];
+                        if(child.tagName === 'bvar' && degree !== undefined) {
+                            assert(degree.tagName === 'degree',
+                                '<bvar> may only contain a variable and a <degree>.');
+                            ast.degree = MathNode._astFromMathMLNode(degree.firstElementChild);
+                        }
+                    } else {
+                        ast.args.push(MathNode._astFromMathMLNode(child));
+                    }
+                });
+
+                return ast;
+            case 'list':
+            case 'vector':
+            case 'set':
+            case 'matrix':
+            case 'matrixrow':
+                return {
+                    type: node.tagName,
+                    args: Array.from(node.children, (child) => MathNode._astFromMathMLNode(child)),
+                };
+            case 'cn':
+                let type = node.getAttribute('type');
+                if(type === 'e-notation' || type === 'complex-cartesian') {
+                    let parts = Array.from(node.childNodes);
+                    let sep = parts.findIndex((part) => part.tagName === 'sep');
+                    assert(sep !== -1, `<cn type="${type}"> must contain a <sep/>.`);
+
+                    return {
+                        type: 'cn',
+                        value: parts.slice(0, sep).map((part) => part.textContent).join('').trim(),
+                        [type === 'e-notation' ? 'exponent' : 'imaginary']:
+                            parts.slice(sep + 1).map((part) => part.textContent).join('').trim(),
+                    };
+                }
+                assert(type === null || CN_TYPES.includes(type), `Unsupported <cn> type: ${type}`);
 
-        //every expression starts with a span, serves as the cursor location before
-        //the first element
-        //has to be inserted manually because there is no child in a new ExpressionNode
-        //to insert it after
-        let startNode = new StartNode(this);
-        this._nodes.push(startNode);
-        this._element.appendChild(startNode.element);
+                return {type: 'cn', value: node.textContent.trim()};
+            case 'csymbol':
+                let cd = node.getAttribute('cd');
+                let name = node.textContent.trim();
+                assert(cd === 'units', `Unsupported content dictionary: ${cd}`);
+                assert(name in UNITS, `Unknown unit: ${name}`);
 
-        let self = this;
-        this._element.addEventListener('click', function(e) {
-            //setting cursor bubbles up to root node, see `set cursor`
-            self.cursor = self.endNode;
-            e.stopPropagation();
-        });
-    }
+                return {type: 'csymbol', cd: cd, name: name};
+            case 'ci':
+                //a subscripted variable, <ci><msub>...</msub></ci>
+                if(node.firstElementChild !== null && node.firstElementChild.tagName === 'msub') {
+                    let parts = Array.from(node.firstElementChild.children)
+                        .map((child) => child.textContent.replace(/\s/g, ''));
 
+                    return {type: 'ci', name: parts.join('_')};
+                }
 
-    /** GETTERS AND SETTERS */
+                return {type: 'ci', name: node.textContent.trim()};
+            default:
+                assert(node.childElementCount === 0, 'Unknown MathML element: ' + node.tagName);
 
-    /**
-     * @override
-     * @return {Number} Element height
-     */
-    get height() {
-        return this.nodes.reduce((acc, node) => Math.max(acc, node.height), 0);
+                return {type: node.tagName};
+        }
     }
 
     /**
-     * Get a precis of the expression, a string with each node represented by
-     * a character
-     * 
-     * @return {String} A summary of the expression's nodes
+     * Evaluate an expression, substituting the values in `bindings` for its
+     * variables. The expression may be given as a content MathML string or
+     * as an abstract syntax tree, @see astToMathML().
+     *
+     * Raises an EvaluationError if a variable has no binding, an operation is
+     * applied outside of its domain (e.g. division by zero, square root of a
+     * negative number), or the expression can't be evaluated.
+     *
+     * An expression containing <imaginaryi/> or a complex <cn> is evaluated
+     * with complex arithmetic, and its value is a ComplexNumber unless it's
+     * real. Operations on real numbers are unchanged, so the square root of a
+     * negative number is still a domain error, unless `options.complex` is
+     * true. Then real arguments outside an operation's real domain take the
+     * principal complex value instead, so √-4 is 2i and ln(-1) is πi.
+     *
+     * Units are evaluated in SI base units, so 1 km is 1000, once the
+     * expression's dimension has been checked, @see dimension(). So 5 m + 3 s
+     * raises an EvaluationError with code 'inconsistent-units'.
+     *
+     * @param  {String|Object} expression The content MathML or syntax tree
+     * @param  {Object}        bindings   The value of each variable, keyed by
+     *                                    name. Variables may be bound to
+     *                                    ComplexNumbers, and declared
+     *                                    functions, like f in f(x), to
+     *                                    JavaScript functions
+     * @param  {Object}        options    May contain `complex`, see above
+     * @return {Number|ComplexNumber}     The value of the expression
      */
-    get precis() {
-        return this._nodes.reduce((acc, node) => acc + node.precis, '');
+    static evaluate(expression, bindings={}, options={}) {
+        let ast = MathNode._toAst(expression);
+        if(MathNode._astHasUnits(ast)) {
+            MathNode._astDimension(ast);
+        }
+
+        return MathNode._evaluateAst(ast, bindings, Boolean(options.complex));
     }
 
     /**
-     * Returns a MathML string representing the expression in the field. Used
-     * to populate the 'value' attribute.
-     * 
-     * @return {String} The MathML string representing this element
+     * If `expression` is a MathML string, convert it to a syntax tree,
+     * otherwise return it as it is.
+     *
+     * @param  {String|Object} expression The content MathML or syntax tree
+     * @return {Object}                   The syntax tree
      */
-    get value() {
-        return this._parse(this.precis);
+    static _toAst(expression) {
+        if(typeof expression === 'string') {
+            return MathNode.astFromMathML(expression);
+        } else {
+            return expression;
+        }
     }
 
     /**
-     * Change the ExpressionNode's contents to match the mathematical
-     * expression defined, in MathML, by the parameter `mml`.
+     * Evaluate a sum or product over a finite range of integers, binding its
+     * index variable to each integer in turn.
      *
-     * This function will take any MathML which the <math-input> field is
-     * capable of outputting, it needn't be a simple atomic node.
-     * 
-     * @param  {String} mml The MathML of the node to be inserted
+     * @see this._evaluateApplyAst()
+     * @param  {Object}  ast      An abstract syntax tree whose op is 'sum' or
+     *                            'product'
+     * @param  {Object}  bindings The value of each variable, keyed by name
+     * @param  {Boolean} complex  Whether real arguments may take complex values
+     * @return {Number}           The value of the syntax tree
      */
-    set value(mml) {
-        let parser = new DOMParser();
-        let doc = parser.parseFromString(mml, 'text/xml');
+    static _evaluateSeriesAst(ast, bindings, complex=false) {
+        if(!('bvar' in ast && 'lowlimit' in ast && 'uplimit' in ast)) {
+            throw new EvaluationError(
+                `Cannot evaluate <${ast.op}/> without <bvar>, <lowlimit> and <uplimit>`,
+                'unsupported');
+        }
 
-        this.appendMathMLNode(doc.firstChild);
-        this.cursor.toggleCursor(false);
+        let lower = MathNode._evaluateAst(ast.lowlimit, bindings, complex);
+        let upper = MathNode._evaluateAst(ast.uplimit, bindings, complex);
+
+        if(!Number.isInteger(lower) || !Number.isInteger(upper)) {
+            if(Math.abs(lower) === Infinity || Math.abs(upper) === Infinity) {
+                throw new EvaluationError(`Cannot evaluate infinite <${ast.op}/>`, 'unsupported');
+            }
+            throw new EvaluationError(`Domain error in <${ast.op}/>`, 'domain',
+                {operation: ast.op});
+        } else if(upper - lower >= SERIES_MAX_TERMS) {
+            throw new EvaluationError(`Too many terms in <${ast.op}/>`, 'unsupported');
+        }
+
+        let result = ast.op === 'sum' ? 0 : 1;
+        for(let i = lower; i <= upper; i++) {
+            let scope = Object.assign({}, bindings, {[ast.bvar.name]: i});
+            let term = MathNode._evaluateAst(ast.args[0], scope, complex);
+            if(result instanceof ComplexNumber || term instanceof ComplexNumber) {
+                let [a, b] = [ComplexNumber.from(result), ComplexNumber.from(term)];
+                result = (ast.op === 'sum' ? a.add(b) : a.multiply(b)).simplify();
+            } else {
+                result = ast.op === 'sum' ? result + term : result * term;
+            }
+        }
+
+        return result;
     }
 
     /**
-     * Get the array of child nodes
+     * Evaluate an abstract syntax tree.
      *
-     * @return {Array} Array of child nodes
+     * @see this.evaluate()
+     * @param  {Object}  ast      An abstract syntax tree
+     * @param  {Object}  bindings The value of each variable, keyed by name
+     * @param  {Boolean} complex  Whether real arguments may take complex values
+     * @return {Number}           The value of the syntax tree
      */
-    get nodes() {
-        return this._nodes;
+    static _evaluateAst(ast, bindings, complex=false) {
+        switch(ast.type) {
+            case 'apply':
+                return MathNode._evaluateApplyAst(ast, bindings, complex);
+            case 'cn':
+                if('imaginary' in ast) {
+                    let [re, im] = [parseFloat(ast.value), parseFloat(ast.imaginary)];
+                    return new ComplexNumber(re, im).simplify();
+                }
+
+                return parseFloat('exponent' in ast ? ast.value + 'e' + ast.exponent : ast.value);
+            case 'ci':
+                if(!Object.prototype.hasOwnProperty.call(bindings, ast.name)) {
+                    throw new EvaluationError(`Unbound variable: ${ast.name}`,
+                        'unbound-variable', {variable: ast.name});
+                } else if(bindings[ast.name] instanceof ComplexNumber) {
+                    return bindings[ast.name].simplify();
+                }
+
+                return Number(bindings[ast.name]);
+            case 'csymbol':
+                //units are evaluated in SI base units, so 1 km is 1000
+                return UNITS[ast.name].scale;
+            case 'pi':
+                return Math.PI;
+            case 'exponentiale':
+                return Math.E;
+            case 'infinity':
+                return Infinity;
+            case 'imaginaryi':
+                return new ComplexNumber(0, 1);
+            default:
+                throw new EvaluationError(`Cannot evaluate MathML element: ${ast.type}`,
+                    'unsupported');
+        }
     }
 
     /**
-     * Get the StartNode - the first node of the expression
-     * 
-     * @return {MathNode} The StartNode, first of the child nodes
+     * Evaluate an 'apply' syntax tree.
+     *
+     * @see this.evaluate()
+     * @param  {Object}  ast      An 'apply' syntax tree
+     * @param  {Object}  bindings The value of each variable, keyed by name
+     * @param  {Boolean} complex  Whether real arguments may take complex values
+     * @return {Number}           The value of the syntax tree
      */
-    get startNode() {
-        return this.nodes[0];
-    }
+    static _evaluateApplyAst(ast, bindings, complex=false) {
+        let action = ast.op;
+        if(action in BIG_OPERATORS) {
+            return MathNode._evaluateSeriesAst(ast, bindings, complex);
+        }
 
-    /**
-     * Get the last (rightmost) node amonst expression's children.
-     * 
-     * @return {MathNode} The rightmost node in `this.nodes`
-     */
-    get endNode() {
-        return this.nodes[this.nodes.length - 1];
-    }
+        //the action is checked first, as an unsupported one may bind the
+        //variables in its arguments, e.g. the x of an integral over x
+        let name = typeof action === 'string' ? MathNode._functionName(action) : null;
+        if(typeof action === 'string' && !EVALUATED_OPERATIONS.includes(action)
+                && (name === null || !('evaluate' in FUNCTIONS[name]))) {
+            throw new EvaluationError(`Cannot evaluate <apply> action: ${action}`, 'unsupported');
+        }
 
+        let args = ast.args.map((arg) => MathNode._evaluateAst(arg, bindings, complex));
 
-    /** MISCELLANEOUS */
+        //a declared function, e.g. f(x), whose definition is in `bindings`
+        if(typeof action === 'object') {
+            if(action.type !== 'ci') {
+                throw new EvaluationError('Cannot evaluate <apply> action: <apply>', 'unsupported');
+            } else if(typeof bindings[action.name] !== 'function') {
+                throw new EvaluationError(`Unbound function: ${action.name}`,
+                    'unbound-variable', {variable: action.name});
+            }
+
+            return bindings[action.name](...args);
+        } else if(args.some((arg) => arg instanceof ComplexNumber)) {
+            return MathNode._evaluateComplexApplyAst(ast, args, bindings, complex);
+        }
+        let domainError = new EvaluationError(`Domain error in <${action}/>`,
+            'domain', {operation: action});
+
+        let result = null;
+        switch(action) {
+            case 'plus':
+                result = args.reduce((acc, arg) => acc + arg, 0);
+                break;
+            case 'minus':
+                result = args.length === 1 ? -args[0] : args[0] - args[1];
+                break;
+            case 'times':
+                result = args.reduce((acc, arg) => acc * arg, 1);
+                break;
+            case 'divide':
+                if(args[1] === 0) {
+                    throw domainError;
+                }
+                result = args[0] / args[1];
+                break;
+            case 'power':
+                if(args[0] === 0 && args[1] < 0) {
+                    throw domainError;
+                }
+                result = Math.pow(args[0], args[1]);
+                break;
+            case 'root':
+                let degree = 'degree' in ast
+                    ? MathNode._evaluateAst(ast.degree, bindings, complex) : 2;
+
+                //odd roots of negative numbers are real
+                if(args[0] < 0 && Number.isInteger(degree) && degree % 2 !== 0) {
+                    result = -Math.pow(-args[0], 1 / degree);
+                } else {
+                    result = Math.pow(args[0], 1 / degree);
+                }
+                break;
+            case 'abs':
+                result = Math.abs(args[0]);
+                break;
+            case 'factorial':
+                if(!Number.isInteger(args[0]) || args[0] < 0) {
+                    throw domainError;
+                }
+                result = 1;
+                for(let i = 2; i <= args[0] && result !== Infinity; i++) {
+                    result *= i;
+                }
+                break;
+            case 'ln':
+                if(complex && args[0] < 0) {
+                    return MathNode._evaluateComplexApplyAst(ast, args, bindings, complex);
+                } else if(args[0] <= 0) {
+                    throw domainError;
+                }
+                result = Math.log(args[0]);
+                break;
+            case 'log':
+                let base = 'logbase' in ast
+                    ? MathNode._evaluateAst(ast.logbase, bindings, complex) : 10;
+
+                if(complex && (args[0] < 0 || base < 0)) {
+                    return MathNode._evaluateComplexApplyAst(ast, args, bindings, complex);
+                } else if(args[0] <= 0 || base <= 0 || base === 1) {
+                    throw domainError;
+                }
+                result = Math.log(args[0]) / Math.log(base);
+                break;
+            default:
+                result = FUNCTIONS[name].evaluate(...args);
+        }
+
+        //NaN only arises from real arguments if they're outside the domain,
+        //where the operation may still have a complex value, e.g. √-4
+        if(Number.isNaN(result) && !args.some(Number.isNaN)) {
+            if(complex && (['power', 'root'].includes(action)
+                    || (name !== null && 'complex' in FUNCTIONS[name]))) {
+                return MathNode._evaluateComplexApplyAst(ast, args, bindings, complex);
+            }
+            throw domainError;
+        }
+
+        return result;
+    }
 
     /**
-     * When a new element has been inserted, all nodes need to be redrawn to
-     * line up properly. Get the dimensions of all child nodes, then get them
-     * to redraw themselves on that information.
-     * Higher-level Expressions need to be redrawn as well, but not lower-level
-     * ones.
+     * Evaluate an 'apply' syntax tree, at least one of whose arguments is a
+     * ComplexNumber. Operations without a complex counterpart, e.g. floor,
+     * raise an EvaluationError.
+     *
+     * @see this._evaluateApplyAst()
+     * @param  {Object}  ast      An 'apply' syntax tree
+     * @param  {Array}   args     The values of its arguments
+     * @param  {Object}  bindings The value of each variable, keyed by name
+     * @param  {Boolean} complex  Whether real arguments may take complex values
+     * @return {Number|ComplexNumber} The value of the syntax tree
      */
-    redraw() {
-        let nodeParams = this.nodes.map((el) => ({height: el.height, center: el.center}));
+    static _evaluateComplexApplyAst(ast, args, bindings, complex=false) {
+        let action = ast.op;
+        let domainError = new EvaluationError(`Domain error in <${action}/>`,
+            'domain', {operation: action});
+        let isZero = (z) => z.re === 0 && z.im === 0;
+        let z = args.map((arg) => ComplexNumber.from(arg));
+
+        let result = null;
+        switch(action) {
+            case 'plus':
+                result = z.reduce((acc, arg) => acc.add(arg), new ComplexNumber(0, 0));
+                break;
+            case 'minus':
+                result = z.length === 1
+                    ? new ComplexNumber(0, 0).subtract(z[0]) : z[0].subtract(z[1]);
+                break;
+            case 'times':
+                result = z.reduce((acc, arg) => acc.multiply(arg), new ComplexNumber(1, 0));
+                break;
+            case 'divide':
+                if(isZero(z[1])) {
+                    throw domainError;
+                }
+                result = z[0].divide(z[1]);
+                break;
+            case 'power':
+                if(isZero(z[0]) && z[1].re < 0) {
+                    throw domainError;
+                }
+                result = z[0].pow(z[1]);
+                break;
+            case 'root':
+                let degree = ComplexNumber.from('degree' in ast
+                    ? MathNode._evaluateAst(ast.degree, bindings, complex) : 2);
 
-        this.nodes.forEach(function(node) {
-            node.redraw(nodeParams);
-        });
+                if(degree.re === 2 && degree.im === 0) {
+                    result = z[0].sqrt();
+                } else {
+                    result = z[0].pow(new ComplexNumber(1, 0).divide(degree));
+                }
+                break;
+            case 'abs':
+                return z[0].abs;
+            case 'ln':
+                if(isZero(z[0])) {
+                    throw domainError;
+                }
+                result = z[0].log();
+                break;
+            case 'log':
+                let base = ComplexNumber.from('logbase' in ast
+                    ? MathNode._evaluateAst(ast.logbase, bindings, complex) : 10);
 
-        //Redraw the grandparent expression as well.
-        //Expression parents are Units, all Units have a parent Expression, so
-        //if this has a parent, it has a grandparent.
-        if(this.parent !== null)
-            this.parent.parent.redraw();
+                if(isZero(z[0]) || isZero(base) || (base.re === 1 && base.im === 0)) {
+                    throw domainError;
+                }
+                result = z[0].log().divide(base.log());
+                break;
+            default:
+                let name = MathNode._functionName(action);
+                if(name === null || !('complex' in FUNCTIONS[name])) {
+                    throw new EvaluationError(`Cannot evaluate <${action}/> of a complex number`,
+                        'unsupported');
+                }
+
+                result = FUNCTIONS[name].complex(...z);
+        }
+
+        if(Number.isNaN(result.re) || Number.isNaN(result.im)) {
+            throw domainError;
+        }
+
+        return result.simplify();
     }
 
     /**
-     * Given a precis of `_nodes` (or some subset thereof), return a MathML
-     * string representing them. Recursive. `offset` keeps track of where the
-     * subset is in `_nodes` to allow for referencing the nodes themselves.
+     * Compare two expressions, each given as a content MathML string or an
+     * abstract syntax tree. Returns:
+     *  - 'exact' if they are identical (ignoring whitespace)
+     *  - 'equivalent' if they evaluate to the same value when their variables
+     *    are substituted with random numbers
+     *  - 'different' otherwise
      *
-     * `offset` starts at 1 to accomodate the StartNode, which isn't
-     * represented in the precis
+     * Samples at which both expressions are undefined (e.g. at 0 for 1/x and
+     * 2/x) are skipped, but if only one is undefined they're 'different', as
+     * they have different domains. If no sample is defined for both, they're
+     * 'different'.
      *
-     * `preModifiers` keeps track of a previous elements which affect the next
-     * e.g. sin(x) has two terms: 'sin' and '(x)'. We pass 'sin' as a
-     * preModifier back to _parse, so that the engine knows to return the sine
-     * of 'x', not just 'x', on its next run.
+     * Expressions with units are 'different' unless they have the same
+     * dimension, @see dimension(). They're compared in SI base units, so
+     * 5 m/s is equivalent to 18 km/h.
      *
-     * @see  UnitNode.precis()
-     * @param  {String} precis       A precis of a set of nodes
-     * @param  {Number} offset       The offset between `precis` and `_nodes`
-     * @param  {Array}  preModifiers An array of preModifiers, if any, that
-     *                               must be applied
-     * @return {String}              A MathML string
+     * Relations, lists, vectors, sets and matrices are compared part by part,
+     * @see _equivalentParts().
+     *
+     * `options` may contain:
+     *  - tolerance: the maximum relative difference between the values of
+     *    the two expressions at each sample (default 1e-9)
+     *  - domain: the range [min, max] from which variables are sampled
+     *    (default [-10, 10]), or an object of such ranges keyed by variable
+     *    name. Variables missing from the object use the default
+     *  - samples: the number of samples to compare (default 20)
+     *  - random: a function returning random numbers in [0, 1), for
+     *    reproducible results (default Math.random)
+     *  - complex: true to evaluate real arguments outside an operation's
+     *    real domain as complex numbers, so √-4 is equivalent to 2i
+     *    (default false), @see evaluate()
+     *
+     * @param  {String|Object} expressionA The first expression
+     * @param  {String|Object} expressionB The second expression
+     * @param  {Object}        options     See above
+     * @return {String}                    'exact', 'equivalent' or 'different'
      */
-    _parse(precis, offset=0, preModifiers=[]) {
-        let masked = BracketNode.mask(precis);
-        masked = AbsoluteNode.mask(masked);
+    static equivalent(expressionA, expressionB, options={}) {
+        let tolerance = 'tolerance' in options ? options.tolerance : 1e-9;
+        let domain = options.domain || [-10, 10];
+        let samples = options.samples || 20;
+        let random = options.random || Math.random;
 
-        //if it starts with an _ i.e. a StartNode, get rid of it
-        if(/^_/.test(precis)) {
-            return this._parse(precis.slice(1), offset+1)
-        }
+        let astA = MathNode._toAst(expressionA);
+        let astB = MathNode._toAst(expressionB);
 
-        //matches last +/-. Needs to be done in reverse order: consider a-b+c
-        let match = masked.match(/([+\-])(?!.*[+\-])/);
-        //symbol can't be the first character in the string, because if it's
-        //first it's a unary positive/negative (unary positive not supported,
-        //but nevertheless can't be handled here.)
-        if(match !== null && match.index !== 0) {
-            return this._parseOperator(precis, offset, match.index);
+        if(MathNode.astToMathML(astA) === MathNode.astToMathML(astB)) {
+            return 'exact';
         }
 
-        //match a times symbol
-        match = masked.match(/\*/);
-        if(match !== null) {
-            return this._parseOperator(precis, offset, match.index);
+        let parts = MathNode._equivalentParts(astA, astB, options);
+        if(parts !== null) {
+            return parts;
         }
 
-        //if it starts with a unary negative
-        if(/^-/.test(precis)) {
-            preModifiers.push('negative');
-            return this._parse(precis.slice(1), offset + 1, preModifiers);
+        //quantities are only equal if they have the same dimension, after
+        //which they're compared in SI base units, so 1 km equals 1000 m
+        if(MathNode._astHasUnits(astA) || MathNode._astHasUnits(astB)) {
+            try {
+                let dimensions = [astA, astB].map((ast) => MathNode._astDimension(ast));
+                if(!MathNode._sameDimension(...dimensions)) {
+                    return 'different';
+                }
+            } catch(error) {
+                if(error instanceof EvaluationError && error.code === 'inconsistent-units') {
+                    return 'different';
+                }
+                throw error;
+            }
         }
 
-        //if it starts with a number
-        if(/^[0-9]/.test(precis)) {
-            let term = precis.match(/^[0-9]+(\.[0-9]+)?/)[0];
-            let mathml = '<cn>' + term + '</cn>';
+        let variables = new Set(
+            [astA, astB].flatMap((ast) => MathNode._astVariables(ast)));
+        let functions = new Set(
+            [astA, astB].flatMap((ast) => MathNode._astFunctions(ast)));
+
+        //if an expression is undefined for most of the domain, don't keep
+        //looking for samples forever
+        let compared = 0;
+        for(let attempt = 0; attempt < samples * 5 && compared < samples; attempt++) {
+            let bindings = {};
+            variables.forEach(function(variable) {
+                let [min, max] = Array.isArray(domain) ? domain : (domain[variable] || [-10, 10]);
+                bindings[variable] = min + random() * (max - min);
+            });
+            //declared functions are replaced by a random, but smooth and
+            //non-periodic, function of their arguments
+            functions.forEach(function(name) {
+                let [a, b, c] = [random() + 0.5, random(), random() + 0.5];
+                bindings[name] = (...args) => a * args.reduce((acc, arg) => acc * c + arg, b)
+                    + Math.exp(-args.reduce((acc, arg) => acc + arg * arg, 0));
+            });
+
+            //undefined at this sample, e.g. 1/x at 0, is null
+            let [valueA, valueB] = [astA, astB].map(function(ast) {
+                try {
+                    return MathNode._evaluateAst(ast, bindings, Boolean(options.complex));
+                } catch(error) {
+                    if(error instanceof EvaluationError && error.code === 'domain') {
+                        return null;
+                    }
+                    throw error;
+                }
+            });
 
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
-        }
+            if(valueA === null && valueB === null) {
+                continue;
+            } else if(valueA === null || valueB === null) {
+                return 'different';
+            }
 
-        //if it starts with a known function
-        let functionPattern = /^(ln|(?:arc)?(?:sin|cos|tan))/;
-        if(functionPattern.test(precis)) {
-            let term = precis.match(functionPattern)[0];
-            let len = term.length;
+            if(valueA !== valueB) {
+                //complex values are compared by the modulus of their difference
+                let [a, b] = [ComplexNumber.from(valueA), ComplexNumber.from(valueB)];
+                let scale = Math.max(1, a.abs, b.abs);
+                if(!(a.subtract(b).abs <= tolerance * scale)) {
+                    return 'different';
+                }
+            }
 
-            preModifiers.push(term);
-            return this._parse(precis.slice(len), offset+len, preModifiers);
+            compared++;
         }
 
-        //if it starts with pi
-        let piPattern = /^(pi|π)/;
-        if(piPattern.test(precis)) {
-            let term = precis.match(piPattern)[0];
-            let mathml = '<pi/>';
-
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
-        }
+        return compared > 0 ? 'equivalent' : 'different';
+    }
 
-        //if it starts with infinity
-        let inftyPattern = /^∞/;
-        if(inftyPattern.test(precis)) {
-            let term = precis.match(inftyPattern)[0];
-            let mathml = '<infinity/>';
+    /**
+     * Compare two syntax trees part by part, if either is a relation or a
+     * container. They're 'equivalent' if they're the same relation or
+     * container and each of their parts is equivalent to the matching part
+     * of the other: the sides of an inequality in order, the sides of an
+     * equation in either order, and the elements of a set in any order, so
+     * {1,2} is equivalent to {2,1}. Otherwise they're 'different'.
+     *
+     * @see this.equivalent()
+     * @param  {Object} astA    The first syntax tree
+     * @param  {Object} astB    The second syntax tree
+     * @param  {Object} options The options to compare the parts with
+     * @return {String|null}    'equivalent' or 'different', or null if
+     *                          neither is a relation or container
+     */
+    static _equivalentParts(astA, astB, options) {
+        let kind = function(ast) {
+            if(MATHML_CONTAINERS.includes(ast.type)) {
+                return ast.type;
+            } else if(ast.type === 'apply'
+                    && (Object.values(RELATIONS).includes(ast.op) || ast.op === 'and')) {
+                return ast.op;
+            }
+            return null;
+        };
 
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
+        if(kind(astA) === null && kind(astB) === null) {
+            return null;
+        } else if(kind(astA) !== kind(astB) || astA.args.length !== astB.args.length) {
+            return 'different';
         }
 
-        //if it is the letter 'e', parse as Euler's number
-        if(/^e/.test(precis)) {
-            let term = precis[0];
-            let mathml = '<exponentiale/>';
-
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
+        let matches = (a, b) => MathNode.equivalent(a, b, options) !== 'different';
+        let inOrder = (argsB) => astA.args.every((arg, i) => matches(arg, argsB[i]));
+
+        if(astA.type === 'set') {
+            //equivalence is transitive, so the first match is as good as any
+            let unmatched = astB.args.slice();
+            let matched = astA.args.every(function(arg) {
+                let index = unmatched.findIndex((other) => matches(arg, other));
+                return index !== -1 && unmatched.splice(index, 1).length > 0;
+            });
+            return matched ? 'equivalent' : 'different';
+        } else if(inOrder(astB.args)
+                || (['eq', 'neq'].includes(astA.op) && inOrder(astB.args.slice().reverse()))) {
+            return 'equivalent';
         }
 
-        //if it starts with a letter
-        if(/^[a-zA-Zα-ωΑ-Ω]/.test(precis)) {
-            let term = precis[0];
-            let mathml = '<ci>' + term + '</ci>';
+        return 'different';
+    }
 
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
-        }
+    /**
+     * Find the physical dimension of an expression, given as a content MathML
+     * string or an abstract syntax tree: the power of each SI base unit in
+     * its units, e.g. {m: 1, s: -1} for 5 km/h. A dimensionless expression's
+     * dimension is {}. Keys are in the order of SI_BASE_UNITS.
+     *
+     * Raises an EvaluationError with code 'inconsistent-units' if terms of
+     * different dimensions are added or compared, e.g. 2 m + 3 s, or if a
+     * function is applied to something which isn't dimensionless.
+     *
+     * @param  {String|Object} expression The content MathML or syntax tree
+     * @return {Object}                   The dimension
+     */
+    static dimension(expression) {
+        let dimension = MathNode._astDimension(MathNode._toAst(expression));
 
-        //if it starts with a % i.e. is a non-Atom, non-Exponent UnitNode
-        if(/^%/.test(precis)) {
-            let term = precis[0];
-            let mathml = this.nodes[offset].value;
+        return Object.fromEntries(SI_BASE_UNITS
+            .filter((unit) => (dimension[unit] || 0) !== 0)
+            .map((unit) => [unit, dimension[unit]]));
+    }
 
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
-        }
+    /**
+     * Multiply the powers in `dimension` by `factor` and add them to those in
+     * `total`, e.g. adding {m: 1} twice over is {m: 2}.
+     *
+     * @param  {Object} total     A dimension
+     * @param  {Object} dimension Another dimension
+     * @param  {Number} factor    The multiple of `dimension` to add
+     * @return {Object}           The combined dimension
+     */
+    static _addDimensions(total, dimension, factor=1) {
+        let result = Object.assign({}, total);
+        Object.entries(dimension).forEach(function([unit, power]) {
+            result[unit] = (result[unit] || 0) + power * factor;
+            if(Math.abs(result[unit]) < 1e-12) {
+                delete result[unit];
+            }
+        });
 
-        //if it starts with a parenthesis
-        if(/^\(/.test(precis)) {
-            //can't find end using `masked` because (1)(2) would return 5 not 2
-            let end = BracketNode.findMatchingParen(precis, 0);
+        return result;
+    }
 
-            if(end === null) {
-                throw new Error('Unmatched parenthesis.');
+    /**
+     * Are two dimensions the same?
+     *
+     * @param  {Object} dimensionA A dimension
+     * @param  {Object} dimensionB Another dimension
+     * @return {Boolean}           Are they the same?
+     */
+    static _sameDimension(dimensionA, dimensionB) {
+        return Object.keys(MathNode._addDimensions(dimensionA, dimensionB, -1)).length === 0;
+    }
+
+    /**
+     * Find the dimension of a syntax tree.
+     *
+     * @see this.dimension()
+     * @param  {Object} ast An abstract syntax tree
+     * @return {Object}     The dimension, not necessarily in order
+     */
+    static _astDimension(ast) {
+        let inconsistent = (operation) => new EvaluationError(
+            `Inconsistent units in <${operation}/>`, 'inconsistent-units', {operation: operation});
+        //all of `asts` must have the same dimension, which is returned
+        let same = function(asts, operation) {
+            let dimensions = asts.map((arg) => MathNode._astDimension(arg));
+            if(dimensions.some((dimension) => !MathNode._sameDimension(dimension, dimensions[0]))) {
+                throw inconsistent(operation);
             }
 
-            let term = precis.slice(0, end + 1);
-            let mathml = this._parse(term.slice(1, -1), offset + 1);
+            return dimensions[0] || {};
+        };
+        //a constant exponent, or root degree, by which to scale a dimension
+        let constant = function(exponent, operation) {
+            if(Object.keys(MathNode._astDimension(exponent)).length > 0) {
+                throw inconsistent(operation);
+            }
+            try {
+                let value = MathNode._evaluateAst(exponent, {});
 
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
+                return value instanceof ComplexNumber ? null : value;
+            } catch(error) {
+                if(error instanceof EvaluationError) {
+                    return null;
+                }
+                throw error;
+            }
+        };
+
+        if(ast.type === 'csymbol') {
+            return Object.assign({}, UNITS[ast.name].dimension);
+        } else if(MATHML_CONTAINERS.includes(ast.type)) {
+            return same(ast.args, ast.type);
+        } else if(ast.type !== 'apply') {
+            return {};
         }
 
-        //if it starts with a pipe
-        if(/^\|/.test(precis)) {
-            let end = precis.indexOf('|', 1);
+        let operation = typeof ast.op === 'object' ? 'apply' : ast.op;
+        switch(operation) {
+            case 'times':
+                return ast.args.map((arg) => MathNode._astDimension(arg))
+                    .reduce((acc, dimension) => MathNode._addDimensions(acc, dimension), {});
+            case 'divide':
+                return MathNode._addDimensions(
+                    MathNode._astDimension(ast.args[0]), MathNode._astDimension(ast.args[1]), -1);
+            case 'power':
+            case 'root':
+                let base = MathNode._astDimension(ast.args[0]);
+                let exponent = operation === 'power'
+                    ? ast.args[1] : (ast.degree || {type: 'cn', value: '2'});
+                let value = constant(exponent, operation);
+                if(Object.keys(base).length === 0) {
+                    return base;
+                } else if(value === null) {
+                    throw inconsistent(operation);
+                }
 
-            if(end === -1) {
-                throw new Error('Unmatched pipe.');
-            }
+                return MathNode._addDimensions({}, base, operation === 'power' ? value : 1 / value);
+            case 'plus':
+            case 'minus':
+            case 'abs':
+            case 'floor':
+            case 'ceiling':
+            case 'max':
+            case 'min':
+            case 'sum':
+            case 'int':
+            case 'diff':
+            case 'limit':
+                return same(ast.args, operation);
+            default:
+                if(Object.values(RELATIONS).includes(operation)) {
+                    same(ast.args, operation);
 
-            let term = precis.slice(0, end + 1);
-            let innerMathml = this._parse(term.slice(1, -1), offset + 1);
-            let mathml = '<apply><abs/>' + innerMathml + '</apply>';
+                    return {};
+                }
+                ast.args.forEach(function(arg) {
+                    if(Object.keys(MathNode._astDimension(arg)).length > 0) {
+                        throw inconsistent(operation);
+                    }
+                });
 
-            return this._parseTerm(term, mathml, precis, offset, preModifiers);
+                return {};
         }
-
-        //if no match has been found
-        throw new Error('Cannot parse input.');
     }
 
     /**
-     * Given a `term`, a matched section at the start of a precis:
-     *  - make preModifier and postModifier alterations
-     *    - @see _parse(Pre|Post)Modifiers
-     *  - if the term comprises the entire precis, return it's calculated `mathml`
-     *  - otherwise, parse the rest and multiply them together
-     *  
-     * @param  {String} term         The portion of the precis identified as a term
-     * @param  {String} mathml       The mathml rendering of `term`
-     * @param  {String} precis       The full precis being parsed
-     * @param  {Number} offset       The precis' offset within the expression
-     * @param  {Array}  preModifiers The preModifiers - @see _parse
-     * @return {String}              The resultant mathml term
+     * Does a syntax tree contain any units?
+     *
+     * @see this.equivalent()
+     * @param  {Object} ast An abstract syntax tree
+     * @return {Boolean}    Does it contain a 'csymbol' from the units
+     *                      content dictionary?
      */
-    _parseTerm(term, mathml, precis, offset, preModifiers) {
-        //I'm not certain that it will always be fine to run all postModifiers
-        //before all preModifiers, but it's fine (and necessary) for now.
-        [term, mathml, precis, offset] = this._parsePostModifiers(term, mathml, precis, offset);
-        if(preModifiers !== []) {
-            [term, mathml, precis, offset] = this._parsePreModifiers(term, mathml, precis, offset, preModifiers);
+    static _astHasUnits(ast) {
+        if(ast.type === 'csymbol') {
+            return true;
+        } else if(ast.type === 'apply') {
+            let qualifiers = MATHML_QUALIFIERS.filter((qualifier) => qualifier in ast);
+            return ast.args.concat(qualifiers.map((qualifier) => ast[qualifier]))
+                .some((child) => MathNode._astHasUnits(child));
+        } else if(MATHML_CONTAINERS.includes(ast.type)) {
+            return ast.args.some((arg) => MathNode._astHasUnits(arg));
+        } else {
+            return false;
         }
+    }
 
-        if(term.length == precis.length) {
-            return mathml;
+    /**
+     * Get the names of all of the declared functions, e.g. f in f(x), in a
+     * syntax tree.
+     *
+     * @see this.equivalent()
+     * @param  {Object} ast An abstract syntax tree
+     * @return {Array}      The names of the functions
+     */
+    static _astFunctions(ast) {
+        if(ast.type === 'apply') {
+            let qualifiers = MATHML_QUALIFIERS.filter((qualifier) => qualifier in ast);
+            let children = ast.args.concat(qualifiers.map((qualifier) => ast[qualifier]));
+            let names = typeof ast.op === 'object' && ast.op.type === 'ci' ? [ast.op.name] : [];
+
+            return names.concat(children.flatMap((child) => MathNode._astFunctions(child)));
+        } else if(MATHML_CONTAINERS.includes(ast.type)) {
+            return ast.args.flatMap((arg) => MathNode._astFunctions(arg));
         } else {
-            offset = offset + term.length;
-            let rest = this._parse(precis.slice(term.length), offset);
-
-            return '<apply><times/>' + mathml + rest + '</apply>';
+            return [];
         }
     }
 
     /**
-     * Looks for postModifiers - anything after a term which alters it (for
-     * example, an exponent or a prime sign). If there is, make appropriate
-     * changes to the arguments, then pass them back altered.
-     * 
-     * @param  {String} term   The portion of the precis identified as a term
-     * @param  {String} mathml The mathml rendering of `term`
-     * @param  {String} precis The full precis being parsed
-     * @param  {Number} offset The precis' offset within the expression
-     * @return {Array}         The function arguments, altered and returned
+     * Get the names of all of the variables (i.e. 'ci' nodes) in a syntax
+     * tree.
+     *
+     * @see this.equivalent()
+     * @param  {Object} ast An abstract syntax tree
+     * @return {Array}      The names of the variables
      */
-    _parsePostModifiers(term, mathml, precis, offset) {
-        if(precis[term.length] === '^') {
-            let exponent_mathml = this.nodes[offset+term.length].value;
-            term += '^';
-            mathml = '<apply><power/>' + mathml + exponent_mathml + '</apply>';
-        } else if(precis[term.length] === '!') {
-            term += '!';
-            mathml = '<apply><factorial/>' + mathml + '</apply>';
+    static _astVariables(ast) {
+        if(ast.type === 'ci') {
+            return [ast.name];
+        } else if(ast.type === 'apply') {
+            let qualifiers = MATHML_QUALIFIERS.filter((qualifier) => qualifier in ast);
+            let children = ast.args.concat(qualifiers.map((qualifier) => ast[qualifier]));
+
+            return children.flatMap((child) => MathNode._astVariables(child));
+        } else if(MATHML_CONTAINERS.includes(ast.type)) {
+            return ast.args.flatMap((arg) => MathNode._astVariables(arg));
+        } else {
+            return [];
         }
+    }
+
+    /**
+     * Build the dictionary of names a field recognises from `options`:
+     *  - identifiers: multi-letter names parsed as a single variable, e.g.
+     *    ['mu', 'rate']
+     *  - constants: names parsed as constants, keyed by name, with the
+     *    content MathML element each represents e.g. {'E': 'exponentiale'}.
+     *    These are added to the defaults, DICTIONARY_CONSTANTS
+     *  - functions: names of functions, which are applied to a parenthesised
+     *    argument rather than multiplying it, e.g. ['f', 'g'] so that f(x)
+     *    is <apply><ci type="function">f</ci><ci>x</ci></apply>
+     *  - literals: names which shouldn't be parsed as constants, e.g. ['e']
+     *    to make 'e' a plain variable
+     *
+     * @param  {Object} options The dictionary options
+     * @return {Object}         The dictionary, with `identifiers`,
+     *                          `functions` and `constants`
+     */
+    static buildDictionary({identifiers=[], functions=[], constants={}, literals=[]}={}) {
+        [identifiers, functions, literals].forEach(function(names) {
+            assert(Array.isArray(names),
+                'Dictionary identifiers, functions and literals must be arrays.');
+        });
+        identifiers.forEach(function(name) {
+            assert(/^[a-zA-Zα-ωΑ-Ω]+$/.test(name),
+                `Identifier must contain only latin/greek letters: ${name}`);
+        });
+        functions.forEach(function(name) {
+            assert(/^[a-zA-Zα-ωΑ-Ω]+$/.test(name),
+                `Function must contain only latin/greek letters: ${name}`);
+        });
+        Object.entries(constants).forEach(function([name, type]) {
+            assert(/^([a-zA-Zα-ωΑ-Ω]+|∞)$/.test(name),
+                `Constant must contain only latin/greek letters: ${name}`);
+            assert(CONSTANT_TYPES.includes(type), `Unknown constant: ${type}`);
+        });
+
+        constants = Object.assign({}, DICTIONARY_CONSTANTS, constants);
+        literals.forEach((name) => delete constants[name]);
 
-        return [term, mathml, precis, offset];
+        return {
+            identifiers: identifiers.filter((name) => !literals.includes(name)),
+            functions: functions.filter((name) => !literals.includes(name)),
+            constants: constants,
+        };
     }
 
     /**
-     * We've identified (in `_parse`) that there is a preModifiers to apply -
-     * that is, anything before a term which alters it (e.g. 'sin' or 'ln').
-     * Apply the preModifier, make appropriate changes to the arguments, then
-     * pass them back altered.
-     * 
-     * @param  {String} term         The portion of the precis identified as a term
-     * @param  {String} mathml       The mathml rendering of `term`
-     * @param  {String} precis       The full precis being parsed
-     * @param  {Number} offset       The precis' offset within the expression
-     * @param  {Array}  preModifiers The identified preModifiers
-     * @return {Array}               The function arguments, altered and returned
+     * Build the number format of a field from `options`:
+     *  - decimal: the decimal separator, '.' or ','. With a decimal comma,
+     *    the items of a list are separated by ';' instead of ','
+     *  - grouping: the digit grouping separator, '.' or ',' but not the
+     *    decimal separator, or null for none. Digits are grouped in threes,
+     *    e.g. 1,234,567
+     *  - eNotation: if true, numbers may be written in E-notation, e.g.
+     *    1.2e-5, and a number times a power of ten, e.g. 6.02*10^23, is
+     *    parsed as a single number in E-notation
+     *
+     * @param  {Object} options The number format options
+     * @return {Object}         The number format, with `decimal`, `grouping`,
+     *                          `eNotation`, the list `separator` and the
+     *                          regular expression `pattern` matching a number
      */
-    _parsePreModifiers(term, mathml, precis, offset, preModifiers) {
-        //apply in reverse order
-        let preModifier = null;
-        while(typeof (preModifier = preModifiers.pop()) !== 'undefined') {
-            if(/^(ln|(arc)?(sin|cos|tan))$/.test(preModifier)) {
-                mathml = `<apply><${preModifier}/>${mathml}</apply>`;
-            } else if(preModifier === 'negative') {
-                mathml = `<apply><minus/>${mathml}</apply>`;
+    static buildNumberFormat({decimal='.', grouping=null, eNotation=false}={}) {
+        assert(['.', ','].includes(decimal), `Unknown decimal separator: ${decimal}`);
+        assert(grouping === null || (['.', ','].includes(grouping) && grouping !== decimal),
+            `Unknown digit grouping separator: ${grouping}`);
+
+        let integer = grouping === null ? '[0-9]+'
+            : `[0-9]{1,3}(?:\\${grouping}[0-9]{3})+(?![0-9])|[0-9]+`;
+        let exponent = eNotation ? '(?:e[+\\-]?[0-9]+)?' : '';
+        let pattern = `(?:${integer})(?:\\${decimal}[0-9]+)?${exponent}`;
+
+        return {
+            decimal: decimal,
+            grouping: grouping,
+            eNotation: eNotation,
+            separator: decimal === ',' ? ';' : ',',
+            pattern: pattern,
+        };
+    }
+
+    /**
+     * Convert a number, as typed in a field with the number format `format`,
+     * into a 'cn' syntax tree. A number in E-notation has its exponent in
+     * `exponent`, e.g. {type: 'cn', value: '1.2', exponent: '-5'}.
+     *
+     * @see MathNode.buildNumberFormat()
+     * @param  {String} number The number
+     * @param  {Object} format The number format
+     * @return {Object}        The syntax tree
+     */
+    static _numberAst(number, format) {
+        let [mantissa, exponent] = number.split('e');
+        if(format.grouping !== null) {
+            mantissa = mantissa.split(format.grouping).join('');
+        }
+
+        let ast = {type: 'cn', value: mantissa.replace(format.decimal, '.')};
+        if(exponent !== undefined) {
+            ast.exponent = exponent.replace(/^\+/, '');
+        }
+
+        return ast;
+    }
+
+    /**
+     * If `ast` is a power of ten with an integer exponent, e.g. 10^23 or
+     * 10^-5, return the exponent as a string. Otherwise return null.
+     *
+     * @param  {Object} ast A syntax tree
+     * @return {String}     The exponent
+     */
+    static _powerOfTenExponent(ast) {
+        if(ast.type !== 'apply' || ast.op !== 'power') {
+            return null;
+        } else if(ast.args[0].type !== 'cn' || ast.args[0].value !== '10') {
+            return null;
+        }
+
+        let exponent = ast.args[1];
+        let sign = '';
+        if(exponent.type === 'apply' && exponent.op === 'minus' && exponent.args.length === 1) {
+            exponent = exponent.args[0];
+            sign = '-';
+        }
+
+        if(exponent.type !== 'cn' || 'exponent' in exponent || !/^[0-9]+$/.test(exponent.value)) {
+            return null;
+        }
+
+        return sign + exponent.value;
+    }
+
+    /**
+     * With E-notation, merge a number at the end of the product `lhs` and a
+     * power of ten at the start of the product `rhs` into a single number,
+     * e.g. 2·6.02 times 10^23·x is 2 times 6.02e23 times x. Return the
+     * product of the two, or null if they don't meet in a number and a power
+     * of ten.
+     *
+     * @see ExpressionNode._parseOperator()
+     * @param  {Object} lhs The syntax tree left of the multiplication
+     * @param  {Object} rhs The syntax tree right of it
+     * @return {Object}     The syntax tree of the product
+     */
+    static _mergeENotation(lhs, rhs) {
+        let isProduct = (ast) => ast.type === 'apply' && ast.op === 'times';
+        //the first or last factor of a product
+        let edge = function(ast, last) {
+            return isProduct(ast) ? edge(ast.args[last ? ast.args.length - 1 : 0], last) : ast;
+        };
+        //the product without its first or last factor, or null if that's all
+        //there is
+        let strip = function(ast, last) {
+            if(!isProduct(ast)) {
+                return null;
             }
+
+            let args = ast.args.slice();
+            let i = last ? args.length - 1 : 0;
+            let rest = strip(args[i], last);
+            if(rest === null) {
+                args.splice(i, 1);
+            } else {
+                args[i] = rest;
+            }
+
+            return args.length === 1 ? args[0] : Object.assign({}, ast, {args: args});
+        };
+
+        let number = edge(lhs, true);
+        let exponent = MathNode._powerOfTenExponent(edge(rhs, false));
+        if(exponent === null || number.type !== 'cn' || 'exponent' in number
+                || 'imaginary' in number) {
+            return null;
+        }
+
+        let [left, right] = [strip(lhs, true), strip(rhs, false)];
+        let result = {type: 'cn', value: number.value, exponent: exponent};
+        if(right !== null) {
+            result = {type: 'apply', op: 'times', args: [result, right]};
+        }
+        if(left !== null) {
+            result = {type: 'apply', op: 'times', args: [left, result]};
         }
 
-        return [term, mathml, precis, offset];
+        return result;
     }
 
     /**
-     * Having found an operator to parse, split the precis in two around it,
-     * process both sides, then return the resultant MathML string.
-     * 
-     * @param  {String} precis      A precis of a set of nodes
-     * @param  {Number} offset      The offset between `precis` and `_nodes`
-     * @param  {Number} operatorPos The position of the found operator
-     * @return {String}             A MathML string
+     * Register a function, so that it's recognised when typed into any field.
+     * E.g. to add the error function:
+     *
+     *     MathNode.registerFunction('erf', {
+     *         mathml: '<csymbol cd="hypergeo0">erf</csymbol>',
+     *         evaluate: erf,
+     *     });
+     *
+     * @see FUNCTIONS for the options, all of which are optional. `op`
+     * defaults to `name`, `latex` to '\operatorname{name}' and `text` to
+     * `name`.
+     *
+     * @param  {String} name    The function's name, as typed into the field
+     * @param  {Object} options The function's description
      */
-    _parseOperator(precis, offset, operatorPos) {
-        let op = precis[operatorPos];
-        let lhs = this._parse(
-            precis.slice(0, operatorPos),
-            offset);
-        let rhs = this._parse(
-            precis.slice(operatorPos + 1),
-            offset + operatorPos + 1);
+    static registerFunction(name, options={}) {
+        assert(/^[a-zA-Z]{2,}$/.test(name),
+            `Function name must contain at least two latin letters: ${name}`);
+
+        FUNCTIONS[name] = Object.assign({
+            op: name,
+            latex: `\\operatorname{${name}}`,
+            text: name,
+        }, options);
+    }
 
-        let op_tags = {'+': '<plus/>', '-': '<minus/>', '*': '<times/>'};
+    /**
+     * Get a regular expression matching the name of any function in
+     * FUNCTIONS at the start of a string. Longer names are preferred, so that
+     * e.g. 'sinh' isn't matched as 'sin'.
+     *
+     * @return {RegExp} The regular expression
+     */
+    static _functionPattern() {
+        let names = Object.keys(FUNCTIONS).sort((a, b) => b.length - a.length);
 
-        return '<apply>' + op_tags[op] + lhs + rhs + '</apply>';
+        return new RegExp('^(' + names.join('|') + ')');
     }
 
     /**
-     * Append content to the ExpressionNode described by a MathML node `node`
+     * Find the name of the function in FUNCTIONS with syntax tree `op`.
      *
-     * @see  this.set value()
-     * @param  {String} mml The MathML of the node to be inserted
+     * @param  {String} op The syntax tree's `op`
+     * @return {String}    The function's name, or null if there's none
      */
-    appendMathMLNode(node) {
-        let mathNode = null;
+    static _functionName(op) {
+        let name = Object.keys(FUNCTIONS).find((name) => FUNCTIONS[name].op === op);
 
-        switch(node.tagName) {
-            case 'apply':
-                this._appendMathMLApplyNode(node);
-                break;
-            case 'ci':
-                assert(/^[a-zA-Zα-ωΑ-Ω]$/.test(node.textContent),
-                    '<ci> must contain a single latin/greek letter.');
+        return name === undefined ? null : name;
+    }
 
-                mathNode = new AtomNode(node.textContent);
-                this.cursor.insertAfter(mathNode);
-                this.cursor = mathNode;
-                break;
-            case 'cn':
-                assert(/^-?[0-9]+(\.[0-9]+)?$/.test(node.textContent),
-                    '<cn> must contain a number.');
-
-                let self = this;
-                node.textContent.split('').map(function(char) {
-                    let mathNode = new AtomNode(char);
-                    self.cursor.insertAfter(mathNode);
-                    self.cursor = mathNode;
-                })
-                break;
-            // case 'degree':
-            // case 'logbase':
-            //     return MathNode._buildNodesetFromMathMLNode(node.firstChild);
-            case 'pi':
-                mathNode = new AtomNode('π');
-                this.cursor.insertAfter(mathNode);
-                this.cursor = mathNode;
-                break;
-            case 'exponentiale':
-                mathNode = new AtomNode('e');
-                this.cursor.insertAfter(mathNode);
-                this.cursor = mathNode;
-                break;
-            case 'infinity':
-                mathNode = new AtomNode('∞');
-                this.cursor.insertAfter(mathNode);
-                this.cursor = mathNode;
-                break;
-            default:
-                throw new Error('Unknown MathML element: ' + node.tagName);
+    /**
+     * Get the content MathML element for the operator `op`: the function's
+     * `mathml` if it has one, otherwise <op/>. If `op` is itself a syntax
+     * tree, e.g. {type: 'ci', name: 'f'}, it's a declared function.
+     *
+     * @param  {String|Object} op      The syntax tree's `op`
+     * @param  {Object}        options @see astToMathML()
+     * @return {String}                The content MathML string
+     */
+    static _mathMLOperator(op, options={}) {
+        //a declared function, e.g. f, or an expression which evaluates to a
+        //function, e.g. its derivative f'
+        if(typeof op === 'object' && op.type === 'ci') {
+            return `<ci type="function">${op.name}</ci>`;
+        } else if(typeof op === 'object') {
+            return MathNode.astToMathML(op, options);
+        }
+
+        let name = MathNode._functionName(op);
+
+        if(name !== null && 'mathml' in FUNCTIONS[name]) {
+            return FUNCTIONS[name].mathml;
+        } else {
+            return `<${op}/>`;
         }
     }
 
     /**
-     * Take an <apply> node from a MathML XML document and append its content
-     * to this ExpressionNode.
+     * Get the syntax tree `op` of the first child of an <apply> element. This
+     * is its tag, unless it's a function whose `mathml` isn't an empty
+     * element, e.g. <ci type="function">sgn</ci>, in which case it's the
+     * function's `op`. Any other <ci> is a declared function, and an <apply>
+     * a function such as the derivative of one, and their `op` is their
+     * syntax tree, e.g. {type: 'ci', name: 'f'}.
+     *
+     * @param  {Element}       node A MathML element, the operator of an <apply>
+     * @return {String|Object}      The `op`
+     */
+    static _mathMLOperatorOp(node) {
+        if(node.childNodes.length === 0) {
+            return node.tagName;
+        }
+
+        let parser = new DOMParser();
+        let name = Object.keys(FUNCTIONS).filter((name) => 'mathml' in FUNCTIONS[name])
+            .find(function(name) {
+                let element = parser.parseFromString(FUNCTIONS[name].mathml, 'text/xml')
+                    .documentElement;
+                return element.tagName === node.tagName
+                    && element.textContent.trim() === node.textContent.trim();
+            });
+        if(name === undefined && (node.tagName === 'ci' || node.tagName === 'apply')) {
+            return MathNode._astFromMathMLNode(node);
+        }
+        assert(name !== undefined,
+            `Unknown <apply> operator: <${node.tagName}>${node.textContent}</${node.tagName}>`);
+
+        return FUNCTIONS[name].op;
+    }
+
+    /**
+     * Take a character (from input, usually) and determine based on value
+     * what MathNode class to return.
      * 
-     * @see this.appendMathMLNode()
-     * @param  {Element}  node A MathML <apply> node
+     * @param  {String}   char The character to create a MathNode from
+     * @return {MathNode}      The resultant MathNode
      */
-    _appendMathMLApplyNode(node) {
-        assert(node.childElementCount >= 2, "<apply> must have at least two children.")
+    static buildFromCharacter(char) {
+        if(/^[a-zA-Zα-ωΑ-Ω0-9.+\-*∞!=<>≤≥≠,;']$/.test(char)) {
+            return new AtomNode(char);
+        } else if(/^\/$/.test(char)) {
+            return new DivisionNode();
+        } else if(/^[(){}]$/.test(char)) {
+            return new BracketNode(char);
+        } else if(/^\|$/.test(char)) {
+            return new AbsoluteNode();
+        } else if(/^\^$/.test(char)) {
+            return new ExponentNode();
+        } else if(/^_$/.test(char)) {
+            return new SubscriptNode();
+        } else {
+            throw new Error('Not yet implemented: ' + char);
+        }
+    }
 
-        let action = node.firstChild.tagName;
-        let args = Array.from(node.children).slice(1);
+    /**
+     * Take a named symbol (like 'sqrt') and determine based on that name what
+     * MathNode class to return.
+     * 
+     * @param  {String}   name The name of the MathNode to build
+     * @return {MathNode}      The resultant MathNode
+     */
+    static buildFromName(name) {
+        if(name == 'sqrt') {
+            return new SquareRootNode();
+        } else if(name == 'nthroot') {
+            return new NthRootNode();
+        } else if(name == 'logbase') {
+            return new LogNode();
+        } else if(name == 'derivative') {
+            return new DerivativeNode();
+        } else if(name == 'integral') {
+            return new IntegralNode();
+        } else if(name in BIG_OPERATORS) {
+            return new BigOperatorNode(name);
+        } else if(name == 'limit') {
+            return new LimitNode();
+        } else if(name == 'matrix') {
+            return new MatrixNode(2, 2);
+        } else if(name == 'vector') {
+            return new MatrixNode(2, 1);
+        } else if(name.startsWith('unit:')) {
+            return new UnitSymbolNode(name.slice('unit:'.length));
+        } else if(name == 'pi') {
+            return new AtomNode('π');
+        } else if(name == 'infty') {
+            return new AtomNode('∞');
+        } else if(name == 'leq') {
+            return new AtomNode('≤');
+        } else if(name == 'geq') {
+            return new AtomNode('≥');
+        } else if(name == 'neq') {
+            return new AtomNode('≠');
+        } else {
+            throw new Error('Not implemented: ' + name);
+        }
+    }
+}
 
-        switch(action) {
-            case 'plus':
-                assertChildren(node, 3);
 
-                this._appendString('%+%', args);
-                break;
-            case 'minus':
-                assert(node.childElementCount === 2 || node.childElementCount === 3,
-                    '<apply><minus/> must have 2 or 3 children.');
+/**
+ * ExpressionNode contains any string of nodes which doesn't need to
+ * be distinguished for display purposes. Divisions, Exponents etc will have
+ * other MathNode types, but anything else will be stored in the array
+ * this._nodes.
+ *
+ * The numerator and denominator of a division, exponent of a power etc. are
+ * all ExpressionNodes, as is the root node of the MathInput.
+ */
+class ExpressionNode extends MathNode {
+    /**
+     * @constructs
+     *
+     * In addition to creating the element, register a listener for clicks so
+     * when the ExpressionNode is clicked, the cursor moves to the last child
+     * of the ExpressionNode.
+     *
+     * Because Nodes within the ExpressionNode have their own click handlers
+     * which call stopPropagation(), if a child node is clicked this listener
+     * won't be called.
+     */
+    constructor(parent=null) {
+        super(parent);
 
-                this._appendMathMLMinusNode(args);
-                break;
-            case 'times':
-                assertChildren(node, 3);
+        this._nodes = new Array();
+        this._element.classList.add('expression');
 
-                this._appendMathMLTimesNode(args);
-                break;
-            case 'divide':
-                assertChildren(node, 3);
+        //every expression starts with a span, serves as the cursor location before
+        //the first element
+        //has to be inserted manually because there is no child in a new ExpressionNode
+        //to insert it after
+        let startNode = new StartNode(this);
+        this._nodes.push(startNode);
+        this._element.appendChild(startNode.element);
 
-                this._appendMathMLDivideNode(args);
-                break;
-            case 'power':
-                assertChildren(node, 3);
+        let self = this;
+        this._element.addEventListener('click', function(e) {
+            //setting cursor bubbles up to root node, see `set cursor`
+            self.cursor = self.endNode;
+            e.stopPropagation();
+        });
+    }
 
-                this._appendMathMLPowerNode(args);
-                break;
-            case 'root':
-                assert(node.childElementCount === 2 || node.childElementCount === 3,
-                    '<apply><root/> must have 2 or 3 children.');
 
-                this._appendMathMLRootNode(args);
-                break;
-            case 'sin':
-                assertChildren(node, 2);
+    /** GETTERS AND SETTERS */
 
-                this._appendString('sin(%)', args);
-                break;
-            case 'cos':
-                assertChildren(node, 2);
+    /**
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        return this.nodes.reduce((acc, node) => Math.max(acc, node.height), 0);
+    }
+
+    /**
+     * Get a precis of the expression, a string with each node represented by
+     * a character
+     * 
+     * @return {String} A summary of the expression's nodes
+     */
+    get precis() {
+        return this._nodes.reduce((acc, node) => acc + node.precis, '');
+    }
+
+    /**
+     * Returns a MathML string representing the expression in the field. Used
+     * to populate the 'value' attribute.
+     * 
+     * @return {String} The MathML string representing this element
+     */
+    get value() {
+        return MathNode.astToMathML(this.ast);
+    }
+
+    /**
+     * Returns an abstract syntax tree representing the expression in the
+     * field, @see MathNode.astToMathML()
+     *
+     * @return {Object} The syntax tree representing this element
+     */
+    get ast() {
+        return this._parse(this.precis);
+    }
+
+    /**
+     * Change the ExpressionNode's contents to match the mathematical
+     * expression defined, in MathML, by the parameter `mml`.
+     *
+     * This function will take any MathML which the <math-input> field is
+     * capable of outputting, it needn't be a simple atomic node.
+     * 
+     * @param  {String} mml The MathML of the node to be inserted
+     */
+    set value(mml) {
+        let parser = new DOMParser();
+        let doc = parser.parseFromString(mml, 'text/xml');
+
+        this.appendMathMLNode(doc.firstChild);
+        this.cursor.toggleCursor(false);
+    }
+
+    /**
+     * Returns a LaTeX string representing the expression in the field.
+     *
+     * Unlike `value`, this mirrors the nodes as they're displayed rather than
+     * their mathematical meaning, so it can be produced even if the
+     * expression can't be parsed. Names from the field's dictionary, function
+     * names and 'pi' are recognised in the same way as in `_parse`: a
+     * multi-letter identifier is written as a single name, e.g.
+     * '\mathit{rate}', and functions and 'pi' as LaTeX commands.
+     *
+     * @return {String} The LaTeX string representing this element
+     */
+    get latex() {
+        let precis = this.precis;
+        let number = new RegExp(`^(?:${this.numberFormat.pattern})`);
+        let latex = '';
+
+        //start at 1 to skip the StartNode. Each node is represented by exactly
+        //one character in the precis, so indices in `precis` and `nodes` match
+        for(let i = 1; i < this.nodes.length; i++) {
+            let rest = precis.slice(i);
+            let name = this._displayedName(rest);
+            let match = null;
+
+            if(name !== null && name.type === 'identifier') {
+                let letters = this.nodes.slice(i, i + name.name.length)
+                    .reduce((acc, node) => joinLatex(acc, node.latex), '');
+                latex = joinLatex(latex, `\\mathit{${letters}}`);
+                i += name.name.length - 1;
+            } else if(name !== null && name.type === 'pi') {
+                latex = joinLatex(latex, '\\pi');
+                i += name.name.length - 1;
+            } else if(name === null && (match = rest.match(MathNode._functionPattern())) !== null) {
+                latex = joinLatex(latex, FUNCTIONS[match[0]].latex);
+                i += match[0].length - 1;
+            } else if((match = rest.match(number)) !== null && match[0].includes(',')) {
+                //a comma in a number is braced, so that LaTeX doesn't space it
+                latex = joinLatex(latex, match[0].replace(/,/g, '{,}'));
+                i += match[0].length - 1;
+            } else {
+                latex = joinLatex(latex, this.nodes[i].latex);
+            }
+        }
+
+        return latex;
+    }
+
+    /**
+     * Change the ExpressionNode's contents to match the expression defined, in
+     * LaTeX, by the parameter `latex`.
+     *
+     * Only the subset of LaTeX which the field can display is supported, any
+     * other command will raise an error.
+     *
+     * @param  {String} latex The LaTeX of the expression to be inserted
+     */
+    set latex(latex) {
+        let tokens = ExpressionNode._tokenizeLatex(latex);
+
+        while(tokens.length > 0) {
+            assert(tokens[0] !== '}', 'Unmatched } in LaTeX.');
+            this._appendLatexToken(tokens);
+        }
+
+        this.cursor.toggleCursor(false);
+    }
+
+    /**
+     * Returns a presentation MathML string representing the expression in the
+     * field, wrapped in an <mrow>.
+     *
+     * Like `latex`, this mirrors the nodes as they're displayed. Matched
+     * brackets and pipes are grouped into an <mrow> with their contents, and
+     * an exponent or subscript takes the preceding term or group as its base.
+     *
+     * @return {String} The presentation MathML string
+     */
+    get presentation() {
+        let precis = this.precis;
+        let number = new RegExp(`^(?:${this.numberFormat.pattern})`);
+        let items = [];
+        //the brackets and pipes which haven't been closed yet, and their
+        //positions in `items`
+        let open = [];
+        //whether a function's application operator is still to be written,
+        //after any script which takes the function as its base, e.g. sin^2
+        let applying = false;
+
+        for(let i = 1; i < this.nodes.length; i++) {
+            let node = this.nodes[i];
+            let rest = precis.slice(i);
+            let name = this._displayedName(rest);
+            let match = null;
+
+            if(applying && !(node instanceof ExponentNode || node instanceof SubscriptNode)) {
+                //&#x2061; is the invisible function application operator
+                items.push('<mo>&#x2061;</mo>');
+                applying = false;
+            }
+
+            if(name !== null && name.type === 'identifier') {
+                items.push(`<mi>${name.name}</mi>`);
+                i += name.name.length - 1;
+            } else if(name !== null && name.type === 'pi') {
+                items.push('<mi>π</mi>');
+                i += name.name.length - 1;
+            } else if(name === null && (match = rest.match(MathNode._functionPattern())) !== null) {
+                items.push(`<mi>${match[0]}</mi>`);
+                applying = true;
+                i += match[0].length - 1;
+            } else if((match = rest.match(number) || rest.match(/^[0-9.]+/)) !== null) {
+                items.push(`<mn>${match[0]}</mn>`);
+                i += match[0].length - 1;
+            } else if(node instanceof ExponentNode || node instanceof SubscriptNode) {
+                let tag = node instanceof ExponentNode ? 'msup' : 'msub';
+                let top = open[open.length - 1];
+                let base = '<mrow/>';
+                if(items.length > 0 && !(top && top.index === items.length - 1)) {
+                    base = items.pop();
+                }
+
+                items.push(`<${tag}>${base}${node.presentation}</${tag}>`);
+            } else if(this._opensGroup(node, i)) {
+                open.push({char: node.precis, index: items.length});
+                items.push(node.presentation);
+            } else if(open.length > 0 && this._closesGroup(node, i, open[open.length - 1].char)) {
+                let inner = items.splice(open.pop().index);
+                items.push('<mrow>' + inner.join('') + node.presentation + '</mrow>');
+            } else {
+                items.push(node.presentation);
+            }
+        }
+
+        if(applying) {
+            items.push('<mo>&#x2061;</mo>');
+        }
+
+        return '<mrow>' + items.join('') + '</mrow>';
+    }
+
+    /**
+     * Returns a <semantics> block containing both the presentation MathML and
+     * the content MathML of the expression.
+     *
+     * @return {String} The MathML string
+     */
+    get semantics() {
+        return '<semantics>' + this.presentation
+            + '<annotation-xml encoding="MathML-Content">' + this.value + '</annotation-xml>'
+            + '</semantics>';
+    }
+
+    /**
+     * Returns an AsciiMath string representing the expression in the field.
+     *
+     * Like `latex`, this mirrors the nodes as they're displayed. Where two
+     * nodes would run together into a single AsciiMath token (e.g. an
+     * exponent of '2' followed by a '3'), they're separated by a space. So
+     * are the letters of a multi-letter identifier which contains an
+     * AsciiMath name, e.g. 'p i t c h', so that it isn't read back as pi.
+     *
+     * @return {String} The AsciiMath string representing this element
+     */
+    get asciimath() {
+        let precis = this.precis;
+        let asciimath = '';
+        let previous = this.startNode;
+        //the position up to which letters are separated by spaces
+        let spacedUntil = 0;
+
+        for(let i = 1; i < this.nodes.length; i++) {
+            let node = this.nodes[i];
+            let term = node.asciimath;
+
+            let name = this._displayedName(precis.slice(i));
+            if(name !== null && name.type === 'identifier'
+                && ExpressionNode._tokenizeAsciiMath(name.name).length !== name.name.length) {
+                spacedUntil = i + name.name.length;
+            }
+
+            let atoms = previous instanceof AtomNode && node instanceof AtomNode;
+            let named = /^[a-zA-Z]{2,}$/.test(previous.asciimath) || /^[a-zA-Z]{2,}$/.test(term);
+            let letters = /[a-zA-Z]$/.test(asciimath) && /^[a-zA-Z]/.test(term);
+            let alphanumerics = /[a-zA-Z0-9.]$/.test(asciimath) && /^[a-zA-Z0-9.]/.test(term);
+            if((named && letters) || (!atoms && alphanumerics) || (i < spacedUntil && letters)) {
+                asciimath += ' ';
+            }
+
+            asciimath += term;
+            previous = node;
+        }
+
+        return asciimath;
+    }
+
+    /**
+     * Change the ExpressionNode's contents to match the expression defined, in
+     * AsciiMath, by the parameter `asciimath`.
+     *
+     * Only the subset of AsciiMath which the field can display is supported,
+     * any other symbol will raise an error.
+     *
+     * @param  {String} asciimath The AsciiMath of the expression to be inserted
+     */
+    set asciimath(asciimath) {
+        let tokens = ExpressionNode._tokenizeAsciiMath(asciimath);
+        //with a decimal comma, the items of a list are separated by ';'
+        assert(this.numberFormat.separator === ';' || !tokens.includes(';'),
+            'Unsupported AsciiMath symbol: ;');
+        let items = ExpressionNode._parseAsciiMathExpression(tokens, null);
+
+        this._appendAsciiMathItems(items);
+        this.cursor.toggleCursor(false);
+    }
+
+    /**
+     * Returns a plain-text string representing the expression in the field,
+     * e.g. '(1+x)/(2*y)^3', for use by calculator libraries. Unlike `latex`
+     * and `asciimath`, it represents the expression's mathematical meaning,
+     * so multiplication is explicit and it can't be produced if the
+     * expression can't be parsed.
+     *
+     * @return {String} The plain-text string representing this element
+     */
+    get text() {
+        return ExpressionNode._textFromAst(this.ast)[0];
+    }
+
+    /**
+     * Returns the AsciiMath of the expression in a form which can be used as
+     * the argument of a fraction, exponent etc. That is, wrapped in
+     * parentheses unless it's a single number, letter or root.
+     *
+     * @return {String} The AsciiMath string
+     */
+    get asciimathArgument() {
+        let precis = this.precis.slice(1);
+
+        if(/^([0-9]+(\.[0-9]+)?|\.[0-9]+|[a-zA-Zα-ωΑ-Ω∞π])$/.test(precis)) {
+            return this.asciimath;
+        } else if(this.nodes.length == 2 && this.endNode instanceof SquareRootNode) {
+            return this.asciimath;
+        } else {
+            return '(' + this.asciimath + ')';
+        }
+    }
+
+    /**
+     * Get the array of child nodes
+     *
+     * @return {Array} Array of child nodes
+     */
+    get nodes() {
+        return this._nodes;
+    }
+
+    /**
+     * Get the StartNode - the first node of the expression
+     * 
+     * @return {MathNode} The StartNode, first of the child nodes
+     */
+    get startNode() {
+        return this.nodes[0];
+    }
+
+    /**
+     * Get the last (rightmost) node amonst expression's children.
+     * 
+     * @return {MathNode} The rightmost node in `this.nodes`
+     */
+    get endNode() {
+        return this.nodes[this.nodes.length - 1];
+    }
+
+
+    /** MISCELLANEOUS */
+
+    /**
+     * When a new element has been inserted, all nodes need to be redrawn to
+     * line up properly. Get the dimensions of all child nodes, then get them
+     * to redraw themselves on that information.
+     * Higher-level Expressions need to be redrawn as well, but not lower-level
+     * ones.
+     */
+    redraw() {
+        let nodeParams = this.nodes.map((el) => ({height: el.height, center: el.center}));
+
+        this.nodes.forEach(function(node) {
+            node.redraw(nodeParams);
+        });
+
+        //Redraw the grandparent expression as well.
+        //Expression parents are Units, all Units have a parent Expression, so
+        //if this has a parent, it has a grandparent.
+        if(this.parent !== null)
+            this.parent.parent.redraw();
+    }
+
+    /**
+     * Is `node`, at position `index`, an opening bracket or pipe with a
+     * matching partner later in the expression?
+     *
+     * @see  this.presentation()
+     * @param  {MathNode} node  The node being checked
+     * @param  {Number}   index The position of `node` in `nodes`
+     * @return {Boolean}        Does `node` open a group?
+     */
+    _opensGroup(node, index) {
+        if(node instanceof BracketNode) {
+            return node.precis in BRACKETS;
+        } else if(node instanceof AbsoluteNode) {
+            let match = AbsoluteNode.findMatchingPipe(this.precis, index);
+            return match !== null && match > index;
+        } else {
+            return false;
+        }
+    }
+
+    /**
+     * Does `node`, at position `index`, close the group opened by the
+     * character `openChar`?
+     *
+     * @see  this.presentation()
+     * @param  {MathNode} node     The node being checked
+     * @param  {Number}   index    The position of `node` in `nodes`
+     * @param  {String}   openChar The precis of the node which opened the group
+     * @return {Boolean}           Does `node` close the group?
+     */
+    _closesGroup(node, index, openChar) {
+        if(node instanceof BracketNode) {
+            return node.precis === BRACKETS[openChar];
+        } else if(node instanceof AbsoluteNode) {
+            let match = AbsoluteNode.findMatchingPipe(this.precis, index);
+            return match !== null && match < index && openChar === '|';
+        } else {
+            return false;
+        }
+    }
+
+    /**
+     * Given a precis of `_nodes` (or some subset thereof), return an abstract
+     * syntax tree representing them, @see MathNode.astToMathML(). Recursive.
+     * `offset` keeps track of where the subset is in `_nodes` to allow for
+     * referencing the nodes themselves.
+     *
+     * `offset` starts at 1 to accomodate the StartNode, which isn't
+     * represented in the precis
+     *
+     * If the precis can't be parsed, raises a ParseError identifying the
+     * offending nodes by way of `offset`.
+     *
+     * `preModifiers` keeps track of a previous elements which affect the next
+     * e.g. sin(x) has two terms: 'sin' and '(x)'. We pass 'sin' as a
+     * preModifier back to _parse, so that the engine knows to return the sine
+     * of 'x', not just 'x', on its next run.
+     *
+     * @see  UnitNode.precis()
+     * @param  {String} precis       A precis of a set of nodes
+     * @param  {Number} offset       The offset between `precis` and `_nodes`
+     * @param  {Array}  preModifiers An array of preModifiers, if any, that
+     *                               must be applied
+     * @return {Object}              An abstract syntax tree
+     */
+    _parse(precis, offset=0, preModifiers=[]) {
+        let numberFormat = this.numberFormat;
+        //mask numbers, so that their decimal and grouping separators, and the
+        //sign of an exponent in E-notation, aren't taken for operators
+        let masked = precis.replace(new RegExp(numberFormat.pattern, 'g'),
+            (number) => '#'.repeat(number.length));
+        masked = BracketNode.mask(masked);
+        masked = AbsoluteNode.mask(masked);
+
+        //if it starts with an _ i.e. a StartNode, get rid of it
+        if(/^_/.test(precis)) {
+            return this._parse(precis.slice(1), offset+1)
+        }
+
+        //if there's nothing left, blame whatever needed something after it
+        if(precis === '') {
+            let previous = this.nodes[offset - 1];
+
+            if(previous instanceof StartNode) {
+                throw new ParseError('Empty expression.', 'empty', [this]);
+            } else {
+                throw new ParseError(`Missing term after ${previous.precis}.`,
+                    'missing-operand', [previous]);
+            }
+        }
+
+        //commas (or semicolons, with a decimal comma) separate the items of a
+        //list, so are split on before anything
+        if(masked.includes(numberFormat.separator)) {
+            return this._parseList(precis, offset, masked);
+        }
+
+        //relations have the lowest precedence, so are split on first
+        let relations = new RegExp('[' + Object.keys(RELATIONS).join('') + ']');
+        if(relations.test(masked)) {
+            return this._parseRelations(precis, offset, masked);
+        }
+
+        //matches last +/-. Needs to be done in reverse order: consider a-b+c
+        let match = masked.match(/([+\-])(?!.*[+\-])/);
+        //symbol can't be the first character in the string, because if it's
+        //first it's a unary positive/negative (unary positive not supported,
+        //but nevertheless can't be handled here.)
+        if(match !== null && match.index !== 0) {
+            return this._parseOperator(precis, offset, match.index);
+        }
+
+        //match a times symbol
+        match = masked.match(/\*/);
+        if(match !== null) {
+            return this._parseOperator(precis, offset, match.index);
+        }
+
+        //if it starts with a unary negative
+        if(/^-/.test(precis)) {
+            preModifiers.push('negative');
+            return this._parse(precis.slice(1), offset + 1, preModifiers);
+        }
+
+        //if it starts with a number
+        if(/^[0-9]/.test(precis)) {
+            let term = precis.match(new RegExp(`^(?:${numberFormat.pattern})`))[0];
+            let ast = MathNode._numberAst(term, numberFormat);
+
+            return this._parseTerm(term, ast, precis, offset, preModifiers);
+        }
+
+        //if it starts with a name from the field's dictionary - a multi-letter
+        //identifier, a declared function or a constant - unless it's the start
+        //of a longer function name
+        let functionPattern = MathNode._functionPattern();
+        let name = this._matchDictionaryName(precis);
+        let functionMatch = precis.match(functionPattern);
+        if(name !== null && (functionMatch === null || name.length > functionMatch[0].length)) {
+            let dictionary = this.dictionary;
+            let term = name;
+            let ast = {type: 'ci', name: name};
+            let declared = dictionary.identifiers.concat(dictionary.functions).includes(name);
+            if(dictionary.functions.includes(name) && /^'*\(/.test(precis.slice(term.length))) {
+                [term, ast] = this._parseApplication(name, precis, offset);
+            } else if(!declared) {
+                ast = {type: dictionary.constants[name]};
+            } else if(precis[term.length] === '~') {
+                ast.name += '_' + this.nodes[offset + term.length].subscriptName;
+                term += '~';
+            }
+
+            return this._parseTerm(term, ast, precis, offset, preModifiers);
+        }
+
+        //if it starts with a known function
+        if(functionPattern.test(precis)) {
+            let term = precis.match(functionPattern)[0];
+            let len = term.length;
+
+            if(precis.length === len) {
+                throw new ParseError(`Missing argument to ${term}.`, 'missing-argument',
+                    this.nodes.slice(offset, offset + len));
+            }
+
+            preModifiers.push(term);
+            return this._parse(precis.slice(len), offset+len, preModifiers);
+        }
+
+        //if it starts with a prefix node, e.g. a LogNode, which like a function
+        //applies to the next term
+        if(/^@/.test(precis)) {
+            if(precis.length === 1) {
+                throw new ParseError(`Missing argument to ${this.nodes[offset].name}.`,
+                    'missing-argument', [this.nodes[offset]]);
+            }
+
+            preModifiers.push(this.nodes[offset]);
+            return this._parse(precis.slice(1), offset+1, preModifiers);
+        }
+
+        //if it starts with a letter, possibly subscripted
+        if(/^[a-zA-Zα-ωΑ-Ω]/.test(precis)) {
+            let term = precis[0];
+            let ast = {type: 'ci', name: term};
+            if(precis[1] === '~') {
+                term += '~';
+                ast.name += '_' + this.nodes[offset + 1].subscriptName;
+            }
+
+            return this._parseTerm(term, ast, precis, offset, preModifiers);
+        }
+
+        //if it starts with a % i.e. is a non-Atom, non-Exponent UnitNode
+        if(/^%/.test(precis)) {
+            let term = precis[0];
+            let ast = this.nodes[offset].ast;
+
+            return this._parseTerm(term, ast, precis, offset, preModifiers);
+        }
+
+        //if it starts with a parenthesis
+        if(/^\(/.test(precis)) {
+            //can't find end using `masked` because (1)(2) would return 5 not 2
+            let end = BracketNode.findMatchingParen(precis, 0);
+
+            if(end === null) {
+                throw new ParseError('Unmatched parenthesis.', 'unmatched-parenthesis',
+                    [this.nodes[offset]]);
+            }
+
+            if(end === 1) {
+                throw new ParseError('Empty parentheses.', 'empty',
+                    this.nodes.slice(offset, offset + 2));
+            }
+
+            let term = precis.slice(0, end + 1);
+            let ast = this._parse(term.slice(1, -1), offset + 1);
+
+            //a parenthesised list is a vector, e.g. a coordinate pair
+            if(ast.type === 'list') {
+                ast = {type: 'vector', args: ast.args};
+            }
+
+            return this._parseTerm(term, ast, precis, offset, preModifiers);
+        }
+
+        //if it starts with a brace
+        if(/^\{/.test(precis)) {
+            let end = BracketNode.findMatchingParen(precis, 0);
+
+            if(end === null) {
+                throw new ParseError('Unmatched brace.', 'unmatched-brace',
+                    [this.nodes[offset]]);
+            }
+
+            let term = precis.slice(0, end + 1);
+            let ast = {type: 'set', args: []};
+            if(end > 1) {
+                let innerAst = this._parse(term.slice(1, -1), offset + 1);
+                ast.args = innerAst.type === 'list' ? innerAst.args : [innerAst];
+            }
+
+            return this._parseTerm(term, ast, precis, offset, preModifiers);
+        }
+
+        //if it starts with a pipe
+        if(/^\|/.test(precis)) {
+            let end = precis.indexOf('|', 1);
+
+            if(end === -1) {
+                throw new ParseError('Unmatched pipe.', 'unmatched-pipe',
+                    [this.nodes[offset]]);
+            }
+
+            if(end === 1) {
+                throw new ParseError('Empty absolute value.', 'empty',
+                    this.nodes.slice(offset, offset + 2));
+            }
+
+            let term = precis.slice(0, end + 1);
+            let innerAst = this._parse(term.slice(1, -1), offset + 1);
+            let ast = {type: 'apply', op: 'abs', args: [innerAst]};
+
+            return this._parseTerm(term, ast, precis, offset, preModifiers);
+        }
+
+        //if no match has been found
+        if(/^\)/.test(precis)) {
+            throw new ParseError('Unmatched parenthesis.', 'unmatched-parenthesis',
+                [this.nodes[offset]]);
+        } else if(/^\}/.test(precis)) {
+            throw new ParseError('Unmatched brace.', 'unmatched-brace',
+                [this.nodes[offset]]);
+        }
+
+        throw new ParseError('Unexpected symbol.', 'unexpected-symbol',
+            [this.nodes[offset]]);
+    }
+
+    /**
+     * Parse the application of a function declared in the field's dictionary
+     * to the parenthesised arguments which follow its name, e.g. f(x+1) or
+     * g(x,y). The function may be differentiated with primes, e.g. f'(x).
+     *
+     * @param  {String} name   The function's name, at the start of `precis`
+     * @param  {String} precis A precis of a set of nodes
+     * @param  {Number} offset The offset between `precis` and `_nodes`
+     * @return {Array}         The term matched, and its syntax tree
+     */
+    _parseApplication(name, precis, offset) {
+        let op = {type: 'ci', name: name};
+        let start = name.length;
+        while(precis[start] === "'") {
+            op = {type: 'apply', op: 'diff', args: [op]};
+            start++;
+        }
+
+        let end = BracketNode.findMatchingParen(precis, start);
+
+        if(end === null) {
+            throw new ParseError('Unmatched parenthesis.', 'unmatched-parenthesis',
+                [this.nodes[offset + start]]);
+        } else if(end === start + 1) {
+            throw new ParseError(`Missing argument to ${name}.`, 'missing-argument',
+                this.nodes.slice(offset, offset + end + 1));
+        }
+
+        let term = precis.slice(0, end + 1);
+        let inner = this._parse(term.slice(start + 1, -1), offset + start + 1);
+        let args = inner.type === 'list' ? inner.args : [inner];
+
+        return [term, {type: 'apply', op: op, args: args}];
+    }
+
+    /**
+     * Find the longest name in the field's dictionary with which `precis`
+     * starts. A subscripted name is a variable, so constants followed by a
+     * subscript aren't matched.
+     *
+     * @see MathNode.buildDictionary()
+     * @param  {String} precis The precis being parsed
+     * @return {String}        The name, or null if there's none
+     */
+    _matchDictionaryName(precis) {
+        let dictionary = this.dictionary;
+        let constants = Object.keys(dictionary.constants)
+            .filter((name) => precis[name.length] !== '~');
+        let names = dictionary.identifiers.concat(dictionary.functions, constants)
+            .filter((name) => precis.startsWith(name))
+            .sort((a, b) => b.length - a.length);
+
+        return names.length > 0 ? names[0] : null;
+    }
+
+    /**
+     * For the display formats, find the name from the field's dictionary
+     * with which `precis` starts, if `_parse` would read it as one: a
+     * multi-letter identifier or declared function, whose `type` is
+     * 'identifier', or a multi-letter name for pi, e.g. 'pi', whose `type` is
+     * 'pi'. A name which `_parse` reads letter by letter, or which is
+     * outdone by a longer function name, is ignored.
+     *
+     * @see this.latex()
+     * @param  {String} precis The precis from a node onwards
+     * @return {Object}        The `name` and its `type`, or null if there's
+     *                         none
+     */
+    _displayedName(precis) {
+        let name = this._matchDictionaryName(precis);
+        let functionMatch = precis.match(MathNode._functionPattern());
+        if(name === null || name.length < 2
+            || (functionMatch !== null && name.length <= functionMatch[0].length)) {
+            return null;
+        }
+
+        let dictionary = this.dictionary;
+        if(dictionary.identifiers.includes(name) || dictionary.functions.includes(name)) {
+            return {name: name, type: 'identifier'};
+        } else if(dictionary.constants[name] === 'pi') {
+            return {name: name, type: 'pi'};
+        } else {
+            return null;
+        }
+    }
+
+    /**
+     * Given a `term`, a matched section at the start of a precis:
+     *  - make preModifier and postModifier alterations
+     *    - @see _parse(Pre|Post)Modifiers
+     *  - if the term comprises the entire precis, return it's calculated `ast`
+     *  - otherwise, parse the rest and multiply them together
+     *  
+     * @param  {String} term         The portion of the precis identified as a term
+     * @param  {Object} ast          The syntax tree of `term`
+     * @param  {String} precis       The full precis being parsed
+     * @param  {Number} offset       The precis' offset within the expression
+     * @param  {Array}  preModifiers The preModifiers - @see _parse
+     * @return {Object}              The resultant syntax tree
+     */
+    _parseTerm(term, ast, precis, offset, preModifiers) {
+        //I'm not certain that it will always be fine to run all postModifiers
+        //before all preModifiers, but it's fine (and necessary) for now.
+        [term, ast, precis, offset] = this._parsePostModifiers(term, ast, precis, offset);
+        if(preModifiers !== []) {
+            [term, ast, precis, offset] = this._parsePreModifiers(term, ast, precis, offset,
+                preModifiers);
+        }
+
+        if(term.length == precis.length) {
+            return ast;
+        } else {
+            offset = offset + term.length;
+            let rest = this._parse(precis.slice(term.length), offset);
+
+            return {type: 'apply', op: 'times', args: [ast, rest]};
+        }
+    }
+
+    /**
+     * Looks for postModifiers - anything after a term which alters it (for
+     * example, an exponent or a prime sign). If there is, make appropriate
+     * changes to the arguments, then pass them back altered.
+     * 
+     * @param  {String} term   The portion of the precis identified as a term
+     * @param  {Object} ast    The syntax tree of `term`
+     * @param  {String} precis The full precis being parsed
+     * @param  {Number} offset The precis' offset within the expression
+     * @return {Array}         The function arguments, altered and returned
+     */
+    _parsePostModifiers(term, ast, precis, offset) {
+        //each prime is a derivative, e.g. y''
+        while(precis[term.length] === "'") {
+            term += "'";
+            ast = {type: 'apply', op: 'diff', args: [ast]};
+        }
+
+        if(precis[term.length] === '^') {
+            let exponent_ast = this.nodes[offset+term.length].ast;
+            term += '^';
+            ast = {type: 'apply', op: 'power', args: [ast, exponent_ast]};
+        } else if(precis[term.length] === '!') {
+            term += '!';
+            ast = {type: 'apply', op: 'factorial', args: [ast]};
+        }
+
+        return [term, ast, precis, offset];
+    }
+
+    /**
+     * We've identified (in `_parse`) that there is a preModifiers to apply -
+     * that is, anything before a term which alters it (e.g. 'sin' or 'ln').
+     * Apply the preModifier, make appropriate changes to the arguments, then
+     * pass them back altered.
+     * 
+     * @param  {String} term         The portion of the precis identified as a term
+     * @param  {Object} ast          The syntax tree of `term`
+     * @param  {String} precis       The full precis being parsed
+     * @param  {Number} offset       The precis' offset within the expression
+     * @param  {Array}  preModifiers The identified preModifiers
+     * @return {Array}               The function arguments, altered and returned
+     */
+    _parsePreModifiers(term, ast, precis, offset, preModifiers) {
+        //apply in reverse order
+        let preModifier = null;
+        while(typeof (preModifier = preModifiers.pop()) !== 'undefined') {
+            if(preModifier instanceof UnitNode) {
+                ast = preModifier.applyTo(ast);
+            } else if(preModifier in FUNCTIONS) {
+                //a function of several arguments takes them from a vector,
+                //e.g. max(1,2)
+                let args = [ast];
+                if(FUNCTIONS[preModifier].multiple && ast.type === 'vector') {
+                    args = ast.args;
+                }
+
+                ast = {type: 'apply', op: FUNCTIONS[preModifier].op, args: args};
+            } else if(preModifier === 'negative') {
+                ast = {type: 'apply', op: 'minus', args: [ast]};
+            }
+        }
+
+        return [term, ast, precis, offset];
+    }
+
+    /**
+     * Having found an operator to parse, split the precis in two around it,
+     * process both sides, then return the resultant syntax tree.
+     * 
+     * @param  {String} precis      A precis of a set of nodes
+     * @param  {Number} offset      The offset between `precis` and `_nodes`
+     * @param  {Number} operatorPos The position of the found operator
+     * @return {Object}             An abstract syntax tree
+     */
+    _parseOperator(precis, offset, operatorPos) {
+        let op = precis[operatorPos];
+        let operator = this.nodes[offset + operatorPos];
+
+        if(operatorPos === 0) {
+            throw new ParseError(`Missing term before ${op.replace('*', '×')}.`,
+                'missing-operand', [operator]);
+        } else if(operatorPos === precis.length - 1) {
+            throw new ParseError(`Missing term after ${op.replace('*', '×')}.`,
+                'missing-operand', [operator]);
+        }
+        let lhs = this._parse(
+            precis.slice(0, operatorPos),
+            offset);
+        let rhs = this._parse(
+            precis.slice(operatorPos + 1),
+            offset + operatorPos + 1);
+
+        let op_names = {'+': 'plus', '-': 'minus', '*': 'times'};
+
+        //with E-notation, a number times a power of ten is a single number,
+        //even within a longer product, e.g. 6.02×10^23x
+        if(op === '*' && this.numberFormat.eNotation) {
+            let merged = MathNode._mergeENotation(lhs, rhs);
+            if(merged !== null) {
+                return merged;
+            }
+        }
+
+        return {type: 'apply', op: op_names[op], args: [lhs, rhs]};
+    }
+
+    /**
+     * Having found relations (e.g. '=' or '<') to parse, split the precis
+     * around them, process each operand, then return the resultant syntax
+     * tree.
+     *
+     * A chain of identical relations, e.g. a=b=c, produces a single relation
+     * with every operand as an argument. A chain of mixed relations, e.g.
+     * 0<x≤1, produces an 'and' of each adjacent comparison.
+     *
+     * @param  {String} precis A precis of a set of nodes
+     * @param  {Number} offset The offset between `precis` and `_nodes`
+     * @param  {String} masked The precis with brackets and pipes masked
+     * @return {Object}        An abstract syntax tree
+     */
+    _parseRelations(precis, offset, masked) {
+        let positions = [];
+        for(let i = 0; i < masked.length; i++) {
+            if(masked[i] in RELATIONS) {
+                positions.push(i);
+            }
+        }
+
+        let ops = positions.map((pos) => RELATIONS[precis[pos]]);
+        let operands = this._parseSeparated(precis, offset, positions);
+
+        if(ops.every((op) => op === ops[0])) {
+            return {type: 'apply', op: ops[0], args: operands};
+        } else {
+            return {type: 'apply', op: 'and', args: ops.map((op, i) => ({
+                type: 'apply', op: op, args: [operands[i], operands[i + 1]],
+            }))};
+        }
+    }
+
+    /**
+     * Having found commas (or semicolons, with a decimal comma), split the
+     * precis around them and return a 'list' syntax tree of the parsed items.
+     * If the list is in parentheses or braces, _parse() turns it into a
+     * vector or set.
+     *
+     * @param  {String} precis A precis of a set of nodes
+     * @param  {Number} offset The offset between `precis` and `_nodes`
+     * @param  {String} masked The precis with brackets and pipes masked
+     * @return {Object}        An abstract syntax tree
+     */
+    _parseList(precis, offset, masked) {
+        let separator = this.numberFormat.separator;
+        let positions = [];
+        for(let i = 0; i < masked.length; i++) {
+            if(masked[i] === separator) {
+                positions.push(i);
+            }
+        }
+
+        return {type: 'list', args: this._parseSeparated(precis, offset, positions)};
+    }
+
+    /**
+     * Split the precis at each of `positions`, which are the positions of
+     * separators (commas or relations), and parse each of the parts.
+     *
+     * @param  {String} precis    A precis of a set of nodes
+     * @param  {Number} offset    The offset between `precis` and `_nodes`
+     * @param  {Array}  positions The positions of the separators in `precis`
+     * @return {Array}            The syntax trees of each part
+     */
+    _parseSeparated(precis, offset, positions) {
+        let parts = [];
+        let start = 0;
+        let self = this;
+        positions.concat([precis.length]).forEach(function(end, i) {
+            if(end === start) {
+                //blame the separator on whichever side the term is missing
+                let pos = i < positions.length ? positions[i] : positions[i - 1];
+                let side = i < positions.length ? 'before' : 'after';
+
+                throw new ParseError(`Missing term ${side} ${precis[pos]}.`,
+                    'missing-operand', [self.nodes[offset + pos]]);
+            }
+
+            parts.push(self._parse(precis.slice(start, end), offset + start));
+            start = end + 1;
+        });
+
+        return parts;
+    }
+
+    /**
+     * Append content to the ExpressionNode described by a MathML node `node`
+     *
+     * @see  this.set value()
+     * @param  {String} mml The MathML of the node to be inserted
+     */
+    appendMathMLNode(node) {
+        let mathNode = null;
+
+        switch(node.tagName) {
+            case 'apply':
+                this._appendMathMLApplyNode(node);
+                break;
+            case 'ci':
+                let [base, subscript] = MathNode._astFromMathMLNode(node).name.split('_');
+                assert(/^[a-zA-Zα-ωΑ-Ω]+$/.test(base),
+                    '<ci> must contain only latin/greek letters.');
+                //otherwise its letters would be read back as a product
+                assert(base.length === 1 || this.dictionary.identifiers.includes(base)
+                    || this.dictionary.functions.includes(base),
+                    `<ci>${base}</ci> isn't an identifier in the field's dictionary.`);
+
+                this._appendString(base, []);
+
+                if(subscript !== undefined) {
+                    assert(/^[a-zA-Zα-ωΑ-Ω0-9]+$/.test(subscript),
+                        'Subscripts may only contain letters and numbers.');
+
+                    let subscriptNode = new SubscriptNode();
+                    this.cursor.insertAfter(subscriptNode);
+
+                    this.cursor = subscriptNode.subscript.startNode;
+                    this._appendString(subscript, []);
+
+                    this.cursor = subscriptNode;
+                }
+                break;
+            case 'cn':
+                let number = MathNode._astFromMathMLNode(node);
+                assert(/^-?[0-9]+(\.[0-9]+)?$/.test(number.value), '<cn> must contain a number.');
+
+                //written with the field's decimal separator, a number in
+                //E-notation as a power of ten, e.g. 6.02×10^23, and a complex
+                //number as a sum, e.g. 3+4i
+                this._appendString(number.value.replace('.', this.numberFormat.decimal), []);
+                if('exponent' in number) {
+                    assert(/^-?[0-9]+$/.test(number.exponent),
+                        '<cn type="e-notation"> must have an integer exponent.');
+
+                    this._appendString('*10', []);
+                    let exponentNode = new ExponentNode();
+                    this.cursor.insertAfter(exponentNode);
+
+                    this.cursor = exponentNode.exponent.startNode;
+                    this._appendString(number.exponent, []);
+
+                    this.cursor = exponentNode;
+                } else if('imaginary' in number) {
+                    assert(/^-?[0-9]+(\.[0-9]+)?$/.test(number.imaginary),
+                        '<cn type="complex-cartesian"> must contain a number after its <sep/>.');
+
+                    let imaginary = number.imaginary.replace('.', this.numberFormat.decimal);
+                    this._appendString((imaginary.startsWith('-') ? '' : '+') + imaginary
+                        + this._constantName('imaginaryi'), []);
+                }
+                break;
+            case 'csymbol':
+                mathNode = new UnitSymbolNode(MathNode._astFromMathMLNode(node).name);
+                this.cursor.insertAfter(mathNode);
+                this.cursor = mathNode;
+                break;
+            // case 'degree':
+            // case 'logbase':
+            //     return MathNode._buildNodesetFromMathMLNode(node.firstChild);
+            case 'pi':
+            case 'exponentiale':
+            case 'infinity':
+            case 'imaginaryi':
+                this._appendString(this._constantName(node.tagName), []);
+                break;
+            case 'vector':
+                if(this.vectors === 'column') {
+                    this._appendMathMLMatrixNode(Array.from(node.children).map((child) => [child]));
+                    break;
+                }
+                //otherwise it's displayed as a tuple, like a list
+            case 'list':
+            case 'set':
+                let items = Array.from(node.children);
+                let layout = items.map(() => '%').join(this.numberFormat.separator);
+
+                if(node.tagName === 'vector') {
+                    assert(items.length >= 2, '<vector> must have at least two children.');
+                    layout = '(' + layout + ')';
+                } else if(node.tagName === 'set') {
+                    layout = '{' + layout + '}';
+                } else {
+                    assert(items.length >= 2, '<list> must have at least two children.');
+                }
+
+                this._appendString(layout, items);
+                break;
+            case 'matrix':
+                let rows = Array.from(node.children).map(function(row) {
+                    assert(row.tagName === 'matrixrow', '<matrix> may only contain <matrixrow>s.');
+
+                    return Array.from(row.children);
+                });
+                let width = rows.length >= 1 ? rows[0].length : 0;
+                assert(width >= 1 && rows.every((row) => row.length === width),
+                    'The rows of a <matrix> must be the same length.');
+
+                this._appendMathMLMatrixNode(rows);
+                break;
+            default:
+                throw new Error('Unknown MathML element: ' + node.tagName);
+        }
+    }
+
+    /**
+     * Take an <apply> node from a MathML XML document and append its content
+     * to this ExpressionNode.
+     * 
+     * @see this.appendMathMLNode()
+     * @param  {Element}  node A MathML <apply> node
+     */
+    _appendMathMLApplyNode(node) {
+        assert(node.childElementCount >= 2, "<apply> must have at least two children.")
+
+        let action = MathNode._mathMLOperatorOp(node.firstChild);
+        let args = Array.from(node.children).slice(1);
+
+        //a declared function, e.g. f(x), or its derivative, e.g. f'(x)
+        if(typeof action === 'object') {
+            let function_ = action;
+            while(function_.type === 'apply' && function_.op === 'diff') {
+                function_ = function_.args[0];
+            }
+            //otherwise it would be read back as a product, e.g. f times x
+            assert(function_.type === 'ci' && this.dictionary.functions.includes(function_.name),
+                `<ci>${function_.name}</ci> isn't a function in the field's dictionary.`);
+
+            let layout = '%(' + args.map(() => '%').join(this.numberFormat.separator) + ')';
+            this._appendString(layout, [node.firstChild].concat(args));
+            return;
+        }
+
+        switch(action) {
+            case 'plus':
+                assertChildren(node, 3);
+
+                this._appendString('%+%', args);
+                break;
+            case 'minus':
+                assert(node.childElementCount === 2 || node.childElementCount === 3,
+                    '<apply><minus/> must have 2 or 3 children.');
+
+                this._appendMathMLMinusNode(args);
+                break;
+            case 'times':
+                assertChildren(node, 3);
+
+                this._appendMathMLTimesNode(args);
+                break;
+            case 'divide':
+                assertChildren(node, 3);
+
+                this._appendMathMLDivideNode(args);
+                break;
+            case 'power':
+                assertChildren(node, 3);
+
+                this._appendMathMLPowerNode(args);
+                break;
+            case 'root':
+                assert(node.childElementCount === 2 || node.childElementCount === 3,
+                    '<apply><root/> must have 2 or 3 children.');
+
+                this._appendMathMLRootNode(args);
+                break;
+            case 'abs':
+                assertChildren(node, 2);
+
+                this._appendString('|%|', args);
+                break;
+            case 'log':
+                assert(node.childElementCount === 2 || node.childElementCount === 3,
+                    '<apply><log/> must have 2 or 3 children.');
+
+                this._appendMathMLLogNode(args);
+                break;
+            case 'factorial':
+                assertChildren(node, 2);
+
+                this._appendString('%!', args);
+                break;
+            case 'diff':
+                assert(node.childElementCount === 2 || node.childElementCount === 3,
+                    '<apply><diff/> must have 2 or 3 children.');
+
+                this._appendMathMLDiffNode(args);
+                break;
+            case 'int':
+                assert(node.childElementCount === 3 || node.childElementCount === 5,
+                    '<apply><int/> must have 3 or 5 children.');
+
+                this._appendMathMLIntNode(args);
+                break;
+            case 'sum':
+            case 'product':
+                assertChildren(node, 5);
+
+                this._appendMathMLBigOperatorNode(action, args);
+                break;
+            case 'limit':
+                assertChildren(node, 4);
+
+                this._appendMathMLLimitNode(args);
+                break;
+            case 'eq':
+            case 'lt':
+            case 'gt':
+            case 'leq':
+            case 'geq':
+            case 'neq':
+                assert(node.childElementCount >= 3,
+                    `<apply><${action}/> must have at least 3 children.`);
+
+                let char = ExpressionNode._relationCharacter(action);
+                this._appendString(args.map(() => '%').join(char), args);
+                break;
+            case 'and':
+                this._appendMathMLAndNode(args);
+                break;
+            default:
+                let name = MathNode._functionName(action);
+                assert(name !== null, 'Unknown <apply> action: ' + action);
+
+                if(FUNCTIONS[name].multiple) {
+                    assert(node.childElementCount >= 2,
+                        `<apply><${action}/> must have at least 2 children.`);
+                } else {
+                    assertChildren(node, 2);
+                }
+
+                let separator = this.numberFormat.separator;
+                this._appendString(name + '(' + args.map(() => '%').join(separator) + ')', args);
+        }
+    }
+
+    /**
+     * Take the arguments from an <and> node from a MathML XML document and
+     * append its content to this ExpressionNode. Only chains of relations,
+     * as output for e.g. 0<x≤1, are supported: each relation must begin with
+     * the operand which the previous one ended with.
+     *
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       <and> node.
+     */
+    _appendMathMLAndNode(args) {
+        let layout = '%';
+        let operands = [];
+
+        args.forEach(function(relation) {
+            let action = ExpressionNode._nodeType(relation);
+            assert(relation.tagName === 'apply' && Object.values(RELATIONS).includes(action),
+                '<apply><and/> is only supported for chains of relations.');
+
+            let relationArgs = Array.from(relation.children).slice(1);
+            if(operands.length === 0) {
+                operands.push(relationArgs[0]);
+            } else {
+                let previous = MathNode._astFromMathMLNode(operands[operands.length - 1]);
+                let next = MathNode._astFromMathMLNode(relationArgs[0]);
+                assert(JSON.stringify(previous) === JSON.stringify(next),
+                    '<apply><and/> is only supported for chains of relations.');
+            }
+
+            let char = ExpressionNode._relationCharacter(action);
+            relationArgs.slice(1).forEach(function(arg) {
+                layout += char + '%';
+                operands.push(arg);
+            });
+        });
+
+        this._appendString(layout, operands);
+    }
+
+    /**
+     * Return the character which represents the relation with the content
+     * MathML tag `tag`, e.g. '≤' for 'leq'.
+     *
+     * @param  {String} tag The tag of a relation
+     * @return {String}     The relation's character
+     */
+    static _relationCharacter(tag) {
+        return Object.keys(RELATIONS).find((char) => RELATIONS[char] === tag);
+    }
+
+    /**
+     * Take the arguments from a <minus> node from a MathML XML document and
+     * append its content to this ExpressionNode.
+     * 
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       <minus> node.
+     */
+    _appendMathMLMinusNode(args) {
+        let node_right = args[args.length - 1];
+        let type_right = ExpressionNode._nodeType(node_right);
+
+        if(['plus', 'minus'].includes(type_right)) {
+            var layout_right = '(%)';
+        } else if(type_right == 'cn' && node_right.textContent.startsWith('-')) {
+            // If we're subtracting a negative number
+            var layout_right = '(%)';
+        } else {
+            var layout_right = '%';
+        }
+
+        if(args.length === 2) {
+            this._appendString('%-' + layout_right, args);
+        } else {
+            this._appendString('-' + layout_right, args);
+        }
+    }
+
+    /**
+     * Take the arguments from a <times> node from a MathML XML document and
+     * append its content to this ExpressionNode.
+     * 
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       <times> node.
+     */
+    _appendMathMLTimesNode(args) {
+        let layout_left = '%';
+        let layout_right = '%';
+
+        let type_left = ExpressionNode._nodeType(args[0]);
+        if(['plus', 'minus'].includes(type_left)) {
+            layout_left = '(%)';
+        }
+
+        let type_right = ExpressionNode._nodeType(args[1]);
+        if(['plus', 'minus'].includes(type_right)) {
+            layout_right = '(%)';
+        }
+
+        this._appendString(layout_left + layout_right, args);
+    }
+
+    /**
+     * Take the arguments from a <divide> node from a MathML XML document and
+     * append its content to this ExpressionNode.
+     * 
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments (numerator
+     *                       and denominator) to the <divide> node.
+     */
+    _appendMathMLDivideNode(args) {
+        let divisionNode = new DivisionNode();
+
+        this.cursor.insertAfter(divisionNode);
+
+        this.cursor = divisionNode.numerator.startNode;
+        this.appendMathMLNode(args[0]);
+        this.cursor = divisionNode.denominator.startNode;
+        this.appendMathMLNode(args[1]);
+
+        this.cursor = divisionNode;
+    }
+
+    /**
+     * Take the arguments from a <power> node from a MathML XML document and
+     * append its content to this ExpressionNode.
+     * 
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments (base and
+     *                       exponent) to the <power> node.
+     */
+    _appendMathMLPowerNode(args) {
+        // First, insert the base
+        let layout_base = '(%)';
+
+        let type_base = ExpressionNode._nodeType(args[0]);
+        if(['ci', 'cn', 'csymbol'].concat(CONSTANT_TYPES).includes(type_base)) {
+            layout_base = '%';
+        }
+        this._appendString(layout_base, args.slice(0, 1))
+
+        // Then, create the exponent
+        let exponentNode = new ExponentNode();
+        this.cursor.insertAfter(exponentNode);
+
+        this.cursor = exponentNode.exponent.startNode;
+        this.appendMathMLNode(args[1]);
+
+        this.cursor = exponentNode;
+    }
+
+    /**
+     * Take the arguments from a <root> node from a MathML XML document and
+     * append its content to this ExpressionNode.
+     *
+     * If a <degree> other than 2 is provided, an NthRootNode is created with
+     * the degree as its index. Otherwise it's a SquareRootNode.
+     * 
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the argument to the
+     *                       <root> node.
+     */
+    _appendMathMLRootNode(args) {
+        let degree = args.length == 2 ? args[0].firstElementChild : null;
+        let radicand = args[args.length - 1];
+
+        if(degree !== null) {
+            assert(args[0].tagName === 'degree', '<root> must have a <degree> qualifier.');
+        }
+
+        let rootNode = null;
+        if(degree === null || (degree.tagName === 'cn' && degree.textContent.trim() === '2')) {
+            rootNode = new SquareRootNode();
+            this.cursor.insertAfter(rootNode);
+        } else {
+            rootNode = new NthRootNode();
+            this.cursor.insertAfter(rootNode);
+
+            this.cursor = rootNode.index.startNode;
+            this.appendMathMLNode(degree);
+        }
+
+        this.cursor = rootNode.radicand.startNode;
+        this.appendMathMLNode(radicand);
+
+        this.cursor = rootNode;
+    }
+
+    /**
+     * Take the arguments from a <log> node from a MathML XML document and
+     * append its content to this ExpressionNode.
+     *
+     * If a <logbase> other than 10 is provided, a LogNode is created with it
+     * as its base. Otherwise it's typed as 'log'.
+     *
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       <log> node.
+     */
+    _appendMathMLLogNode(args) {
+        let base = args.length == 2 ? args[0].firstElementChild : null;
+        let arg = args[args.length - 1];
+
+        if(base !== null) {
+            assert(args[0].tagName === 'logbase', '<log> must have a <logbase> qualifier.');
+        }
+
+        if(base === null || (base.tagName === 'cn' && base.textContent.trim() === '10')) {
+            this._appendString('log(%)', [arg]);
+        } else {
+            let logNode = new LogNode();
+            this.cursor.insertAfter(logNode);
+
+            this.cursor = logNode.base.startNode;
+            this.appendMathMLNode(base);
+
+            this.cursor = logNode;
+            this._appendString('(%)', [arg]);
+        }
+    }
+
+    /**
+     * Take the arguments from a <diff> node from a MathML XML document and
+     * append its content to this ExpressionNode. Without a <bvar>, it's the
+     * derivative of a function, written with a prime e.g. f', and bracketed
+     * unless it's a single identifier, number or primed derivative, e.g.
+     * (x+1)'. With one, it's written in Leibniz notation with a
+     * DerivativeNode.
+     *
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       <diff> node.
+     */
+    _appendMathMLDiffNode(args) {
+        let arg = args[args.length - 1];
+
+        if(args.length === 1) {
+            let type = ExpressionNode._nodeType(arg);
+            let primed = type === 'diff' && arg.children[1].tagName !== 'bvar';
+            let layout = ['ci', 'cn'].includes(type) || primed ? "%'" : "(%)'";
+            this._appendString(layout, [arg]);
+            return;
+        }
+
+        let bvar = args[0];
+        assert(bvar.tagName === 'bvar', '<diff> must have a <bvar> qualifier.');
+        let degree = bvar.children[1];
+
+        let derivativeNode = new DerivativeNode();
+        this.cursor.insertAfter(derivativeNode);
+
+        this.cursor = derivativeNode.variable.startNode;
+        this.appendMathMLNode(bvar.firstElementChild);
+        if(degree !== undefined) {
+            this.cursor = derivativeNode.order.startNode;
+            this.appendMathMLNode(degree.firstElementChild);
+        }
+
+        this.cursor = derivativeNode;
+        this._appendString('(%)', [arg]);
+    }
+
+    /**
+     * Take the arguments from an <int> node from a MathML XML document and
+     * append an IntegralNode with its limits (if any), integrand and variable
+     * of integration to this ExpressionNode.
+     *
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       <int> node.
+     */
+    _appendMathMLIntNode(args) {
+        let qualifiers = {};
+        args.slice(0, -1).forEach(function(arg) {
+            assert(['bvar', 'lowlimit', 'uplimit'].includes(arg.tagName),
+                `Unsupported <int> qualifier: <${arg.tagName}>`);
+            qualifiers[arg.tagName] = arg.firstElementChild;
+        });
+        assert('bvar' in qualifiers, '<int> must have a <bvar> qualifier.');
+
+        let integralNode = new IntegralNode();
+        this.cursor.insertAfter(integralNode);
+
+        let slots = {
+            lowlimit: integralNode.lower, uplimit: integralNode.upper, bvar: integralNode.variable,
+        };
+        for(let qualifier in qualifiers) {
+            this.cursor = slots[qualifier].startNode;
+            this.appendMathMLNode(qualifiers[qualifier]);
+        }
+
+        this.cursor = integralNode.integrand.startNode;
+        this.appendMathMLNode(args[args.length - 1]);
+
+        this.cursor = integralNode;
+    }
+
+    /**
+     * Take the arguments from a <sum> or <product> node from a MathML XML
+     * document and append a BigOperatorNode with its index variable, bounds
+     * and body to this ExpressionNode.
+     *
+     * @see this._appendMathMLApplyNode()
+     * @param  {String} op   'sum' or 'product'
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       operator node.
+     */
+    _appendMathMLBigOperatorNode(op, args) {
+        let bigOperatorNode = new BigOperatorNode(op);
+        this.cursor.insertAfter(bigOperatorNode);
+
+        let slots = {
+            bvar: bigOperatorNode.variable,
+            lowlimit: bigOperatorNode.lower,
+            uplimit: bigOperatorNode.upper,
+        };
+        for(let arg of args.slice(0, -1)) {
+            assert(arg.tagName in slots,
+                `<${op}> must have <bvar>, <lowlimit> and <uplimit> qualifiers.`);
+
+            this.cursor = slots[arg.tagName].startNode;
+            this.appendMathMLNode(arg.firstElementChild);
+        }
+
+        this.cursor = bigOperatorNode.body.startNode;
+        this.appendMathMLNode(args[args.length - 1]);
+
+        this.cursor = bigOperatorNode;
+    }
+
+    /**
+     * Append a MatrixNode to this ExpressionNode, filling its cells with the
+     * MathML elements in `rows`.
+     *
+     * @see this.appendMathMLNode()
+     * @param  {Array}  rows An array of arrays of XML elements, one array for
+     *                       each row.
+     */
+    _appendMathMLMatrixNode(rows) {
+        let matrixNode = new MatrixNode(rows.length, rows[0].length);
+        this.cursor.insertAfter(matrixNode);
+
+        rows.forEach(function(row, i) {
+            row.forEach(function(item, j) {
+                this.cursor = matrixNode.cell(i, j).startNode;
+                this.appendMathMLNode(item);
+            }, this);
+        }, this);
+
+        this.cursor = matrixNode;
+    }
+
+    /**
+     * Take the arguments from a <limit> node from a MathML XML document and
+     * append a LimitNode, followed by the parenthesised expression whose
+     * limit it is, to this ExpressionNode. The target is either a <lowlimit>
+     * or, for a one-sided limit, a <condition> that the variable tends to it,
+     * e.g. <apply><tendsto type="above"/><ci>x</ci><cn>0</cn></apply>.
+     *
+     * @see this._appendMathMLApplyNode()
+     * @param  {Array}  args An array of XML elements, the arguments to the
+     *                       <limit> node.
+     */
+    _appendMathMLLimitNode(args) {
+        let [bvar, approach, arg] = args;
+        assert(bvar.tagName === 'bvar', '<limit> must have a <bvar> qualifier.');
+        assert(approach.tagName === 'lowlimit' || approach.tagName === 'condition',
+            '<limit> must have a <lowlimit> or <condition> qualifier.');
+
+        let limitNode = new LimitNode();
+        this.cursor.insertAfter(limitNode);
+
+        this.cursor = limitNode.variable.startNode;
+        this.appendMathMLNode(bvar.firstElementChild);
+
+        this.cursor = limitNode.target.startNode;
+        if(approach.tagName === 'lowlimit') {
+            this.appendMathMLNode(approach.firstElementChild);
+        } else {
+            let tendsto = approach.firstElementChild;
+            let direction = tendsto.firstElementChild.getAttribute('type');
+            assert(tendsto.tagName === 'apply' && tendsto.firstElementChild.tagName === 'tendsto'
+                && tendsto.childElementCount === 3,
+                'A <limit> <condition> must be <tendsto/> a value.');
+            assert(direction === 'above' || direction === 'below',
+                'A <limit> <condition> must be <tendsto type="above"/> or '
+                + '<tendsto type="below"/>.');
+
+            this.appendMathMLNode(tendsto.children[2]);
+            this._appendString(direction === 'above' ? '+' : '-', []);
+        }
+
+        this.cursor = limitNode;
+        this._appendString('(%)', [arg]);
+    }
+
+    /**
+     * Find the name by which a constant is typed into the field, using the
+     * shortest of its names in the field's dictionary, e.g. 'π' not 'pi'.
+     * Raises an error if it has none.
+     *
+     * @param  {String} type The constant's MathML tag, e.g. 'pi'
+     * @return {String}      The name of the constant
+     */
+    _constantName(type) {
+        let names = Object.keys(this.dictionary.constants)
+            .filter((name) => this.dictionary.constants[name] === type)
+            .sort((a, b) => a.length - b.length);
+        assert(names.length > 0, `<${type}/> isn't a constant in the field's dictionary.`);
+
+        return names[0];
+    }
+
+    /**
+     * Take a MathML node and, if it's an <apply> node, return its first node's
+     * tagName, otherwise return its tagName. A complex number is written as a
+     * sum, e.g. 3+4i, so its type is 'plus'.
+     *
+     * `node` is an XML node output by DOMParser.
+     *
+     * E.g.: ( let pFS() be DOMParser.parseFromString() )
+     * _nodeType(pFS('<cn>2</cn>')) => 'cn'
+     * _nodeType(pFS('<apply><minus/><cn>2</cn></apply>')) => 'minus'
+     * 
+     * @see this._appendMathMLApplyNode()
+     * @param  {Element}  node A MathML node
+     * @return {String}        The type of the node, as described above
+     */
+    static _nodeType(node) {
+        if(node.tagName === 'apply') {
+            return node.firstChild.tagName;
+        } else if(node.tagName === 'cn' && node.getAttribute('type') === 'complex-cartesian') {
+            return 'plus';
+        } else {
+            return node.tagName;
+        }
+    }
+
+    /**
+     * Take a syntax tree and return its plain-text representation along with
+     * the precedence of its outermost operation, so that parent operations
+     * can decide whether it needs parenthesising. Precedences are:
+     * -1: lists
+     *  0: relations
+     *  1: addition, subtraction and negation
+     *  2: multiplication and division
+     *  4: exponentiation
+     *  5: anything which never needs parentheses (numbers, functions etc.)
+     *
+     * @see this.text()
+     * @param  {Object} ast A syntax tree
+     * @return {Array}      The text and its precedence
+     */
+    static _textFromAst(ast) {
+        let wrap = ExpressionNode._wrapText;
+
+        switch(ast.type) {
+            case 'apply':
+                return ExpressionNode._textFromApplyAst(ast);
+            case 'ci':
+            case 'csymbol':
+                return [ast.name, 5];
+            case 'cn':
+                //E-notation and complex numbers as Python reads them, e.g.
+                //1.2e-5 and (3-4j)
+                if('imaginary' in ast) {
+                    let sign = ast.imaginary.startsWith('-') ? '' : '+';
+                    return ['(' + ast.value + sign + ast.imaginary + 'j)', 5];
+                }
+                let number = 'exponent' in ast ? ast.value + 'e' + ast.exponent : ast.value;
+                return [number, ast.value.startsWith('-') ? 1 : 5];
+            case 'pi':
+            case 'exponentiale':
+            case 'infinity':
+            case 'imaginaryi':
+                return [TEXT_NAMES[ast.type], 5];
+            case 'list':
+                return [ast.args.map((arg) => wrap(arg, 0)).join(','), -1];
+            case 'vector':
+                return ['(' + ast.args.map((arg) => wrap(arg, 0)).join(',') + ')', 5];
+            case 'set':
+                return ['{' + ast.args.map((arg) => wrap(arg, 0)).join(',') + '}', 5];
+            case 'matrix':
+                //SymPy's Matrix, a list of rows
+                return ['Matrix([' + ast.args.map((row) => wrap(row, 0)).join(',') + '])', 5];
+            case 'matrixrow':
+                return ['[' + ast.args.map((arg) => wrap(arg, 0)).join(',') + ']', 5];
+            default:
+                throw new Error('Unknown MathML element: ' + ast.type);
+        }
+    }
+
+    /**
+     * Take an 'apply' syntax tree and return its plain-text representation
+     * and precedence.
+     *
+     * @see this._textFromAst()
+     * @param  {Object} ast An 'apply' syntax tree
+     * @return {Array}      The text and its precedence
+     */
+    static _textFromApplyAst(ast) {
+        let action = ast.op;
+        let args = ast.args;
+        let wrap = ExpressionNode._wrapText;
+
+        //a declared function, e.g. f(x), or its derivative, e.g. f'(x)
+        if(typeof action === 'object') {
+            let [function_, order] = [action, 0];
+            while(function_.type === 'apply' && function_.op === 'diff') {
+                [function_, order] = [function_.args[0], order + 1];
+            }
+            let apply = (first) => wrap(function_, 5) + '('
+                + [first].concat(args.slice(1).map((arg) => wrap(arg, 0))).join(',') + ')';
+
+            if(order === 0) {
+                return [apply(wrap(args[0], 0)), 5];
+            }
+
+            //as in SymPy, with respect to the first argument, e.g.
+            //Derivative(f(x),x,2) for f''(x), which is substituted into the
+            //derivative if it isn't a variable, e.g. for f'(2x)
+            let degree = order > 1 ? ',' + order : '';
+            if(args[0].type === 'ci') {
+                let variable = wrap(args[0], 0);
+                return ['Derivative(' + apply(variable) + ',' + variable + degree + ')', 5];
+            }
+            let derivative = 'Derivative(' + apply('_x') + ',_x' + degree + ')';
+            return ['Subs(' + derivative + ',_x,' + wrap(args[0], 0) + ')', 5];
+        }
+
+        switch(action) {
+            case 'plus':
+                return [wrap(args[0], 1) + '+' + wrap(args[1], 2), 1];
+            case 'minus':
+                if(args.length === 1) {
+                    return ['-' + wrap(args[0], 2), 1];
+                } else {
+                    return [wrap(args[0], 1) + '-' + wrap(args[1], 2), 1];
+                }
+            case 'times':
+                return [wrap(args[0], 2) + '*' + wrap(args[1], 3), 2];
+            case 'divide':
+                return [wrap(args[0], 2) + '/' + wrap(args[1], 3), 2];
+            case 'power':
+                return [wrap(args[0], 5) + '^' + wrap(args[1], 4), 4];
+            case 'root':
+                let radicand = args[0];
+                let degree = 'degree' in ast ? ast.degree : null;
+
+                if(degree === null || (degree.type === 'cn' && degree.value === '2')) {
+                    return ['sqrt(' + wrap(radicand, 0) + ')', 5];
+                } else {
+                    return [wrap(radicand, 5) + '^(1/' + wrap(degree, 3) + ')', 4];
+                }
+            case 'eq':
+            case 'lt':
+            case 'gt':
+            case 'leq':
+            case 'geq':
+            case 'neq':
+                return [args.map((arg) => wrap(arg, 1)).join(TEXT_RELATIONS[action]), 0];
+            case 'and':
+                return [args.map((arg) => wrap(arg, 0)).join(' and '), 0];
+            case 'diff':
+                //in Leibniz notation, with respect to `bvar`, e.g. diff(y,x,2)
+                let respect = 'bvar' in ast ? [ast.bvar].concat(ast.degree || []) : [];
+                let operands = [args[0]].concat(respect).map((arg) => wrap(arg, 0));
+                return ['diff(' + operands.join(',') + ')', 5];
+            case 'int':
+                //as in SymPy, e.g. integrate(x,(x,0,1))
+                let integral = wrap(ast.bvar, 0);
+                if('lowlimit' in ast) {
+                    let bounds = [ast.bvar, ast.lowlimit, ast.uplimit].map((arg) => wrap(arg, 0));
+                    integral = '(' + bounds.join(',') + ')';
+                }
+                return ['integrate(' + wrap(args[0], 0) + ',' + integral + ')', 5];
+            case 'sum':
+            case 'product':
+                //as in SymPy, e.g. summation(1/n,(n,1,10))
+                let range = [ast.bvar, ast.lowlimit, ast.uplimit].map((arg) => wrap(arg, 0));
+                let series = wrap(args[0], 0) + ',(' + range.join(',') + ')';
+                return [BIG_OPERATORS[action].text + '(' + series + ')', 5];
+            case 'limit':
+                //as in SymPy, e.g. limit(1/x,x,0,'+')
+                let approach = 'condition' in ast ?
+                    [ast.bvar, ast.condition.args[1]].map((arg) => wrap(arg, 0)).concat(
+                        ast.condition.direction === 'above' ? "'+'" : "'-'") :
+                    [ast.bvar, ast.lowlimit].map((arg) => wrap(arg, 0));
+                return ['limit(' + [wrap(args[0], 0)].concat(approach).join(',') + ')', 5];
+            case 'log':
+                if('logbase' in ast) {
+                    return ['log(' + wrap(args[0], 0) + ',' + wrap(ast.logbase, 0) + ')', 5];
+                } else {
+                    return ['log10(' + wrap(args[0], 0) + ')', 5];
+                }
+            default:
+                let name = MathNode._functionName(action);
+                if(name !== null) {
+                    let text = args.map((arg) => wrap(arg, 0)).join(',');
+                    return [FUNCTIONS[name].text + '(' + text + ')', 5];
+                } else if(action in TEXT_NAMES) {
+                    return [TEXT_NAMES[action] + '(' + wrap(args[0], 0) + ')', 5];
+                }
+
+                throw new Error('Unknown <apply> action: ' + action);
+        }
+    }
+
+    /**
+     * Return the plain-text representation of a syntax tree, wrapped in
+     * parentheses if its precedence is below `precedence`.
+     *
+     * @see this._textFromAst()
+     * @param  {Object} ast        A syntax tree
+     * @param  {Number} precedence The minimum precedence not to be wrapped
+     * @return {String}            The plain-text string
+     */
+    static _wrapText(ast, precedence) {
+        let [text, nodePrecedence] = ExpressionNode._textFromAst(ast);
+
+        if(nodePrecedence < precedence) {
+            return '(' + text + ')';
+        } else {
+            return text;
+        }
+    }
+
+    /**
+     * Append to thi sExpressionNode the value represented by the string,
+     * substituting '%' characters with entries from `args`.
+     * 
+     * `args` is a list of MathML nodes, as returned by DOMParser, which are to
+     * be substituted into the output.
+     * 
+     * @see this._appendMathMLApplyNode()
+     * @param  {String}  str  A string of characters to be converted into
+     *                        MathNodes
+     * @param  {Array}   args An array of MathML nodes
+     */
+    _appendString(str, args) {
+        let argIndex = 0;
+
+        let ret = [];
+
+        let self = this;
+        str.split('').forEach(function(char) {
+            if(char === '%') {
+                self.appendMathMLNode(args[argIndex++])
+            } else {
+                let node = MathNode.buildFromCharacter(char);
+                self.cursor.insertAfter(node);
+                self.cursor = node;
+            }
+        });
+
+        return ret;
+    }
+
+    /**
+     * Split a LaTeX string into tokens: commands (e.g. '\frac' or '\,') and
+     * single characters. Whitespace is discarded.
+     *
+     * E.g. _tokenizeLatex('\frac{1}{x^2}') =>
+     *     ['\frac', '{', '1', '}', '{', 'x', '^', '2', '}']
+     *
+     * @see this.set latex()
+     * @param  {String} latex A LaTeX string
+     * @return {Array}        An array of tokens
+     */
+    static _tokenizeLatex(latex) {
+        return latex.match(/\\[a-zA-Z]+|\\[^a-zA-Z]|\S/gu) || [];
+    }
+
+    /**
+     * Take the first token (and its arguments, if it's a command) from
+     * `tokens` and append the nodes it represents to this ExpressionNode.
+     * Tokens are removed from `tokens` as they are consumed.
+     *
+     * @see this.set latex()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexToken(tokens) {
+        let token = tokens.shift();
+
+        if(token === '{') {
+            tokens.unshift(token);
+            this._appendLatexArgument(tokens);
+        } else if(token === '^') {
+            this._appendLatexExponent(tokens);
+        } else if(token === '_') {
+            this._appendLatexSubscript(tokens);
+        } else if(token === '/') {
+            this._appendLatexSlash(tokens);
+        } else if(['\\frac', '\\dfrac', '\\tfrac'].includes(token)) {
+            this._appendLatexFrac(tokens);
+        } else if(token === '\\sqrt') {
+            this._appendLatexSqrt(tokens);
+        } else if(token === '\\int') {
+            this._appendLatexInt(tokens);
+        } else if(token === '\\lim') {
+            this._appendLatexLimit(tokens);
+        } else if(token === '\\begin') {
+            this._appendLatexMatrix(tokens);
+        } else if(token === '\\sum' || token === '\\prod') {
+            this._appendLatexBigOperator(token === '\\sum' ? 'sum' : 'product', tokens);
+        } else if(token === '\\left' || token === '\\right') {
+            assert(['(', ')', '|', '\\lvert', '\\rvert', '\\vert', '\\{', '\\}', '\\lbrace',
+                '\\rbrace'].includes(tokens[0]), `${token} must be followed by a bracket or pipe.`);
+        } else if(LATEX_SPACES.includes(token)) {
+            return;
+        } else if(token === '\\log' && tokens[0] === '_') {
+            tokens.shift();
+            this._appendLatexLogBase(tokens);
+        } else if(token === '\\operatorname') {
+            this._appendLatexOperatorName(tokens);
+        } else if(token === '\\mathrm') {
+            this._appendLatexUnit(tokens);
+        } else if(token === '\\mathit') {
+            this._appendLatexIdentifier(tokens);
+        } else if(ExpressionNode._latexFunctionName(token) !== null) {
+            this._appendString(ExpressionNode._latexFunctionName(token), []);
+        } else if(token in LATEX_COMMANDS) {
+            this._appendString(LATEX_COMMANDS[token], []);
+        } else if(token.startsWith('\\') && token.length > 1) {
+            throw new Error(`Unsupported LaTeX command: ${token}`);
+        } else {
+            let node = null;
+            try {
+                node = MathNode.buildFromCharacter(token);
+            } catch(err) {
+                throw new Error(`Unsupported LaTeX character: ${token}`);
+            }
+
+            this.cursor.insertAfter(node);
+            this.cursor = node;
+        }
+    }
+
+    /**
+     * Find the name of the function in FUNCTIONS whose LaTeX is `latex`.
+     *
+     * @param  {String} latex A LaTeX command, e.g. '\sin'
+     * @return {String}       The function's name, or null if there's none
+     */
+    static _latexFunctionName(latex) {
+        let name = Object.keys(FUNCTIONS).find((name) => FUNCTIONS[name].latex === latex);
+
+        return name === undefined ? null : name;
+    }
+
+    /**
+     * Having found an '\operatorname' token, append the function whose name
+     * is its argument, e.g. '\operatorname{sgn}'.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexOperatorName(tokens) {
+        assert(tokens[0] === '{', '\\operatorname must be followed by {.');
+        let end = tokens.indexOf('}');
+        assert(end !== -1, 'Unmatched { in LaTeX.');
+
+        let latex = '\\operatorname{' + tokens.splice(0, end + 1).slice(1, -1).join('') + '}';
+        let name = ExpressionNode._latexFunctionName(latex);
+        assert(name !== null, `Unsupported LaTeX function: ${latex}`);
+
+        this._appendString(name, []);
+    }
+
+    /**
+     * Having found a '\mathrm' token, append the unit whose symbol is its
+     * argument, e.g. '\mathrm{km}'.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexUnit(tokens) {
+        assert(tokens[0] === '{', '\\mathrm must be followed by {.');
+        let end = tokens.indexOf('}');
+        assert(end !== -1, 'Unmatched { in LaTeX.');
+
+        let latex = tokens.splice(0, end + 1).slice(1, -1).join('');
+        let symbol = Object.keys(UNITS).find((symbol) => (UNITS[symbol].latex || symbol) === latex);
+        assert(symbol !== undefined, `Unsupported LaTeX unit: ${latex}`);
+
+        let node = new UnitSymbolNode(symbol);
+        this.cursor.insertAfter(node);
+        this.cursor = node;
+    }
+
+    /**
+     * Having found a '\mathit' token, append the letters of the identifier
+     * which is its argument, e.g. '\mathit{rate}'. They're read as a single
+     * variable, so a name of more than one letter must be in the field's
+     * dictionary.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexIdentifier(tokens) {
+        assert(tokens[0] === '{', '\\mathit must be followed by {.');
+        let end = tokens.indexOf('}');
+        assert(end !== -1, 'Unmatched { in LaTeX.');
+
+        let letters = tokens.splice(0, end + 1).slice(1, -1);
+        let name = letters.join('');
+        //otherwise its letters would be read as a product
+        assert(name.length <= 1 || this.dictionary.identifiers.includes(name)
+            || this.dictionary.functions.includes(name),
+            `\\mathit{${name}} isn't an identifier in the field's dictionary.`);
+
+        while(letters.length > 0) {
+            this._appendLatexToken(letters);
+        }
+    }
+
+    /**
+     * Append the argument at the start of `tokens` - either a group
+     * surrounded by braces, or a single token.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexArgument(tokens) {
+        assert(tokens.length > 0 && tokens[0] !== '}', 'Missing argument in LaTeX.');
+
+        if(tokens[0] === '{') {
+            tokens.shift();
+            while(tokens[0] !== '}') {
+                assert(tokens.length > 0, 'Unmatched { in LaTeX.');
+                this._appendLatexToken(tokens);
+            }
+            tokens.shift();
+        } else {
+            this._appendLatexToken(tokens);
+        }
+    }
+
+    /**
+     * Having found a '\log_' token, append a LogNode with its argument as the
+     * base.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexLogBase(tokens) {
+        let logNode = new LogNode();
+        this.cursor.insertAfter(logNode);
+
+        this.cursor = logNode.base.startNode;
+        this._appendLatexArgument(tokens);
+
+        this.cursor = logNode;
+    }
+
+    /**
+     * Having found a '^' token, append an ExponentNode containing its
+     * argument.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexExponent(tokens) {
+        let exponentNode = new ExponentNode();
+        this.cursor.insertAfter(exponentNode);
+
+        this.cursor = exponentNode.exponent.startNode;
+        this._appendLatexArgument(tokens);
+
+        this.cursor = exponentNode;
+    }
+
+    /**
+     * Having found a '_' token, append a SubscriptNode containing its
+     * argument.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexSubscript(tokens) {
+        let subscriptNode = new SubscriptNode();
+        this.cursor.insertAfter(subscriptNode);
+
+        this.cursor = subscriptNode.subscript.startNode;
+        this._appendLatexArgument(tokens);
+
+        this.cursor = subscriptNode;
+    }
+
+    /**
+     * Having found a '/' token, append a DivisionNode. As when typing '/' into
+     * the field, previous nodes are collected into the numerator. The
+     * following argument becomes the denominator.
+     *
+     * @see this._appendLatexToken()
+     * @see DivisionNode.collectNumerator()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexSlash(tokens) {
+        let divisionNode = new DivisionNode();
+        this.cursor.insertAfter(divisionNode);
+        divisionNode.collectNumerator();
+
+        this.cursor = divisionNode.denominator.startNode;
+        this._appendLatexArgument(tokens);
+
+        this.cursor = divisionNode;
+    }
+
+    /**
+     * Having found a '\frac' token, append a DivisionNode containing its two
+     * arguments.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexFrac(tokens) {
+        if(ExpressionNode._isLatexDerivative(tokens)) {
+            this._appendLatexDerivative(tokens);
+            return;
+        }
+
+        let divisionNode = new DivisionNode();
+        this.cursor.insertAfter(divisionNode);
+
+        this.cursor = divisionNode.numerator.startNode;
+        this._appendLatexArgument(tokens);
+        this.cursor = divisionNode.denominator.startNode;
+        this._appendLatexArgument(tokens);
+
+        this.cursor = divisionNode;
+    }
+
+    /**
+     * Is the fraction at the start of `tokens` the operator of a derivative in
+     * Leibniz notation, i.e. '{d}{dx}' or '{d^{2}}{dx^{2}}'?
+     *
+     * @see this._appendLatexFrac()
+     * @param  {Array}   tokens An array of LaTeX tokens
+     * @return {Boolean}        Is it a derivative?
+     */
+    static _isLatexDerivative(tokens) {
+        if(tokens[0] !== '{' || tokens[1] !== 'd') {
+            return false;
+        }
+
+        //find the end of the numerator
+        let depth = 0;
+        let numeratorEnd = tokens.findIndex(function(token) {
+            depth += token === '{' ? 1 : token === '}' ? -1 : 0;
+            return depth === 0;
+        });
+        let numerator = tokens.slice(2, numeratorEnd);
+        let denominator = tokens.slice(numeratorEnd + 1, numeratorEnd + 4).join('');
+
+        return (numerator.length === 0 || numerator[0] === '^')
+            && /^\{d[a-zA-Z]$/.test(denominator);
+    }
+
+    /**
+     * Having found a '\frac' token which is the operator of a derivative,
+     * append a DerivativeNode. The order is taken from the numerator, and the
+     * variable from the denominator.
+     *
+     * @see this._appendLatexFrac()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexDerivative(tokens) {
+        let derivativeNode = new DerivativeNode();
+        this.cursor.insertAfter(derivativeNode);
+
+        //'{', 'd'
+        tokens.splice(0, 2);
+        if(tokens[0] === '^') {
+            tokens.shift();
+            this.cursor = derivativeNode.order.startNode;
+            this._appendLatexArgument(tokens);
+        }
+        //'}', '{', 'd'
+        tokens.splice(0, 3);
+
+        //the variable is followed by the order again, which is ignored
+        this.cursor = derivativeNode.variable.startNode;
+        while(tokens[0] !== '}' && tokens[0] !== '^') {
+            assert(tokens.length > 0, 'Unmatched { in LaTeX.');
+            this._appendLatexToken(tokens);
+        }
+        if(tokens[0] === '^') {
+            tokens.shift();
+            ExpressionNode.buildRootNode()._appendLatexArgument(tokens);
+        }
+        tokens.shift();
+
+        this.cursor = derivativeNode;
+    }
+
+    /**
+     * Having found an '\int' token, append an IntegralNode. Its limits, if
+     * any, are the '_' and '^' arguments which follow, and the integrand runs
+     * up to the variable of integration, a 'd' followed by a single letter,
+     * e.g. '\int_{0}^{1} x^{2}\,dx'.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexInt(tokens) {
+        let integralNode = new IntegralNode();
+        this.cursor.insertAfter(integralNode);
+
+        while(tokens[0] === '_' || tokens[0] === '^') {
+            let limit = tokens.shift() === '_' ? integralNode.lower : integralNode.upper;
+            this.cursor = limit.startNode;
+            this._appendLatexArgument(tokens);
+        }
+
+        this.cursor = integralNode.integrand.startNode;
+        while(!ExpressionNode._isLatexDifferential(tokens)) {
+            assert(tokens.length > 0 && tokens[0] !== '}', 'Missing d in LaTeX integral.');
+            this._appendLatexToken(tokens);
+        }
+        //'d'
+        tokens.shift();
+
+        this.cursor = integralNode.variable.startNode;
+        this._appendLatexToken(tokens);
+        if(tokens[0] === '_') {
+            this._appendLatexToken(tokens);
+        }
+
+        this.cursor = integralNode;
+    }
+
+    /**
+     * Is the start of `tokens` the differential of an integral, i.e. a 'd'
+     * followed by a single letter, e.g. 'dx' but not 'dxy'? Any spacing
+     * before it is skipped.
+     *
+     * @see this._appendLatexInt()
+     * @param  {Array}   tokens An array of LaTeX tokens
+     * @return {Boolean}        Is it the differential?
+     */
+    static _isLatexDifferential(tokens) {
+        while(LATEX_SPACES.includes(tokens[0])) {
+            tokens.shift();
+        }
+
+        return tokens[0] === 'd' && /^[a-zA-Zα-ωΑ-Ω]$/.test(tokens[1] || '')
+            && !/^[a-zA-Zα-ωΑ-Ω]$/.test(tokens[2] || '');
+    }
+
+    /**
+     * Having found a '\sum' or '\prod' token, append a BigOperatorNode. The
+     * index variable and lower bound are in its '_' argument, e.g. '{n=1}',
+     * and the upper bound is its '^' argument. The body is either a group,
+     * e.g. '{\frac{1}{n}}', or runs to the end of the term.
+     *
+     * @see this._appendLatexToken()
+     * @param  {String} op     'sum' or 'product'
+     * @param  {Array}  tokens An array of LaTeX tokens
+     */
+    _appendLatexBigOperator(op, tokens) {
+        let bigOperatorNode = new BigOperatorNode(op);
+        this.cursor.insertAfter(bigOperatorNode);
+
+        while(tokens[0] === '_' || tokens[0] === '^') {
+            if(tokens.shift() === '^') {
+                this.cursor = bigOperatorNode.upper.startNode;
+                this._appendLatexArgument(tokens);
+                continue;
+            }
+
+            assert(tokens[0] === '{', `The ${op}'s index must be given as {n=1} in LaTeX.`);
+            tokens.shift();
+            this.cursor = bigOperatorNode.variable.startNode;
+            while(tokens[0] !== '=') {
+                assert(tokens.length > 0 && tokens[0] !== '}',
+                    `The ${op}'s index must be given as {n=1} in LaTeX.`);
+                this._appendLatexToken(tokens);
+            }
+            tokens.shift();
+            this.cursor = bigOperatorNode.lower.startNode;
+            while(tokens[0] !== '}') {
+                assert(tokens.length > 0, 'Unmatched { in LaTeX.');
+                this._appendLatexToken(tokens);
+            }
+            tokens.shift();
+        }
+
+        this.cursor = bigOperatorNode.body.startNode;
+        if(tokens[0] === '{') {
+            this._appendLatexArgument(tokens);
+        } else {
+            while(tokens.length > 0 && !LATEX_TERM_ENDS.includes(tokens[0])) {
+                this._appendLatexToken(tokens);
+            }
+        }
+
+        this.cursor = bigOperatorNode;
+    }
+
+    /**
+     * Having found a '\lim' token, append a LimitNode. Its '_' argument
+     * contains the variable, an arrow and the target, which may have a '+' or
+     * '-' superscript for a one-sided limit, e.g. '{x\to 0^{+}}'.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexLimit(tokens) {
+        assert(tokens[0] === '_' && tokens[1] === '{',
+            '\\lim must be followed by _{x\\to a} in LaTeX.');
+        tokens.splice(0, 2);
+
+        let limitNode = new LimitNode();
+        this.cursor.insertAfter(limitNode);
+
+        this.cursor = limitNode.variable.startNode;
+        while(!['\\to', '\\rightarrow'].includes(tokens[0])) {
+            assert(tokens.length > 0 && tokens[0] !== '}',
+                '\\lim must be followed by _{x\\to a} in LaTeX.');
+            this._appendLatexToken(tokens);
+        }
+        tokens.shift();
+
+        this.cursor = limitNode.target.startNode;
+        while(tokens[0] !== '}') {
+            assert(tokens.length > 0, 'Unmatched { in LaTeX.');
+
+            //the direction of a one-sided limit, e.g. ^{+} or ^+
+            let direction = tokens[1] === '{' ? tokens.slice(1, 4).join('') : tokens[1];
+            if(tokens[0] === '^' && ['+', '-', '{+}', '{-}'].includes(direction)) {
+                tokens.splice(0, direction.length === 1 ? 2 : 4);
+                this._appendString(direction.replace(/[{}]/g, ''), []);
+            } else {
+                this._appendLatexToken(tokens);
+            }
+        }
+        tokens.shift();
+
+        this.cursor = limitNode;
+    }
+
+    /**
+     * Having found a '\begin' token, append a MatrixNode. Only the 'pmatrix'
+     * and 'bmatrix' environments are supported, whose cells are separated by
+     * '&' and rows by '\\', e.g. '{pmatrix}1&2\\3&4\end{pmatrix}'. The
+     * matrix grows as its cells are read.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexMatrix(tokens) {
+        let environmentName = function() {
+            assert(tokens[0] === '{',
+                '\\begin and \\end must be followed by an environment name in LaTeX.');
+            let end = tokens.indexOf('}');
+            assert(end !== -1, 'Unmatched { in LaTeX.');
+
+            return tokens.splice(0, end + 1).slice(1, -1).join('');
+        };
+
+        let environment = environmentName();
+        assert(['pmatrix', 'bmatrix'].includes(environment),
+            `Unsupported LaTeX environment: ${environment}`);
+        let unequalRows = 'The rows of a LaTeX matrix must be the same length.';
+
+        let matrixNode = new MatrixNode(1, 1);
+        this.cursor.insertAfter(matrixNode);
+
+        let row = 0;
+        let column = 0;
+        this.cursor = matrixNode.cell(0, 0).startNode;
+        while(tokens[0] !== '\\end') {
+            assert(tokens.length > 0, `Missing \\end{${environment}} in LaTeX.`);
+
+            if(tokens[0] === '&') {
+                tokens.shift();
+                column++;
+                if(row === 0) {
+                    matrixNode.insertColumn(column);
+                }
+                assert(column < matrixNode.columns, unequalRows);
+            } else if(tokens[0] === '\\\\') {
+                tokens.shift();
+                assert(column === matrixNode.columns - 1, unequalRows);
+
+                //a '\\' ending the last row is allowed
+                if(tokens[0] === '\\end') {
+                    break;
+                }
+
+                row++;
+                column = 0;
+                matrixNode.insertRow(row);
+            } else {
+                this._appendLatexToken(tokens);
+                continue;
+            }
+
+            this.cursor = matrixNode.cell(row, column).startNode;
+        }
+        assert(column === matrixNode.columns - 1, unequalRows);
+
+        tokens.shift();
+        assert(environmentName() === environment,
+            `\\begin{${environment}} must be closed by \\end{${environment}}.`);
+
+        this.cursor = matrixNode;
+    }
+
+    /**
+     * Having found a '\sqrt' token, append a SquareRootNode containing its
+     * argument. If it has an optional index, e.g. '\sqrt[3]{x}', append an
+     * NthRootNode instead.
+     *
+     * @see this._appendLatexToken()
+     * @param  {Array} tokens An array of LaTeX tokens
+     */
+    _appendLatexSqrt(tokens) {
+        let rootNode = null;
+
+        if(tokens[0] === '[') {
+            tokens.shift();
+
+            rootNode = new NthRootNode();
+            this.cursor.insertAfter(rootNode);
+
+            this.cursor = rootNode.index.startNode;
+            while(tokens[0] !== ']') {
+                assert(tokens.length > 0, 'Unmatched [ in LaTeX.');
+                this._appendLatexToken(tokens);
+            }
+            tokens.shift();
+        } else {
+            rootNode = new SquareRootNode();
+            this.cursor.insertAfter(rootNode);
+        }
+
+        this.cursor = rootNode.radicand.startNode;
+        this._appendLatexArgument(tokens);
+
+        this.cursor = rootNode;
+    }
+
+    /**
+     * Split an AsciiMath string into tokens: numbers, names (e.g. 'sqrt' or
+     * 'alpha'), quoted text (e.g. '"km"') and single characters. Names are
+     * matched greedily, as they are by AsciiMath itself. Whitespace is
+     * discarded.
+     *
+     * E.g. _tokenizeAsciiMath('sqrt(x)/12') =>
+     *     ['sqrt', '(', 'x', ')', '/', '12']
+     *
+     * @see this.set asciimath()
+     * @param  {String} asciimath An AsciiMath string
+     * @return {Array}            An array of tokens
+     */
+    static _tokenizeAsciiMath(asciimath) {
+        let names = Object.keys(ASCIIMATH_NAMES)
+            .concat(Object.keys(FUNCTIONS), ['sqrt', 'root', 'abs', 'frac', 'int', 'lim'])
+            .concat(Object.values(BIG_OPERATORS).map((operator) => operator.asciimath))
+            .sort((a, b) => b.length - a.length);
+        let pattern = new RegExp(
+            '"[^"]*"|[0-9]+(?:\\.[0-9]+)?|\\.[0-9]+|' + names.join('|') + '|\\S', 'gu');
+
+        return asciimath.match(pattern) || [];
+    }
+
+    /**
+     * Parse tokens from the start of `tokens` up until (but not including)
+     * the token `closer`, or until there are none left. Tokens are removed
+     * from `tokens` as they are consumed.
+     *
+     * The result is an array of items, each a simple object describing a
+     * part of the expression, which can be appended to an ExpressionNode with
+     * _appendAsciiMathItems(). Items have a `type` of:
+     *  - 'text':  a string of characters to be typed into the field
+     *  - 'group': a bracketed or piped array of items, `body`
+     *  - 'frac':  a fraction with arrays of items `numerator` and `denominator`
+     *  - 'sqrt':  a square root with an array of items, `radicand`
+     *  - 'root':  an nth root with arrays of items `index` and `radicand`
+     *  - 'log':   a logarithm with an array of items, `base`
+     *  - 'power': a `base` item and an array of items, `exponent`
+     *  - 'subscript': a `base` item and an array of items, `subscript`
+     *  - 'matrix': `rows`, an array of rows each an array of cells, each an
+     *    array of items
+     *  - 'matrixrow': a matrix with a single row, written in square brackets
+     *    e.g. [[1,2]], whose array of items `body` is split into cells by
+     *    the field's list separator when it's appended
+     *  - 'unit':  a physical unit with the symbol `symbol`, written as quoted
+     *    text, e.g. "km"
+     *  - 'integral': arrays of items `lower` and `upper` (empty for an
+     *    indefinite integral), `integrand` and `variable`
+     *  - 'bigoperator': a sum or product, whose content MathML tag is `op`,
+     *    with arrays of items `variable`, `lower`, `upper` and `body`
+     *  - 'limit': arrays of items `variable` and `target`
+     *
+     * `closer` may also be a function of `tokens`, which is true when they
+     * start with the end of the expression, e.g. the 'dx' of an integral.
+     *
+     * @see this.set asciimath()
+     * @param  {Array}           tokens An array of AsciiMath tokens
+     * @param  {String|Function} closer The token which ends the expression,
+     *                                  if any
+     * @return {Array}                  An array of items
+     */
+    static _parseAsciiMathExpression(tokens, closer) {
+        let closed = () => typeof closer === 'function' ? closer(tokens) : tokens[0] === closer;
+        let items = [];
+
+        while(tokens.length > 0 && !closed()) {
+            let item = ExpressionNode._parseAsciiMathIntermediate(tokens);
+            //a function and its bracketed argument are a single term, so
+            //sin(x)/x is (sin(x))/x rather than sin((x)/x)
+            let term = [item];
+            if(((item.type === 'text' && item.text in FUNCTIONS) || item.type === 'log')
+                    && tokens[0] === '(') {
+                term.push(ExpressionNode._parseAsciiMathIntermediate(tokens));
+            }
+
+            //fractions are left-associative, so 1/2/3 is (1/2)/3
+            while(tokens[0] === '/') {
+                tokens.shift();
+                assert(tokens.length > 0 && !closed(),
+                    'Missing denominator in AsciiMath.');
+
+                term = [{
+                    type: 'frac',
+                    numerator: term.length > 1 ? term : ExpressionNode._unwrapAsciiMath(term[0]),
+                    denominator: ExpressionNode._parseAsciiMathArgument(tokens,
+                        ExpressionNode._parseAsciiMathIntermediate),
+                }];
+            }
+
+            items.push(...term);
+        }
+
+        return items;
+    }
+
+    /**
+     * Parse a simple expression, possibly subscripted and/or raised to a
+     * power, from the start of `tokens`. If there's no base (i.e. `tokens`
+     * starts with '^', '_' or '/') an empty base is returned.
+     *
+     * @see this._parseAsciiMathExpression()
+     * @param  {Array}  tokens An array of AsciiMath tokens
+     * @return {Object}        An item, @see _parseAsciiMathExpression()
+     */
+    static _parseAsciiMathIntermediate(tokens) {
+        let item = {type: 'text', text: ''};
+        if(!['^', '_', '/'].includes(tokens[0])) {
+            item = ExpressionNode._parseAsciiMathSimple(tokens);
+        }
+
+        if(tokens[0] === '_') {
+            tokens.shift();
+            assert(tokens.length > 0, 'Missing subscript in AsciiMath.');
+
+            item = {
+                type: 'subscript',
+                base: item,
+                subscript: ExpressionNode._parseAsciiMathArgument(tokens),
+            };
+        }
+
+        if(tokens[0] === '^') {
+            tokens.shift();
+            assert(tokens.length > 0, 'Missing exponent in AsciiMath.');
+
+            item = {
+                type: 'power',
+                base: item,
+                exponent: ExpressionNode._parseAsciiMathArgument(tokens),
+            };
+        }
+
+        return item;
+    }
+
+    /**
+     * Parse the argument of a script or fraction from the start of `tokens`
+     * as an array of items: an expression parsed by `parse`, unwrapped if it's
+     * bracketed, or preceded by a sign, e.g. the -2 of x^-2.
+     *
+     * @see this._parseAsciiMathIntermediate()
+     * @param  {Array}    tokens An array of AsciiMath tokens
+     * @param  {Function} parse  The function which parses the expression
+     * @return {Array}           An array of items
+     */
+    static _parseAsciiMathArgument(tokens, parse=ExpressionNode._parseAsciiMathSimple) {
+        if(['+', '-'].includes(tokens[0]) && tokens.length > 1) {
+            let sign = {type: 'text', text: tokens.shift()};
+            return [sign, parse(tokens)];
+        }
+
+        return ExpressionNode._unwrapAsciiMath(parse(tokens));
+    }
+
+    /**
+     * Parse a simple expression - a symbol, a bracketed expression or a
+     * function applied to a simple expression - from the start of `tokens`.
+     *
+     * Unmatched brackets and pipes are permitted, as they are when typing into
+     * the field.
+     *
+     * @see this._parseAsciiMathExpression()
+     * @param  {Array}  tokens An array of AsciiMath tokens
+     * @return {Object}        An item, @see _parseAsciiMathExpression()
+     */
+    static _parseAsciiMathSimple(tokens) {
+        let token = tokens.shift();
+
+        if(token in BRACKETS || token === '|') {
+            let close = token in BRACKETS ? BRACKETS[token] : '|';
+            let body = ExpressionNode._parseAsciiMathExpression(tokens, close);
+            if(tokens[0] === close) {
+                tokens.shift();
+            } else {
+                close = null;
+            }
+
+            let rows = token === '(' && close !== null
+                ? ExpressionNode._asciiMathMatrixRows(body) : null;
+            if(rows !== null) {
+                return {type: 'matrix', rows: rows};
+            }
+
+            return {type: 'group', open: token, close: close, body: body};
+        } else if(token === '[') {
+            let error = 'A matrix in square brackets must have a single row in AsciiMath, '
+                + 'e.g. [[1,2]].';
+            assert(tokens[0] === '[', error);
+            tokens.shift();
+            let body = ExpressionNode._parseAsciiMathExpression(tokens, ']');
+            assert(tokens[0] === ']' && tokens[1] === ']', error);
+            tokens.splice(0, 2);
+
+            return {type: 'matrixrow', body: body};
+        } else if(token === 'sqrt' || token === 'abs') {
+            assert(tokens.length > 0, `Missing argument to ${token} in AsciiMath.`);
+            let arg = ExpressionNode._unwrapAsciiMath(ExpressionNode._parseAsciiMathSimple(tokens));
+
+            if(token === 'sqrt') {
+                return {type: 'sqrt', radicand: arg};
+            } else {
+                return {type: 'group', open: '|', close: '|', body: arg};
+            }
+        } else if(token === 'root') {
+            assert(tokens.length > 1, 'Missing argument to root in AsciiMath.');
+            let index = ExpressionNode._parseAsciiMathSimple(tokens);
+            let radicand = ExpressionNode._parseAsciiMathSimple(tokens);
+
+            return {
+                type: 'root',
+                index: ExpressionNode._unwrapAsciiMath(index),
+                radicand: ExpressionNode._unwrapAsciiMath(radicand),
+            };
+        } else if(token === 'frac') {
+            assert(tokens.length > 1, 'Missing argument to frac in AsciiMath.');
+            let numerator = ExpressionNode._parseAsciiMathSimple(tokens);
+            let denominator = ExpressionNode._parseAsciiMathSimple(tokens);
+
+            return {
+                type: 'frac',
+                numerator: ExpressionNode._unwrapAsciiMath(numerator),
+                denominator: ExpressionNode._unwrapAsciiMath(denominator),
+            };
+        } else if(token === 'log' && tokens[0] === '_') {
+            tokens.shift();
+            assert(tokens.length > 0, 'Missing base of log in AsciiMath.');
+            let base = ExpressionNode._parseAsciiMathSimple(tokens);
+
+            return {type: 'log', base: ExpressionNode._unwrapAsciiMath(base)};
+        } else if(token.startsWith('"')) {
+            let symbol = token.slice(1, -1).trim();
+            assert(symbol in UNITS, `Unsupported AsciiMath unit: ${symbol}`);
+
+            return {type: 'unit', symbol: symbol};
+        } else if(token === 'int') {
+            return ExpressionNode._parseAsciiMathIntegral(tokens);
+        } else if(token === 'lim') {
+            return ExpressionNode._parseAsciiMathLimit(tokens);
+        } else if(Object.values(BIG_OPERATORS).some((operator) => operator.asciimath === token)) {
+            let op = Object.keys(BIG_OPERATORS).find((op) => BIG_OPERATORS[op].asciimath === token);
+            return ExpressionNode._parseAsciiMathBigOperator(op, tokens);
+        } else if(token in FUNCTIONS) {
+            return {type: 'text', text: token};
+        } else if(token in ASCIIMATH_NAMES) {
+            return {type: 'text', text: ASCIIMATH_NAMES[token]};
+        } else if(/^[0-9.]+$/.test(token) || /^[a-zA-Zα-ωΑ-Ω∞+\-*!)}=<>,;']$/.test(token)) {
+            return {type: 'text', text: token};
+        } else {
+            throw new Error(`Unsupported AsciiMath symbol: ${token}`);
+        }
+    }
+
+    /**
+     * Having found an 'int' token, parse an integral from the start of
+     * `tokens`: its limits, if any, are the '_' and '^' arguments which
+     * follow, and the integrand runs up to the variable of integration, a 'd'
+     * followed by a single letter, e.g. 'int_0^1 x^2 dx'.
+     *
+     * @see this._parseAsciiMathSimple()
+     * @param  {Array}  tokens An array of AsciiMath tokens
+     * @return {Object}        An 'integral' item
+     */
+    static _parseAsciiMathIntegral(tokens) {
+        let limits = {'_': [], '^': []};
+        while(tokens[0] === '_' || tokens[0] === '^') {
+            let limit = tokens.shift();
+            assert(tokens.length > 0, 'Missing limit of integral in AsciiMath.');
+            let value = ExpressionNode._parseAsciiMathSimple(tokens);
+            limits[limit] = ExpressionNode._unwrapAsciiMath(value);
+        }
+
+        let integrand = ExpressionNode._parseAsciiMathExpression(tokens,
+            ExpressionNode._isAsciiMathDifferential);
+        assert(tokens.length > 0, 'Missing d in AsciiMath integral.');
+        //'d'
+        tokens.shift();
+
+        return {
+            type: 'integral',
+            lower: limits['_'],
+            upper: limits['^'],
+            integrand: integrand,
+            variable: [ExpressionNode._parseAsciiMathIntermediate(tokens)],
+        };
+    }
+
+    /**
+     * Is the start of `tokens` the differential of an integral, i.e. a 'd'
+     * followed by a single letter, e.g. 'dx' but not 'dxy'? It may be
+     * followed by the differential of an enclosing integral, e.g. the 'dx' of
+     * 'int int xy dx dy'. Greek letters are tokens of their own, e.g. 'd',
+     * 'theta'.
+     *
+     * @see this._parseAsciiMathIntegral()
+     * @param  {Array}   tokens An array of AsciiMath tokens
+     * @return {Boolean}        Is it the differential?
+     */
+    static _isAsciiMathDifferential(tokens) {
+        let isLetter = (token) => /^[a-zA-Z]$/.test(token)
+            || (token in ASCIIMATH_NAMES && /^[α-ωΑ-Ω]$/.test(ASCIIMATH_NAMES[token]));
+
+        return tokens[0] === 'd' && tokens.length > 1 && isLetter(tokens[1])
+            && !(tokens.length > 2 && isLetter(tokens[2])
+                && !ExpressionNode._isAsciiMathDifferential(tokens.slice(2)));
+    }
+
+    /**
+     * Having found a 'sum' or 'prod' token, parse a sum or product from the
+     * start of `tokens`. The index variable and lower bound are in its '_'
+     * argument, e.g. '(n=1)', the upper bound is its '^' argument, and the
+     * body is the simple expression which follows, e.g. 'sum_(n=1)^oo (1/n)'.
+     *
+     * @see this._parseAsciiMathSimple()
+     * @param  {String} op     'sum' or 'product'
+     * @param  {Array}  tokens An array of AsciiMath tokens
+     * @return {Object}        A 'bigoperator' item
+     */
+    static _parseAsciiMathBigOperator(op, tokens) {
+        let message = `The ${op}'s index must be given as _(n=1) in AsciiMath.`;
+        assert(tokens[0] === '_' && tokens[1] === '(', message);
+        tokens.shift();
+
+        let group = ExpressionNode._parseAsciiMathSimple(tokens);
+        let index = ExpressionNode._unwrapAsciiMath(group);
+        let equals = index.findIndex((item) => item.type === 'text' && item.text === '=');
+        assert(equals > 0, message);
+
+        let upper = [];
+        if(tokens[0] === '^') {
+            tokens.shift();
+            assert(tokens.length > 0, `Missing upper bound of ${op} in AsciiMath.`);
+            upper = ExpressionNode._unwrapAsciiMath(ExpressionNode._parseAsciiMathSimple(tokens));
+        }
+        assert(tokens.length > 0, `Missing body of ${op} in AsciiMath.`);
+        let body = ExpressionNode._parseAsciiMathIntermediate(tokens);
+
+        return {
+            type: 'bigoperator',
+            op: op,
+            variable: index.slice(0, equals),
+            lower: index.slice(equals + 1),
+            upper: upper,
+            body: ExpressionNode._unwrapAsciiMath(body),
+        };
+    }
+
+    /**
+     * Having found a 'lim' token, parse the approach of a limit from the
+     * start of `tokens`: its '_' argument contains the variable, an arrow and
+     * the target, which may end in '+' or '-' for a one-sided limit, e.g.
+     * '_(x->0+)'. The limit applies to the term which follows, as in the
+     * field.
+     *
+     * @see this._parseAsciiMathSimple()
+     * @param  {Array}  tokens An array of AsciiMath tokens
+     * @return {Object}        A 'limit' item
+     */
+    static _parseAsciiMathLimit(tokens) {
+        let message = 'lim must be followed by _(x->a) in AsciiMath.';
+        assert(tokens[0] === '_' && tokens[1] === '(', message);
+        tokens.shift();
+
+        let isText = (item, text) => item !== undefined && item.type === 'text'
+            && item.text === text;
+        let group = ExpressionNode._parseAsciiMathSimple(tokens);
+        let approach = ExpressionNode._unwrapAsciiMath(group);
+        let arrow = approach.findIndex((item, i) => isText(item, '-')
+            && isText(approach[i + 1], '>'));
+        assert(arrow > 0, message);
+
+        return {
+            type: 'limit',
+            variable: approach.slice(0, arrow),
+            target: approach.slice(arrow + 2),
+        };
+    }
+
+    /**
+     * If the body of a parenthesised group is a comma-separated list of at
+     * least two parenthesised rows with the same number of cells, e.g. the body of
+     * ((1,2),(3,4)), it's a matrix: return its rows, each an array of cells.
+     * Otherwise return null. With a decimal comma, the rows and cells are
+     * separated by semicolons instead, e.g. ((1,5;2);(3;4)).
+     *
+     * @see this._parseAsciiMathSimple()
+     * @param  {Array} body An array of items
+     * @return {Array}      The rows, or null
+     */
+    static _asciiMathMatrixRows(body) {
+        let separator = body.length > 1 && body[1].type === 'text' ? body[1].text : null;
+        let isSeparator = (item) => item.type === 'text' && item.text === separator;
+        let isRow = (item) => item.type === 'group' && item.open === '(' && item.close !== null;
+
+        if(body.length < 3 || ![',', ';'].includes(separator)
+                || body.some((item, i) => i % 2 === 0 ? !isRow(item) : !isSeparator(item))) {
+            return null;
+        }
+
+        let rows = body.filter((item, i) => i % 2 === 0).map(function(row) {
+            let cells = [[]];
+            row.body.forEach(function(item) {
+                if(isSeparator(item)) {
+                    cells.push([]);
+                } else {
+                    cells[cells.length - 1].push(item);
+                }
+            });
+
+            return cells;
+        });
+
+        return rows.every((row) => row.length === rows[0].length) ? rows : null;
+    }
+
+    /**
+     * If `item` is a parenthesised group, return its contents. Otherwise
+     * return an array containing only `item`. Used for the arguments of
+     * fractions, exponents etc., whose parentheses aren't displayed.
+     *
+     * @see this._parseAsciiMathExpression()
+     * @param  {Object} item An item, @see _parseAsciiMathExpression()
+     * @return {Array}       An array of items
+     */
+    static _unwrapAsciiMath(item) {
+        if(item.type === 'group' && item.open === '(' && item.close === ')') {
+            return item.body;
+        } else {
+            return [item];
+        }
+    }
+
+    /**
+     * Append the nodes described by an array of AsciiMath items to this
+     * ExpressionNode.
+     *
+     * @see this._parseAsciiMathExpression()
+     * @param  {Array} items An array of items
+     */
+    _appendAsciiMathItems(items) {
+        let self = this;
+        items.forEach(function(item) {
+            switch(item.type) {
+                case 'text':
+                    self._appendString(item.text, []);
+                    break;
+                case 'group':
+                    self._appendString(item.open, []);
+                    self._appendAsciiMathItems(item.body);
+                    if(item.close !== null) {
+                        self._appendString(item.close, []);
+                    }
+                    break;
+                case 'frac':
+                    let divisionNode = new DivisionNode();
+                    self.cursor.insertAfter(divisionNode);
+
+                    self.cursor = divisionNode.numerator.startNode;
+                    self._appendAsciiMathItems(item.numerator);
+                    self.cursor = divisionNode.denominator.startNode;
+                    self._appendAsciiMathItems(item.denominator);
+
+                    self.cursor = divisionNode;
+                    break;
+                case 'sqrt':
+                    let squareRootNode = new SquareRootNode();
+                    self.cursor.insertAfter(squareRootNode);
+
+                    self.cursor = squareRootNode.radicand.startNode;
+                    self._appendAsciiMathItems(item.radicand);
+
+                    self.cursor = squareRootNode;
+                    break;
+                case 'root':
+                    let nthRootNode = new NthRootNode();
+                    self.cursor.insertAfter(nthRootNode);
+
+                    self.cursor = nthRootNode.index.startNode;
+                    self._appendAsciiMathItems(item.index);
+                    self.cursor = nthRootNode.radicand.startNode;
+                    self._appendAsciiMathItems(item.radicand);
+
+                    self.cursor = nthRootNode;
+                    break;
+                case 'log':
+                    let logNode = new LogNode();
+                    self.cursor.insertAfter(logNode);
+
+                    self.cursor = logNode.base.startNode;
+                    self._appendAsciiMathItems(item.base);
+
+                    self.cursor = logNode;
+                    break;
+                case 'power':
+                    self._appendAsciiMathItems([item.base]);
+
+                    let exponentNode = new ExponentNode();
+                    self.cursor.insertAfter(exponentNode);
+
+                    self.cursor = exponentNode.exponent.startNode;
+                    self._appendAsciiMathItems(item.exponent);
+
+                    self.cursor = exponentNode;
+                    break;
+                case 'subscript':
+                    self._appendAsciiMathItems([item.base]);
+
+                    let subscriptNode = new SubscriptNode();
+                    self.cursor.insertAfter(subscriptNode);
+
+                    self.cursor = subscriptNode.subscript.startNode;
+                    self._appendAsciiMathItems(item.subscript);
+
+                    self.cursor = subscriptNode;
+                    break;
+                case 'matrix':
+                    let matrixNode = new MatrixNode(item.rows.length, item.rows[0].length);
+                    self.cursor.insertAfter(matrixNode);
+
+                    item.rows.forEach(function(row, i) {
+                        row.forEach(function(cell, j) {
+                            self.cursor = matrixNode.cell(i, j).startNode;
+                            self._appendAsciiMathItems(cell);
+                        });
+                    });
+
+                    self.cursor = matrixNode;
+                    break;
+                case 'matrixrow':
+                    let cells = [[]];
+                    item.body.forEach(function(cellItem) {
+                        if(cellItem.type === 'text'
+                                && cellItem.text === self.numberFormat.separator) {
+                            cells.push([]);
+                        } else {
+                            cells[cells.length - 1].push(cellItem);
+                        }
+                    });
+                    self._appendAsciiMathItems([{type: 'matrix', rows: [cells]}]);
+                    break;
+                case 'unit':
+                    let unitNode = new UnitSymbolNode(item.symbol);
+                    self.cursor.insertAfter(unitNode);
+
+                    self.cursor = unitNode;
+                    break;
+                case 'integral':
+                    let integralNode = new IntegralNode();
+                    self.cursor.insertAfter(integralNode);
+
+                    ['lower', 'upper', 'integrand', 'variable'].forEach(function(slot) {
+                        self.cursor = integralNode[slot].startNode;
+                        self._appendAsciiMathItems(item[slot]);
+                    });
+
+                    self.cursor = integralNode;
+                    break;
+                case 'bigoperator':
+                    let bigOperatorNode = new BigOperatorNode(item.op);
+                    self.cursor.insertAfter(bigOperatorNode);
+
+                    ['variable', 'lower', 'upper', 'body'].forEach(function(slot) {
+                        self.cursor = bigOperatorNode[slot].startNode;
+                        self._appendAsciiMathItems(item[slot]);
+                    });
+
+                    self.cursor = bigOperatorNode;
+                    break;
+                case 'limit':
+                    let limitNode = new LimitNode();
+                    self.cursor.insertAfter(limitNode);
+
+                    ['variable', 'target'].forEach(function(slot) {
+                        self.cursor = limitNode[slot].startNode;
+                        self._appendAsciiMathItems(item[slot]);
+                    });
+
+                    self.cursor = limitNode;
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Insert a node `newNode` after the node `child`
+     * 
+     * @param  {MathNode} child   The child node after which newNode is being inserted
+     * @param  {MathNode} newNode The node being inserted
+     */
+    childInsertAfter(child, newNode) {
+        let index = this.indexOf(child);
+
+        newNode.parent = this;
+
+        //use internal names because we're modifying
+        this._nodes.splice(index+1, 0, newNode);
+
+        let nextSibling = child.element.nextSibling;
+        if(nextSibling !== null) {
+            this._element.insertBefore(newNode.element, nextSibling);
+        } else {
+            this._element.appendChild(newNode.element);
+        }
+
+        this.redraw();
+    }
+
+    /**
+     * If it exists, return the element left of `node` in this.nodes. If not,
+     * continue searching up the tree. Finding nothing, return `defaultNode`,
+     * which was the original node on which moveLeft() was called i.e. don't
+     * move the cursor.
+     * 
+     * @param  {MathNode} node The node whose neighbour is being searched for
+     * @param  {MathNode} defaultNode The node returned if nothing else is
+     * @return {MathNode}      The node to the left of `node`
+     */
+    childLeft(node, defaultNode) {
+        let index = this.indexOf(node);
+
+        if(index !== 0) {
+            return this.nodes[index - 1].cursorNodeFromRight;
+        } else if(this.parent !== null) {
+            return this.parent.childLeft(this, defaultNode);
+        } else {
+            return defaultNode;
+        }
+    }
+
+    /**
+     * Return the child right of `node`.
+     *
+     * @see  childLeft
+     */
+    childRight(node, defaultNode) {
+        let index = this.indexOf(node);
+
+        if(index+1 < this.nodes.length) {
+            return this.nodes[index + 1].cursorNodeFromLeft;
+        } else if(this.parent !== null) {
+            return this.parent.childRight(this, defaultNode);
+        } else {
+            return defaultNode;
+        }
+    }
+
+    /**
+     * Return the child above `node`. All nodes within an expression are the
+     * same height, so pass it up to parent.
+     *
+     * @see  childLeft
+     */
+    childUp(node, defaultNode) {
+        if(this.parent !== null) {
+            return this.parent.childUp(this, defaultNode);
+        } else {
+            return defaultNode;
+        }
+    }
+
+    /**
+     * Return the child below `node`. All nodes within an expression are the
+     * same height, so pass it up to parent.
+     *
+     * @see  childLeft
+     */
+    childDown(node, defaultNode) {
+        if(this.parent !== null) {
+            return this.parent.childDown(this, defaultNode);
+        } else {
+            return defaultNode;
+        }
+    }
+
+    /**
+     * Return the node after `node` when tabbing. Only nodes with slots to tab
+     * between, such as matrices, handle this, so pass it up to parent.
+     *
+     * @see  childLeft
+     */
+    childNext(node, defaultNode) {
+        if(this.parent !== null) {
+            return this.parent.childNext(this, defaultNode);
+        } else {
+            return defaultNode;
+        }
+    }
+
+    /**
+     * Return the node before `node` when tabbing, so pass it up to parent.
+     *
+     * @see  childNext
+     */
+    childPrevious(node, defaultNode) {
+        if(this.parent !== null) {
+            return this.parent.childPrevious(this, defaultNode);
+        } else {
+            return defaultNode;
+        }
+    }
+
+    /**
+     * Delete `node` from `_nodes` and remove from `_element`
+     * 
+     * @param  {MathNode} node The node to be deleted
+     */
+    childDelete(node) {
+        let index = this.indexOf(node);
+
+        this._nodes.splice(index, 1);
+        this._element.removeChild(node.element);
+
+        this.redraw();
+    }
+
+    indexOf(node) {
+        let index = this.nodes.findIndex((el) => el == node);
+
+        if(index == -1) {
+            throw new Error('Node not found.');
+        }
+
+        return index;
+    }
+}
+
+
+/**
+ * Virtual class, don't instantiate.
+ *
+ * A UnitNode is every element that isn't an ExpressionNode. Unlike
+ * ExpressionNodes which are a formless string of nodes, UnitNodes are
+ * unitary: they can be thought of as a single object whose internal structure
+ * is largely irrelevant to their parents.
+ */
+class UnitNode extends MathNode {
+    /**
+     * @constructs
+     *
+     * In addition to creating the element, register a listener for clicks so
+     * when the element is clicked on the cursor moves to it.
+     */
+    constructor(parent=null) {
+        super(parent);
+        this._element.classList.add('unit');
+
+        let self = this;
+        this._element.addEventListener('click', function(e) {
+            //setting cursor bubbles up to root node, see `set cursor`
+            self.cursor = self;
+            e.stopPropagation();
+        });
+    }
+
+    /**
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        //TODO remove magic number
+        let container = this.parent.parent;
+        if(container !== null
+                && (container instanceof ExponentNode || container instanceof SubscriptNode)) {
+            return 10;
+        } else {
+            return 17;
+        }
+    }
+
+    /**
+     * Get the center align position of `_element`
+     *
+     * @return {Number} Element center
+     */
+    get center() {
+        //TODO remove magic number
+        return 8.5;
+    }
+
+    /**
+     * Get a single character representation of a UnitNode to allow for parsing.
+     * AtomNodes return their character, StartNode returns '_', ExponentNode
+     * returns '^', SubscriptNode returns '~', prefix nodes like LogNode return
+     * '@', everything else
+     * returns '%', indicating that it will provide its own value using
+     * UnitNode.ast
+     * (ExponentNode has a different term because it can't be processed as a
+     * unit - it needs to know what term preceded it. Likewise prefix nodes
+     * need to know what term follows them, and provide `applyTo()` instead.)
+     *
+     * @abstract
+     * @return {String} The string to go in the value attribute
+     */
+    get precis() {
+        throw new Error('get precis() must be defined.');
+    }
+
+    /**
+     * Get a LaTeX representation of the node as it is displayed.
+     *
+     * @see  ExpressionNode.latex
+     * @abstract
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        throw new Error('get latex() must be defined.');
+    }
+
+    /**
+     * Get a presentation MathML representation of the node as it is
+     * displayed.
+     *
+     * @see  ExpressionNode.presentation
+     * @abstract
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        throw new Error('get presentation() must be defined.');
+    }
+
+    /**
+     * Get an AsciiMath representation of the node as it is displayed.
+     *
+     * @see  ExpressionNode.asciimath
+     * @abstract
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        throw new Error('get asciimath() must be defined.');
+    }
+
+    /**
+     * If the cursor is entering this node from the left, where should it go?
+     * Default to returning the node itself, but if node has substructure may
+     * want something else.
+     * 
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this;
+    }
+
+    /**
+     * If the cursor is entering this node from the right, where should it go?
+     * Default to returning the node itself, but if node has substructure may
+     * want something else.
+     * 
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromRight() {
+        return this;
+    }
+
+    /**
+     * If the cursor is entering this node from the above, where should it go?
+     * Default to returning the node itself, but if node has substructure may
+     * want something else.
+     * 
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromAbove() {
+        return this;
+    }
+
+    /**
+     * If the cursor is entering this node from the below, where should it go?
+     * Default to returning the node itself, but if node has substructure may
+     * want something else.
+     * 
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromBelow() {
+        return this;
+    }
+
+    /**
+     * Get the previous element in the parent Expression. Unlike nodeLeft, this
+     * will not return a node outside the expression.
+     * Returns null if `this` is first node.
+     * 
+     * @return {MathNode} The previous node
+     */
+    get previousSibling() {
+        let index = this.parent.indexOf(this);
+
+        if(index == 0) {
+            return null;
+        }
+
+        return this.parent.nodes[index - 1];
+    }
+
+
+    /** MISCELLANEOUS FUNCTIONS */
+
+    /**
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up.
+     * 
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     */
+    redraw(nodeParams) {
+        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
+        let diff = Math.floor(maxCenter - this.center);
+        this._element.style.marginTop = diff.toString() + 'px';
+    }
+
+    /**
+     * Get the element to the left of the current node. This may not be a
+     * sibling - it should be whatever element a user would expect a left
+     * keypress to move the cursor to.
+     *
+     * If the cursor can't move left, return defaultNode. Since childLeft
+     * bubbles up through the element tree, need to keep track of which node
+     * nodeLeft was originall called on.
+     *
+     * @param {MathNode} defaultNode The node to return if no left node
+     * @return {MathNode} The node to the left of this node
+     */
+     nodeLeft(defaultNode) {
+        if(typeof defaultNode == 'undefined')
+            defaultNode = this;
+
+        return this.parent.childLeft(this, defaultNode);
+     }
+
+    /**
+     * Get the element to the right of the current node.
+     *
+     * @see  nodeLeft()
+     * @return {MathNode} The node to the right of this node
+     */
+     nodeRight(defaultNode) {
+        if(typeof defaultNode == 'undefined')
+            defaultNode = this;
+        
+        return this.parent.childRight(this, defaultNode);
+     }
+
+    /**
+     * Get the element above the current node.
+     *
+     * @see  nodeLeft()
+     * @return {MathNode} The node above this node
+     */
+     nodeUp(defaultNode) {
+        if(typeof defaultNode == 'undefined')
+            defaultNode = this;
+
+        return this.parent.childUp(this, defaultNode);
+     }
+
+    /**
+     * Get the element below the current node.
+     *
+     * @see  nodeLeft()
+     * @return {MathNode} The node below this node
+     */
+     nodeDown(defaultNode) {
+        if(typeof defaultNode == 'undefined')
+            defaultNode = this;
+
+        return this.parent.childDown(this, defaultNode);
+     }
+
+    /**
+     * Get the node the cursor moves to on Tab, the start of the next slot of
+     * the node the cursor is in, e.g. the next cell of a matrix.
+     *
+     * @see  nodeLeft()
+     * @return {MathNode} The next node
+     */
+     nodeNext(defaultNode) {
+        if(typeof defaultNode == 'undefined')
+            defaultNode = this;
+
+        return this.parent.childNext(this, defaultNode);
+     }
+
+    /**
+     * Get the node the cursor moves to on Shift+Tab.
+     *
+     * @see  nodeNext()
+     * @return {MathNode} The previous node
+     */
+     nodePrevious(defaultNode) {
+        if(typeof defaultNode == 'undefined')
+            defaultNode = this;
+
+        return this.parent.childPrevious(this, defaultNode);
+     }
+
+    /**
+     * Since most elements are only on one level, default behaviour is to pass
+     * it up the chain (till it hits a division, probably.)
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childUp(node, defaultNode) {
+        return this.parent.childUp(this, defaultNode);
+    }
+
+    /**
+     * Since most elements are only on one level, default behaviour is to pass
+     * it up the chain (till it hits a division, probably.)
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childDown(node, defaultNode) {
+        return this.parent.childDown(this, defaultNode);
+    }
+
+    /**
+     * Most elements have no slots to tab between, so pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childNext(node, defaultNode) {
+        return this.parent.childNext(this, defaultNode);
+    }
+
+    /**
+     * Most elements have no slots to tab between, so pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childPrevious(node, defaultNode) {
+        return this.parent.childPrevious(this, defaultNode);
+    }
+
+    /**
+     * Delete this node
+     */
+    delete() {
+        this.parent.childDelete(this);
+    }
+}
+
+
+/**
+ * A StartNode is present as the first node of every ExpressionNode and nowhere
+ * else. Its purpose is to display the cursor if it is left of every other
+ * element in the ExpressionNode, and to provide an anchor to click on /
+ * interact with an empty expression.
+ */
+class StartNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(parent=null) {
+        super(parent);
+        this._element.classList.add('start');
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '_';
+    }
+
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        return '';
+    }
+
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return '';
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return '';
+    }
+}
+
+
+class AtomNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(parent);
+        this._char = char;
+        this._element.classList.add('atom');
+        this._element.innerHTML = this.displayChar;
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return this._char;
+    }
+
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        if(this._char in LATEX_SYMBOLS) {
+            return LATEX_SYMBOLS[this._char];
+        } else {
+            return this._char;
+        }
+    }
+
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        if(/^[a-zA-Zα-ωΑ-Ω∞π]$/.test(this._char)) {
+            return `<mi>${this._char}</mi>`;
+        } else if(/^[0-9.]$/.test(this._char)) {
+            return `<mn>${this._char}</mn>`;
+        } else if(this._char == '*') {
+            return '<mo>×</mo>';
+        } else if(this._char == '-') {
+            return '<mo>−</mo>';
+        } else if(this._char == '<') {
+            return '<mo>&lt;</mo>';
+        } else if(this._char == '>') {
+            return '<mo>&gt;</mo>';
+        } else if(this._char == "'") {
+            return '<mo>′</mo>';
+        } else {
+            return `<mo>${this._char}</mo>`;
+        }
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        if(this._char in ASCIIMATH_SYMBOLS) {
+            return ASCIIMATH_SYMBOLS[this._char];
+        } else {
+            return this._char;
+        }
+    }
+
+    /**
+     * Returns the character which should be displayed in the input field.
+     * Usually the same as `_char`, but not always.
+     * 
+     * @return {String} The character to be displayed
+     */
+    get displayChar() {
+        if(this._char == '*') {
+            return '&times;';
+        } else if(this._char == '<') {
+            return '&lt;';
+        } else if(this._char == '>') {
+            return '&gt;';
+        } else {
+            return this._char;
+        }
+    }
+}
+
+
+class DivisionNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(parent=null) {
+        super(parent);
+        this._element.classList.add('division');
+
+        this._numerator = new ExpressionNode(this);
+        this._numerator.element.classList.add('numerator');
+
+        this._denominator = new ExpressionNode(this);
+        this._denominator.element.classList.add('denominator');
+
+        this._element.appendChild(this._numerator.element);
+        this._element.appendChild(this._denominator.element);
+    }
+
+    /**
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        if(this.parent.parent !== null && (this.parent.parent instanceof ExponentNode)) {
+            return (this.numerator.height/1.7) + (this.denominator.height/1.7) + 5;
+        } else {
+            return this.numerator.height + this.denominator.height + 5;
+        }
+    }
+
+    /**
+     * @override
+     * @return {Number} Element center
+     */
+    get center() {
+        return this.numerator.height + 3;
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '%';
+    }
+
+    /**
+     * Get numerator
+     * @return {MathNode} Numerator
+     */
+    get numerator() {
+        return this._numerator;
+    }
+
+    /**
+     * Get denominator
+     * @return {MathNode} Denominator
+     */
+    get denominator() {
+        return this._denominator;
+    }
+
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.numerator.startNode;
+    }
+
+    /**
+     * Returns a syntax tree representing the DivisionNode.
+     * 
+     * @return {Object} The syntax tree representing this element
+     */
+    get ast() {
+        return {type: 'apply', op: 'divide', args: [this.numerator.ast, this.denominator.ast]};
+    }
+
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        return '\\frac{' + this.numerator.latex + '}{' + this.denominator.latex + '}';
+    }
+
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return '<mfrac>' + this.numerator.presentation + this.denominator.presentation + '</mfrac>';
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return this.numerator.asciimathArgument + '/' + this.denominator.asciimathArgument;
+    }
+
+    /**
+     * When creating a DivisionNode, should any previously typed elements be
+     * moved into the numerator? The decision is largely arbitrary, just trying
+     * to match expected behaviour i.e. if I type '1/2' I expect to get a
+     * fraction of one on two.
+     *
+     * Returns true if elements are collected, false otherwise. Used to
+     * determine where to put the cursor.
+     * 
+     * @return {Boolean} Were any elements added to numerator?
+     */
+    collectNumerator() {
+        let precis = '';
+        let node = this.previousSibling;
+        do {
+            precis = node.precis + precis;
+        } while(node = node.previousSibling)
+
+        //match everything that should move to numerator, fairly arbitrary:
+        //letters, numbers and non-letter constants like '∞' (if they're in the
+        //field's dictionary), with their exponents and subscripts
+        let symbols = Object.keys(this.dictionary.constants)
+            .filter((name) => !/^[a-zA-Zα-ωΑ-Ω]/.test(name))
+            .join('');
+        let match = precis.match(new RegExp(`[a-zA-Zα-ωΑ-Ω0-9%^~${symbols}]+$`));
+        if(match !== null) {
+            for(let i = 0; i < match[0].length; i++) {
+                this.numerator.startNode.insertAfter(this.previousSibling);
+            }
+
+            return true;
+        }
+
+        match = precis.match(/[)}]$/);
+        if(match !== null) {
+            let start = BracketNode.findMatchingParen(precis, precis.length-1);
+            if(start === null) {
+                start = 0;
+            }
+
+            let count = precis.length - start;
+            for(let i = 0; i < count; i++) {
+                this.numerator.startNode.insertAfter(this.previousSibling);
+            }
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * When moving left from a DivisionNode (i.e. cursor is right of the
+     * division), move into the end of the numerator rather than to the
+     * sibling node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+     nodeLeft(defaultNode) {
+        return this.numerator.endNode;
+     }
+
+    /**
+     * Called from either the numerator or denominator, return node to the
+     * left. In both cases, return the node left of DivisionNode in parent.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        return this.parent.childLeft(this, defaultNode);
+    }
+
+    /**
+     * Called from either the numerator or denominator, return node to the
+     * right. In both cases, return the DivisionNode itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        return this;
+    }
+
+    /**
+     * From denominator, provide numerator. Otherwise pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childUp(node, defaultNode) {
+        if(node == this.denominator) {
+            return this.numerator.startNode.cursorNodeFromBelow;
+        } else {
+            return this.parent.childUp(this, defaultNode);
+        }
+    }
+
+    /**
+     * From numerator, provide denominator. Otherwise pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childDown(node, defaultNode) {
+        if(node == this.numerator) {
+            return this.denominator.startNode.cursorNodeFromAbove;
+        } else {
+            return this.parent.childDown(this, defaultNode);
+        }
+    }
+}
+
+
+class BracketNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(parent);
+        this._char = char;
+        this._element.classList.add('parenthesis');
+
+        if(char === '(') {
+            this._element.classList.add('parenthesis-left');
+        } else if(char === ')') {
+            this._element.classList.add('parenthesis-right');
+        } else if(char === '{') {
+            this._element.classList.add('brace-left');
+        } else if(char === '}') {
+            this._element.classList.add('brace-right');
+        }
+    }
+
+    /**
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up.
+     * 
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     */
+    redraw(nodeParams) {
+        let precis = this.parent.precis;
+        let start = this.parent.indexOf(this);
+
+        let end = BracketNode.findMatchingParen(precis, start);
+        if(end === null) {
+            //This -1 is confusing, but the start and end are supposed to be
+            //the positions of the brackets. If there's no starting bracket,
+            //we imagine it just before the string, at position -1.
+            //Not to be confused with indexOf()'s -1 not present or slice()'s
+            //last element.
+            end = this._char in BRACKETS ? precis.length : -1;
+        }
+
+        if(start > end) {
+            [start, end] = [end, start];
+        }
+
+        let innerParams = nodeParams.slice(start+1, end);
+        //note this.height refers to default height, not css height
+        let maxInnerHeight = innerParams.reduce((acc, node) => Math.max(acc, node.height), this.height)
+
+        this._element.style.height = maxInnerHeight.toString() + 'px';
+        this._element.style.width = (maxInnerHeight / 8).toString() + 'px';
+
+        //because brackets grow with contents, we only want marginTop to
+        //increase if there are larger elements outside
+        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
+        let maxInnerCenter = innerParams.reduce((acc, node) => Math.max(acc, node.center), this.center)
+        let diff = Math.floor(maxCenter - maxInnerCenter);
+        this._element.style.marginTop = diff.toString() + 'px';
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return this._char;
+    }
+
+    /**
+     * Matched brackets are given \left and \right so that they scale with
+     * their contents like they do in the field. Unmatched ones can't be, as
+     * LaTeX requires \left and \right to be paired.
+     *
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        let index = this.parent.indexOf(this);
+        let match = BracketNode.findMatchingParen(this.parent.precis, index);
+        let char = /[{}]/.test(this._char) ? '\\' + this._char : this._char;
+
+        if(match === null) {
+            return char;
+        } else if(this._char in BRACKETS) {
+            return '\\left' + char;
+        } else {
+            return '\\right' + char;
+        }
+    }
+
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return `<mo>${this._char}</mo>`;
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return this._char;
+    }
+
+    /**
+     * Given a position of a bracket, e.g. '(' or '}', find its matching
+     * bracket, and return its location. Throw an error if `start` isn't a
+     * bracket.
+     * If there's no match, return null;
+     * 
+     * @param  {String} str    The string being scanned
+     * @param  {Number} start  The location of the open bracket
+     * @return {Number}        The location of the close bracket
+     */
+    static findMatchingParen(str, start) {
+        let depth = 1;
+        let closers = Object.values(BRACKETS);
+
+        if(str[start] in BRACKETS) {
+            let open = str[start];
+            let close = BRACKETS[open];
+            for(let i = start + 1; i < str.length; i++) {
+                if(str[i] == close) {
+                    depth--;
+                    if(depth == 0) {
+                        return i;
+                    }
+                } else if(str[i] == open) {
+                    depth++;
+                }
+            }
+
+            return null;
+        } else if(closers.includes(str[start])) {
+            let close = str[start];
+            let open = Object.keys(BRACKETS).find((char) => BRACKETS[char] === close);
+            for(let i = start - 1; i >= 0; i--) {
+                if(str[i] == open) {
+                    depth--;
+                    if(depth == 0) {
+                        return i;
+                    }
+                } else if(str[i] == close) {
+                    depth++;
+                }
+            }
+
+            return null;
+        }
+
+        throw new Error('Unrecognised parenthesis');
+    }
+
+    /**
+     * Replace all bracketed terms with # so that scanning functions can't
+     * see elements between brackets
+     * 
+     * @param  {String} str The unmasked string
+     * @return {String}     The masked string
+     */
+    static mask(str) {
+        let masked = str;
+        let start = -1;
+        while((start = masked.search(/[({]/)) != -1) {
+            let end = BracketNode.findMatchingParen(masked, start);
+
+            if(end === null) {
+                end = str.length - 1;
+            }
+
+            let len = end - start + 1;
+
+            masked = masked.substr(0, start) + '#'.repeat(len) + masked.substr(end + 1);
+        }
+
+        return masked;
+    }
+    
+    /**
+     * Given a string and an element in the string, find if it's inside
+     * of brackets and, if so, where they are.
+     * Responds with an array [open, close}, each of which are either a position
+     * or null
+     * 
+     * @param  {String} str   The string to be scanned
+     * @param  {Number} start The position whose context we want
+     * @return {Array}       The positions of the start and end of the context
+     */
+    static getContext(str, start) {
+        str = str.slice(0, start) + ')' + str.slice(start + 1);
+        let open = BracketNode.findMatchingParen(str, start);
+        str = str.slice(0, start) + '(' + str.slice(start + 1);
+        let close = BracketNode.findMatchingParen(str, start);
+
+        return [open, close];
+    }
+}
+
+
+class AbsoluteNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('pipe');
+
+        let pipeDisp = document.createElement('div');
+        pipeDisp.classList.add('pipe-display')
+        this._element.appendChild(pipeDisp);
+    }
+
+    /**
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up.
+     * 
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     */
+    redraw(nodeParams) {
+        let precis = this.parent.precis;
+        let start = this.parent.indexOf(this);
+
+        let end = AbsoluteNode.findMatchingPipe(precis, start);
+        if(end === null) {
+            let [open, close] = BracketNode.getContext(precis, start);
+
+            if(close !== null) {
+                end = close;
+            } else {
+                end = precis.length;
+            }
+        }
+
+        if(start > end) {
+            [start, end] = [end, start];
+        }
+
+        let innerParams = nodeParams.slice(start+1, end);
+        //note this.height refers to default height, not css height
+        let maxInnerHeight = innerParams.reduce((acc, node) => Math.max(acc, node.height), this.height)
+        let heightStr = maxInnerHeight.toString() + 'px';
+
+        this._element.style.height = heightStr;
+
+        //because pipes grow with contents, we only want marginTop to
+        //increase if there are larger elements outside
+        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
+        let maxInnerCenter = innerParams.reduce((acc, node) => Math.max(acc, node.center), this.center)
+        let diff = Math.floor(maxCenter - maxInnerCenter);
+        this._element.style.marginTop = diff.toString() + 'px';
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '|';
+    }
+
+    /**
+     * Matched pipes are given \left and \right so that they scale with their
+     * contents, @see BracketNode.latex
+     *
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        let index = this.parent.indexOf(this);
+        let match = AbsoluteNode.findMatchingPipe(this.parent.precis, index);
+
+        if(match === null) {
+            return '|';
+        } else if(match > index) {
+            return '\\left|';
+        } else {
+            return '\\right|';
+        }
+    }
+
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return '<mo>|</mo>';
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return '|';
+    }
+
+    /**
+     * Given a position of a pipe '|', find its matching element.
+     * Logic complicated, see function. Return null if no match.
+     * 
+     * @param  {String} str    The string being scanned
+     * @param  {Number} start  The location of the pipe we know
+     * @return {Number}        The location of the matching pipe
+     */
+    static findMatchingPipe(str, start) {
+        //first, find the start/end of the bracketed term we're in
+        let [open, close] = BracketNode.getContext(str, start);
+
+        if(open === null) {
+            open = -1;
+        }
+
+        if(close === null) {
+            close = str.length;
+        }
+
+        //mask everything outside of that context
+        let masked = '#'.repeat(open + 1) + str.slice(open + 1, close) + '#'.repeat(str.length - close);
+
+        //then mask all fully-enclosed bracketed terms inside the context
+        masked = BracketNode.mask(masked);
+
+        //now just pair them off from the start. if there are an odd number
+        //before, match backwards, otherwise match forwards.
+        let prevMatches = masked.substring(0, start).match(/\|/g);
+        if(prevMatches !== null && prevMatches.length % 2 == 1) {
+            return masked.lastIndexOf('|', start - 1);
+        } else {
+            let match = masked.indexOf('|', start + 1);
+
+            if(match !== -1) {
+                return match;
+            } else {
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Replace all matching pipes with # so that scanning functions can't
+     * see elements between the pipes.
+     * Because this runs after BracketNode.mask, we don't need to worry about
+     * context like we do in findMatchingPipes - just pair them off.
+     * 
+     * @param  {String} str The unmasked string
+     * @return {String}     The masked string
+     */
+    static mask(str) {
+        let masked = str;
+        let start = -1;
+        while((start = masked.indexOf('|')) != -1) {
+            let end = masked.indexOf('|', start + 1);
+
+            if(end === -1) {
+                end = str.length - 1;
+            }
+
+            let len = end - start + 1;
+
+            masked = masked.substr(0, start) + '#'.repeat(len) + masked.substr(end + 1);
+        }
+
+        return masked;
+    }
+}
+
+
+class ExponentNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('exponent');
+
+        this._exponent = new ExpressionNode(this);
+        this._exponent.element.classList.add('exponent-inner');
+        this._element.appendChild(this.exponent.element);
+    }
+
+    /**
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        //the logic here is:
+        // - this.center() returns the exponent's height - it sits entirely
+        //   above the centreline
+        // - if a parenthesis is typed, I want it to treat it as though
+        //   it extends down to the baseline
+        // - the difference between the centreline and the baseline is exactly
+        //   equal to a UnitNode's `height`-`center` (actually the same as
+        //   `center` for now but that could change)
+        // - the only UnitNode that's guaranteed to exist is the StartNode
+        // - so calculate its difference, and add it to the height
+        let startHeight = this.parent.startNode.height;
+        let startCenter = this.parent.startNode.center;
+        let diff = startCenter;
+
+        return Math.max(this.exponent.height, 17) + diff;
+    }
+
+    /**
+     * Lines up bottom of exponent with centreline.
+     * @override
+     * @return {Number} Element center
+     */
+    get center() {
+        //TODO get rid of magic number. I don't know why it's necessary, but it
+        //doesn't sit on the centreline without it. (In fairness it sits
+        //considerably above the centreline with it, but it looks good and
+        //should be kept there.)
+        return Math.max(this.exponent.height, 17);
+    }
+
+    /**
+     * Get exponent
+     * @return {MathNode} Numerator
+     */
+    get exponent() {
+        return this._exponent;
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '^';
+    }
+
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.exponent.startNode;
+    }
+
+
+    /**
+     * Returns a syntax tree representing the ExponentNode.
+     * 
+     * @return {Object} The syntax tree representing this element
+     */
+    get ast() {
+        return this.exponent.ast;
+    }
+
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        return '^{' + this.exponent.latex + '}';
+    }
+
+    /**
+     * Returns the presentation MathML of the exponent only. The base is
+     * added, inside an <msup>, by the parent ExpressionNode.
+     *
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return this.exponent.presentation;
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return '^' + this.exponent.asciimathArgument;
+    }
+
+    /**
+     * When moving left from an ExponentNode (i.e. cursor is right of the
+     * entire ExponentNode), move into the end of the exponent rather than to
+     * the sibling node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+     nodeLeft(defaultNode) {
+        return this.exponent.endNode;
+     }
+
+    /**
+     * Called from inside the exponent, return node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        return this.parent.childLeft(this, defaultNode);
+    }
+
+    /**
+     * Called from inside the exponent, return node to the right, which for
+     * cursor purposes is the ExponentNode itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        return this;
+    }
+}
+
+
+/**
+ * The subscript of a variable, e.g. the 1 in x₁. Like an ExponentNode it
+ * attaches to the node before it; the parser treats the two as a single
+ * identifier.
+ */
+class SubscriptNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('subscript');
+
+        this._subscript = new ExpressionNode(this);
+        this._subscript.element.classList.add('subscript-inner');
+        this._element.appendChild(this.subscript.element);
+    }
+
+    /**
+     * The subscript hangs below the baseline by a little over half its
+     * height, leaving the center level with the base.
+     *
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        return Math.max(super.height, this.subscript.height + 12);
+    }
+
+    /**
+     * Get subscript
+     * @return {MathNode} Subscript
+     */
+    get subscript() {
+        return this._subscript;
+    }
+
+    /**
+     * Get the subscript as it appears in the variable's name, e.g. '1' for
+     * x₁. Subscripts may only contain letters and numbers.
+     *
+     * @return {String} The subscript
+     */
+    get subscriptName() {
+        let name = this.subscript.precis.slice(1);
+
+        if(name === '') {
+            throw new ParseError('Empty subscript.', 'empty', [this.subscript.startNode]);
+        } else if(!/^[a-zA-Zα-ωΑ-Ω0-9]+$/.test(name)) {
+            throw new ParseError('Subscripts may only contain letters and numbers.',
+                'unexpected-symbol', [this]);
+        }
+
+        return name;
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '~';
+    }
+
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.subscript.startNode;
+    }
+
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        return '_{' + this.subscript.latex + '}';
+    }
+
+    /**
+     * Returns the presentation MathML of the subscript only. The base is
+     * added, inside an <msub>, by the parent ExpressionNode.
+     *
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return this.subscript.presentation;
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return '_' + this.subscript.asciimathArgument;
+    }
+
+    /**
+     * When moving left from a SubscriptNode (i.e. cursor is right of the
+     * entire SubscriptNode), move into the end of the subscript rather than
+     * to the sibling node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+     nodeLeft(defaultNode) {
+        return this.subscript.endNode;
+     }
+
+    /**
+     * Called from inside the subscript, return node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        return this.parent.childLeft(this, defaultNode);
+    }
+
+    /**
+     * Called from inside the subscript, return node to the right, which for
+     * cursor purposes is the SubscriptNode itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        return this;
+    }
+}
+
+
+class SquareRootNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('square-root');
+
+        this._radix = document.createElement('div');
+        this._radix.classList.add('radix');
+        this._element.appendChild(this.radix);
+
+        this._radicand = new ExpressionNode(this);
+        this._radicand.element.classList.add('radicand');
+        this._element.appendChild(this.radicand.element);
+    }
+
+    /**
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up.
+     * 
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     */
+    redraw(nodeParams) {
+        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
+        let diff = Math.floor(maxCenter - this.center);
+        this._element.style.marginTop = diff.toString() + 'px';
+
+        let heightString = this.height.toString() + 'px';
+        this._radix.style.height = heightString;
+        //numbers are just the width:height ratio of the radix graphic
+        this._radix.style.width = ((this.height*21)/38).toString() + '10px';
+        this._radicand.element.style.height = heightString;
+    }
+
+    /**
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        return this.radicand.height;
+    }
+
+    /**
+     * @override
+     * @return {Number} Element center
+     */
+    get center() {
+        return this.radicand.height / 2;
+    }
+
+    /**
+     * Get radix
+     * @return {MathNode} Radix
+     */
+    get radix() {
+        return this._radix;
+    }
+
+    /**
+     * Get radicand
+     * @return {MathNode} Radicand
+     */
+    get radicand() {
+        return this._radicand;
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '%';
+    }
+
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.radicand.startNode;
+    }
+
+
+    /**
+     * Returns a syntax tree representing the SquareRootNode.
+     * 
+     * @return {Object} The syntax tree representing this element
+     */
+    get ast() {
+        return {
+            type: 'apply',
+            op: 'root',
+            degree: {type: 'cn', value: '2'},
+            args: [this.radicand.ast],
+        };
+    }
+
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        return '\\sqrt{' + this.radicand.latex + '}';
+    }
+
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return '<msqrt>' + this.radicand.presentation + '</msqrt>';
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return 'sqrt(' + this.radicand.asciimath + ')';
+    }
+
+    /**
+     * When moving left from an SquareRootNode (i.e. cursor is right of the
+     * root), move into the end of the radicand rather than to the
+     * sibling node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+     nodeLeft(defaultNode) {
+        return this.radicand.endNode;
+     }
+
+    /**
+     * Called from radicand, return node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        return this.parent.childLeft(this, defaultNode);
+    }
+
+    /**
+     * Called from radicand, return node to the right, which for cursor
+     * purposes is the SquareRootNode itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        return this;
+    }
+}
+
+
+
+/**
+ * A logarithm with an editable base, displayed as 'log' with the base as a
+ * subscript. Like a function name it applies to the term which follows it,
+ * so its precis is '@' and it provides `applyTo()` rather than `ast`.
+ */
+class LogNode extends UnitNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('log');
+
+        let label = document.createElement('div');
+        label.classList.add('log-label');
+        label.innerHTML = 'log';
+        this._element.appendChild(label);
+
+        this._base = new ExpressionNode(this);
+        this._base.element.classList.add('log-base');
+        this._element.appendChild(this.base.element);
+    }
+
+    /**
+     * The base hangs below the baseline by a little over half its height.
+     *
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        return Math.max(super.height, this.base.height + 12);
+    }
+
+    /**
+     * Get base
+     * @return {MathNode} Base
+     */
+    get base() {
+        return this._base;
+    }
+
+    /**
+     * The name of the function, for error messages.
+     *
+     * @return {String} The function name
+     */
+    get name() {
+        return 'log';
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '@';
+    }
+
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.base.startNode;
+    }
+
+    /**
+     * Returns a syntax tree representing the logarithm of `ast`.
+     *
+     * @param  {Object} ast The syntax tree of the term which follows the node
+     * @return {Object}     The syntax tree of its logarithm
+     */
+    applyTo(ast) {
+        return {type: 'apply', op: 'log', logbase: this.base.ast, args: [ast]};
+    }
+
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        return '\\log_{' + this.base.latex + '}';
+    }
+
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        //&#x2061; is the invisible function application operator
+        return '<msub><mi>log</mi>' + this.base.presentation + '</msub><mo>&#x2061;</mo>';
+    }
+
+    /**
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        return 'log_' + this.base.asciimathArgument;
+    }
+
+    /**
+     * When moving left from a LogNode (i.e. cursor is right of the entire
+     * LogNode), move into the end of the base rather than to the sibling node
+     * to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+     nodeLeft(defaultNode) {
+        return this.base.endNode;
+     }
+
+    /**
+     * Called from inside the base, return node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        return this.parent.childLeft(this, defaultNode);
+    }
+
+    /**
+     * Called from inside the base, return node to the right, which for
+     * cursor purposes is the LogNode itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        return this;
+    }
+}
+
+
+/**
+ * A root of any degree, e.g. a cube root. Displayed like a SquareRootNode,
+ * with an editable index in the crook of the radical.
+ */
+class NthRootNode extends SquareRootNode {
+    /**
+     * @constructs
+     */
+    constructor(char, parent=null) {
+        super(char, parent);
+        this._element.classList.add('nth-root');
 
-                this._appendString('cos(%)', args);
-                break;
-            case 'tan':
-                assertChildren(node, 2);
+        this._index = new ExpressionNode(this);
+        this._index.element.classList.add('root-index');
+        this._element.insertBefore(this.index.element, this.radix);
+    }
 
-                this._appendString('tan(%)', args);
-                break;
-            case 'arcsin':
-                assertChildren(node, 2);
+    /**
+     * The index is drawn above the radix's crook, so if it's tall the radix
+     * has to grow to fit it.
+     *
+     * @override
+     * @return {Number} Element height
+     */
+    get height() {
+        return Math.max(this.radicand.height, this.index.height * 2);
+    }
 
-                this._appendString('arcsin(%)', args);
-                break;
-            case 'arccos':
-                assertChildren(node, 2);
+    /**
+     * @override
+     * @return {Number} Element center
+     */
+    get center() {
+        return this.height / 2;
+    }
 
-                this._appendString('arccos(%)', args);
-                break;
-            case 'arctan':
-                assertChildren(node, 2);
+    /**
+     * Get index
+     * @return {MathNode} Index
+     */
+    get index() {
+        return this._index;
+    }
 
-                this._appendString('arctan(%)', args);
-                break;
-            case 'abs':
-                assertChildren(node, 2);
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.index.startNode;
+    }
 
-                this._appendString('|%|', args);
-                break;
-            case 'ln':
-                assertChildren(node, 2);
+    /**
+     * Returns a syntax tree representing the NthRootNode.
+     * 
+     * @return {Object} The syntax tree representing this element
+     */
+    get ast() {
+        return {
+            type: 'apply',
+            op: 'root',
+            degree: this.index.ast,
+            args: [this.radicand.ast],
+        };
+    }
 
-                this._appendString('ln(%)', args);
-                break;
-            case 'factorial':
-                assertChildren(node, 2);
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        return '\\sqrt[' + this.index.latex + ']{' + this.radicand.latex + '}';
+    }
 
-                this._appendString('%!', args);
-                break;
-            default:
-                throw new Error('Unknown <apply> action: ' + action);
-        }
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        return '<mroot>' + this.radicand.presentation + this.index.presentation + '</mroot>';
     }
 
     /**
-     * Take the arguments from a <minus> node from a MathML XML document and
-     * append its content to this ExpressionNode.
-     * 
-     * @see this._appendMathMLApplyNode()
-     * @param  {Array}  args An array of XML elements, the arguments to the
-     *                       <minus> node.
+     * @override
+     * @return {String} The AsciiMath string representing this node
      */
-    _appendMathMLMinusNode(args) {
-        let node_right = args[args.length - 1];
-        let type_right = ExpressionNode._nodeType(node_right);
+    get asciimath() {
+        return 'root(' + this.index.asciimath + ')(' + this.radicand.asciimath + ')';
+    }
 
-        if(['plus', 'minus'].includes(type_right)) {
-            var layout_right = '(%)';
-        } else if(type_right == 'cn' && node_right.textContent.startsWith('-')) {
-            // If we're subtracting a negative number
-            var layout_right = '(%)';
+    /**
+     * Called from the index or radicand, return node to the left. From the
+     * radicand, that's the end of the index.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        if(node == this.radicand) {
+            return this.index.endNode;
         } else {
-            var layout_right = '%';
+            return this.parent.childLeft(this, defaultNode);
         }
+    }
 
-        if(args.length === 2) {
-            this._appendString('%-' + layout_right, args);
+    /**
+     * Called from the index or radicand, return node to the right. From the
+     * index, that's the start of the radicand, otherwise it's the NthRootNode
+     * itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        if(node == this.index) {
+            return this.radicand.startNode;
         } else {
-            this._appendString('-' + layout_right, args);
+            return this;
         }
     }
 
     /**
-     * Take the arguments from a <times> node from a MathML XML document and
-     * append its content to this ExpressionNode.
-     * 
-     * @see this._appendMathMLApplyNode()
-     * @param  {Array}  args An array of XML elements, the arguments to the
-     *                       <times> node.
+     * From radicand, provide index. Otherwise pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
      */
-    _appendMathMLTimesNode(args) {
-        let layout_left = '%';
-        let layout_right = '%';
-
-        let type_left = ExpressionNode._nodeType(args[0]);
-        if(['plus', 'minus'].includes(type_left)) {
-            layout_left = '(%)';
+    childUp(node, defaultNode) {
+        if(node == this.radicand) {
+            return this.index.endNode;
+        } else {
+            return this.parent.childUp(this, defaultNode);
         }
+    }
 
-        let type_right = ExpressionNode._nodeType(args[1]);
-        if(['plus', 'minus'].includes(type_right)) {
-            layout_right = '(%)';
+    /**
+     * From index, provide radicand. Otherwise pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childDown(node, defaultNode) {
+        if(node == this.index) {
+            return this.radicand.startNode;
+        } else {
+            return this.parent.childDown(this, defaultNode);
         }
-
-        this._appendString(layout_left + layout_right, args);
     }
+}
+
 
+/**
+ * The operator of a derivative in Leibniz notation, e.g. d/dx, or d²/dx² for a
+ * higher order derivative. Like a LogNode, it's applied to the term which
+ * follows it. The variable and the order are editable, and the order is
+ * mirrored after the variable in the denominator.
+ */
+class DerivativeNode extends UnitNode {
     /**
-     * Take the arguments from a <divide> node from a MathML XML document and
-     * append its content to this ExpressionNode.
-     * 
-     * @see this._appendMathMLApplyNode()
-     * @param  {Array}  args An array of XML elements, the arguments (numerator
-     *                       and denominator) to the <divide> node.
+     * @constructs
      */
-    _appendMathMLDivideNode(args) {
-        let divisionNode = new DivisionNode();
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('derivative');
 
-        this.cursor.insertAfter(divisionNode);
+        let top = document.createElement('div');
+        top.classList.add('derivative-top');
+        top.appendChild(DerivativeNode._label());
+        this._element.appendChild(top);
 
-        this.cursor = divisionNode.numerator.startNode;
-        this.appendMathMLNode(args[0]);
-        this.cursor = divisionNode.denominator.startNode;
-        this.appendMathMLNode(args[1]);
+        this._order = new ExpressionNode(this);
+        this._order.element.classList.add('derivative-order');
+        top.appendChild(this.order.element);
 
-        this.cursor = divisionNode;
+        let bottom = document.createElement('div');
+        bottom.classList.add('derivative-bottom');
+        bottom.appendChild(DerivativeNode._label());
+        this._element.appendChild(bottom);
+
+        this._variable = new ExpressionNode(this);
+        this._variable.element.classList.add('derivative-variable');
+        bottom.appendChild(this.variable.element);
+
+        this._orderMirror = document.createElement('div');
+        this._orderMirror.classList.add('derivative-order-mirror');
+        bottom.appendChild(this._orderMirror);
     }
 
     /**
-     * Take the arguments from a <power> node from a MathML XML document and
-     * append its content to this ExpressionNode.
-     * 
-     * @see this._appendMathMLApplyNode()
-     * @param  {Array}  args An array of XML elements, the arguments (base and
-     *                       exponent) to the <power> node.
+     * Build the 'd' which starts the top and bottom of the fraction.
+     *
+     * @return {Element} The label element
      */
-    _appendMathMLPowerNode(args) {
-        // First, insert the base
-        let layout_base = '(%)';
-
-        let type_base = ExpressionNode._nodeType(args[0]);
-        if(['ci', 'cn', 'pi', 'exponentiale', 'infinity'].includes(type_base)) {
-            layout_base = '%';
-        }
-        this._appendString(layout_base, args.slice(0, 1))
+    static _label() {
+        let label = document.createElement('div');
+        label.classList.add('derivative-label');
+        label.innerHTML = 'd';
 
-        // Then, create the exponent
-        let exponentNode = new ExponentNode();
-        this.cursor.insertAfter(exponentNode);
+        return label;
+    }
 
-        this.cursor = exponentNode.exponent.startNode;
-        this.appendMathMLNode(args[1]);
+    /**
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up, and copy the order after the variable.
+     *
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     */
+    redraw(nodeParams) {
+        super.redraw(nodeParams);
 
-        this.cursor = exponentNode;
+        this._orderMirror.textContent = this.order.asciimath;
     }
 
     /**
-     * Take the arguments from a <root> node from a MathML XML document and
-     * append its content to this ExpressionNode.
-     *
-     * NOTE: This simply ignores the radix, if provided, as the input field can
-     * only support square roots currently.
-     * 
-     * @see this._appendMathMLApplyNode()
-     * @param  {Array}  args An array of XML elements, the argument to the
-     *                       <root> node.
+     * @override
+     * @return {Number} Element height
      */
-    _appendMathMLRootNode(args) {
-        // Then, create the exponent
-        let squareRootNode = new SquareRootNode();
-        this.cursor.insertAfter(squareRootNode);
+    get height() {
+        return 17 + Math.max(17, this.variable.height) + 5;
+    }
 
-        this.cursor = squareRootNode.radicand.startNode;
+    /**
+     * @override
+     * @return {Number} Element center
+     */
+    get center() {
+        return 20;
+    }
 
-        if(args.length == 2) { // If a radix is provided
-            this.appendMathMLNode(args[1]);
-        } else {
-            this.appendMathMLNode(args[0]);
-        }
+    /**
+     * Get variable
+     * @return {MathNode} The variable of differentiation
+     */
+    get variable() {
+        return this._variable;
+    }
 
-        this.cursor = squareRootNode;
+    /**
+     * Get order
+     * @return {MathNode} The order of the derivative, empty for the first
+     */
+    get order() {
+        return this._order;
     }
 
     /**
-     * Take a MathML node and, if it's an <apply> node, return its first node's
-     * tagName, otherwise return its tagName.
+     * Does the derivative have an order, i.e. is it higher than the first?
      *
-     * `node` is an XML node output by DOMParser.
+     * @return {Boolean} Is there an order?
+     */
+    get hasOrder() {
+        return this.order.nodes.length > 1;
+    }
+
+    /**
+     * The name of the function, for error messages.
      *
-     * E.g.: ( let pFS() be DOMParser.parseFromString() )
-     * _nodeType(pFS('<cn>2</cn>')) => 'cn'
-     * _nodeType(pFS('<apply><minus/><cn>2</cn></apply>')) => 'minus'
-     * 
-     * @see this._appendMathMLApplyNode()
-     * @param  {Element}  node A MathML node
-     * @return {String}        The type of the node, as described above
+     * @return {String} The function name
      */
-    static _nodeType(node) {
-        if(node.tagName === 'apply') {
-            return node.firstChild.tagName;
-        } else {
-            return node.tagName;
-        }
+    get name() {
+        return 'derivative';
     }
 
     /**
-     * Append to thi sExpressionNode the value represented by the string,
-     * substituting '%' characters with entries from `args`.
-     * 
-     * `args` is a list of MathML nodes, as returned by DOMParser, which are to
-     * be substituted into the output.
-     * 
-     * @see this._appendMathMLApplyNode()
-     * @param  {String}  str  A string of characters to be converted into
-     *                        MathNodes
-     * @param  {Array}   args An array of MathML nodes
+     * @override
+     * @return {String} The node precis
      */
-    _appendString(str, args) {
-        let argIndex = 0;
+    get precis() {
+        return '@';
+    }
 
-        let ret = [];
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.variable.startNode;
+    }
+
+    /**
+     * Returns a syntax tree representing the derivative of `ast`.
+     *
+     * @param  {Object} ast The syntax tree of the term which follows the node
+     * @return {Object}     The syntax tree of its derivative
+     */
+    applyTo(ast) {
+        let variable = this.variable.ast;
+        if(variable.type !== 'ci') {
+            throw new ParseError('A derivative must be with respect to a variable.',
+                'unexpected-symbol', this.variable.nodes.slice(1));
+        }
 
-        let self = this;
-        str.split('').forEach(function(char) {
-            if(char === '%') {
-                self.appendMathMLNode(args[argIndex++])
-            } else {
-                let node = MathNode.buildFromCharacter(char);
-                self.cursor.insertAfter(node);
-                self.cursor = node;
-            }
-        });
+        let derivative = {type: 'apply', op: 'diff', bvar: variable, args: [ast]};
+        if(this.hasOrder) {
+            derivative.degree = this.order.ast;
+        }
 
-        return ret;
+        return derivative;
     }
 
     /**
-     * Insert a node `newNode` after the node `child`
-     * 
-     * @param  {MathNode} child   The child node after which newNode is being inserted
-     * @param  {MathNode} newNode The node being inserted
+     * @override
+     * @return {String} The LaTeX string representing this node
      */
-    childInsertAfter(child, newNode) {
-        let index = this.indexOf(child);
-
-        newNode.parent = this;
+    get latex() {
+        let order = this.hasOrder ? '^{' + this.order.latex + '}' : '';
 
-        //use internal names because we're modifying
-        this._nodes.splice(index+1, 0, newNode);
+        return '\\frac{d' + order + '}{d' + this.variable.latex + order + '}';
+    }
 
-        let nextSibling = child.element.nextSibling;
-        if(nextSibling !== null) {
-            this._element.insertBefore(newNode.element, nextSibling);
-        } else {
-            this._element.appendChild(newNode.element);
+    /**
+     * @override
+     * @return {String} The presentation MathML string representing this node
+     */
+    get presentation() {
+        let numerator = '<mi>d</mi>';
+        let variable = this.variable.presentation;
+        if(this.hasOrder) {
+            numerator = '<msup>' + numerator + this.order.presentation + '</msup>';
+            variable = '<msup>' + variable + this.order.presentation + '</msup>';
         }
 
-        this.redraw();
+        return '<mfrac>' + numerator + '<mrow><mi>d</mi>' + variable + '</mrow></mfrac>';
     }
 
     /**
-     * If it exists, return the element left of `node` in this.nodes. If not,
-     * continue searching up the tree. Finding nothing, return `defaultNode`,
-     * which was the original node on which moveLeft() was called i.e. don't
-     * move the cursor.
-     * 
-     * @param  {MathNode} node The node whose neighbour is being searched for
-     * @param  {MathNode} defaultNode The node returned if nothing else is
-     * @return {MathNode}      The node to the left of `node`
+     * AsciiMath can't be parsed back into a DerivativeNode, but is written in
+     * the same form as a fraction, e.g. (d^2)/(dx^2).
+     *
+     * @override
+     * @return {String} The AsciiMath string representing this node
      */
-    childLeft(node, defaultNode) {
-        let index = this.indexOf(node);
-
-        if(index !== 0) {
-            return this.nodes[index - 1].cursorNodeFromRight;
-        } else if(this.parent !== null) {
-            return this.parent.childLeft(this, defaultNode);
+    get asciimath() {
+        if(this.hasOrder) {
+            let order = '^' + this.order.asciimathArgument;
+            return '(d' + order + ')/(d' + this.variable.asciimath + order + ')';
         } else {
-            return defaultNode;
+            return 'd/(d' + this.variable.asciimath + ')';
         }
     }
 
     /**
-     * Return the child right of `node`.
+     * When moving left from a DerivativeNode (i.e. cursor is right of the
+     * entire DerivativeNode), move into the end of the variable rather than
+     * to the sibling node to the left.
      *
-     * @see  childLeft
+     * @override
+     * @return {MathNode} The new cursor node
      */
-    childRight(node, defaultNode) {
-        let index = this.indexOf(node);
+     nodeLeft(defaultNode) {
+        return this.variable.endNode;
+     }
 
-        if(index+1 < this.nodes.length) {
-            return this.nodes[index + 1].cursorNodeFromLeft;
-        } else if(this.parent !== null) {
-            return this.parent.childRight(this, defaultNode);
+    /**
+     * Called from the variable or order, return node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        return this.parent.childLeft(this, defaultNode);
+    }
+
+    /**
+     * Called from the variable or order, return node to the right. From the
+     * order, that's the start of the variable, otherwise it's the
+     * DerivativeNode itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        if(node == this.order) {
+            return this.variable.startNode;
         } else {
-            return defaultNode;
+            return this;
         }
     }
 
     /**
-     * Return the child above `node`. All nodes within an expression are the
-     * same height, so pass it up to parent.
+     * From variable, provide order. Otherwise pass it up the chain.
      *
-     * @see  childLeft
+     * @override
+     * @return {MathNode} The new cursor node
      */
     childUp(node, defaultNode) {
-        if(this.parent !== null) {
-            return this.parent.childUp(this, defaultNode);
+        if(node == this.variable) {
+            return this.order.endNode;
         } else {
-            return defaultNode;
+            return this.parent.childUp(this, defaultNode);
         }
     }
 
     /**
-     * Return the child below `node`. All nodes within an expression are the
-     * same height, so pass it up to parent.
+     * From order, provide variable. Otherwise pass it up the chain.
      *
-     * @see  childLeft
+     * @override
+     * @return {MathNode} The new cursor node
      */
     childDown(node, defaultNode) {
-        if(this.parent !== null) {
-            return this.parent.childDown(this, defaultNode);
+        if(node == this.order) {
+            return this.variable.endNode;
         } else {
-            return defaultNode;
+            return this.parent.childDown(this, defaultNode);
         }
     }
+}
 
+
+/**
+ * An integral, with an integrand, a variable of integration and optional
+ * limits. The limits are editable slots above and below an integral sign
+ * which, like the radix of a SquareRootNode, grows with the integrand.
+ */
+class IntegralNode extends UnitNode {
     /**
-     * Delete `node` from `_nodes` and remove from `_element`
-     * 
-     * @param  {MathNode} node The node to be deleted
+     * @constructs
      */
-    childDelete(node) {
-        let index = this.indexOf(node);
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('integral');
 
-        this._nodes.splice(index, 1);
-        this._element.removeChild(node.element);
+        let limits = document.createElement('div');
+        limits.classList.add('integral-limits');
+        this._element.appendChild(limits);
 
-        this.redraw();
-    }
+        this._upper = new ExpressionNode(this);
+        this._upper.element.classList.add('integral-upper');
+        limits.appendChild(this.upper.element);
 
-    indexOf(node) {
-        let index = this.nodes.findIndex((el) => el == node);
+        this._sign = document.createElement('div');
+        this._sign.classList.add('integral-sign');
+        limits.appendChild(this._sign);
 
-        if(index == -1) {
-            throw new Error('Node not found.');
-        }
+        this._lower = new ExpressionNode(this);
+        this._lower.element.classList.add('integral-lower');
+        limits.appendChild(this.lower.element);
 
-        return index;
+        this._integrand = new ExpressionNode(this);
+        this._integrand.element.classList.add('integrand');
+        this._element.appendChild(this.integrand.element);
+
+        this._label = document.createElement('div');
+        this._label.classList.add('integral-label');
+        this._label.innerHTML = 'd';
+        this._element.appendChild(this._label);
+
+        this._variable = new ExpressionNode(this);
+        this._variable.element.classList.add('integral-variable');
+        this._element.appendChild(this.variable.element);
     }
-}
 
+    /**
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up. The integral sign is stretched to fit the
+     * integrand, and the variable lined up with the integrand's center.
+     *
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     */
+    redraw(nodeParams) {
+        super.redraw(nodeParams);
+
+        let signHeight = this._bodyHeight + 6;
+        this._sign.style.height = signHeight.toString() + 'px';
+        //numbers are just the width:height ratio of the sign graphic
+        this._sign.style.width = ((signHeight*12)/100 + 4).toString() + 'px';
+
+        let offset = Math.floor(this._integrandCenter - 8.5).toString() + 'px';
+        this._label.style.marginTop = offset;
+        this._variable.element.style.marginTop = offset;
+    }
 
-/**
- * Virtual class, don't instantiate.
- *
- * A UnitNode is every element that isn't an ExpressionNode. Unlike
- * ExpressionNodes which are a formless string of nodes, UnitNodes are
- * unitary: they can be thought of as a single object whose internal structure
- * is largely irrelevant to their parents.
- */
-class UnitNode extends MathNode {
     /**
-     * @constructs
+     * The height of the integrand and variable, without the limits.
      *
-     * In addition to creating the element, register a listener for clicks so
-     * when the element is clicked on the cursor moves to it.
+     * @return {Number} The height
      */
-    constructor(parent=null) {
-        super(parent);
-        this._element.classList.add('unit');
+    get _bodyHeight() {
+        return Math.max(17, this.integrand.height, this.variable.height);
+    }
 
-        let self = this;
-        this._element.addEventListener('click', function(e) {
-            //setting cursor bubbles up to root node, see `set cursor`
-            self.cursor = self;
-            e.stopPropagation();
-        });
+    /**
+     * The center of the integrand, measured from its top.
+     *
+     * @return {Number} The center
+     */
+    get _integrandCenter() {
+        return this.integrand.nodes.reduce((acc, node) => Math.max(acc, node.center), 8.5);
     }
 
     /**
+     * The limits are 10px high, with 3px of the integral sign either side of
+     * the integrand.
+     *
      * @override
      * @return {Number} Element height
      */
     get height() {
-        //TODO remove magic number
-        if(this.parent.parent !== null && (this.parent.parent instanceof ExponentNode)) {
-            return 10;
-        } else {
-            return 17;
-        }
+        return 10 + this._bodyHeight + 6 + 10;
     }
 
     /**
-     * Get the center align position of `_element`
-     *
+     * @override
      * @return {Number} Element center
      */
     get center() {
-        //TODO remove magic number
-        return 8.5;
+        return 13 + this._integrandCenter;
     }
 
     /**
-     * Get a single character representation of a UnitNode to allow for parsing.
-     * AtomNodes return their character, StartNode returns '_', ExponentNode
-     * returns '^', everything else returns '%', indicating that it will
-     * provide its own value using UnitNode.value
-     * (ExponentNode has a different term because it can't be processed as a
-     * unit - it needs to know what term preceded it.)
-     *
-     * @abstract
-     * @return {String} The string to go in the value attribute
+     * Get upper limit
+     * @return {MathNode} The upper limit, empty for an indefinite integral
      */
-    get precis() {
-        throw new Error('get precis() must be defined.');
+    get upper() {
+        return this._upper;
     }
 
     /**
-     * If the cursor is entering this node from the left, where should it go?
-     * Default to returning the node itself, but if node has substructure may
-     * want something else.
-     * 
-     * @return {MathNode} The new cursor node
+     * Get lower limit
+     * @return {MathNode} The lower limit, empty for an indefinite integral
      */
-    get cursorNodeFromLeft() {
-        return this;
+    get lower() {
+        return this._lower;
     }
 
     /**
-     * If the cursor is entering this node from the right, where should it go?
-     * Default to returning the node itself, but if node has substructure may
-     * want something else.
-     * 
-     * @return {MathNode} The new cursor node
+     * Get integrand
+     * @return {MathNode} Integrand
      */
-    get cursorNodeFromRight() {
-        return this;
+    get integrand() {
+        return this._integrand;
     }
 
     /**
-     * If the cursor is entering this node from the above, where should it go?
-     * Default to returning the node itself, but if node has substructure may
-     * want something else.
-     * 
-     * @return {MathNode} The new cursor node
+     * Get variable
+     * @return {MathNode} The variable of integration
      */
-    get cursorNodeFromAbove() {
-        return this;
+    get variable() {
+        return this._variable;
     }
 
     /**
-     * If the cursor is entering this node from the below, where should it go?
-     * Default to returning the node itself, but if node has substructure may
-     * want something else.
-     * 
+     * Does the integral have limits? If only one limit has been entered it
+     * still does, and the other is reported as empty when parsing.
+     *
+     * @return {Boolean} Is it a definite integral?
+     */
+    get hasLimits() {
+        return this.upper.nodes.length > 1 || this.lower.nodes.length > 1;
+    }
+
+    /**
+     * @override
+     * @return {String} The node precis
+     */
+    get precis() {
+        return '%';
+    }
+
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
      * @return {MathNode} The new cursor node
      */
-    get cursorNodeFromBelow() {
-        return this;
+    get cursorNodeFromLeft() {
+        return this.lower.startNode;
     }
 
     /**
-     * Get the previous element in the parent Expression. Unlike nodeLeft, this
-     * will not return a node outside the expression.
-     * Returns null if `this` is first node.
-     * 
-     * @return {MathNode} The previous node
+     * Returns a syntax tree representing the IntegralNode.
+     *
+     * @return {Object} The syntax tree representing this element
      */
-    get previousSibling() {
-        let index = this.parent.indexOf(this);
+    get ast() {
+        let variable = this.variable.ast;
+        if(variable.type !== 'ci') {
+            throw new ParseError('An integral must be with respect to a variable.',
+                'unexpected-symbol', this.variable.nodes.slice(1));
+        }
 
-        if(index == 0) {
-            return null;
+        let integral = {type: 'apply', op: 'int', bvar: variable, args: [this.integrand.ast]};
+        if(this.hasLimits) {
+            integral.lowlimit = this.lower.ast;
+            integral.uplimit = this.upper.ast;
         }
 
-        return this.parent.nodes[index - 1];
+        return integral;
     }
 
-
-    /** MISCELLANEOUS FUNCTIONS */
-
     /**
-     * Given `nodeParams`, dimensions of all other nodes in the expression,
-     * redraw this node to line up.
-     * 
-     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     * @override
+     * @return {String} The LaTeX string representing this node
      */
-    redraw(nodeParams) {
-        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
-        let diff = Math.floor(maxCenter - this.center);
-        this._element.style.marginTop = diff.toString() + 'px';
+    get latex() {
+        let limits = this.hasLimits ? '_{' + this.lower.latex + '}^{' + this.upper.latex + '}' : '';
+
+        return '\\int' + limits + ' ' + this.integrand.latex + '\\,d' + this.variable.latex;
     }
 
     /**
-     * Get the element to the left of the current node. This may not be a
-     * sibling - it should be whatever element a user would expect a left
-     * keypress to move the cursor to.
-     *
-     * If the cursor can't move left, return defaultNode. Since childLeft
-     * bubbles up through the element tree, need to keep track of which node
-     * nodeLeft was originall called on.
-     *
-     * @param {MathNode} defaultNode The node to return if no left node
-     * @return {MathNode} The node to the left of this node
+     * @override
+     * @return {String} The presentation MathML string representing this node
      */
-     nodeLeft(defaultNode) {
-        if(typeof defaultNode == 'undefined')
-            defaultNode = this;
+    get presentation() {
+        let sign = '<mo>∫</mo>';
+        if(this.hasLimits) {
+            sign = '<msubsup>' + sign + this.lower.presentation + this.upper.presentation
+                + '</msubsup>';
+        }
 
-        return this.parent.childLeft(this, defaultNode);
-     }
+        return sign + this.integrand.presentation + '<mi>d</mi>' + this.variable.presentation;
+    }
 
     /**
-     * Get the element to the right of the current node.
+     * The limits, if any, are written as AsciiMath arguments, and the
+     * differential last, e.g. int_0^1 x dx.
      *
-     * @see  nodeLeft()
-     * @return {MathNode} The node to the right of this node
+     * @override
+     * @return {String} The AsciiMath string representing this node
      */
-     nodeRight(defaultNode) {
-        if(typeof defaultNode == 'undefined')
-            defaultNode = this;
-        
-        return this.parent.childRight(this, defaultNode);
-     }
+    get asciimath() {
+        let limits = this.hasLimits
+            ? '_' + this.lower.asciimathArgument + '^' + this.upper.asciimathArgument : '';
+
+        return 'int' + limits + ' ' + this.integrand.asciimath + ' d' + this.variable.asciimath;
+    }
 
     /**
-     * Get the element above the current node.
+     * When moving left from an IntegralNode (i.e. cursor is right of the
+     * entire IntegralNode), move into the end of the variable rather than to
+     * the sibling node to the left.
      *
-     * @see  nodeLeft()
-     * @return {MathNode} The node above this node
+     * @override
+     * @return {MathNode} The new cursor node
      */
-     nodeUp(defaultNode) {
-        if(typeof defaultNode == 'undefined')
-            defaultNode = this;
-
-        return this.parent.childUp(this, defaultNode);
+     nodeLeft(defaultNode) {
+        return this.variable.endNode;
      }
 
     /**
-     * Get the element below the current node.
+     * Called from a limit, the integrand or the variable, return node to the
+     * left. From the integrand that's the end of the lower limit, and from
+     * the variable the end of the integrand.
      *
-     * @see  nodeLeft()
-     * @return {MathNode} The node below this node
+     * @override
+     * @return {MathNode} The new cursor node
      */
-     nodeDown(defaultNode) {
-        if(typeof defaultNode == 'undefined')
-            defaultNode = this;
-
-        return this.parent.childDown(this, defaultNode);
-     }
+    childLeft(node, defaultNode) {
+        if(node == this.integrand) {
+            return this.lower.endNode;
+        } else if(node == this.variable) {
+            return this.integrand.endNode;
+        } else {
+            return this.parent.childLeft(this, defaultNode);
+        }
+    }
 
     /**
-     * Since most elements are only on one level, default behaviour is to pass
-     * it up the chain (till it hits a division, probably.)
+     * Called from a limit, the integrand or the variable, return node to the
+     * right. From a limit that's the start of the integrand, from the
+     * integrand the start of the variable, and from the variable the
+     * IntegralNode itself.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
-    childUp(node, defaultNode) {
-        return this.parent.childUp(this, defaultNode);
+    childRight(node, defaultNode) {
+        if(node == this.upper || node == this.lower) {
+            return this.integrand.startNode;
+        } else if(node == this.integrand) {
+            return this.variable.startNode;
+        } else {
+            return this;
+        }
     }
 
     /**
-     * Since most elements are only on one level, default behaviour is to pass
-     * it up the chain (till it hits a division, probably.)
+     * From the lower limit or integrand, provide the upper limit. Otherwise
+     * pass it up the chain.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
-    childDown(node, defaultNode) {
-        return this.parent.childDown(this, defaultNode);
+    childUp(node, defaultNode) {
+        if(node == this.lower || node == this.integrand) {
+            return this.upper.endNode;
+        } else {
+            return this.parent.childUp(this, defaultNode);
+        }
     }
 
     /**
-     * Delete this node
+     * From the upper limit or integrand, provide the lower limit. Otherwise
+     * pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
      */
-    delete() {
-        this.parent.childDelete(this);
+    childDown(node, defaultNode) {
+        if(node == this.upper || node == this.integrand) {
+            return this.lower.endNode;
+        } else {
+            return this.parent.childDown(this, defaultNode);
+        }
     }
 }
 
 
 /**
- * A StartNode is present as the first node of every ExpressionNode and nowhere
- * else. Its purpose is to display the cursor if it is left of every other
- * element in the ExpressionNode, and to provide an anchor to click on /
- * interact with an empty expression.
+ * A summation or product, with an index variable, lower and upper bounds and
+ * a body. The variable and lower bound sit below a sigma or pi sign which,
+ * like the radix of a SquareRootNode, grows with the body, and the upper
+ * bound sits above it.
  */
-class StartNode extends UnitNode {
+class BigOperatorNode extends UnitNode {
     /**
      * @constructs
+     *
+     * @param {String} op The content MathML operator, 'sum' or 'product'
      */
-    constructor(parent=null) {
+    constructor(op, parent=null) {
         super(parent);
-        this._element.classList.add('start');
+        assert(op in BIG_OPERATORS, `Unknown big operator: ${op}`);
+        this._op = op;
+        this._element.classList.add('big-operator', 'big-operator-' + op);
+
+        let bounds = document.createElement('div');
+        bounds.classList.add('big-operator-bounds');
+        this._element.appendChild(bounds);
+
+        this._upper = new ExpressionNode(this);
+        this._upper.element.classList.add('big-operator-upper');
+        bounds.appendChild(this.upper.element);
+
+        this._sign = document.createElement('div');
+        this._sign.classList.add('big-operator-sign');
+        bounds.appendChild(this._sign);
+
+        let lowerRow = document.createElement('div');
+        lowerRow.classList.add('big-operator-lower-row');
+        bounds.appendChild(lowerRow);
+
+        this._variable = new ExpressionNode(this);
+        this._variable.element.classList.add('big-operator-variable');
+        lowerRow.appendChild(this.variable.element);
+
+        let equals = document.createElement('div');
+        equals.classList.add('big-operator-equals');
+        equals.innerHTML = '=';
+        lowerRow.appendChild(equals);
+
+        this._lower = new ExpressionNode(this);
+        this._lower.element.classList.add('big-operator-lower');
+        lowerRow.appendChild(this.lower.element);
+
+        this._body = new ExpressionNode(this);
+        this._body.element.classList.add('big-operator-body');
+        this._element.appendChild(this.body.element);
     }
 
     /**
-     * @override
-     * @return {String} The node precis
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up. The sign is stretched to fit the body.
+     *
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
      */
-    get precis() {
-        return '_';
-    }
-}
+    redraw(nodeParams) {
+        super.redraw(nodeParams);
 
+        let signHeight = Math.max(17, this.body.height) + 6;
+        this._sign.style.height = signHeight.toString() + 'px';
+        //numbers are just the width:height ratio of the sign graphic
+        this._sign.style.width = ((signHeight*12)/20).toString() + 'px';
+    }
 
-class AtomNode extends UnitNode {
     /**
-     * @constructs
+     * The bounds are 10px high, with 3px of the sign either side of the body.
+     *
+     * @override
+     * @return {Number} Element height
      */
-    constructor(char, parent=null) {
-        super(parent);
-        this._char = char;
-        this._element.classList.add('atom');
-        this._element.innerHTML = this.displayChar;
+    get height() {
+        return 10 + Math.max(17, this.body.height) + 6 + 10;
     }
 
     /**
      * @override
-     * @return {String} The node precis
+     * @return {Number} Element center
      */
-    get precis() {
-        return this._char;
+    get center() {
+        return 13 + this.body.nodes.reduce((acc, node) => Math.max(acc, node.center), 8.5);
     }
 
     /**
-     * Returns the character which should be displayed in the input field.
-     * Usually the same as `_char`, but not always.
-     * 
-     * @return {String} The character to be displayed
+     * Get the content MathML operator
+     * @return {String} 'sum' or 'product'
      */
-    get displayChar() {
-        if(this._char == '*') {
-            return '&times;';
-        } else {
-            return this._char;
-        }
+    get op() {
+        return this._op;
     }
-}
 
-
-class DivisionNode extends UnitNode {
     /**
-     * @constructs
+     * Get upper bound
+     * @return {MathNode} Upper bound
      */
-    constructor(parent=null) {
-        super(parent);
-        this._element.classList.add('division');
-
-        this._numerator = new ExpressionNode(this);
-        this._numerator.element.classList.add('numerator');
-
-        this._denominator = new ExpressionNode(this);
-        this._denominator.element.classList.add('denominator');
+    get upper() {
+        return this._upper;
+    }
 
-        this._element.appendChild(this._numerator.element);
-        this._element.appendChild(this._denominator.element);
+    /**
+     * Get lower bound
+     * @return {MathNode} Lower bound
+     */
+    get lower() {
+        return this._lower;
     }
 
     /**
-     * @override
-     * @return {Number} Element height
+     * Get variable
+     * @return {MathNode} The index variable
      */
-    get height() {
-        if(this.parent.parent !== null && (this.parent.parent instanceof ExponentNode)) {
-            return (this.numerator.height/1.7) + (this.denominator.height/1.7) + 5;
-        } else {
-            return this.numerator.height + this.denominator.height + 5;
-        }
+    get variable() {
+        return this._variable;
     }
 
     /**
-     * @override
-     * @return {Number} Element center
+     * Get body
+     * @return {MathNode} Body
      */
-    get center() {
-        return this.numerator.height + 3;
+    get body() {
+        return this._body;
     }
 
     /**
@@ -1480,489 +8040,572 @@ class DivisionNode extends UnitNode {
     }
 
     /**
-     * Get numerator
-     * @return {MathNode} Numerator
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
      */
-    get numerator() {
-        return this._numerator;
+    get cursorNodeFromLeft() {
+        return this.variable.startNode;
     }
 
     /**
-     * Get denominator
-     * @return {MathNode} Denominator
+     * Returns a syntax tree representing the BigOperatorNode.
+     *
+     * @return {Object} The syntax tree representing this element
      */
-    get denominator() {
-        return this._denominator;
+    get ast() {
+        let variable = this.variable.ast;
+        if(variable.type !== 'ci') {
+            throw new ParseError(`The index of a ${this.op} must be a variable.`,
+                'unexpected-symbol', this.variable.nodes.slice(1));
+        }
+
+        return {
+            type: 'apply',
+            op: this.op,
+            bvar: variable,
+            lowlimit: this.lower.ast,
+            uplimit: this.upper.ast,
+            args: [this.body.ast],
+        };
     }
 
     /**
-     * If the cursor's coming in from the left, where should it go?
+     * The body is wrapped in braces, so that it's clear where it ends when
+     * the LaTeX is imported.
      *
      * @override
-     * @return {MathNode} The new cursor node
+     * @return {String} The LaTeX string representing this node
      */
-    get cursorNodeFromLeft() {
-        return this.numerator.startNode;
+    get latex() {
+        return BIG_OPERATORS[this.op].latex + '_{' + this.variable.latex + '=' + this.lower.latex
+            + '}^{' + this.upper.latex + '}{' + this.body.latex + '}';
     }
 
     /**
-     * Returns a MathML string representing the DivisionNode.
-     * 
-     * @return {String} The MathML string representing this element
+     * @override
+     * @return {String} The presentation MathML string representing this node
      */
-    get value() {
-        return '<apply><divide/>' + this.numerator.value + this.denominator.value + '</apply>';
+    get presentation() {
+        let index = this.variable.presentation + '<mo>=</mo>' + this.lower.presentation;
+
+        return '<munderover><mo>' + BIG_OPERATORS[this.op].symbol + '</mo>'
+            + '<mrow>' + index + '</mrow>' + this.upper.presentation + '</munderover>'
+            + this.body.presentation;
     }
 
     /**
-     * When creating a DivisionNode, should any previously typed elements be
-     * moved into the numerator? The decision is largely arbitrary, just trying
-     * to match expected behaviour i.e. if I type '1/2' I expect to get a
-     * fraction of one on two.
+     * The index is written in parentheses, e.g. sum_(n=1)^oo (1/n^2).
      *
-     * Returns true if elements are collected, false otherwise. Used to
-     * determine where to put the cursor.
-     * 
-     * @return {Boolean} Were any elements added to numerator?
+     * @override
+     * @return {String} The AsciiMath string representing this node
      */
-    collectNumerator() {
-        let precis = '';
-        let node = this.previousSibling;
-        do {
-            precis = node.precis + precis;
-        } while(node = node.previousSibling)
-
-        //match everything that should move to numerator, fairly arbitrary
-        let match = precis.match(/[a-zA-Zα-ωΑ-Ω0-9%^]+$/);
-        if(match !== null) {
-            for(let i = 0; i < match[0].length; i++) {
-                this.numerator.startNode.insertAfter(this.previousSibling);
-            }
-
-            return true;
-        }
-
-        match = precis.match(/\)$/);
-        if(match !== null) {
-            let start = BracketNode.findMatchingParen(precis, precis.length-1);
-            if(start === null) {
-                start = 0;
-            }
-
-            let count = precis.length - start;
-            for(let i = 0; i < count; i++) {
-                this.numerator.startNode.insertAfter(this.previousSibling);
-            }
-
-            return true;
-        }
-
-        return false;
+    get asciimath() {
+        return BIG_OPERATORS[this.op].asciimath + '_(' + this.variable.asciimath + '='
+            + this.lower.asciimath + ')^' + this.upper.asciimathArgument + ' '
+            + this.body.asciimathArgument;
     }
 
     /**
-     * When moving left from a DivisionNode (i.e. cursor is right of the
-     * division), move into the end of the numerator rather than to the
-     * sibling node to the left.
+     * When moving left from a BigOperatorNode (i.e. cursor is right of the
+     * entire BigOperatorNode), move into the end of the body rather than to
+     * the sibling node to the left.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
      nodeLeft(defaultNode) {
-        return this.numerator.endNode;
+        return this.body.endNode;
      }
 
     /**
-     * Called from either the numerator or denominator, return node to the
-     * left. In both cases, return the node left of DivisionNode in parent.
+     * Called from a bound, the variable or the body, return node to the left.
+     * From the lower bound that's the end of the variable, and from the body
+     * the end of the lower bound.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
     childLeft(node, defaultNode) {
-        return this.parent.childLeft(this, defaultNode);
+        if(node == this.lower) {
+            return this.variable.endNode;
+        } else if(node == this.body) {
+            return this.lower.endNode;
+        } else {
+            return this.parent.childLeft(this, defaultNode);
+        }
     }
 
     /**
-     * Called from either the numerator or denominator, return node to the
-     * right. In both cases, return the DivisionNode itself.
+     * Called from a bound, the variable or the body, return node to the
+     * right. From the variable that's the start of the lower bound, from
+     * either bound the start of the body, and from the body the
+     * BigOperatorNode itself.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
     childRight(node, defaultNode) {
-        return this;
+        if(node == this.variable) {
+            return this.lower.startNode;
+        } else if(node == this.lower || node == this.upper) {
+            return this.body.startNode;
+        } else {
+            return this;
+        }
     }
 
     /**
-     * From denominator, provide numerator. Otherwise pass it up the chain.
+     * From the variable, lower bound or body, provide the upper bound.
+     * Otherwise pass it up the chain.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
     childUp(node, defaultNode) {
-        if(node == this.denominator) {
-            return this.numerator.startNode.cursorNodeFromBelow;
-        } else {
+        if(node == this.upper) {
             return this.parent.childUp(this, defaultNode);
+        } else {
+            return this.upper.endNode;
         }
     }
 
     /**
-     * From numerator, provide denominator. Otherwise pass it up the chain.
+     * From the upper bound or body, provide the lower bound. Otherwise pass
+     * it up the chain.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
-    childDown(node, defaultNode) {
-        if(node == this.numerator) {
-            return this.denominator.startNode.cursorNodeFromAbove;
-        } else {
-            return this.parent.childDown(this, defaultNode);
-        }
-    }
-}
-
-
-class BracketNode extends UnitNode {
-    /**
-     * @constructs
-     */
-    constructor(char, parent=null) {
-        super(parent);
-        this._char = char;
-        this._element.classList.add('parenthesis');
-
-        if(char === '(') {
-            this._element.classList.add('parenthesis-left');
-        } else if(char === ')') {
-            this._element.classList.add('parenthesis-right');
+    childDown(node, defaultNode) {
+        if(node == this.upper || node == this.body) {
+            return this.lower.endNode;
+        } else {
+            return this.parent.childDown(this, defaultNode);
         }
     }
+}
 
+
+/**
+ * A limit, displayed as 'lim' with the approach, e.g. x→0, beneath it. Like a
+ * LogNode, it applies to the term which follows it. A '+' or '-' typed at the
+ * end of the target makes it a one-sided limit, from above or below.
+ */
+class LimitNode extends UnitNode {
     /**
-     * Given `nodeParams`, dimensions of all other nodes in the expression,
-     * redraw this node to line up.
-     * 
-     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     * @constructs
      */
-    redraw(nodeParams) {
-        let precis = this.parent.precis;
-        let start = this.parent.indexOf(this);
+    constructor(char, parent=null) {
+        super(parent);
+        this._element.classList.add('limit');
 
-        let end = BracketNode.findMatchingParen(precis, start);
-        if(end === null) {
-            //This -1 is confusing, but the start and end are supposed to be
-            //the positions of the brackets. If there's no starting bracket,
-            //we imagine it just before the string, at position -1.
-            //Not to be confused with indexOf()'s -1 not present or slice()'s
-            //last element.
-            end = this._char == '(' ? precis.length : -1;
-        }
+        let label = document.createElement('div');
+        label.classList.add('limit-label');
+        label.innerHTML = 'lim';
+        this._element.appendChild(label);
 
-        if(start > end) {
-            [start, end] = [end, start];
-        }
+        let approach = document.createElement('div');
+        approach.classList.add('limit-approach');
+        this._element.appendChild(approach);
 
-        let innerParams = nodeParams.slice(start+1, end);
-        //note this.height refers to default height, not css height
-        let maxInnerHeight = innerParams.reduce((acc, node) => Math.max(acc, node.height), this.height)
+        this._variable = new ExpressionNode(this);
+        this._variable.element.classList.add('limit-variable');
+        approach.appendChild(this.variable.element);
 
-        this._element.style.height = maxInnerHeight.toString() + 'px';
-        this._element.style.width = (maxInnerHeight / 8).toString() + 'px';
+        let arrow = document.createElement('div');
+        arrow.classList.add('limit-arrow');
+        arrow.innerHTML = '→';
+        approach.appendChild(arrow);
 
-        //because brackets grow with contents, we only want marginTop to
-        //increase if there are larger elements outside
-        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
-        let maxInnerCenter = innerParams.reduce((acc, node) => Math.max(acc, node.center), this.center)
-        let diff = Math.floor(maxCenter - maxInnerCenter);
-        this._element.style.marginTop = diff.toString() + 'px';
+        this._target = new ExpressionNode(this);
+        this._target.element.classList.add('limit-target');
+        approach.appendChild(this.target.element);
     }
 
     /**
+     * The approach hangs below the label.
+     *
      * @override
-     * @return {String} The node precis
+     * @return {Number} Element height
      */
-    get precis() {
-        return this._char;
+    get height() {
+        return super.height + 12;
     }
 
     /**
-     * Given a position of a parenthesis '(' or ')', find its matching
-     * parenthesis, and return its location. Throw an error if there is no
-     * matching parenthesis.
-     * If there's no match, return null;
-     * 
-     * @param  {String} str    The string being scanned
-     * @param  {Number} start  The location of the open parenthesis
-     * @return {Number}        The location of the close parenthesis
+     * Get variable
+     * @return {MathNode} The variable which approaches the target
      */
-    static findMatchingParen(str, start) {
-        let depth = 1;
-
-        if(str[start] == '(') {
-            for(let i = start + 1; i < str.length; i++) {
-                if(str[i] == ')') {
-                    depth--;
-                    if(depth == 0) {
-                        return i;
-                    }
-                } else if(str[i] == '(') {
-                    depth++;
-                }
-            }
-
-            return null;
-        } else if(str[start] == ')') {
-            for(let i = start - 1; i >= 0; i--) {
-                if(str[i] == '(') {
-                    depth--;
-                    if(depth == 0) {
-                        return i;
-                    }
-                } else if(str[i] == ')') {
-                    depth++;
-                }
-            }
-
-            return null;
-        }
-
-        throw new Error('Unrecognised parenthesis');
+    get variable() {
+        return this._variable;
     }
 
     /**
-     * Replace all bracketed terms with # so that scanning functions can't
-     * see elements between brackets
-     * 
-     * @param  {String} str The unmasked string
-     * @return {String}     The masked string
+     * Get target
+     * @return {MathNode} The value approached, with a trailing '+' or '-'
+     *                    for a one-sided limit
      */
-    static mask(str) {
-        let masked = str;
-        let start = -1;
-        while((start = masked.indexOf('(')) != -1) {
-            let end = BracketNode.findMatchingParen(masked, start);
-
-            if(end === null) {
-                end = str.length - 1;
-            }
-
-            let len = end - start + 1;
-
-            masked = masked.substr(0, start) + '#'.repeat(len) + masked.substr(end + 1);
-        }
-
-        return masked;
+    get target() {
+        return this._target;
     }
-    
+
     /**
-     * Given a string and an element in the string, find if it's inside
-     * of brackets and, if so, where they are.
-     * Responds with an array [open, close}, each of which are either a position
-     * or null
-     * 
-     * @param  {String} str   The string to be scanned
-     * @param  {Number} start The position whose context we want
-     * @return {Array}       The positions of the start and end of the context
+     * The direction of a one-sided limit: 'above' if the target ends in a
+     * '+', 'below' if it ends in a '-', otherwise null.
+     *
+     * @return {String} The direction
      */
-    static getContext(str, start) {
-        str = str.slice(0, start) + ')' + str.slice(start + 1);
-        let open = BracketNode.findMatchingParen(str, start);
-        str = str.slice(0, start) + '(' + str.slice(start + 1);
-        let close = BracketNode.findMatchingParen(str, start);
+    get direction() {
+        let precis = this.target.precis;
+        let sign = precis.length > 2 ? precis[precis.length - 1] : null;
 
-        return [open, close];
+        return sign === '+' ? 'above' : sign === '-' ? 'below' : null;
     }
-}
 
-
-class AbsoluteNode extends UnitNode {
     /**
-     * @constructs
+     * The name of the function, for error messages.
+     *
+     * @return {String} The function name
      */
-    constructor(char, parent=null) {
-        super(parent);
-        this._element.classList.add('pipe');
-
-        let pipeDisp = document.createElement('div');
-        pipeDisp.classList.add('pipe-display')
-        this._element.appendChild(pipeDisp);
+    get name() {
+        return 'lim';
     }
 
     /**
-     * Given `nodeParams`, dimensions of all other nodes in the expression,
-     * redraw this node to line up.
-     * 
-     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     * @override
+     * @return {String} The node precis
      */
-    redraw(nodeParams) {
-        let precis = this.parent.precis;
-        let start = this.parent.indexOf(this);
+    get precis() {
+        return '@';
+    }
 
-        let end = AbsoluteNode.findMatchingPipe(precis, start);
-        if(end === null) {
-            let [open, close] = BracketNode.getContext(precis, start);
+    /**
+     * If the cursor's coming in from the left, where should it go?
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    get cursorNodeFromLeft() {
+        return this.variable.startNode;
+    }
 
-            if(close !== null) {
-                end = close;
-            } else {
-                end = precis.length;
-            }
+    /**
+     * Returns a syntax tree representing the limit of `ast`. A one-sided
+     * limit has a `condition` that the variable tends to the target from
+     * the given direction, otherwise the target is its `lowlimit`.
+     *
+     * @param  {Object} ast The syntax tree of the term which follows the node
+     * @return {Object}     The syntax tree of its limit
+     */
+    applyTo(ast) {
+        let variable = this.variable.ast;
+        if(variable.type !== 'ci') {
+            throw new ParseError('The limit must be of a variable.',
+                'unexpected-symbol', this.variable.nodes.slice(1));
         }
 
-        if(start > end) {
-            [start, end] = [end, start];
+        let direction = this.direction;
+        if(direction === null) {
+            return {
+                type: 'apply', op: 'limit', bvar: variable, lowlimit: this.target.ast, args: [ast],
+            };
         }
 
-        let innerParams = nodeParams.slice(start+1, end);
-        //note this.height refers to default height, not css height
-        let maxInnerHeight = innerParams.reduce((acc, node) => Math.max(acc, node.height), this.height)
-        let heightStr = maxInnerHeight.toString() + 'px';
+        let target = this.target._parse(this.target.precis.slice(0, -1));
+        let condition = {
+            type: 'apply', op: 'tendsto', direction: direction, args: [variable, target],
+        };
 
-        this._element.style.height = heightStr;
+        return {type: 'apply', op: 'limit', bvar: variable, condition: condition, args: [ast]};
+    }
 
-        //because pipes grow with contents, we only want marginTop to
-        //increase if there are larger elements outside
-        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
-        let maxInnerCenter = innerParams.reduce((acc, node) => Math.max(acc, node.center), this.center)
-        let diff = Math.floor(maxCenter - maxInnerCenter);
-        this._element.style.marginTop = diff.toString() + 'px';
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        let target = this.target.latex;
+        if(this.direction !== null) {
+            target = target.slice(0, -1) + '^{' + target.slice(-1) + '}';
+        }
+
+        return '\\lim_{' + this.variable.latex + '\\to ' + target + '}';
     }
 
     /**
      * @override
-     * @return {String} The node precis
+     * @return {String} The presentation MathML string representing this node
      */
-    get precis() {
-        return '|';
+    get presentation() {
+        //&#x2061; is the invisible function application operator
+        return '<munder><mi>lim</mi><mrow>' + this.variable.presentation + '<mo>→</mo>'
+            + this.target.presentation + '</mrow></munder><mo>&#x2061;</mo>';
     }
 
     /**
-     * Given a position of a pipe '|', find its matching element.
-     * Logic complicated, see function. Return null if no match.
-     * 
-     * @param  {String} str    The string being scanned
-     * @param  {Number} start  The location of the pipe we know
-     * @return {Number}        The location of the matching pipe
+     * A one-sided limit keeps the '+' or '-' on its target, e.g. lim_(x->0+).
+     *
+     * @override
+     * @return {String} The AsciiMath string representing this node
      */
-    static findMatchingPipe(str, start) {
-        //first, find the start/end of the bracketed term we're in
-        let [open, close] = BracketNode.getContext(str, start);
+    get asciimath() {
+        return 'lim_(' + this.variable.asciimath + '->' + this.target.asciimath + ')';
+    }
 
-        if(open === null) {
-            open = -1;
-        }
+    /**
+     * When moving left from a LimitNode (i.e. cursor is right of the entire
+     * LimitNode), move into the end of the target rather than to the sibling
+     * node to the left.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+     nodeLeft(defaultNode) {
+        return this.target.endNode;
+     }
 
-        if(close === null) {
-            close = str.length;
+    /**
+     * Called from the variable or target, return node to the left. From the
+     * target, that's the end of the variable.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childLeft(node, defaultNode) {
+        if(node == this.target) {
+            return this.variable.endNode;
+        } else {
+            return this.parent.childLeft(this, defaultNode);
         }
+    }
 
-        //mask everything outside of that context
-        let masked = '#'.repeat(open + 1) + str.slice(open + 1, close) + '#'.repeat(str.length - close);
-
-        //then mask all fully-enclosed bracketed terms inside the context
-        masked = BracketNode.mask(masked);
-
-        //now just pair them off from the start. if there are an odd number
-        //before, match backwards, otherwise match forwards.
-        let prevMatches = masked.substring(0, start).match(/\|/g);
-        if(prevMatches !== null && prevMatches.length % 2 == 1) {
-            return masked.lastIndexOf('|', start - 1);
+    /**
+     * Called from the variable or target, return node to the right. From the
+     * variable, that's the start of the target, otherwise it's the LimitNode
+     * itself.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
+     */
+    childRight(node, defaultNode) {
+        if(node == this.variable) {
+            return this.target.startNode;
         } else {
-            let match = masked.indexOf('|', start + 1);
-
-            if(match !== -1) {
-                return match;
-            } else {
-                return null;
-            }
+            return this;
         }
     }
+}
+
 
+/**
+ * A matrix, a grid of ExpressionNode cells inside a pair of parentheses which
+ * grow with its contents. A matrix of one column is a column vector. Rows and
+ * columns can be added and removed after it's built.
+ */
+class MatrixNode extends UnitNode {
     /**
-     * Replace all matching pipes with # so that scanning functions can't
-     * see elements between the pipes.
-     * Because this runs after BracketNode.mask, we don't need to worry about
-     * context like we do in findMatchingPipes - just pair them off.
-     * 
-     * @param  {String} str The unmasked string
-     * @return {String}     The masked string
+     * @constructs
+     *
+     * @param {Number} rows    The number of rows
+     * @param {Number} columns The number of columns
      */
-    static mask(str) {
-        let masked = str;
-        let start = -1;
-        while((start = masked.indexOf('|')) != -1) {
-            let end = masked.indexOf('|', start + 1);
-
-            if(end === null) {
-                end = str.length - 1;
+    constructor(rows=2, columns=2, parent=null) {
+        super(parent);
+        assert(rows >= 1 && columns >= 1, 'A matrix must have at least one row and column.');
+        this._element.classList.add('matrix');
+
+        this._left = document.createElement('div');
+        this._left.classList.add('parenthesis', 'parenthesis-left');
+        this._element.appendChild(this._left);
+
+        this._grid = document.createElement('div');
+        this._grid.classList.add('matrix-grid');
+        this._element.appendChild(this._grid);
+
+        this._right = document.createElement('div');
+        this._right.classList.add('parenthesis', 'parenthesis-right');
+        this._element.appendChild(this._right);
+
+        this._cells = [];
+        for(let i = 0; i < rows; i++) {
+            this._cells.push([]);
+            for(let j = 0; j < columns; j++) {
+                this._cells[i].push(this._buildCell());
             }
+        }
+        this._layout();
+    }
 
-            let len = end - start + 1;
+    /**
+     * Build an empty cell.
+     *
+     * @return {ExpressionNode} The cell
+     */
+    _buildCell() {
+        let cell = new ExpressionNode(this);
+        cell.element.classList.add('matrix-cell');
 
-            masked = masked.substr(0, start) + '#'.repeat(len) + masked.substr(end + 1);
+        return cell;
+    }
+
+    /**
+     * Place the cells' elements in the grid, one row after another, after the
+     * rows or columns have changed.
+     */
+    _layout() {
+        while(this._grid.firstChild !== null) {
+            this._grid.removeChild(this._grid.firstChild);
         }
 
-        return masked;
+        this._cells.flat().forEach((cell) => this._grid.appendChild(cell.element));
+        this._grid.style.gridTemplateColumns = `repeat(${this.columns}, auto)`;
     }
-}
 
+    /**
+     * After the rows or columns have changed, lay out the grid again and
+     * redraw the expression the matrix is in.
+     */
+    _reshaped() {
+        this._layout();
+
+        if(this.parent !== null) {
+            this.parent.redraw();
+        }
+    }
 
-class ExponentNode extends UnitNode {
     /**
-     * @constructs
+     * Given `nodeParams`, dimensions of all other nodes in the expression,
+     * redraw this node to line up, and stretch the parentheses to fit.
+     *
+     * @param  {Array} nodeParams The dimensions of all nodes in the element;
      */
-    constructor(char, parent=null) {
-        super(parent);
-        this._element.classList.add('exponent');
+    redraw(nodeParams) {
+        super.redraw(nodeParams);
 
-        this._exponent = new ExpressionNode(this);
-        this._exponent.element.classList.add('exponent-inner');
-        this._element.appendChild(this.exponent.element);
+        let heightString = this.height.toString() + 'px';
+        let widthString = (this.height / 8).toString() + 'px';
+        [this._left, this._right].forEach(function(parenthesis) {
+            parenthesis.style.height = heightString;
+            parenthesis.style.width = widthString;
+        });
     }
 
     /**
+     * Each row is as tall as its tallest cell, with 4px between rows.
+     *
      * @override
      * @return {Number} Element height
      */
     get height() {
-        //the logic here is:
-        // - this.center() returns the exponent's height - it sits entirely
-        //   above the centreline
-        // - if a parenthesis is typed, I want it to treat it as though
-        //   it extends down to the baseline
-        // - the difference between the centreline and the baseline is exactly
-        //   equal to a UnitNode's `height`-`center` (actually the same as
-        //   `center` for now but that could change)
-        // - the only UnitNode that's guaranteed to exist is the StartNode
-        // - so calculate its difference, and add it to the height
-        let startHeight = this.parent.startNode.height;
-        let startCenter = this.parent.startNode.center;
-        let diff = startCenter;
+        let heights = this._cells.map((row) => Math.max(17, ...row.map((cell) => cell.height)));
 
-        return Math.max(this.exponent.height, 17) + diff;
+        return heights.reduce((acc, height) => acc + height, 0) + 4 * (this.rows - 1);
     }
 
     /**
-     * Lines up bottom of exponent with centreline.
      * @override
      * @return {Number} Element center
      */
     get center() {
-        //TODO get rid of magic number. I don't know why it's necessary, but it
-        //doesn't sit on the centreline without it. (In fairness it sits
-        //considerably above the centreline with it, but it looks good and
-        //should be kept there.)
-        return Math.max(this.exponent.height, 17);
+        return this.height / 2;
     }
 
     /**
-     * Get exponent
-     * @return {MathNode} Numerator
+     * Get the number of rows
+     * @return {Number} Rows
      */
-    get exponent() {
-        return this._exponent;
+    get rows() {
+        return this._cells.length;
+    }
+
+    /**
+     * Get the number of columns
+     * @return {Number} Columns
+     */
+    get columns() {
+        return this._cells[0].length;
+    }
+
+    /**
+     * Get the cell at `row`, `column`, counting from 0.
+     *
+     * @param  {Number} row    The row
+     * @param  {Number} column The column
+     * @return {ExpressionNode} The cell
+     */
+    cell(row, column) {
+        return this._cells[row][column];
+    }
+
+    /**
+     * Find the row and column of `cell`.
+     *
+     * @param  {ExpressionNode} cell A cell of the matrix
+     * @return {Array}               Its row and column
+     */
+    position(cell) {
+        let row = this._cells.findIndex((cells) => cells.includes(cell));
+        if(row === -1) {
+            throw new Error('Node not found.');
+        }
+
+        return [row, this._cells[row].indexOf(cell)];
+    }
+
+    /**
+     * Insert an empty row, so that it's row number `index`.
+     *
+     * @param {Number} index The position of the new row
+     */
+    insertRow(index) {
+        this._cells.splice(index, 0, Array.from({length: this.columns}, () => this._buildCell()));
+        this._reshaped();
+    }
+
+    /**
+     * Insert an empty column, so that it's column number `index`.
+     *
+     * @param {Number} index The position of the new column
+     */
+    insertColumn(index) {
+        this._cells.forEach((row) => row.splice(index, 0, this._buildCell()));
+        this._reshaped();
+    }
+
+    /**
+     * Delete row number `index`. The last row can't be deleted.
+     *
+     * @param {Number} index The row to delete
+     */
+    deleteRow(index) {
+        assert(this.rows > 1, 'Cannot delete the only row of a matrix.');
+
+        this._cells.splice(index, 1);
+        this._reshaped();
+    }
+
+    /**
+     * Delete column number `index`. The last column can't be deleted.
+     *
+     * @param {Number} index The column to delete
+     */
+    deleteColumn(index) {
+        assert(this.columns > 1, 'Cannot delete the only column of a matrix.');
+
+        this._cells.forEach((row) => row.splice(index, 1));
+        this._reshaped();
+    }
+
+    /**
+     * Is the matrix a column vector, i.e. does it have one column and more
+     * than one row?
+     *
+     * @return {Boolean} Is it a column vector?
+     */
+    get isVector() {
+        return this.columns === 1 && this.rows > 1;
     }
 
     /**
@@ -1970,7 +8613,7 @@ class ExponentNode extends UnitNode {
      * @return {String} The node precis
      */
     get precis() {
-        return '^';
+        return '%';
     }
 
     /**
@@ -1980,119 +8623,217 @@ class ExponentNode extends UnitNode {
      * @return {MathNode} The new cursor node
      */
     get cursorNodeFromLeft() {
-        return this.exponent.startNode;
+        return this.cell(0, 0).startNode;
+    }
+
+    /**
+     * Returns a syntax tree representing the MatrixNode: a 'vector' if it's a
+     * column vector, otherwise a 'matrix' of 'matrixrow's. A cell can't
+     * contain a list, which would be read back from AsciiMath as more cells.
+     *
+     * @return {Object} The syntax tree representing this element
+     */
+    get ast() {
+        let cells = this._cells.map((row) => row.map(function(cell) {
+            let ast = cell.ast;
+            if(ast.type === 'list') {
+                throw new ParseError('A matrix cell can\'t contain a list.',
+                    'unexpected-symbol', cell.nodes.slice(1));
+            }
+
+            return ast;
+        }));
+
+        if(this.isVector) {
+            return {type: 'vector', args: cells.map((row) => row[0])};
+        }
+
+        return {
+            type: 'matrix',
+            args: cells.map((row) => ({type: 'matrixrow', args: row})),
+        };
     }
 
+    /**
+     * @override
+     * @return {String} The LaTeX string representing this node
+     */
+    get latex() {
+        let rows = this._cells.map((row) => row.map((cell) => cell.latex).join('&'));
+
+        return '\\begin{pmatrix}' + rows.join('\\\\') + '\\end{pmatrix}';
+    }
 
     /**
-     * Returns a MathML string representing the ExponentNode.
-     * 
-     * @return {String} The MathML string representing this element
+     * @override
+     * @return {String} The presentation MathML string representing this node
      */
-    get value() {
-        return this.exponent.value;
+    get presentation() {
+        let rows = this._cells.map((row) => '<mtr>'
+            + row.map((cell) => '<mtd>' + cell.presentation + '</mtd>').join('') + '</mtr>');
+
+        return '<mrow><mo>(</mo><mtable>' + rows.join('') + '</mtable><mo>)</mo></mrow>';
     }
 
     /**
-     * When moving left from an ExponentNode (i.e. cursor is right of the
-     * entire ExponentNode), move into the end of the exponent rather than to
-     * the sibling node to the left.
+     * @override
+     * @return {String} The AsciiMath string representing this node
+     */
+    get asciimath() {
+        let separator = this.numberFormat.separator;
+        let rows = this._cells.map((row) => row.map((cell) => cell.asciimath).join(separator));
+
+        //((1,2)) would be read back as a parenthesised tuple
+        if(this.rows === 1) {
+            return '[[' + rows[0] + ']]';
+        }
+
+        return '((' + rows.join(`)${separator}(`) + '))';
+    }
+
+    /**
+     * When moving left from a MatrixNode (i.e. cursor is right of the entire
+     * MatrixNode), move into the end of the top right cell rather than to the
+     * sibling node to the left.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
-     nodeLeft(defaultNode) {
-        return this.exponent.endNode;
-     }
+    nodeLeft(defaultNode) {
+        return this.cell(0, this.columns - 1).endNode;
+    }
 
     /**
-     * Called from inside the exponent, return node to the left.
+     * Called from a cell, return node to the left: the end of the cell to its
+     * left, or if it's in the first column, the node left of the MatrixNode.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
     childLeft(node, defaultNode) {
-        return this.parent.childLeft(this, defaultNode);
+        let [row, column] = this.position(node);
+
+        if(column > 0) {
+            return this.cell(row, column - 1).endNode;
+        } else {
+            return this.parent.childLeft(this, defaultNode);
+        }
     }
 
     /**
-     * Called from inside the exponent, return node to the right, which for
-     * cursor purposes is the ExponentNode itself.
+     * Called from a cell, return node to the right: the start of the cell to
+     * its right, or if it's in the last column, the MatrixNode itself.
      *
      * @override
      * @return {MathNode} The new cursor node
      */
     childRight(node, defaultNode) {
-        return this;
-    }
-}
+        let [row, column] = this.position(node);
 
+        if(column + 1 < this.columns) {
+            return this.cell(row, column + 1).startNode;
+        } else {
+            return this;
+        }
+    }
 
-class SquareRootNode extends UnitNode {
     /**
-     * @constructs
+     * Called from a cell, return the end of the cell above it. From the top
+     * row, pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
      */
-    constructor(char, parent=null) {
-        super(parent);
-        this._element.classList.add('square-root');
-
-        this._radix = document.createElement('div');
-        this._radix.classList.add('radix');
-        this._element.appendChild(this.radix);
+    childUp(node, defaultNode) {
+        let [row, column] = this.position(node);
 
-        this._radicand = new ExpressionNode(this);
-        this._radicand.element.classList.add('radicand');
-        this._element.appendChild(this.radicand.element);
+        if(row > 0) {
+            return this.cell(row - 1, column).endNode;
+        } else {
+            return this.parent.childUp(this, defaultNode);
+        }
     }
 
     /**
-     * Given `nodeParams`, dimensions of all other nodes in the expression,
-     * redraw this node to line up.
-     * 
-     * @param  {Array} nodeParams The dimensions of all nodes in the element;
+     * Called from a cell, return the end of the cell below it. From the
+     * bottom row, pass it up the chain.
+     *
+     * @override
+     * @return {MathNode} The new cursor node
      */
-    redraw(nodeParams) {
-        let maxCenter = nodeParams.reduce((acc, node) => Math.max(acc, node.center), 0)
-        let diff = Math.floor(maxCenter - this.center);
-        this._element.style.marginTop = diff.toString() + 'px';
+    childDown(node, defaultNode) {
+        let [row, column] = this.position(node);
 
-        let heightString = this.height.toString() + 'px';
-        this._radix.style.height = heightString;
-        //numbers are just the width:height ratio of the radix graphic
-        this._radix.style.width = ((this.height*21)/38).toString() + '10px';
-        this._radicand.element.style.height = heightString;
+        if(row + 1 < this.rows) {
+            return this.cell(row + 1, column).endNode;
+        } else {
+            return this.parent.childDown(this, defaultNode);
+        }
     }
 
     /**
+     * Called from a cell, return the start of the next cell, reading along
+     * each row in turn. From the last cell, that's the MatrixNode itself.
+     *
      * @override
-     * @return {Number} Element height
+     * @return {MathNode} The new cursor node
      */
-    get height() {
-        return this.radicand.height;
+    childNext(node, defaultNode) {
+        let [row, column] = this.position(node);
+        let index = row * this.columns + column + 1;
+
+        if(index < this.rows * this.columns) {
+            return this._cells.flat()[index].startNode;
+        } else {
+            return this;
+        }
     }
 
     /**
+     * Called from a cell, return the end of the previous cell. From the first
+     * cell, that's the node left of the MatrixNode.
+     *
      * @override
-     * @return {Number} Element center
+     * @return {MathNode} The new cursor node
      */
-    get center() {
-        return this.radicand.height / 2;
+    childPrevious(node, defaultNode) {
+        let [row, column] = this.position(node);
+        let index = row * this.columns + column - 1;
+
+        if(index >= 0) {
+            return this._cells.flat()[index].endNode;
+        } else {
+            return this.parent.childLeft(this, defaultNode);
+        }
     }
+}
 
+
+/**
+ * A physical unit, e.g. km, displayed by its symbol. It's a single node, so
+ * that its letters are kept distinct from variables: 'm' typed into the field
+ * is a variable, but a UnitSymbolNode 'm' is metres.
+ */
+class UnitSymbolNode extends UnitNode {
     /**
-     * Get radix
-     * @return {MathNode} Radix
+     * @constructs
+     *
+     * @param {String} symbol The unit's symbol, a key of UNITS
      */
-    get radix() {
-        return this._radix;
+    constructor(symbol, parent=null) {
+        super(parent);
+        assert(symbol in UNITS, `Unknown unit: ${symbol}`);
+        this._symbol = symbol;
+        this._element.classList.add('unit-symbol');
+        this._element.innerHTML = symbol;
     }
 
     /**
-     * Get radicand
-     * @return {MathNode} Radicand
+     * Get the unit's symbol
+     * @return {String} The symbol
      */
-    get radicand() {
-        return this._radicand;
+    get symbol() {
+        return this._symbol;
     }
 
     /**
@@ -2104,57 +8845,41 @@ class SquareRootNode extends UnitNode {
     }
 
     /**
-     * If the cursor's coming in from the left, where should it go?
+     * Returns a syntax tree representing the unit, a <csymbol> from the
+     * 'units' content dictionary.
      *
-     * @override
-     * @return {MathNode} The new cursor node
-     */
-    get cursorNodeFromLeft() {
-        return this.radicand.startNode;
-    }
-
-
-    /**
-     * Returns a MathML string representing the SquareRootNode.
-     * 
-     * @return {String} The MathML string representing this element
+     * @return {Object} The syntax tree representing this element
      */
-    get value() {
-        return '<apply><root/><degree><cn>2</cn></degree>' + this.radicand.value + '</apply>';
+    get ast() {
+        return {type: 'csymbol', cd: 'units', name: this.symbol};
     }
 
     /**
-     * When moving left from an SquareRootNode (i.e. cursor is right of the
-     * root), move into the end of the radicand rather than to the
-     * sibling node to the left.
-     *
      * @override
-     * @return {MathNode} The new cursor node
+     * @return {String} The LaTeX string representing this node
      */
-     nodeLeft(defaultNode) {
-        return this.radicand.endNode;
-     }
+    get latex() {
+        return '\\mathrm{' + (UNITS[this.symbol].latex || this.symbol) + '}';
+    }
 
     /**
-     * Called from radicand, return node to the left.
-     *
      * @override
-     * @return {MathNode} The new cursor node
+     * @return {String} The presentation MathML string representing this node
      */
-    childLeft(node, defaultNode) {
-        return this.parent.childLeft(this, defaultNode);
+    get presentation() {
+        return `<mi mathvariant="normal">${this.symbol}</mi>`;
     }
 
     /**
-     * Called from radicand, return node to the right, which for cursor
-     * purposes is the SquareRootNode itself.
+     * Units are written as AsciiMath text, e.g. "km".
      *
      * @override
-     * @return {MathNode} The new cursor node
+     * @return {String} The AsciiMath string representing this node
      */
-    childRight(node, defaultNode) {
-        return this;
+    get asciimath() {
+        return `"${this.symbol}"`;
     }
 }
 
-export default MathNode;
\ No newline at end of file
+export default MathNode;
+export { ComplexNumber, EvaluationError, MatrixNode, ParseError };
\ No newline at end of file
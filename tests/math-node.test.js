@@ -2,7 +2,7 @@
  * @jest-environment jsdom
  */
 
-import MathNode from '../math-node.js';
+import MathNode, { ComplexNumber, EvaluationError, MatrixNode, ParseError } from '../math-node.js';
 
 /**
  * Given a string representing a series of nodes `nodes`, either:
@@ -86,6 +86,28 @@ function sqrt(radicandNodes) {
     return expression;
 }
 
+/**
+ * Given strings representing the nodes inside the index and the radicand,
+ * return an ExpressionNode containing just an NthRootNode with the described
+ * index and radicand.
+ *
+ * NOTE: Returns ExpressionNode, not NthRootNode
+ *
+ * @param  {String} indexNodes    The nodes to fill the index with
+ * @param  {String} radicandNodes The nodes to fill the root with
+ * @return {ExpressionNode}       An ExpressionNode containing the NthRootNode
+ */
+function root(indexNodes, radicandNodes) {
+    let expression = MathNode.buildRootNode();
+    let rootNode = MathNode.buildFromName('nthroot');
+    expression.endNode.insertAfter(rootNode);
+
+    expr(indexNodes, rootNode.index);
+    expr(radicandNodes, rootNode.radicand);
+
+    return expression;
+}
+
  /**
  * Given one or more ExpressionNodes, concatenate their nodes into a single
  * expression and return that.
@@ -444,3 +466,2406 @@ test('from-mathml-nested-functions', function() {
     expect(mml2Expr.value).toBe(mml2);
     expect(mml2Expr.precis).toBe('_-cos(sin(x))');
 });
+
+test('latex-cn-ci', function() {
+    expect(expr('1+x').latex).toBe('1+x');
+});
+
+test('latex-symbols', function() {
+    expect(expr('2*π-∞').latex).toBe('2\\times\\pi-\\infty');
+    expect(expr('α+Β').latex).toBe('\\alpha+B');
+});
+
+test('latex-pi-text', function() {
+    expect(expr('2pi').latex).toBe('2\\pi');
+});
+
+test('latex-functions', function() {
+    expect(expr('sin(x)').latex).toBe('\\sin\\left(x\\right)');
+    expect(expr('arccos(x)').latex).toBe('\\arccos\\left(x\\right)');
+    expect(expr('lnx').latex).toBe('\\ln x');
+});
+
+test('latex-unmatched-parentheses', function() {
+    expect(expr('(x').latex).toBe('(x');
+    expect(expr('x)').latex).toBe('x)');
+});
+
+test('latex-abs', function() {
+    expect(expr('|x|').latex).toBe('\\left|x\\right|');
+    expect(expr('|x').latex).toBe('|x');
+});
+
+test('latex-divide', function() {
+    expect(div('1', '2').latex).toBe('\\frac{1}{2}');
+});
+
+test('latex-exponent', function() {
+    expect(conc(expr('x'), pow('2')).latex).toBe('x^{2}');
+});
+
+test('latex-compound', function() {
+    expect(conc(div('1', '2'), expr('+'), sqrt('x'), pow('2')).latex)
+        .toBe('\\frac{1}{2}+\\sqrt{x}^{2}');
+});
+
+test('latex-from-mathml', function() {
+    let mml = '<apply><minus/><apply><cos/><apply><divide/>'
+        + '<cn>1</cn><ci>x</ci></apply></apply></apply>';
+    expect(exprFromMathML(mml).latex).toBe('-\\cos\\left(\\frac{1}{x}\\right)');
+});
+
+/**
+ * Given a LaTeX string, return an ExpressionNode built from that string.
+ *
+ * @param  {String}         latex The LaTeX to build the expression from
+ * @return {ExpressionNode}       The expression
+ */
+function exprFromLatex(latex) {
+    let expression = MathNode.buildRootNode();
+
+    expression.latex = latex;
+
+    return expression;
+}
+
+test('from-latex-cn-ci', function() {
+    let latexExpr = exprFromLatex('1 + x');
+    expect(latexExpr.precis).toBe('_1+x');
+    expect(latexExpr.value).toBe('<apply><plus/><cn>1</cn><ci>x</ci></apply>');
+});
+
+test('from-latex-symbols', function() {
+    expect(exprFromLatex('2\\cdot\\pi').value).toBe('<apply><times/><cn>2</cn><pi/></apply>');
+    expect(exprFromLatex('\\infty').value).toBe('<infinity/>');
+    expect(exprFromLatex('\\alpha').value).toBe('<ci>α</ci>');
+});
+
+test('from-latex-frac', function() {
+    expect(exprFromLatex('\\frac{1}{2}').value)
+        .toBe('<apply><divide/><cn>1</cn><cn>2</cn></apply>');
+    expect(exprFromLatex('\\dfrac12').value).toBe('<apply><divide/><cn>1</cn><cn>2</cn></apply>');
+});
+
+test('from-latex-slash', function() {
+    expect(exprFromLatex('1/x').value).toBe('<apply><divide/><cn>1</cn><ci>x</ci></apply>');
+});
+
+test('from-latex-sqrt', function() {
+    expect(exprFromLatex('\\sqrt{x}').value)
+        .toBe('<apply><root/><degree><cn>2</cn></degree><ci>x</ci></apply>');
+});
+
+test('from-latex-exponent', function() {
+    expect(exprFromLatex('x^{2}').value).toBe('<apply><power/><ci>x</ci><cn>2</cn></apply>');
+    expect(exprFromLatex('x^2').value).toBe('<apply><power/><ci>x</ci><cn>2</cn></apply>');
+});
+
+test('from-latex-abs', function() {
+    expect(exprFromLatex('\\left| x \\right|').value).toBe('<apply><abs/><ci>x</ci></apply>');
+    expect(exprFromLatex('\\lvert x\\rvert').value).toBe('<apply><abs/><ci>x</ci></apply>');
+});
+
+test('from-latex-functions', function() {
+    expect(exprFromLatex('\\sin\\left(x\\right)').value).toBe('<apply><sin/><ci>x</ci></apply>');
+    expect(exprFromLatex('\\ln x').value).toBe('<apply><ln/><ci>x</ci></apply>');
+});
+
+test('from-latex-spacing', function() {
+    expect(exprFromLatex('2\\,x').precis).toBe('_2x');
+});
+
+test('from-latex-round-trip', function() {
+    let latex = '\\frac{1}{2}+\\sqrt{x}^{2}-\\cos\\left(\\left|\\pi\\right|\\right)';
+    expect(exprFromLatex(latex).latex).toBe(latex);
+});
+
+test('from-latex-errors', function() {
+    expect(() => exprFromLatex('\\nabla x')).toThrow('Unsupported LaTeX command: \\nabla');
+    expect(() => exprFromLatex('\\int x')).toThrow('Missing d in LaTeX integral.');
+    expect(() => exprFromLatex('x&1')).toThrow('Unsupported LaTeX character: &');
+    expect(() => exprFromLatex('\\frac{1}{2')).toThrow('Unmatched { in LaTeX.');
+    expect(() => exprFromLatex('x}')).toThrow('Unmatched } in LaTeX.');
+    expect(() => exprFromLatex('\\frac{1}')).toThrow('Missing argument in LaTeX.');
+    expect(() => exprFromLatex('\\sqrt[3{x}')).toThrow('Unmatched [ in LaTeX.');
+});
+
+test('presentation-tokens', function() {
+    expect(expr('12.5x+π').presentation)
+        .toBe('<mrow><mn>12.5</mn><mi>x</mi><mo>+</mo><mi>π</mi></mrow>');
+    expect(expr('2*pi-1').presentation)
+        .toBe('<mrow><mn>2</mn><mo>×</mo><mi>π</mi><mo>−</mo><mn>1</mn></mrow>');
+});
+
+test('presentation-functions', function() {
+    expect(expr('sinx').presentation).toBe('<mrow><mi>sin</mi><mo>&#x2061;</mo><mi>x</mi></mrow>');
+    expect(conc(expr('sin'), pow('2'), expr('x')).presentation).toBe('<mrow><msup><mi>sin</mi>'
+        + '<mrow><mn>2</mn></mrow></msup><mo>&#x2061;</mo><mi>x</mi></mrow>');
+    expect(expr('cos').presentation).toBe('<mrow><mi>cos</mi><mo>&#x2061;</mo></mrow>');
+});
+
+test('presentation-brackets', function() {
+    expect(expr('(x+1)').presentation)
+        .toBe('<mrow><mrow><mo>(</mo><mi>x</mi><mo>+</mo><mn>1</mn><mo>)</mo></mrow></mrow>');
+    expect(expr('(x').presentation).toBe('<mrow><mo>(</mo><mi>x</mi></mrow>');
+    expect(expr('|x|').presentation)
+        .toBe('<mrow><mrow><mo>|</mo><mi>x</mi><mo>|</mo></mrow></mrow>');
+});
+
+test('presentation-divide', function() {
+    expect(div('1', 'x').presentation)
+        .toBe('<mrow><mfrac><mrow><mn>1</mn></mrow><mrow><mi>x</mi></mrow></mfrac></mrow>');
+});
+
+test('presentation-sqrt', function() {
+    expect(sqrt('x').presentation).toBe('<mrow><msqrt><mrow><mi>x</mi></mrow></msqrt></mrow>');
+});
+
+test('presentation-exponent', function() {
+    expect(conc(expr('x'), pow('2')).presentation)
+        .toBe('<mrow><msup><mi>x</mi><mrow><mn>2</mn></mrow></msup></mrow>');
+    expect(conc(expr('(x+1)'), pow('2')).presentation)
+        .toBe('<mrow><msup><mrow><mo>(</mo><mi>x</mi><mo>+</mo><mn>1</mn>'
+            + '<mo>)</mo></mrow><mrow><mn>2</mn></mrow></msup></mrow>');
+    expect(pow('2').presentation).toBe('<mrow><msup><mrow/><mrow><mn>2</mn></mrow></msup></mrow>');
+});
+
+test('presentation-semantics', function() {
+    expect(expr('x').semantics).toBe('<semantics><mrow><mi>x</mi></mrow>'
+        + '<annotation-xml encoding="MathML-Content"><ci>x</ci></annotation-xml></semantics>');
+});
+
+test('asciimath-cn-ci', function() {
+    expect(expr('12x+y').asciimath).toBe('12x+y');
+});
+
+test('asciimath-symbols', function() {
+    expect(expr('2π-∞').asciimath).toBe('2pi-oo');
+    expect(expr('αx').asciimath).toBe('alpha x');
+});
+
+test('asciimath-divide', function() {
+    expect(div('1', 'x').asciimath).toBe('1/x');
+    expect(div('x+1', '2y').asciimath).toBe('(x+1)/(2y)');
+});
+
+test('asciimath-exponent', function() {
+    expect(conc(expr('x'), pow('2')).asciimath).toBe('x^2');
+    expect(conc(expr('x'), pow('n+1')).asciimath).toBe('x^(n+1)');
+    expect(conc(expr('x'), pow('2'), expr('3')).asciimath).toBe('x^2 3');
+});
+
+test('asciimath-compound', function() {
+    let sqrtDiv = div('', '2');
+    sqrtDiv.endNode.numerator.endNode.insertAfter(MathNode.buildFromName('sqrt'));
+    expr('x', sqrtDiv.endNode.numerator.endNode.radicand);
+
+    expect(conc(sqrtDiv, expr('+|x|'), pow('2')).asciimath).toBe('sqrt(x)/2+|x|^2');
+});
+
+/**
+ * Given an AsciiMath string, return an ExpressionNode built from that string.
+ *
+ * @param  {String}         asciimath The AsciiMath to build the expression from
+ * @return {ExpressionNode}           The expression
+ */
+function exprFromAsciiMath(asciimath) {
+    let expression = MathNode.buildRootNode();
+
+    expression.asciimath = asciimath;
+
+    return expression;
+}
+
+test('from-asciimath-cn-ci', function() {
+    expect(exprFromAsciiMath('1 + x').value).toBe('<apply><plus/><cn>1</cn><ci>x</ci></apply>');
+});
+
+test('from-asciimath-symbols', function() {
+    expect(exprFromAsciiMath('2 xx pi').value).toBe('<apply><times/><cn>2</cn><pi/></apply>');
+    expect(exprFromAsciiMath('oo').value).toBe('<infinity/>');
+    expect(exprFromAsciiMath('alpha').value).toBe('<ci>α</ci>');
+});
+
+test('from-asciimath-divide', function() {
+    expect(exprFromAsciiMath('1/2').value).toBe('<apply><divide/><cn>1</cn><cn>2</cn></apply>');
+    expect(exprFromAsciiMath('(1+x)/2').precis).toBe('_%');
+    expect(exprFromAsciiMath('2x/3').value)
+        .toBe('<apply><times/><cn>2</cn><apply><divide/><ci>x</ci><cn>3</cn></apply></apply>');
+    expect(exprFromAsciiMath('frac(1)(2)').value)
+        .toBe('<apply><divide/><cn>1</cn><cn>2</cn></apply>');
+
+    let oneHalf = '<apply><divide/><cn>1</cn><cn>2</cn></apply>';
+    expect(exprFromAsciiMath('1/2/3').value).toBe(`<apply><divide/>${oneHalf}<cn>3</cn></apply>`);
+    expect(exprFromAsciiMath('1/-2').value)
+        .toBe('<apply><divide/><cn>1</cn><apply><minus/><cn>2</cn></apply></apply>');
+});
+
+test('from-asciimath-signed-arguments', function() {
+    expect(exprFromAsciiMath('x^-2').value)
+        .toBe('<apply><power/><ci>x</ci><apply><minus/><cn>2</cn></apply></apply>');
+    expect(exprFromAsciiMath('x^-(n+1)').precis).toBe('_x^');
+    expect(exprFromAsciiMath('x^-(n+1)').nodes[2].exponent.precis).toBe('_-(n+1)');
+    ['1/2/3', 'x^-2', '1/-2'].forEach(function(asciimath) {
+        let expression = exprFromAsciiMath(asciimath);
+        expect(exprFromAsciiMath(expression.asciimath).value).toBe(expression.value);
+    });
+});
+
+test('from-asciimath-sqrt', function() {
+    expect(exprFromAsciiMath('sqrt(x+1)').value)
+        .toBe('<apply><root/><degree><cn>2</cn></degree>'
+            + '<apply><plus/><ci>x</ci><cn>1</cn></apply></apply>');
+});
+
+test('from-asciimath-exponent', function() {
+    expect(exprFromAsciiMath('x^(n+1)').value)
+        .toBe('<apply><power/><ci>x</ci><apply><plus/><ci>n</ci><cn>1</cn></apply></apply>');
+    expect(exprFromAsciiMath('(x+1)^2').precis).toBe('_(x+1)^');
+});
+
+test('from-asciimath-abs', function() {
+    expect(exprFromAsciiMath('|x|').value).toBe('<apply><abs/><ci>x</ci></apply>');
+    expect(exprFromAsciiMath('abs(x)').value).toBe('<apply><abs/><ci>x</ci></apply>');
+});
+
+test('from-asciimath-functions', function() {
+    expect(exprFromAsciiMath('sin(x)').value).toBe('<apply><sin/><ci>x</ci></apply>');
+});
+
+test('from-asciimath-round-trip', function() {
+    let asciimath = 'sqrt(x)/2+|x|^2-(x+1)/(2y)';
+    expect(exprFromAsciiMath(asciimath).asciimath).toBe(asciimath);
+    expect(exprFromAsciiMath('x^2 3').asciimath).toBe('x^2 3');
+});
+
+test('from-asciimath-errors', function() {
+    expect(() => exprFromAsciiMath('x@1')).toThrow('Unsupported AsciiMath symbol: @');
+    expect(() => exprFromAsciiMath('1/')).toThrow('Missing denominator in AsciiMath.');
+});
+
+test('text-atoms', function() {
+    expect(expr('1.5').text).toBe('1.5');
+    expect(expr('x').text).toBe('x');
+    expect(expr('π').text).toBe('pi');
+    expect(expr('e').text).toBe('e');
+    expect(expr('∞').text).toBe('inf');
+});
+
+test('text-operators', function() {
+    expect(expr('1+x').text).toBe('1+x');
+    expect(expr('2x').text).toBe('2*x');
+    expect(expr('1-(x+1)').text).toBe('1-(x+1)');
+    expect(expr('1-x+1').text).toBe('1-x+1');
+    expect(expr('2(x+1)').text).toBe('2*(x+1)');
+});
+
+test('text-negative', function() {
+    expect(expr('-x').text).toBe('-x');
+    expect(expr('2-(-1)').text).toBe('2-(-1)');
+    expect(expr('-(x+1)').text).toBe('-(x+1)');
+});
+
+test('text-divide', function() {
+    let divExpr = div('1+x', '(2y)');
+    conc(divExpr.endNode.denominator, pow('3'));
+    expect(divExpr.text).toBe('(1+x)/(2*y)^3');
+    expect(conc(div('1', 'x'), pow('2')).text).toBe('(1/x)^2');
+    expect(div('1', '-x').text).toBe('1/(-x)');
+});
+
+test('text-power', function() {
+    expect(conc(expr('x'), pow('n+1')).text).toBe('x^(n+1)');
+    expect(conc(expr('(x+1)'), pow('2')).text).toBe('(x+1)^2');
+});
+
+test('text-functions', function() {
+    expect(expr('sin(x)').text).toBe('sin(x)');
+    expect(expr('arctan(x)').text).toBe('atan(x)');
+    expect(expr('ln(x+1)').text).toBe('log(x+1)');
+    expect(expr('|x|').text).toBe('abs(x)');
+    expect(expr('3!').text).toBe('factorial(3)');
+    expect(sqrt('x+1').text).toBe('sqrt(x+1)');
+});
+
+test('evaluate-constants', function() {
+    expect(MathNode.evaluate('<cn>1.5</cn>')).toBe(1.5);
+    expect(MathNode.evaluate('<cn>-1</cn>')).toBe(-1);
+    expect(MathNode.evaluate('<pi/>')).toBe(Math.PI);
+    expect(MathNode.evaluate('<exponentiale/>')).toBe(Math.E);
+    expect(MathNode.evaluate('<infinity/>')).toBe(Infinity);
+});
+
+test('evaluate-variables', function() {
+    expect(MathNode.evaluate('<ci>x</ci>', {x: 3})).toBe(3);
+    let mml = ' <math> <apply> <plus/> <ci>x</ci> <cn>1</cn> </apply> </math> ';
+    expect(MathNode.evaluate(mml, {x: 3})).toBe(4);
+});
+
+test('evaluate-operators', function() {
+    expect(MathNode.evaluate('<apply><minus/><cn>1</cn><cn>3</cn></apply>')).toBe(-2);
+    expect(MathNode.evaluate('<apply><minus/><cn>1</cn></apply>')).toBe(-1);
+    expect(MathNode.evaluate('<apply><times/><cn>2</cn><cn>3</cn></apply>')).toBe(6);
+    expect(MathNode.evaluate('<apply><divide/><cn>1</cn><cn>4</cn></apply>')).toBe(0.25);
+    expect(MathNode.evaluate('<apply><power/><cn>2</cn><cn>10</cn></apply>')).toBe(1024);
+});
+
+test('evaluate-functions', function() {
+    expect(MathNode.evaluate('<apply><root/><degree><cn>2</cn></degree><cn>9</cn></apply>'))
+        .toBe(3);
+    expect(MathNode.evaluate('<apply><root/><cn>16</cn></apply>')).toBe(4);
+    expect(MathNode.evaluate('<apply><root/><degree><cn>3</cn></degree><cn>-8</cn></apply>'))
+        .toBeCloseTo(-2);
+    expect(MathNode.evaluate('<apply><abs/><cn>-2</cn></apply>')).toBe(2);
+    expect(MathNode.evaluate('<apply><factorial/><cn>5</cn></apply>')).toBe(120);
+    expect(MathNode.evaluate('<apply><ln/><exponentiale/></apply>')).toBe(1);
+    expect(MathNode.evaluate('<apply><sin/><cn>0</cn></apply>')).toBe(0);
+    expect(MathNode.evaluate('<apply><cos/><cn>0</cn></apply>')).toBe(1);
+    expect(MathNode.evaluate('<apply><tan/><cn>0</cn></apply>')).toBe(0);
+    expect(MathNode.evaluate('<apply><arcsin/><cn>1</cn></apply>')).toBe(Math.PI / 2);
+    expect(MathNode.evaluate('<apply><arccos/><cn>1</cn></apply>')).toBe(0);
+    expect(MathNode.evaluate('<apply><arctan/><cn>1</cn></apply>')).toBe(Math.PI / 4);
+});
+
+test('evaluate-from-expression', function() {
+    expect(MathNode.evaluate(conc(div('1+x', '2'), expr('+'), sqrt('x')).value, {x: 4})).toBe(4.5);
+});
+
+/**
+ * Evaluate `mml` with `bindings`, and return the raised error (or null if
+ * none was raised).
+ *
+ * @param  {String} mml      The MathML to evaluate
+ * @param  {Object} bindings The variable bindings
+ * @return {Error}           The raised error
+ */
+function evaluationError(mml, bindings={}) {
+    try {
+        MathNode.evaluate(mml, bindings);
+    } catch(error) {
+        return error;
+    }
+
+    return null;
+}
+
+test('evaluate-unbound-variable', function() {
+    let error = evaluationError('<apply><plus/><ci>x</ci><ci>y</ci></apply>', {x: 1});
+    expect(error).toBeInstanceOf(EvaluationError);
+    expect(error.code).toBe('unbound-variable');
+    expect(error.variable).toBe('y');
+    expect(evaluationError('<ci>toString</ci>').code).toBe('unbound-variable');
+});
+
+test('evaluate-domain-errors', function() {
+    let error = evaluationError('<apply><divide/><cn>1</cn><cn>0</cn></apply>');
+    expect(error).toBeInstanceOf(EvaluationError);
+    expect(error.code).toBe('domain');
+    expect(error.operation).toBe('divide');
+
+    expect(evaluationError('<apply><ln/><cn>0</cn></apply>').code).toBe('domain');
+    expect(evaluationError('<apply><root/><cn>-1</cn></apply>').code).toBe('domain');
+    expect(evaluationError('<apply><arcsin/><cn>2</cn></apply>').code).toBe('domain');
+    expect(evaluationError('<apply><factorial/><cn>1.5</cn></apply>').code).toBe('domain');
+    expect(evaluationError('<apply><power/><cn>-1</cn><cn>0.5</cn></apply>').code).toBe('domain');
+    expect(evaluationError('<apply><power/><cn>0</cn><cn>-1</cn></apply>').operation).toBe('power');
+});
+
+test('evaluate-unsupported', function() {
+    expect(evaluationError('<apply><foo/><cn>1</cn></apply>').code).toBe('unsupported');
+    //the action is unsupported even though its variables are unbound
+    expect(evaluationError('<apply><int/><bvar><ci>x</ci></bvar><ci>x</ci></apply>').code)
+        .toBe('unsupported');
+    expect(evaluationError('<apply><diff/><bvar><ci>x</ci></bvar><ci>x</ci></apply>').code)
+        .toBe('unsupported');
+});
+
+test('equivalent-exact', function() {
+    let mml = '<apply><plus/><ci>x</ci><cn>1</cn></apply>';
+    expect(MathNode.equivalent(mml, mml)).toBe('exact');
+    expect(MathNode.equivalent(mml, '<apply> <plus/> <ci> x </ci> <cn>1</cn> </apply>'))
+        .toBe('exact');
+});
+
+test('equivalent-commuted', function() {
+    expect(MathNode.equivalent(expr('x+1').value, expr('1+x').value)).toBe('equivalent');
+    expect(MathNode.equivalent(expr('2(x+y)').value, expr('2x+2y').value)).toBe('equivalent');
+});
+
+test('equivalent-different', function() {
+    expect(MathNode.equivalent(expr('x+1').value, expr('x+2').value)).toBe('different');
+    expect(MathNode.equivalent(expr('x').value, expr('y').value)).toBe('different');
+});
+
+test('equivalent-undefined-points', function() {
+    // x/x is undefined at 0 only, which is skipped
+    expect(MathNode.equivalent(div('x', 'x').value, expr('1').value)).toBe('equivalent');
+    // 1/x and 2/(2x) are both undefined at 0, which is skipped, leaving no
+    // samples if it's the whole domain
+    expect(MathNode.equivalent(div('1', 'x').ast, div('2', '2x').ast, {domain: [0, 0]}))
+        .toBe('different');
+    expect(MathNode.equivalent(div('1', 'x').ast, div('2', '2x').ast)).toBe('equivalent');
+    // |x| and sqrt(x)^2 have different domains, so agreeing where both are
+    // defined isn't enough
+    let squaredRoot = conc(sqrt('x'), pow('2')).value;
+    expect(MathNode.equivalent(expr('|x|').value, squaredRoot)).toBe('different');
+    expect(MathNode.equivalent(expr('|x|').value, squaredRoot, {domain: [0, 10]}))
+        .toBe('equivalent');
+});
+
+test('equivalent-tolerance', function() {
+    expect(MathNode.equivalent(expr('3.14159').value, expr('π').value)).toBe('different');
+    expect(MathNode.equivalent(expr('3.14159').value, expr('π').value, {tolerance: 1e-5}))
+        .toBe('equivalent');
+});
+
+test('equivalent-domain', function() {
+    let options = {domain: {x: [0, 10]}};
+    expect(MathNode.equivalent(expr('|x|').value, expr('x').value)).toBe('different');
+    expect(MathNode.equivalent(expr('|x|').value, expr('x').value, options)).toBe('equivalent');
+});
+
+test('equivalent-random', function() {
+    let calls = 0;
+    let random = () => (calls++ % 10) / 10;
+    expect(MathNode.equivalent(expr('x+1').value, expr('1+x').value, {random: random, samples: 5}))
+        .toBe('equivalent');
+    expect(calls).toBe(5);
+});
+
+test('ast-atoms', function() {
+    expect(expr('1.5').ast).toEqual({type: 'cn', value: '1.5'});
+    expect(expr('x').ast).toEqual({type: 'ci', name: 'x'});
+    expect(expr('π').ast).toEqual({type: 'pi'});
+    expect(expr('e').ast).toEqual({type: 'exponentiale'});
+});
+
+test('ast-operators', function() {
+    expect(expr('2x').ast).toEqual({type: 'apply', op: 'times', args: [
+        {type: 'cn', value: '2'},
+        {type: 'ci', name: 'x'},
+    ]});
+    expect(div('1', 'x').ast).toEqual({type: 'apply', op: 'divide', args: [
+        {type: 'cn', value: '1'},
+        {type: 'ci', name: 'x'},
+    ]});
+    expect(expr('sin(x)').ast).toEqual({type: 'apply', op: 'sin', args: [
+        {type: 'ci', name: 'x'},
+    ]});
+});
+
+test('ast-qualifiers', function() {
+    let ast = {type: 'apply', op: 'root', degree: {type: 'cn', value: '2'}, args: [
+        {type: 'ci', name: 'x'},
+    ]};
+    expect(sqrt('x').ast).toEqual(ast);
+    expect(MathNode.astToMathML(ast))
+        .toBe('<apply><root/><degree><cn>2</cn></degree><ci>x</ci></apply>');
+});
+
+test('ast-to-mathml', function() {
+    let expression = conc(div('1+x', '2'), expr('+|y|'), pow('2'));
+    expect(MathNode.astToMathML(expression.ast)).toBe(expression.value);
+});
+
+test('ast-from-mathml', function() {
+    let expression = conc(div('1+x', '2'), expr('-'), sqrt('y'), expr('+ln(e)'));
+    expect(MathNode.astFromMathML(expression.value)).toEqual(expression.ast);
+    expect(MathNode.astFromMathML(' <math> <ci> x </ci> </math> '))
+        .toEqual({type: 'ci', name: 'x'});
+    expect(() => MathNode.astFromMathML('<foo><ci>x</ci></foo>')).toThrow();
+});
+
+test('ast-evaluate-equivalent', function() {
+    expect(MathNode.evaluate(expr('2x').ast, {x: 3})).toBe(6);
+    expect(MathNode.equivalent(expr('x+1').ast, expr('1+x').value)).toBe('equivalent');
+    expect(MathNode.equivalent(expr('x+1').ast, expr('x+1').value)).toBe('exact');
+});
+
+/**
+ * Parse `expression`, and return the raised error (or null if none was
+ * raised).
+ *
+ * @param  {ExpressionNode} expression The expression to parse
+ * @return {Error}                     The raised error
+ */
+function parseError(expression) {
+    try {
+        expression.value;
+    } catch(error) {
+        return error;
+    }
+
+    return null;
+}
+
+/**
+ * Check that the nodes blamed by `error` are exactly `nodes`.
+ *
+ * @param  {ParseError} error The raised error
+ * @param  {Array}      nodes The expected offending nodes
+ */
+function expectNodes(error, nodes) {
+    expect(error.nodes).toHaveLength(nodes.length);
+    nodes.forEach((node, i) => expect(error.nodes[i]).toBe(node));
+}
+
+test('parse-error-empty', function() {
+    let expression = expr('');
+    let error = parseError(expression);
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error.code).toBe('empty');
+    expectNodes(error, [expression]);
+
+    let divExpr = div('1', '');
+    error = parseError(divExpr);
+    expect(error.code).toBe('empty');
+    expectNodes(error, [divExpr.endNode.denominator]);
+
+    expression = expr('2()');
+    error = parseError(expression);
+    expect(error.code).toBe('empty');
+    expectNodes(error, expression.nodes.slice(2, 4));
+    expect(parseError(expr('||')).code).toBe('empty');
+});
+
+test('parse-error-missing-operand', function() {
+    let expression = expr('1+');
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-operand');
+    expect(error.message).toBe('Missing term after +.');
+    expectNodes(error, [expression.nodes[2]]);
+
+    expression = expr('*2');
+    error = parseError(expression);
+    expect(error.message).toBe('Missing term before ×.');
+    expectNodes(error, [expression.nodes[1]]);
+
+    expression = expr('2(-)');
+    error = parseError(expression);
+    expect(error.code).toBe('missing-operand');
+    expectNodes(error, [expression.nodes[3]]);
+});
+
+test('parse-error-missing-argument', function() {
+    let expression = expr('2sin');
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-argument');
+    expect(error.message).toBe('Missing argument to sin.');
+    expectNodes(error, expression.nodes.slice(2, 5));
+});
+
+test('parse-error-unmatched', function() {
+    let expression = expr('2(x');
+    let error = parseError(expression);
+    expect(error.code).toBe('unmatched-parenthesis');
+    expectNodes(error, [expression.nodes[2]]);
+
+    expression = expr('x)');
+    error = parseError(expression);
+    expect(error.code).toBe('unmatched-parenthesis');
+    expectNodes(error, [expression.nodes[2]]);
+
+    expression = expr('|x');
+    error = parseError(expression);
+    expect(error.code).toBe('unmatched-pipe');
+    expectNodes(error, [expression.nodes[1]]);
+});
+
+test('parse-error-unexpected-symbol', function() {
+    let expression = expr('!');
+    let error = parseError(expression);
+    expect(error.code).toBe('unexpected-symbol');
+    expectNodes(error, [expression.nodes[1]]);
+
+    expression = pow('2');
+    error = parseError(expression);
+    expect(error.code).toBe('unexpected-symbol');
+    expectNodes(error, [expression.endNode]);
+});
+
+test('relations-value', function() {
+    expect(expr('2x+1=5').value)
+        .toBe('<apply><eq/><apply><plus/><apply><times/><cn>2</cn>'
+            + '<ci>x</ci></apply><cn>1</cn></apply><cn>5</cn></apply>');
+    expect(expr('x<1').value).toBe('<apply><lt/><ci>x</ci><cn>1</cn></apply>');
+    expect(expr('x>1').value).toBe('<apply><gt/><ci>x</ci><cn>1</cn></apply>');
+    expect(expr('x≤1').value).toBe('<apply><leq/><ci>x</ci><cn>1</cn></apply>');
+    expect(expr('x≥-3').value)
+        .toBe('<apply><geq/><ci>x</ci><apply><minus/><cn>3</cn></apply></apply>');
+    expect(expr('x≠1').value).toBe('<apply><neq/><ci>x</ci><cn>1</cn></apply>');
+});
+
+test('relations-chained', function() {
+    expect(expr('0<x<1').value).toBe('<apply><lt/><cn>0</cn><ci>x</ci><cn>1</cn></apply>');
+    expect(expr('0<x≤1').value)
+        .toBe('<apply><and/><apply><lt/><cn>0</cn><ci>x</ci></apply>'
+            + '<apply><leq/><ci>x</ci><cn>1</cn></apply></apply>');
+});
+
+test('relations-missing-operand', function() {
+    let expression = expr('x=');
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-operand');
+    expect(error.message).toBe('Missing term after =.');
+    expectNodes(error, [expression.nodes[2]]);
+
+    expression = expr('0<<1');
+    error = parseError(expression);
+    expect(error.message).toBe('Missing term before <.');
+    expectNodes(error, [expression.nodes[3]]);
+});
+
+test('relations-from-mathml', function() {
+    ['2x+1=5', 'x≥-3', '0<x<1', '0<x≤1', 'a=b≠c'].forEach(function(str) {
+        let expression = expr(str);
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.precis).toBe(expression.precis);
+    });
+
+    let loaded = MathNode.buildRootNode();
+    let unchained = '<apply><and/><apply><lt/><cn>0</cn><ci>x</ci></apply>'
+        + '<apply><lt/><ci>y</ci><cn>1</cn></apply></apply>';
+    expect(() => loaded.value = unchained).toThrow();
+});
+
+test('relations-formats', function() {
+    let expression = expr('0<x≤1');
+    expect(expression.latex).toBe('0<x\\leq1');
+    expect(expression.asciimath).toBe('0<x<=1');
+    expect(expression.presentation)
+        .toBe('<mrow><mn>0</mn><mo>&lt;</mo><mi>x</mi><mo>≤</mo><mn>1</mn></mrow>');
+    expect(expression.text).toBe('0<x and x<=1');
+    expect(expr('x=2≠y').text).toBe('x==2 and 2!=y');
+    expect(expr('0<x<1').text).toBe('0<x<1');
+
+    let fromLatex = MathNode.buildRootNode();
+    fromLatex.latex = '0 \\lt x \\le 1';
+    expect(fromLatex.precis).toBe(expression.precis);
+
+    let fromAsciimath = MathNode.buildRootNode();
+    fromAsciimath.asciimath = '0 < x <= 1';
+    expect(fromAsciimath.precis).toBe(expression.precis);
+});
+
+test('list-value', function() {
+    expect(expr('x=2,x=-3').value)
+        .toBe('<list><apply><eq/><ci>x</ci><cn>2</cn></apply><apply><eq/>'
+            + '<ci>x</ci><apply><minus/><cn>3</cn></apply></apply></list>');
+    expect(expr('(1,2)').value).toBe('<vector><cn>1</cn><cn>2</cn></vector>');
+    expect(expr('{1,2,3}').value).toBe('<set><cn>1</cn><cn>2</cn><cn>3</cn></set>');
+    expect(expr('{x}').value).toBe('<set><ci>x</ci></set>');
+    expect(expr('{}').value).toBe('<set></set>');
+    expect(expr('(1,2),(3,4)').value)
+        .toBe('<list><vector><cn>1</cn><cn>2</cn></vector>'
+            + '<vector><cn>3</cn><cn>4</cn></vector></list>');
+    expect(expr('2(x+1)').value)
+        .toBe('<apply><times/><cn>2</cn><apply><plus/><ci>x</ci><cn>1</cn></apply></apply>');
+});
+
+test('list-errors', function() {
+    let expression = expr('1,');
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-operand');
+    expect(error.message).toBe('Missing term after ,.');
+    expectNodes(error, [expression.nodes[2]]);
+
+    expression = expr('{1,2');
+    error = parseError(expression);
+    expect(error.code).toBe('unmatched-brace');
+    expectNodes(error, [expression.nodes[1]]);
+
+    expression = expr('1}');
+    error = parseError(expression);
+    expect(error.code).toBe('unmatched-brace');
+    expectNodes(error, [expression.nodes[2]]);
+});
+
+test('list-from-mathml', function() {
+    let lists = ['x=2,x=-3', '(1,2)', '{1,2,3}', '{x}', '{}', '(1,2),(3,4)', '{(0,1),(1,0)}'];
+    lists.forEach(function(str) {
+        let expression = expr(str);
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.precis).toBe(expression.precis);
+    });
+
+    expect(MathNode.astFromMathML('<set><cn>1</cn></set>'))
+        .toEqual({type: 'set', args: [{type: 'cn', value: '1'}]});
+});
+
+test('list-formats', function() {
+    let expression = expr('{(1,x),2}');
+    expect(expression.latex).toBe('\\left\\{\\left(1,x\\right),2\\right\\}');
+    expect(expression.asciimath).toBe('{(1,x),2}');
+    expect(expression.presentation)
+        .toBe('<mrow><mrow><mo>{</mo><mrow><mo>(</mo><mn>1</mn><mo>,</mo><mi>x</mi>'
+            + '<mo>)</mo></mrow><mo>,</mo><mn>2</mn><mo>}</mo></mrow></mrow>');
+    expect(expression.text).toBe('{(1,x),2}');
+    expect(expr('x=2,x=-3').text).toBe('x==2,x==-3');
+
+    let fromLatex = MathNode.buildRootNode();
+    fromLatex.latex = '\\{(1, x), 2\\}';
+    expect(fromLatex.precis).toBe(expression.precis);
+
+    let fromAsciimath = MathNode.buildRootNode();
+    fromAsciimath.asciimath = '{(1, x), 2}';
+    expect(fromAsciimath.precis).toBe(expression.precis);
+});
+
+test('list-equivalent', function() {
+    let equivalent = (a, b) => MathNode.equivalent(expr(a).value, expr(b).value);
+    expect(MathNode.equivalent(expr('(x,1)').ast, expr('(x,1)').value)).toBe('exact');
+    expect(equivalent('(x+1,1)', '(1+x,1)')).toBe('equivalent');
+    expect(equivalent('(x+1,1)', '(1,x+1)')).toBe('different');
+    expect(equivalent('{1,2}', '{2,1}')).toBe('equivalent');
+    expect(equivalent('{1,2}', '{1,2,3}')).toBe('different');
+    expect(equivalent('{1,2}', '{1,1}')).toBe('different');
+    expect(equivalent('x=2,x=-3', 'x=2,x=-3+0')).toBe('equivalent');
+    expect(equivalent('{(0,1),(1,0)}', '{(1,0),(0,1)}')).toBe('equivalent');
+    expect(equivalent('(1,2)', '{1,2}')).toBe('different');
+});
+
+test('relations-equivalent', function() {
+    let equivalent = (a, b) => MathNode.equivalent(expr(a).value, expr(b).value);
+    expect(equivalent('2x=4', 'x*2=4')).toBe('equivalent');
+    expect(equivalent('2x=4', '4=2x')).toBe('equivalent');
+    expect(equivalent('2x=4', 'x=2')).toBe('different');
+    expect(equivalent('x<1', '1<x')).toBe('different');
+    expect(equivalent('0<x≤1', '0<x≤2-1')).toBe('equivalent');
+    expect(equivalent('x=1', 'x')).toBe('different');
+});
+
+test('nthroot-value', function() {
+    expect(root('3', 'x').value)
+        .toBe('<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>');
+    expect(root('n+1', '2').value)
+        .toBe('<apply><root/><degree><apply><plus/><ci>n</ci>'
+            + '<cn>1</cn></apply></degree><cn>2</cn></apply>');
+    expect(MathNode.evaluate(root('3', '27').ast)).toBeCloseTo(3);
+    expect(parseError(root('', 'x')).code).toBe('empty');
+});
+
+test('nthroot-navigation', function() {
+    let expression = conc(expr('1'), root('3', 'x'));
+    let rootNode = expression.endNode;
+
+    expect(expression.nodes[1].nodeRight()).toBe(rootNode.index.startNode);
+    expect(rootNode.index.endNode.nodeRight()).toBe(rootNode.radicand.startNode);
+    expect(rootNode.radicand.endNode.nodeRight()).toBe(rootNode);
+    expect(rootNode.nodeLeft()).toBe(rootNode.radicand.endNode);
+    expect(rootNode.radicand.startNode.nodeLeft()).toBe(rootNode.index.endNode);
+    expect(rootNode.index.startNode.nodeLeft()).toBe(expression.nodes[1]);
+
+    expect(rootNode.radicand.endNode.nodeUp()).toBe(rootNode.index.endNode);
+    expect(rootNode.index.endNode.nodeDown()).toBe(rootNode.radicand.startNode);
+});
+
+test('nthroot-from-mathml', function() {
+    let loaded = MathNode.buildRootNode();
+    loaded.value = '<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>';
+    expect(loaded.value).toBe(root('3', 'x').value);
+
+    loaded = MathNode.buildRootNode();
+    loaded.value = '<apply><root/><degree><cn>2</cn></degree><ci>x</ci></apply>';
+    expect(loaded.value).toBe(sqrt('x').value);
+    expect(loaded.latex).toBe('\\sqrt{x}');
+});
+
+test('nthroot-formats', function() {
+    let expression = root('3', 'x+1');
+    expect(expression.latex).toBe('\\sqrt[3]{x+1}');
+    expect(expression.presentation)
+        .toBe('<mrow><mroot><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow>'
+            + '<mrow><mn>3</mn></mrow></mroot></mrow>');
+    expect(expression.asciimath).toBe('root(3)(x+1)');
+    expect(expression.text).toBe('(x+1)^(1/3)');
+
+    let fromLatex = MathNode.buildRootNode();
+    fromLatex.latex = '\\sqrt[3]{x+1}';
+    expect(fromLatex.value).toBe(expression.value);
+
+    let fromAsciimath = MathNode.buildRootNode();
+    fromAsciimath.asciimath = 'root(3)(x+1)';
+    expect(fromAsciimath.value).toBe(expression.value);
+});
+
+/**
+ * Given strings representing the nodes in the base and those following it,
+ * return an ExpressionNode containing a LogNode with the described base,
+ * followed by the described nodes.
+ *
+ * @param  {String} baseNodes The nodes to fill the base with
+ * @param  {String} argNodes  The nodes to follow the LogNode
+ * @return {ExpressionNode}   An ExpressionNode containing the LogNode
+ */
+function log(baseNodes, argNodes) {
+    let expression = MathNode.buildRootNode();
+    let logNode = MathNode.buildFromName('logbase');
+    expression.endNode.insertAfter(logNode);
+
+    expr(baseNodes, logNode.base);
+
+    return expr(argNodes, expression);
+}
+
+test('log-value', function() {
+    expect(expr('log(x)').value).toBe('<apply><log/><ci>x</ci></apply>');
+    expect(expr('2logx').value)
+        .toBe('<apply><times/><cn>2</cn><apply><log/><ci>x</ci></apply></apply>');
+    expect(log('2', 'x').value)
+        .toBe('<apply><log/><logbase><cn>2</cn></logbase><ci>x</ci></apply>');
+    expect(log('b', '(x+1)').value)
+        .toBe('<apply><log/><logbase><ci>b</ci></logbase>'
+            + '<apply><plus/><ci>x</ci><cn>1</cn></apply></apply>');
+    expect(log('2', 'x').ast).toEqual({
+        type: 'apply', op: 'log', logbase: {type: 'cn', value: '2'},
+        args: [{type: 'ci', name: 'x'}],
+    });
+});
+
+test('log-errors', function() {
+    let expression = log('2', '');
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-argument');
+    expect(error.message).toBe('Missing argument to log.');
+    expectNodes(error, [expression.endNode]);
+
+    expect(parseError(log('', 'x')).code).toBe('empty');
+});
+
+test('log-evaluate', function() {
+    expect(MathNode.evaluate(expr('log(1000)').ast)).toBeCloseTo(3);
+    expect(MathNode.evaluate(log('2', '8').ast)).toBeCloseTo(3);
+    expect(evaluationError('<apply><log/><cn>0</cn></apply>').code).toBe('domain');
+    expect(evaluationError('<apply><log/><logbase><cn>1</cn></logbase><cn>2</cn></apply>').code)
+        .toBe('domain');
+});
+
+test('log-navigation', function() {
+    let expression = log('2', 'x');
+    let logNode = expression.nodes[1];
+
+    expect(expression.startNode.nodeRight()).toBe(logNode.base.startNode);
+    expect(logNode.base.endNode.nodeRight()).toBe(logNode);
+    expect(logNode.nodeRight()).toBe(expression.endNode);
+    expect(expression.endNode.nodeLeft()).toBe(logNode);
+    expect(logNode.nodeLeft()).toBe(logNode.base.endNode);
+    expect(logNode.base.startNode.nodeLeft()).toBe(expression.startNode);
+});
+
+test('log-from-mathml', function() {
+    [expr('log(x)'), log('2', '(x)'), log('b', '(x+1)')].forEach(function(expression) {
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.value).toBe(expression.value);
+    });
+
+    let loaded = MathNode.buildRootNode();
+    loaded.value = '<apply><log/><logbase><cn>10</cn></logbase><ci>x</ci></apply>';
+    expect(loaded.precis).toBe('_log(x)');
+});
+
+test('log-formats', function() {
+    let expression = log('2', '(x)');
+    expect(expression.latex).toBe('\\log_{2}\\left(x\\right)');
+    expect(expression.presentation)
+        .toBe('<mrow><msub><mi>log</mi><mrow><mn>2</mn></mrow></msub>'
+            + '<mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></mrow>');
+    expect(expression.asciimath).toBe('log_2(x)');
+    expect(expression.text).toBe('log(x,2)');
+    expect(expr('log(x)').latex).toBe('\\log\\left(x\\right)');
+    expect(expr('log(x)').text).toBe('log10(x)');
+
+    let fromLatex = MathNode.buildRootNode();
+    fromLatex.latex = '\\log_2(x)';
+    expect(fromLatex.value).toBe(expression.value);
+
+    let fromAsciimath = MathNode.buildRootNode();
+    fromAsciimath.asciimath = 'log_2(x)';
+    expect(fromAsciimath.value).toBe(expression.value);
+});
+
+/**
+ * Given strings representing the nodes of a base, its subscript and those
+ * following it, return an ExpressionNode containing the base followed by a
+ * SubscriptNode with the described subscript, followed by the described
+ * nodes.
+ *
+ * @param  {String} baseNodes The nodes preceding the SubscriptNode
+ * @param  {String} subNodes  The nodes to fill the subscript with
+ * @param  {String} restNodes The nodes to follow the SubscriptNode
+ * @return {ExpressionNode}   An ExpressionNode containing the SubscriptNode
+ */
+function sub(baseNodes, subNodes, restNodes='') {
+    let expression = expr(baseNodes + '_');
+    expr(subNodes, expression.endNode.subscript);
+
+    return expr(restNodes, expression);
+}
+
+test('subscript-value', function() {
+    let x1 = '<ci><msub><mi>x</mi><mn>1</mn></msub></ci>';
+    expect(sub('x', '1').value).toBe(x1);
+    expect(sub('x', '1').ast).toEqual({type: 'ci', name: 'x_1'});
+    let power = sub('2x', '1', '^');
+    expr('2', power.endNode.exponent);
+    expect(power.value)
+        .toBe(`<apply><times/><cn>2</cn><apply><power/>${x1}<cn>2</cn></apply></apply>`);
+    expect(sub('a', 'n1').value)
+        .toBe('<ci><msub><mi>a</mi><mrow><mi>n</mi><mn>1</mn></mrow></msub></ci>');
+    expect(sub('e', '0').value).toBe('<ci><msub><mi>e</mi><mn>0</mn></msub></ci>');
+    expect(MathNode.astToMathML(sub('x', '1').ast, {subscripts: 'underscore'}))
+        .toBe('<ci>x_1</ci>');
+});
+
+test('subscript-errors', function() {
+    let expression = sub('x', '');
+    let error = parseError(expression);
+    expect(error.code).toBe('empty');
+    expectNodes(error, [expression.endNode.subscript.startNode]);
+
+    expression = sub('x', 'n+1');
+    error = parseError(expression);
+    expect(error.code).toBe('unexpected-symbol');
+    expectNodes(error, [expression.endNode]);
+
+    expect(parseError(sub('2', '1')).code).toBe('unexpected-symbol');
+});
+
+test('subscript-evaluate', function() {
+    expect(MathNode.evaluate(sub('x', '1', '+x').ast, {x: 1, x_1: 2})).toBe(3);
+    let mml = '<apply><plus/><cn>1</cn><ci>v_0</ci></apply>';
+    expect(MathNode.equivalent(sub('v', '0', '+1').ast, mml)).toBe('equivalent');
+});
+
+test('subscript-navigation', function() {
+    let expression = sub('x', '1', '+');
+    let subscriptNode = expression.nodes[2];
+
+    expect(expression.nodes[1].nodeRight()).toBe(subscriptNode.subscript.startNode);
+    expect(subscriptNode.subscript.endNode.nodeRight()).toBe(subscriptNode);
+    expect(subscriptNode.nodeRight()).toBe(expression.endNode);
+    expect(expression.endNode.nodeLeft()).toBe(subscriptNode);
+    expect(subscriptNode.nodeLeft()).toBe(subscriptNode.subscript.endNode);
+    expect(subscriptNode.subscript.startNode.nodeLeft()).toBe(expression.nodes[1]);
+});
+
+test('subscript-from-mathml', function() {
+    [sub('x', '1'), sub('a', 'n', '+1'), sub('α', 'max')].forEach(function(expression) {
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.value).toBe(expression.value);
+    });
+
+    let loaded = MathNode.buildRootNode();
+    loaded.value = '<ci>v_0</ci>';
+    expect(loaded.precis).toBe('_v~');
+    expect(loaded.value).toBe(sub('v', '0').value);
+});
+
+test('subscript-formats', function() {
+    let expression = sub('a', 'n', '^');
+    expr('2', expression.endNode.exponent);
+    expect(expression.latex).toBe('a_{n}^{2}');
+    expect(expression.presentation)
+        .toBe('<mrow><msup><msub><mi>a</mi><mrow><mi>n</mi></mrow></msub>'
+            + '<mrow><mn>2</mn></mrow></msup></mrow>');
+    expect(expression.asciimath).toBe('a_n^2');
+    expect(expression.text).toBe('a_n^2');
+
+    let fromLatex = MathNode.buildRootNode();
+    fromLatex.latex = 'a_{n}^2';
+    expect(fromLatex.value).toBe(expression.value);
+
+    let fromAsciimath = MathNode.buildRootNode();
+    fromAsciimath.asciimath = 'a_n^2';
+    expect(fromAsciimath.value).toBe(expression.value);
+
+    let division = sub('x', '1', '/');
+    division.endNode.collectNumerator();
+    expect(division.endNode.numerator.precis).toBe('_x~');
+});
+
+/**
+ * Given a string representing a series of nodes, return an ExpressionNode
+ * filled with those nodes whose dictionary is built from `options`.
+ *
+ * @param  {String} nodes   The nodes to fill the expression with
+ * @param  {Object} options The dictionary options
+ * @return {ExpressionNode} The filled expression
+ */
+function exprWithDictionary(nodes, options) {
+    let expression = MathNode.buildRootNode();
+    expression.dictionary = options;
+
+    return expr(nodes, expression);
+}
+
+test('dictionary-identifiers', function() {
+    let options = {identifiers: ['mu', 'rate', 'Vmax']};
+    expect(exprWithDictionary('2mu', options).value)
+        .toBe('<apply><times/><cn>2</cn><ci>mu</ci></apply>');
+    expect(exprWithDictionary('ratex', options).value)
+        .toBe('<apply><times/><ci>rate</ci><ci>x</ci></apply>');
+    expect(exprWithDictionary('Vmax', options).ast).toEqual({type: 'ci', name: 'Vmax'});
+    expect(expr('mu').value).toBe('<apply><times/><ci>m</ci><ci>u</ci></apply>');
+
+    let subscripted = exprWithDictionary('mu_', options);
+    expr('0', subscripted.endNode.subscript);
+    expect(subscripted.ast).toEqual({type: 'ci', name: 'mu_0'});
+
+    let division = exprWithDictionary('2Vmax/', options);
+    division.endNode.collectNumerator();
+    expr('3', division.endNode.denominator);
+    expect(division.text).toBe('2*Vmax/3');
+    expect(MathNode.evaluate(exprWithDictionary('2rate', options).ast, {rate: 3})).toBe(6);
+});
+
+test('dictionary-constants', function() {
+    expect(exprWithDictionary('e', {literals: ['e']}).value).toBe('<ci>e</ci>');
+    expect(exprWithDictionary('πe', {literals: ['e']}).value)
+        .toBe('<apply><times/><pi/><ci>e</ci></apply>');
+    expect(exprWithDictionary('E', {constants: {'E': 'exponentiale'}, literals: ['e']}).value)
+        .toBe('<exponentiale/>');
+    expect(exprWithDictionary('pi', {literals: ['pi']}).value)
+        .toBe('<apply><times/><ci>p</ci><ci>i</ci></apply>');
+    expect(() => MathNode.buildDictionary({constants: {'g': 'gravity'}}))
+        .toThrow('Unknown constant: gravity');
+    expect(() => MathNode.buildDictionary({identifiers: ['x1']})).toThrow();
+    expect(() => MathNode.buildDictionary({identifiers: 'mu'}))
+        .toThrow('Dictionary identifiers, functions and literals must be arrays.');
+});
+
+test('dictionary-functions', function() {
+    //a function name takes precedence over a shorter name in the dictionary,
+    //but not a longer one
+    expect(exprWithDictionary('sinx', {identifiers: ['si']}).value)
+        .toBe('<apply><sin/><ci>x</ci></apply>');
+    expect(exprWithDictionary('cost', {identifiers: ['cost']}).value).toBe('<ci>cost</ci>');
+});
+
+test('dictionary-formats', function() {
+    let options = {identifiers: ['Vmax', 'cost', 'pitch', 'rate']};
+    expect(exprWithDictionary('Vmax', options).latex).toBe('\\mathit{Vmax}');
+    expect(exprWithDictionary('Vmax', options).presentation).toBe('<mrow><mi>Vmax</mi></mrow>');
+    expect(exprWithDictionary('cost', options).latex).toBe('\\mathit{cost}');
+    expect(exprWithDictionary('2pitch', options).latex).toBe('2\\mathit{pitch}');
+    expect(exprWithDictionary('2rate', options).presentation)
+        .toBe('<mrow><mn>2</mn><mi>rate</mi></mrow>');
+    expect(exprWithDictionary('pitch', options).asciimath).toBe('p i t c h');
+    expect(exprWithDictionary('rate', options).asciimath).toBe('rate');
+    expect(exprWithDictionary('pi', {literals: ['pi']}).latex).toBe('pi');
+    expect(exprWithDictionary('cost', {}).latex).toBe('\\cos t');
+
+    ['2pitch', 'cost+rate', 'Vmax'].forEach(function(nodes) {
+        let expression = exprWithDictionary(nodes, options);
+        let fromLatex = MathNode.buildRootNode();
+        fromLatex.dictionary = options;
+        fromLatex.latex = expression.latex;
+        expect(fromLatex.value).toBe(expression.value);
+
+        let fromAsciiMath = MathNode.buildRootNode();
+        fromAsciiMath.dictionary = options;
+        fromAsciiMath.asciimath = expression.asciimath;
+        expect(fromAsciiMath.value).toBe(expression.value);
+    });
+
+    //otherwise its letters would be read as a product
+    let fromLatex = MathNode.buildRootNode();
+    expect(() => fromLatex.latex = '\\mathit{rate}')
+        .toThrow("\\mathit{rate} isn't an identifier in the field's dictionary.");
+    fromLatex.latex = '\\mathit{x}';
+    expect(fromLatex.value).toBe('<ci>x</ci>');
+});
+
+test('dictionary-from-mathml', function() {
+    let loaded = MathNode.buildRootNode();
+    loaded.dictionary = {identifiers: ['mu']};
+    loaded.value = '<apply><times/><cn>2</cn><ci>mu</ci></apply>';
+    expect(loaded.value).toBe('<apply><times/><cn>2</cn><ci>mu</ci></apply>');
+
+    loaded = MathNode.buildRootNode();
+    loaded.dictionary = {constants: {'E': 'exponentiale'}, literals: ['e']};
+    loaded.value = '<exponentiale/>';
+    expect(loaded.precis).toBe('_E');
+
+    loaded = MathNode.buildRootNode();
+    loaded.dictionary = {literals: ['e']};
+    expect(() => loaded.value = '<exponentiale/>').toThrow();
+
+    //an undeclared multi-letter name would be read back as a product
+    expect(() => exprFromMathML('<ci>ab</ci>'))
+        .toThrow('<ci>ab</ci> isn\'t an identifier in the field\'s dictionary.');
+    expect(() => exprFromMathML('<ci><msub><mi>mu</mi><mn>0</mn></msub></ci>')).toThrow();
+});
+
+test('dictionary-collect-numerator', function() {
+    let expression = expr('1+∞/');
+    expression.endNode.collectNumerator();
+    expect(expression.endNode.numerator.precis).toBe('_∞');
+
+    expression = exprWithDictionary('1+∞/', {literals: ['∞']});
+    expression.endNode.collectNumerator();
+    expect(expression.endNode.numerator.precis).toBe('_');
+});
+
+test('functions-value', function() {
+    expect(expr('secx').value).toBe('<apply><sec/><ci>x</ci></apply>');
+    expect(expr('sechx').value).toBe('<apply><sech/><ci>x</ci></apply>');
+    expect(expr('arctanhx').value).toBe('<apply><arctanh/><ci>x</ci></apply>');
+    expect(expr('exp(x)').value).toBe('<apply><exp/><ci>x</ci></apply>');
+    expect(expr('ceilx').value).toBe('<apply><ceiling/><ci>x</ci></apply>');
+    expect(expr('sgnx').value).toBe('<apply><ci type="function">sgn</ci><ci>x</ci></apply>');
+    expect(expr('max(1,x,3)').value).toBe('<apply><max/><cn>1</cn><ci>x</ci><cn>3</cn></apply>');
+    expect(expr('min(x)').value).toBe('<apply><min/><ci>x</ci></apply>');
+    expect(parseError(expr('max')).code).toBe('missing-argument');
+});
+
+test('functions-evaluate', function() {
+    expect(MathNode.evaluate(expr('sec0').ast)).toBeCloseTo(1);
+    expect(MathNode.evaluate(expr('cosh0').ast)).toBeCloseTo(1);
+    expect(MathNode.evaluate(expr('exp1').ast)).toBeCloseTo(Math.E);
+    expect(MathNode.evaluate(expr('floor(-1.5)').ast)).toBe(-2);
+    expect(MathNode.evaluate(expr('sgn(-3)').ast)).toBe(-1);
+    expect(MathNode.evaluate(expr('max(1,x,3)').ast, {x: 5})).toBe(5);
+    expect(MathNode.evaluate(expr('min(1,x,3)').ast, {x: 5})).toBe(1);
+    expect(evaluationError('<apply><arccosh/><cn>0</cn></apply>').code).toBe('domain');
+});
+
+test('functions-from-mathml', function() {
+    ['sechx', 'sgnx', 'floor(x+1)', 'max(1,x,3)'].forEach(function(nodes) {
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expr(nodes).value;
+        expect(loaded.value).toBe(expr(nodes).value);
+    });
+
+    expect(MathNode.astFromMathML('<apply><ci type="function">sgn</ci><ci>x</ci></apply>'))
+        .toEqual({type: 'apply', op: 'sgn', args: [{type: 'ci', name: 'x'}]});
+    expect(() => MathNode.astFromMathML('<apply><csymbol>foo</csymbol><ci>x</ci></apply>'))
+        .toThrow();
+});
+
+test('functions-formats', function() {
+    let expression = expr('sgn(x)+max(1,2)');
+    expect(expression.latex).toBe('\\operatorname{sgn}\\left(x\\right)+\\max\\left(1,2\\right)');
+    expect(expression.asciimath).toBe('sgn(x)+max(1,2)');
+    expect(expression.text).toBe('sign(x)+max(1,2)');
+    expect(expr('coshx').presentation)
+        .toBe('<mrow><mi>cosh</mi><mo>&#x2061;</mo><mi>x</mi></mrow>');
+
+    let fromLatex = MathNode.buildRootNode();
+    fromLatex.latex = expression.latex;
+    expect(fromLatex.value).toBe(expression.value);
+
+    let fromAsciimath = MathNode.buildRootNode();
+    fromAsciimath.asciimath = expression.asciimath;
+    expect(fromAsciimath.value).toBe(expression.value);
+});
+
+test('functions-register', function() {
+    MathNode.registerFunction('erf', {
+        mathml: '<csymbol cd="hypergeo0">erf</csymbol>',
+        evaluate: (x) => x === 0 ? 0 : NaN,
+    });
+
+    let expression = expr('2erf(x)');
+    let value = '<apply><times/><cn>2</cn>'
+        + '<apply><csymbol cd="hypergeo0">erf</csymbol><ci>x</ci></apply></apply>';
+    expect(expression.value).toBe(value);
+    expect(expression.latex).toBe('2\\operatorname{erf}\\left(x\\right)');
+    expect(expression.text).toBe('2*erf(x)');
+    expect(MathNode.evaluate(expression.ast, {x: 0})).toBe(0);
+
+    let loaded = MathNode.buildRootNode();
+    loaded.value = value;
+    expect(loaded.value).toBe(value);
+
+    expect(() => MathNode.registerFunction('f')).toThrow();
+});
+
+test('application-value', function() {
+    let options = {functions: ['f', 'g']};
+    let fx = '<apply><ci type="function">f</ci><ci>x</ci></apply>';
+    expect(exprWithDictionary('f(x)', options).value).toBe(fx);
+    expect(exprWithDictionary('f(x+1)', options).ast).toEqual({
+        type: 'apply', op: {type: 'ci', name: 'f'}, args: [
+            {type: 'apply', op: 'plus', args: [{type: 'ci', name: 'x'}, {type: 'cn', value: '1'}]},
+        ],
+    });
+    expect(exprWithDictionary('g(f(x))', options).value)
+        .toBe(`<apply><ci type="function">g</ci>${fx}</apply>`);
+    expect(exprWithDictionary('2f(x)y', options).value)
+        .toBe(`<apply><times/><cn>2</cn><apply><times/>${fx}<ci>y</ci></apply></apply>`);
+    expect(exprWithDictionary('g(x,y)', options).value)
+        .toBe('<apply><ci type="function">g</ci><ci>x</ci><ci>y</ci></apply>');
+    expect(exprWithDictionary('f', options).value).toBe('<ci>f</ci>');
+    expect(expr('f(x)').value).toBe('<apply><times/><ci>f</ci><ci>x</ci></apply>');
+});
+
+test('application-errors', function() {
+    let options = {functions: ['f']};
+    let expression = exprWithDictionary('f()', options);
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-argument');
+    expectNodes(error, expression.nodes.slice(1));
+
+    expression = exprWithDictionary('f(x', options);
+    error = parseError(expression);
+    expect(error.code).toBe('unmatched-parenthesis');
+    expectNodes(error, [expression.nodes[2]]);
+});
+
+test('application-evaluate', function() {
+    let ast = exprWithDictionary('f(x+1)', {functions: ['f']}).ast;
+    expect(MathNode.evaluate(ast, {x: 2, f: (x) => x * x})).toBe(9);
+    expect(evaluationError(MathNode.astToMathML(ast)).code).toBe('unbound-variable');
+
+    let commuted = exprWithDictionary('f(1+x)', {functions: ['f']}).ast;
+    let doubled = exprWithDictionary('f(2x)', {functions: ['f']}).ast;
+    expect(MathNode.equivalent(ast, commuted)).toBe('equivalent');
+    expect(MathNode.equivalent(ast, doubled)).toBe('different');
+});
+
+test('application-from-mathml', function() {
+    let value = exprWithDictionary('g(f(x),y)+1', {functions: ['f', 'g']}).value;
+
+    let loaded = MathNode.buildRootNode();
+    loaded.dictionary = {functions: ['f', 'g']};
+    loaded.value = value;
+    expect(loaded.precis).toBe('_g(f(x),y)+1');
+    expect(loaded.value).toBe(value);
+
+    expect(MathNode.astFromMathML('<apply><ci type="function">f</ci><ci>x</ci></apply>'))
+        .toEqual({type: 'apply', op: {type: 'ci', name: 'f'}, args: [{type: 'ci', name: 'x'}]});
+
+    //an undeclared function would be read back as a product
+    expect(() => exprFromMathML('<apply><ci type="function">f</ci><ci>x</ci></apply>'))
+        .toThrow('<ci>f</ci> isn\'t a function in the field\'s dictionary.');
+    expect(() => exprFromMathML('<apply><apply><diff/><ci>f</ci></apply><ci>x</ci></apply>'))
+        .toThrow('<ci>f</ci> isn\'t a function in the field\'s dictionary.');
+});
+
+test('application-formats', function() {
+    let expression = exprWithDictionary('f(x+1)', {functions: ['f']});
+    expect(expression.text).toBe('f(x+1)');
+    expect(expression.latex).toBe('f\\left(x+1\\right)');
+    expect(expression.asciimath).toBe('f(x+1)');
+});
+
+/**
+ * Given strings representing the nodes in the variable and order of a
+ * derivative, and the nodes which follow it, return an ExpressionNode
+ * containing the DerivativeNode followed by those nodes.
+ *
+ * @param  {String} variableNodes The nodes to fill the variable with
+ * @param  {String} orderNodes    The nodes to fill the order with
+ * @param  {String} argNodes      The nodes to place after the DerivativeNode
+ * @return {ExpressionNode}       An ExpressionNode containing the derivative
+ */
+function derivative(variableNodes, orderNodes, argNodes) {
+    let expression = MathNode.buildRootNode();
+    let derivativeNode = MathNode.buildFromName('derivative');
+    expression.endNode.insertAfter(derivativeNode);
+
+    expr(variableNodes, derivativeNode.variable);
+    expr(orderNodes, derivativeNode.order);
+
+    return expr(argNodes, expression);
+}
+
+test('derivative-value', function() {
+    let options = {functions: ['f']};
+    expect(expr("y'").value).toBe('<apply><diff/><ci>y</ci></apply>');
+    expect(expr("y''").value).toBe('<apply><diff/><apply><diff/><ci>y</ci></apply></apply>');
+    expect(expr("2y'").value)
+        .toBe('<apply><times/><cn>2</cn><apply><diff/><ci>y</ci></apply></apply>');
+    expect(exprWithDictionary("f'(x)", options).value)
+        .toBe('<apply><apply><diff/><ci>f</ci></apply><ci>x</ci></apply>');
+    expect(exprWithDictionary("f''(x)", options).ast).toEqual({
+        type: 'apply',
+        op: {
+            type: 'apply',
+            op: 'diff',
+            args: [{type: 'apply', op: 'diff', args: [{type: 'ci', name: 'f'}]}],
+        },
+        args: [{type: 'ci', name: 'x'}],
+    });
+
+    let y = expr("y'").ast;
+    let squared = expr("y'^");
+    expr('2', squared.endNode.exponent);
+    expect(squared.ast).toEqual({type: 'apply', op: 'power', args: [y, {type: 'cn', value: '2'}]});
+
+    expect(derivative('x', '', 'y').value)
+        .toBe('<apply><diff/><bvar><ci>x</ci></bvar><ci>y</ci></apply>');
+    expect(derivative('t', '2', '(x+1)').ast).toEqual({
+        type: 'apply',
+        op: 'diff',
+        bvar: {type: 'ci', name: 't'},
+        degree: {type: 'cn', value: '2'},
+        args: [
+            {type: 'apply', op: 'plus', args: [{type: 'ci', name: 'x'}, {type: 'cn', value: '1'}]},
+        ],
+    });
+    expect(derivative('t', '2', 'x').value)
+        .toBe('<apply><diff/><bvar><ci>t</ci><degree><cn>2</cn></degree></bvar><ci>x</ci></apply>');
+});
+
+test('derivative-errors', function() {
+    let expression = derivative('x', '', '');
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-argument');
+    expectNodes(error, [expression.endNode]);
+
+    expression = derivative('2', '', 'y');
+    error = parseError(expression);
+    expect(error.code).toBe('unexpected-symbol');
+    expectNodes(error, expression.nodes[1].variable.nodes.slice(1));
+
+    expect(parseError(derivative('', '', 'y')).code).toBe('empty');
+    expect(parseError(expr("'")).code).toBe('unexpected-symbol');
+});
+
+test('derivative-evaluate', function() {
+    expect(evaluationError(expr("y'").value, {y: 1}).code).toBe('unsupported');
+    expect(evaluationError(derivative('x', '', 'y').value, {x: 1, y: 1}).code).toBe('unsupported');
+});
+
+test('derivative-navigation', function() {
+    let expression = derivative('x', '2', 'y');
+    let derivativeNode = expression.nodes[1];
+    let variable = derivativeNode.variable;
+    let order = derivativeNode.order;
+
+    expect(expression.startNode.nodeRight()).toBe(variable.startNode);
+    expect(variable.endNode.nodeRight()).toBe(derivativeNode);
+    expect(derivativeNode.nodeRight()).toBe(expression.endNode);
+    expect(expression.endNode.nodeLeft()).toBe(derivativeNode);
+    expect(derivativeNode.nodeLeft()).toBe(variable.endNode);
+    expect(variable.startNode.nodeLeft()).toBe(expression.startNode);
+
+    expect(variable.endNode.nodeUp()).toBe(order.endNode);
+    expect(order.endNode.nodeDown()).toBe(variable.endNode);
+    expect(order.endNode.nodeRight()).toBe(variable.startNode);
+    expect(order.startNode.nodeLeft()).toBe(expression.startNode);
+});
+
+test('derivative-from-mathml', function() {
+    let options = {functions: ['f']};
+    [expr("y'"), expr("y''+1"), exprWithDictionary("f'(x)", options), derivative('x', '', '(y)'),
+        derivative('t', '2', '(x+1)')].forEach(function(expression) {
+        let loaded = MathNode.buildRootNode();
+        loaded.dictionary = options;
+        loaded.value = expression.value;
+        expect(loaded.value).toBe(expression.value);
+    });
+
+    let loaded = MathNode.buildRootNode();
+    loaded.value = '<apply><diff/><bvar><ci>x</ci>'
+        + '<degree><cn>3</cn></degree></bvar><ci>y</ci></apply>';
+    expect(loaded.nodes[1].order.precis).toBe('_3');
+    expect(loaded.nodes[1].variable.precis).toBe('_x');
+    expect(loaded.precis).toBe('_@(y)');
+
+    expect(MathNode.astFromMathML('<apply><diff/><bvar><ci>x</ci>'
+        + '<degree><cn>3</cn></degree></bvar><ci>y</ci></apply>'))
+        .toEqual({
+            type: 'apply',
+            op: 'diff',
+            bvar: {type: 'ci', name: 'x'},
+            degree: {type: 'cn', value: '3'},
+            args: [{type: 'ci', name: 'y'}],
+        });
+});
+
+test('from-mathml-diff-compound', function() {
+    let apply = (op, ...args) => `<apply><${op}/>${args.join('')}</apply>`;
+    [
+        [apply('plus', '<ci>x</ci>', '<cn>1</cn>'), "_(x+1)'"],
+        [apply('sin', '<ci>x</ci>'), "_(sin(x))'"],
+        [apply('times', '<cn>2</cn>', '<ci>x</ci>'), "_(2x)'"],
+        [apply('power', '<ci>x</ci>', '<cn>2</cn>'), "_(x^)'"],
+    ].forEach(function([arg, precis]) {
+        let mml = apply('diff', arg);
+        let loaded = exprFromMathML(mml);
+        expect(loaded.precis).toBe(precis);
+        expect(loaded.value).toBe(mml);
+    });
+});
+
+test('derivative-formats', function() {
+    let expression = derivative('x', '2', '(y)');
+    expect(expression.latex).toBe('\\frac{d^{2}}{dx^{2}}\\left(y\\right)');
+    expect(expression.asciimath).toBe('(d^2)/(dx^2)(y)');
+    expect(expression.text).toBe('diff(y,x,2)');
+    expect(derivative('x', '', 'y').text).toBe('diff(y,x)');
+    expect(derivative('x', '', 'y').presentation)
+        .toBe('<mrow><mfrac><mi>d</mi><mrow><mi>d</mi>'
+            + '<mrow><mi>x</mi></mrow></mrow></mfrac><mi>y</mi></mrow>');
+
+    expect(expr("y'").latex).toBe("y'");
+    expect(expr("y'").asciimath).toBe("y'");
+    expect(expr("y'").text).toBe('diff(y)');
+    expect(expr("y'").presentation).toBe('<mrow><mi>y</mi><mo>′</mo></mrow>');
+    expect(exprWithDictionary("f'(x)", {functions: ['f']}).text).toBe('Derivative(f(x),x)');
+    expect(exprWithDictionary("f''(x,y)", {functions: ['f']}).text).toBe('Derivative(f(x,y),x,2)');
+    expect(exprWithDictionary("f'(2x)", {functions: ['f']}).text)
+        .toBe('Subs(Derivative(f(_x),_x),_x,2*x)');
+
+    [
+        ['\\frac{d^{2}}{dx^{2}}\\left(y\\right)', expression.value],
+        ['\\frac{d}{dx}y', '<apply><diff/><bvar><ci>x</ci></bvar><ci>y</ci></apply>'],
+        ["y''", expr("y''").value],
+        ['\\frac{dy}{dx}', '<apply><divide/><apply><times/><ci>d</ci>'
+            + '<ci>y</ci></apply><apply><times/><ci>d</ci><ci>x</ci></apply></apply>'],
+    ].forEach(function([latex, value]) {
+        let fromLatex = MathNode.buildRootNode();
+        fromLatex.latex = latex;
+        expect(fromLatex.value).toBe(value);
+    });
+
+    let fromAsciimath = MathNode.buildRootNode();
+    fromAsciimath.asciimath = "y''";
+    expect(fromAsciimath.value).toBe(expr("y''").value);
+});
+
+/**
+ * Given strings representing the nodes in the limits, integrand and variable
+ * of an integral, return an ExpressionNode containing just the IntegralNode.
+ *
+ * @param  {String} lowerNodes     The nodes to fill the lower limit with
+ * @param  {String} upperNodes     The nodes to fill the upper limit with
+ * @param  {String} integrandNodes The nodes to fill the integrand with
+ * @param  {String} variableNodes  The nodes to fill the variable with
+ * @return {ExpressionNode}        An ExpressionNode containing the integral
+ */
+function integral(lowerNodes, upperNodes, integrandNodes, variableNodes) {
+    let expression = MathNode.buildRootNode();
+    let integralNode = MathNode.buildFromName('integral');
+    expression.endNode.insertAfter(integralNode);
+
+    expr(lowerNodes, integralNode.lower);
+    expr(upperNodes, integralNode.upper);
+    expr(integrandNodes, integralNode.integrand);
+    expr(variableNodes, integralNode.variable);
+
+    return expression;
+}
+
+test('integral-value', function() {
+    expect(integral('', '', '2x', 'x').value)
+        .toBe('<apply><int/><bvar><ci>x</ci></bvar><apply><times/>'
+            + '<cn>2</cn><ci>x</ci></apply></apply>');
+    expect(integral('0', '1', 't', 't').value)
+        .toBe('<apply><int/><bvar><ci>t</ci></bvar><lowlimit><cn>0</cn></lowlimit>'
+            + '<uplimit><cn>1</cn></uplimit><ci>t</ci></apply>');
+    expect(integral('0', '∞', 'x', 'x').ast).toEqual({
+        type: 'apply', op: 'int', bvar: {type: 'ci', name: 'x'},
+        lowlimit: {type: 'cn', value: '0'}, uplimit: {type: 'infinity'},
+        args: [{type: 'ci', name: 'x'}],
+    });
+
+    let expression = integral('', '', 'x', 'x');
+    expr('+1', expression);
+    expect(expression.value)
+        .toBe('<apply><plus/><apply><int/><bvar><ci>x</ci></bvar>'
+            + '<ci>x</ci></apply><cn>1</cn></apply>');
+});
+
+test('integral-errors', function() {
+    let expression = integral('0', '', 'x', 'x');
+    let error = parseError(expression);
+    expect(error.code).toBe('empty');
+    expectNodes(error, [expression.nodes[1].upper]);
+
+    expression = integral('', '', 'x', '2');
+    error = parseError(expression);
+    expect(error.code).toBe('unexpected-symbol');
+    expectNodes(error, expression.nodes[1].variable.nodes.slice(1));
+
+    expect(parseError(integral('', '', '', 'x')).code).toBe('empty');
+    expect(parseError(integral('', '', 'x', '')).code).toBe('empty');
+});
+
+test('integral-navigation', function() {
+    let expression = integral('0', '1', 'x', 'x');
+    let integralNode = expression.nodes[1];
+
+    expect(expression.startNode.nodeRight()).toBe(integralNode.lower.startNode);
+    expect(integralNode.lower.endNode.nodeRight()).toBe(integralNode.integrand.startNode);
+    expect(integralNode.upper.endNode.nodeRight()).toBe(integralNode.integrand.startNode);
+    expect(integralNode.integrand.endNode.nodeRight()).toBe(integralNode.variable.startNode);
+    expect(integralNode.variable.endNode.nodeRight()).toBe(integralNode);
+    expect(integralNode.nodeLeft()).toBe(integralNode.variable.endNode);
+    expect(integralNode.variable.startNode.nodeLeft()).toBe(integralNode.integrand.endNode);
+    expect(integralNode.integrand.startNode.nodeLeft()).toBe(integralNode.lower.endNode);
+    expect(integralNode.lower.startNode.nodeLeft()).toBe(expression.startNode);
+
+    expect(integralNode.lower.endNode.nodeUp()).toBe(integralNode.upper.endNode);
+    expect(integralNode.upper.endNode.nodeDown()).toBe(integralNode.lower.endNode);
+    expect(integralNode.integrand.endNode.nodeUp()).toBe(integralNode.upper.endNode);
+    expect(integralNode.integrand.endNode.nodeDown()).toBe(integralNode.lower.endNode);
+});
+
+test('integral-from-mathml', function() {
+    [
+        integral('', '', '2x', 'x'),
+        integral('0', '1', 'sin(t)', 't'),
+        integral('a', 'b', 'x', 'x'),
+    ].forEach(function(expression) {
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.value).toBe(expression.value);
+        expect(loaded.precis).toBe('_%');
+    });
+
+    let mathml = '<apply><int/><bvar><ci>x</ci></bvar><lowlimit><cn>0</cn></lowlimit>'
+        + '<uplimit><cn>1</cn></uplimit><ci>x</ci></apply>';
+    expect(MathNode.astFromMathML(mathml)).toEqual(integral('0', '1', 'x', 'x').ast);
+
+    let loaded = MathNode.buildRootNode();
+    expect(() => { loaded.value = '<apply><int/><ci>x</ci></apply>'; }).toThrow();
+});
+
+test('integral-formats', function() {
+    let expression = integral('0', '1', '2x', 'x');
+    expect(expression.latex).toBe('\\int_{0}^{1} 2x\\,dx');
+    expect(expression.asciimath).toBe('int_0^1 2x dx');
+    expect(expression.text).toBe('integrate(2*x,(x,0,1))');
+    expect(expression.presentation)
+        .toBe('<mrow><msubsup><mo>∫</mo><mrow><mn>0</mn></mrow><mrow><mn>1</mn></mrow></msubsup>'
+               + '<mrow><mn>2</mn><mi>x</mi></mrow><mi>d</mi><mrow><mi>x</mi></mrow></mrow>');
+    expect(integral('', '', 'x', 'x').text).toBe('integrate(x,x)');
+    expect(integral('', '', 'x', 'x').latex).toBe('\\int x\\,dx');
+
+    [
+        ['\\int_{0}^{1} 2x\\,dx', expression.value],
+        ['\\int_0^1 2x dx', expression.value],
+        ['\\int x dx+1', '<apply><plus/><apply><int/>'
+            + '<bvar><ci>x</ci></bvar><ci>x</ci></apply><cn>1</cn></apply>'],
+        ['\\int \\frac{1}{x}dx', '<apply><int/><bvar><ci>x</ci></bvar>'
+            + '<apply><divide/><cn>1</cn><ci>x</ci></apply></apply>'],
+    ].forEach(function([latex, value]) {
+        let fromLatex = MathNode.buildRootNode();
+        fromLatex.latex = latex;
+        expect(fromLatex.value).toBe(value);
+    });
+
+    [
+        expression,
+        integral('', '', 'x', 'x'),
+        integral('a', '2b', 'sin(θ)', 'θ'),
+    ].forEach(function(integral) {
+        expect(exprFromAsciiMath(integral.asciimath).value).toBe(integral.value);
+    });
+    expect(exprFromAsciiMath('int 1/x dx+1').value)
+        .toBe('<apply><plus/><apply><int/><bvar><ci>x</ci></bvar>'
+               + '<apply><divide/><cn>1</cn><ci>x</ci></apply></apply><cn>1</cn></apply>');
+    expect(() => exprFromAsciiMath('int_0^1 x')).toThrow('Missing d in AsciiMath integral.');
+
+    let nested = exprFromAsciiMath('int_0^1 int xy dx dy');
+    expect(nested.ast.bvar).toEqual({type: 'ci', name: 'y'});
+    expect(nested.ast.args[0].bvar).toEqual({type: 'ci', name: 'x'});
+    expect(nested.asciimath).toBe('int_0^1 int xy dx dy');
+    expect(exprFromAsciiMath(nested.asciimath).value).toBe(nested.value);
+});
+
+/**
+ * Given the name of a big operator and strings representing the nodes in its
+ * index variable, bounds and body, return an ExpressionNode containing just
+ * the BigOperatorNode.
+ *
+ * @param  {String} name          'sum' or 'product'
+ * @param  {String} variableNodes The nodes to fill the variable with
+ * @param  {String} lowerNodes    The nodes to fill the lower bound with
+ * @param  {String} upperNodes    The nodes to fill the upper bound with
+ * @param  {String} bodyNodes     The nodes to fill the body with
+ * @return {ExpressionNode}       An ExpressionNode containing the operator
+ */
+function bigOperator(name, variableNodes, lowerNodes, upperNodes, bodyNodes) {
+    let expression = MathNode.buildRootNode();
+    let bigOperatorNode = MathNode.buildFromName(name);
+    expression.endNode.insertAfter(bigOperatorNode);
+
+    expr(variableNodes, bigOperatorNode.variable);
+    expr(lowerNodes, bigOperatorNode.lower);
+    expr(upperNodes, bigOperatorNode.upper);
+    expr(bodyNodes, bigOperatorNode.body);
+
+    return expression;
+}
+
+test('big-operator-value', function() {
+    let qualifiers = '<bvar><ci>n</ci></bvar>'
+        + '<lowlimit><cn>1</cn></lowlimit><uplimit><infinity/></uplimit>';
+    expect(bigOperator('sum', 'n', '1', '∞', '2n').value)
+        .toBe(`<apply><sum/>${qualifiers}<apply><times/><cn>2</cn><ci>n</ci></apply></apply>`);
+    expect(bigOperator('product', 'n', '1', '∞', 'n').value)
+        .toBe(`<apply><product/>${qualifiers}<ci>n</ci></apply>`);
+    expect(bigOperator('sum', 'k', '0', 'N', 'k').ast).toEqual({
+        type: 'apply', op: 'sum', bvar: {type: 'ci', name: 'k'}, lowlimit: {type: 'cn', value: '0'},
+        uplimit: {type: 'ci', name: 'N'}, args: [{type: 'ci', name: 'k'}],
+    });
+});
+
+test('big-operator-errors', function() {
+    let expression = bigOperator('sum', '2', '1', '3', 'n');
+    let error = parseError(expression);
+    expect(error.code).toBe('unexpected-symbol');
+    expectNodes(error, expression.nodes[1].variable.nodes.slice(1));
+
+    expression = bigOperator('sum', 'n', '1', '', 'n');
+    error = parseError(expression);
+    expect(error.code).toBe('empty');
+    expectNodes(error, [expression.nodes[1].upper]);
+
+    expect(parseError(bigOperator('product', 'n', '1', '3', '')).code).toBe('empty');
+});
+
+test('big-operator-evaluate', function() {
+    expect(MathNode.evaluate(bigOperator('sum', 'n', '1', '10', 'n').ast)).toBe(55);
+    expect(MathNode.evaluate(bigOperator('product', 'k', '1', '5', 'k').ast)).toBe(120);
+    expect(MathNode.evaluate(bigOperator('sum', 'n', '1', 'N', 'xn').ast, {N: 3, x: 2})).toBe(12);
+    expect(MathNode.evaluate(bigOperator('sum', 'n', '3', '1', 'n').ast)).toBe(0);
+
+    expect(evaluationError(bigOperator('sum', 'n', '1', '∞', 'n').value).code)
+        .toBe('unsupported');
+    expect(evaluationError(bigOperator('sum', 'n', '1', '1000000', 'n').value).code)
+        .toBe('unsupported');
+    expect(evaluationError(bigOperator('sum', 'n', '1', '2.5', 'n').value).code).toBe('domain');
+    let sumWithoutBvar = {type: 'apply', op: 'sum', args: [{type: 'ci', name: 'n'}]};
+    expect(() => MathNode.evaluate(sumWithoutBvar, {n: 1})).toThrow(EvaluationError);
+
+    let sum = bigOperator('sum', 'n', '1', 'N', 'n').ast;
+    let other = bigOperator('sum', 'k', '1', 'N', 'k').ast;
+    expect(MathNode.equivalent(sum, other, {domain: {N: [1, 1]}})).toBe('equivalent');
+});
+
+test('big-operator-navigation', function() {
+    let expression = bigOperator('sum', 'n', '1', '9', 'n');
+    let sumNode = expression.nodes[1];
+
+    expect(expression.startNode.nodeRight()).toBe(sumNode.variable.startNode);
+    expect(sumNode.variable.endNode.nodeRight()).toBe(sumNode.lower.startNode);
+    expect(sumNode.lower.endNode.nodeRight()).toBe(sumNode.body.startNode);
+    expect(sumNode.upper.endNode.nodeRight()).toBe(sumNode.body.startNode);
+    expect(sumNode.body.endNode.nodeRight()).toBe(sumNode);
+    expect(sumNode.nodeLeft()).toBe(sumNode.body.endNode);
+    expect(sumNode.body.startNode.nodeLeft()).toBe(sumNode.lower.endNode);
+    expect(sumNode.lower.startNode.nodeLeft()).toBe(sumNode.variable.endNode);
+    expect(sumNode.variable.startNode.nodeLeft()).toBe(expression.startNode);
+
+    expect(sumNode.lower.endNode.nodeUp()).toBe(sumNode.upper.endNode);
+    expect(sumNode.variable.endNode.nodeUp()).toBe(sumNode.upper.endNode);
+    expect(sumNode.body.endNode.nodeUp()).toBe(sumNode.upper.endNode);
+    expect(sumNode.upper.endNode.nodeDown()).toBe(sumNode.lower.endNode);
+    expect(sumNode.body.endNode.nodeDown()).toBe(sumNode.lower.endNode);
+});
+
+test('big-operator-from-mathml', function() {
+    [
+        bigOperator('sum', 'n', '1', '∞', '2n'),
+        bigOperator('product', 'k', '0', 'N', '(k+1)'),
+    ].forEach(function(expression) {
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.value).toBe(expression.value);
+        expect(loaded.precis).toBe('_%');
+    });
+
+    let loaded = MathNode.buildRootNode();
+    let unbounded = '<apply><sum/><bvar><ci>n</ci></bvar><ci>n</ci></apply>';
+    expect(() => { loaded.value = unbounded; }).toThrow();
+});
+
+test('big-operator-formats', function() {
+    let expression = bigOperator('sum', 'n', '1', '∞', '2n');
+    expect(expression.latex).toBe('\\sum_{n=1}^{\\infty}{2n}');
+    expect(expression.asciimath).toBe('sum_(n=1)^oo (2n)');
+    expect(expression.text).toBe('summation(2*n,(n,1,inf))');
+    expect(expression.presentation)
+        .toBe('<mrow><munderover><mo>∑</mo><mrow><mrow><mi>n</mi></mrow><mo>=</mo>'
+            + '<mrow><mn>1</mn></mrow></mrow><mrow><mi>∞</mi></mrow></munderover>'
+            + '<mrow><mn>2</mn><mi>n</mi></mrow></mrow>');
+    expect(bigOperator('product', 'k', '1', 'N', 'k').latex).toBe('\\prod_{k=1}^{N}{k}');
+
+    [
+        ['\\sum_{n=1}^{\\infty}{2n}', expression.value],
+        ['\\sum_{n=1}^\\infty 2n', expression.value],
+        ['\\sum_{n=1}^{\\infty} 2n+1', `<apply><plus/>${expression.value}<cn>1</cn></apply>`],
+        ['\\prod_{k=1}^{N} k', bigOperator('product', 'k', '1', 'N', 'k').value],
+    ].forEach(function([latex, value]) {
+        let fromLatex = MathNode.buildRootNode();
+        fromLatex.latex = latex;
+        expect(fromLatex.value).toBe(value);
+    });
+
+    let fromLatex = MathNode.buildRootNode();
+    expect(() => { fromLatex.latex = '\\sum_{1}^{2} n'; })
+        .toThrow("The sum's index must be given as {n=1} in LaTeX.");
+
+    [
+        expression,
+        bigOperator('product', 'k', '0', 'N', '(k+1)'),
+        bigOperator('sum', 'i', '1', '10', 'i'),
+    ].forEach(function(bigOperator) {
+        expect(exprFromAsciiMath(bigOperator.asciimath).value).toBe(bigOperator.value);
+    });
+    expect(() => exprFromAsciiMath('sum_1^2 n'))
+        .toThrow("The sum's index must be given as _(n=1) in AsciiMath.");
+});
+
+/**
+ * Given strings representing the nodes in the variable and target of a limit,
+ * and the nodes which follow it, return an ExpressionNode containing the
+ * LimitNode followed by those nodes.
+ *
+ * @param  {String} variableNodes The nodes to fill the variable with
+ * @param  {String} targetNodes   The nodes to fill the target with
+ * @param  {String} argNodes      The nodes to place after the LimitNode
+ * @return {ExpressionNode}       An ExpressionNode containing the limit
+ */
+function limit(variableNodes, targetNodes, argNodes) {
+    let expression = MathNode.buildRootNode();
+    let limitNode = MathNode.buildFromName('limit');
+    expression.endNode.insertAfter(limitNode);
+
+    expr(variableNodes, limitNode.variable);
+    expr(targetNodes, limitNode.target);
+
+    return expr(argNodes, expression);
+}
+
+test('limit-value', function() {
+    expect(limit('x', '0', 'sin(x)').value)
+        .toBe('<apply><limit/><bvar><ci>x</ci></bvar><lowlimit><cn>0</cn></lowlimit>'
+            + '<apply><sin/><ci>x</ci></apply></apply>');
+    expect(limit('x', '0+', '(x)').value).toBe('<apply><limit/><bvar><ci>x</ci></bvar>'
+        + '<condition><apply><tendsto type="above"/><ci>x</ci><cn>0</cn></apply></condition>'
+        + '<ci>x</ci></apply>');
+    expect(limit('x', '-∞', 'y').ast).toEqual({
+        type: 'apply', op: 'limit', bvar: {type: 'ci', name: 'x'},
+        lowlimit: {type: 'apply', op: 'minus', args: [{type: 'infinity'}]},
+        args: [{type: 'ci', name: 'y'}],
+    });
+    expect(limit('x', 'a-', 'y').ast.condition).toEqual({
+        type: 'apply', op: 'tendsto', direction: 'below',
+        args: [{type: 'ci', name: 'x'}, {type: 'ci', name: 'a'}],
+    });
+    expect(limit('x', '1', '(2x)+1').value)
+        .toBe('<apply><plus/><apply><limit/><bvar><ci>x</ci></bvar>'
+            + '<lowlimit><cn>1</cn></lowlimit><apply><times/><cn>2</cn><ci>x</ci></apply></apply>'
+            + '<cn>1</cn></apply>');
+});
+
+test('limit-errors', function() {
+    let expression = limit('x', '0', '');
+    let error = parseError(expression);
+    expect(error.code).toBe('missing-argument');
+    expect(error.message).toBe('Missing argument to lim.');
+
+    expression = limit('2', '0', 'x');
+    error = parseError(expression);
+    expect(error.code).toBe('unexpected-symbol');
+    expectNodes(error, expression.nodes[1].variable.nodes.slice(1));
+
+    expect(parseError(limit('x', '', 'x')).code).toBe('empty');
+    expect(parseError(limit('x', '+', 'x')).code).toBe('unexpected-symbol');
+});
+
+test('limit-navigation', function() {
+    let expression = limit('x', '0', 'y');
+    let limitNode = expression.nodes[1];
+
+    expect(expression.startNode.nodeRight()).toBe(limitNode.variable.startNode);
+    expect(limitNode.variable.endNode.nodeRight()).toBe(limitNode.target.startNode);
+    expect(limitNode.target.endNode.nodeRight()).toBe(limitNode);
+    expect(limitNode.nodeRight()).toBe(expression.endNode);
+    expect(limitNode.nodeLeft()).toBe(limitNode.target.endNode);
+    expect(limitNode.target.startNode.nodeLeft()).toBe(limitNode.variable.endNode);
+    expect(limitNode.variable.startNode.nodeLeft()).toBe(expression.startNode);
+});
+
+test('limit-from-mathml', function() {
+    [
+        limit('x', '0', '(sin(x))'),
+        limit('x', '0+', '(x)'),
+        limit('t', '∞-', '(t+1)'),
+    ].forEach(function(expression) {
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.value).toBe(expression.value);
+    });
+
+    let mathml = '<apply><limit/><bvar><ci>x</ci></bvar>'
+        + '<condition><apply><tendsto type="below"/><ci>x</ci><cn>1</cn></apply></condition>'
+        + '<ci>x</ci></apply>';
+    expect(MathNode.astFromMathML(mathml)).toEqual(limit('x', '1-', 'x').ast);
+    let loaded = MathNode.buildRootNode();
+    loaded.value = mathml;
+    expect(loaded.nodes[1].target.precis).toBe('_1-');
+});
+
+test('limit-formats', function() {
+    let expression = limit('x', '0+', '(x)');
+    expect(expression.latex).toBe('\\lim_{x\\to 0^{+}}\\left(x\\right)');
+    expect(expression.asciimath).toBe('lim_(x->0+)(x)');
+    expect(expression.text).toBe("limit(x,x,0,'+')");
+    expect(limit('x', '∞', 'y').text).toBe('limit(y,x,inf)');
+    expect(limit('x', '0', 'y').presentation)
+        .toBe('<mrow><munder><mi>lim</mi><mrow><mrow><mi>x</mi></mrow><mo>→</mo>'
+            + '<mrow><mn>0</mn></mrow></mrow></munder><mo>&#x2061;</mo><mi>y</mi></mrow>');
+
+    [
+        ['\\lim_{x\\to 0^{+}}\\left(x\\right)', expression.value],
+        ['\\lim_{x\\to 0^+} x', expression.value],
+        [
+            '\\lim_{x\\rightarrow\\infty}\\frac{1}{x}',
+            '<apply><limit/><bvar><ci>x</ci></bvar><lowlimit><infinity/></lowlimit>'
+                + '<apply><divide/><cn>1</cn><ci>x</ci></apply></apply>',
+        ],
+    ].forEach(function([latex, value]) {
+        let fromLatex = MathNode.buildRootNode();
+        fromLatex.latex = latex;
+        expect(fromLatex.value).toBe(value);
+    });
+
+    [expression, limit('x', '∞', 'y'), limit('t', '-1-', '(t+1)')].forEach(function(limit) {
+        expect(exprFromAsciiMath(limit.asciimath).value).toBe(limit.value);
+    });
+    expect(() => exprFromAsciiMath('lim_(x) x'))
+        .toThrow('lim must be followed by _(x->a) in AsciiMath.');
+
+    let sinc = exprFromAsciiMath('lim_(x->0+) sin(x)/x');
+    expect(sinc.ast.args[0].op).toBe('divide');
+    expect(sinc.ast.args[0]).toEqual(exprFromAsciiMath('(sin(x))/x').ast);
+    expect(exprFromAsciiMath('log_2(x)/x').value).toBe(exprFromAsciiMath('(log_2(x))/x').value);
+});
+
+/**
+ * Given an array of rows, each an array of strings representing the nodes in
+ * its cells, return an ExpressionNode containing just a MatrixNode with the
+ * described cells.
+ *
+ * NOTE: Returns ExpressionNode, not MatrixNode
+ *
+ * @param  {Array} rows The nodes to fill the cells with, row by row
+ * @return {ExpressionNode} An ExpressionNode containing the MatrixNode
+ */
+function matrix(rows) {
+    let expression = MathNode.buildRootNode();
+    let matrixNode = new MatrixNode(rows.length, rows[0].length);
+    expression.endNode.insertAfter(matrixNode);
+
+    rows.forEach((row, i) => row.forEach((nodes, j) => expr(nodes, matrixNode.cell(i, j))));
+
+    return expression;
+}
+
+test('matrix-value', function() {
+    expect(matrix([['1', '2'], ['3', 'x']]).value)
+        .toBe('<matrix><matrixrow><cn>1</cn><cn>2</cn></matrixrow>'
+            + '<matrixrow><cn>3</cn><ci>x</ci></matrixrow></matrix>');
+    expect(matrix([['1'], ['2']]).value).toBe('<vector><cn>1</cn><cn>2</cn></vector>');
+    expect(matrix([['1', '2']]).ast).toEqual({
+        type: 'matrix',
+        args: [{type: 'matrixrow', args: [{type: 'cn', value: '1'}, {type: 'cn', value: '2'}]}],
+    });
+    expect(MathNode.buildFromName('vector').isVector).toBe(true);
+    expect(parseError(matrix([['1', ''], ['3', '4']])).code).toBe('empty');
+    expect(() => MathNode.evaluate(matrix([['1']]).ast)).toThrow(EvaluationError);
+});
+
+test('matrix-navigation', function() {
+    let expression = matrix([['1', '2'], ['3', '4']]);
+    let matrixNode = expression.nodes[1];
+    let cell = (i, j) => matrixNode.cell(i, j);
+
+    expect(expression.startNode.nodeRight()).toBe(cell(0, 0).startNode);
+    expect(cell(0, 0).endNode.nodeRight()).toBe(cell(0, 1).startNode);
+    expect(cell(0, 1).endNode.nodeRight()).toBe(matrixNode);
+    expect(matrixNode.nodeLeft()).toBe(cell(0, 1).endNode);
+    expect(cell(1, 1).startNode.nodeLeft()).toBe(cell(1, 0).endNode);
+    expect(cell(1, 0).startNode.nodeLeft()).toBe(expression.startNode);
+    expect(cell(0, 1).startNode.nodeDown()).toBe(cell(1, 1).endNode);
+    expect(cell(1, 0).endNode.nodeUp()).toBe(cell(0, 0).endNode);
+    expect(cell(0, 0).endNode.nodeUp()).toBe(cell(0, 0).endNode);
+
+    expect(cell(0, 1).endNode.nodeNext()).toBe(cell(1, 0).startNode);
+    expect(cell(1, 1).startNode.nodeNext()).toBe(matrixNode);
+    expect(cell(1, 0).startNode.nodePrevious()).toBe(cell(0, 1).endNode);
+    expect(cell(0, 0).startNode.nodePrevious()).toBe(expression.startNode);
+    expect(expression.startNode.nodeNext()).toBe(expression.startNode);
+});
+
+test('matrix-rows-columns', function() {
+    let expression = matrix([['1', '2'], ['3', '4']]);
+    let matrixNode = expression.nodes[1];
+
+    matrixNode.insertRow(1);
+    matrixNode.insertColumn(0);
+    expect(matrixNode.rows).toBe(3);
+    expect(matrixNode.columns).toBe(3);
+    expect(matrixNode.position(matrixNode.cell(2, 1))).toEqual([2, 1]);
+    expr('5', matrixNode.cell(1, 0));
+    expect(matrixNode.cell(1, 0).element.parentNode.children[3])
+        .toBe(matrixNode.cell(1, 0).element);
+
+    matrixNode.deleteColumn(1);
+    matrixNode.deleteRow(0);
+    expect(matrixNode.asciimath).toBe('((5,),(,4))');
+
+    let vector = new MatrixNode(1, 1);
+    expect(() => vector.deleteRow(0)).toThrow('Cannot delete the only row of a matrix.');
+    expect(() => vector.deleteColumn(0)).toThrow('Cannot delete the only column of a matrix.');
+    expect(() => matrixNode.position(vector)).toThrow('Node not found.');
+});
+
+test('matrix-from-mathml', function() {
+    [
+        matrix([['1', '2'], ['3', 'x+1']]),
+        matrix([['1']]),
+        matrix([['1', '2', '3']]),
+    ].forEach(function(expression) {
+        let loaded = MathNode.buildRootNode();
+        loaded.value = expression.value;
+        expect(loaded.value).toBe(expression.value);
+    });
+
+    let vector = '<vector><cn>1</cn><ci>y</ci></vector>';
+    let loaded = MathNode.buildRootNode();
+    loaded.value = vector;
+    expect(loaded.precis).toBe('_(1,y)');
+
+    loaded = MathNode.buildRootNode();
+    loaded.vectors = 'column';
+    loaded.value = vector;
+    expect(loaded.precis).toBe('_%');
+    expect(loaded.nodes[1].isVector).toBe(true);
+    expect(loaded.value).toBe(vector);
+
+    expect(() => { loaded.vectors = 'row'; }).toThrow('Unknown vector display: row');
+    expect(() => exprFromMathML('<matrix><matrixrow><cn>1</cn></matrixrow><matrixrow/></matrix>'))
+        .toThrow('The rows of a <matrix> must be the same length.');
+});
+
+test('matrix-formats', function() {
+    let expression = matrix([['1', '2'], ['3', 'x']]);
+    expect(expression.latex).toBe('\\begin{pmatrix}1&2\\\\3&x\\end{pmatrix}');
+    expect(expression.asciimath).toBe('((1,2),(3,x))');
+    expect(expression.text).toBe('Matrix([[1,2],[3,x]])');
+    expect(matrix([['1'], ['2']]).text).toBe('(1,2)');
+    expect(matrix([['1', 'x']]).presentation)
+        .toBe('<mrow><mrow><mo>(</mo><mtable><mtr><mtd><mrow><mn>1</mn></mrow></mtd>'
+            + '<mtd><mrow><mi>x</mi></mrow></mtd></mtr></mtable><mo>)</mo></mrow></mrow>');
+
+    [
+        '\\begin{pmatrix}1&2\\\\3&x\\end{pmatrix}',
+        '\\begin{bmatrix} 1 & 2 \\\\ 3 & x \\\\ \\end{bmatrix}',
+    ].forEach(function(latex) {
+        expect(exprFromLatex(latex).value).toBe(expression.value);
+    });
+    let nested = '\\begin{pmatrix}\\begin{pmatrix}1\\\\2\\end{pmatrix}&3\\end{pmatrix}';
+    expect(exprFromLatex(nested).value)
+        .toBe('<matrix><matrixrow><vector><cn>1</cn><cn>2</cn></vector>'
+            + '<cn>3</cn></matrixrow></matrix>');
+    expect(() => exprFromLatex('\\begin{pmatrix}1&2\\\\3\\end{pmatrix}'))
+        .toThrow('The rows of a LaTeX matrix must be the same length.');
+    expect(() => exprFromLatex('\\begin{pmatrix}1')).toThrow('Missing \\end{pmatrix} in LaTeX.');
+    expect(() => exprFromLatex('\\begin{cases}1\\end{cases}'))
+        .toThrow('Unsupported LaTeX environment: cases');
+
+    expect(exprFromAsciiMath('((1,2),(3,x))').value).toBe(expression.value);
+    expect(exprFromAsciiMath('((1),(2))').value).toBe('<vector><cn>1</cn><cn>2</cn></vector>');
+    expect(exprFromAsciiMath('((1,2),(3))').precis).toBe('_((1,2),(3))');
+
+    //a matrix with a single row is written in square brackets, as ((1,2))
+    //would be read back as a parenthesised tuple
+    [matrix([['x']]), matrix([['1', 'x+1']])].forEach(function(expression) {
+        expect(expression.asciimath).toMatch(/^\[\[.*\]\]$/);
+        expect(exprFromAsciiMath(expression.asciimath).value).toBe(expression.value);
+    });
+    expect(() => exprFromAsciiMath('[[1,2],[3,4]]'))
+        .toThrow('A matrix in square brackets must have a single row in AsciiMath, e.g. [[1,2]].');
+
+    let fromAsciiMath = MathNode.buildRootNode();
+    fromAsciiMath.numberFormat = {decimal: ','};
+    fromAsciiMath.asciimath = '[[1,5;2]]';
+    expect(fromAsciiMath.value)
+        .toBe('<matrix><matrixrow><cn>1.5</cn><cn>2</cn></matrixrow></matrix>');
+
+    //a list in a cell would be read back as more cells
+    let error = parseError(matrix([['x+1', '-2'], ['3,4', 'y']]));
+    expect(error.message).toBe('A matrix cell can\'t contain a list.');
+    expect(error.code).toBe('unexpected-symbol');
+});
+
+/**
+ * Given a string representing a series of nodes and number format options,
+ * return an ExpressionNode with that number format, filled with the nodes.
+ *
+ * @param  {String} nodes   The nodes to fill the expression with
+ * @param  {Object} options The number format options
+ * @return {ExpressionNode} The filled expression
+ */
+function numbers(nodes, options) {
+    let expression = MathNode.buildRootNode();
+    expression.numberFormat = options;
+
+    return expr(nodes, expression);
+}
+
+test('number-format-value', function() {
+    expect(numbers('3,14', {decimal: ','}).value).toBe('<cn>3.14</cn>');
+    expect(numbers('(1,5;2)', {decimal: ','}).value)
+        .toBe('<vector><cn>1.5</cn><cn>2</cn></vector>');
+    expect(numbers('1,234.5+1', {grouping: ','}).value)
+        .toBe('<apply><plus/><cn>1234.5</cn><cn>1</cn></apply>');
+    expect(numbers('1.234.567,8', {decimal: ',', grouping: '.'}).value).toBe('<cn>1234567.8</cn>');
+    expect(numbers('(12,34)', {grouping: ','}).value)
+        .toBe('<vector><cn>12</cn><cn>34</cn></vector>');
+
+    expect(numbers('1.2e-5', {eNotation: true}).value)
+        .toBe('<cn type="e-notation">1.2<sep/>-5</cn>');
+    expect(numbers('2e-x', {eNotation: true}).value)
+        .toBe('<apply><minus/><apply><times/><cn>2</cn><exponentiale/></apply><ci>x</ci></apply>');
+    expect(numbers('2e3', {}).value)
+        .toBe('<apply><times/><cn>2</cn><apply><times/><exponentiale/><cn>3</cn></apply></apply>');
+
+    let expression = numbers('6.02*10^', {eNotation: true});
+    expr('-23', expression.endNode.exponent);
+    expect(expression.ast).toEqual({type: 'cn', value: '6.02', exponent: '-23'});
+    expect(MathNode.evaluate(expression.ast)).toBeCloseTo(6.02e-23, 30);
+    expression = expr('6.02*10^');
+    expr('2', expression.endNode.exponent);
+    expect(expression.value)
+        .toBe('<apply><times/><cn>6.02</cn><apply><power/><cn>10</cn><cn>2</cn></apply></apply>');
+});
+
+test('number-format-e-notation-products', function() {
+    let e23 = {type: 'cn', value: '6.02', exponent: '23'};
+    let product = function(nodes, after) {
+        let expression = numbers(nodes, {eNotation: true});
+        expr('23', expression.endNode.exponent);
+
+        return expr(after, expression).ast;
+    };
+
+    //the same number, whatever it's multiplied by
+    expect(product('6.02*10^', 'x'))
+        .toEqual({type: 'apply', op: 'times', args: [e23, {type: 'ci', name: 'x'}]});
+    expect(product('6.02*10^', '*2'))
+        .toEqual({type: 'apply', op: 'times', args: [e23, {type: 'cn', value: '2'}]});
+    expect(product('2*6.02*10^', ''))
+        .toEqual({type: 'apply', op: 'times', args: [{type: 'cn', value: '2'}, e23]});
+    expect(product('x*6.02*10^', 'y*z')).toEqual({type: 'apply', op: 'times', args: [
+        {type: 'ci', name: 'x'},
+        {type: 'apply', op: 'times', args: [e23, {type: 'apply', op: 'times', args: [
+            {type: 'ci', name: 'y'}, {type: 'ci', name: 'z'},
+        ]}]},
+    ]});
+    expect(product('x6.02*10^', '').args[1]).toEqual(e23);
+});
+
+test('number-format-errors', function() {
+    expect(parseError(numbers('x,y', {decimal: ','})).code).toBe('unexpected-symbol');
+    expect(parseError(expr('1;2')).code).toBe('unexpected-symbol');
+    expect(() => MathNode.buildNumberFormat({decimal: ' '}))
+        .toThrow('Unknown decimal separator:  ');
+    expect(() => MathNode.buildNumberFormat({grouping: '.'}))
+        .toThrow('Unknown digit grouping separator: .');
+});
+
+test('number-format-from-mathml', function() {
+    let loaded = MathNode.buildRootNode();
+    loaded.numberFormat = {decimal: ',', eNotation: true};
+    loaded.value = '<vector><cn type="e-notation">1.5<sep/>-3</cn>'
+        + '<cn type="real">2.5</cn></vector>';
+    expect(loaded.precis).toBe('_(1,5*10^;2,5)');
+    expect(loaded.value)
+        .toBe('<vector><cn type="e-notation">1.5<sep/>-3</cn><cn>2.5</cn></vector>');
+
+    expect(MathNode.astFromMathML('<cn type="e-notation"> 2 <sep/> 10 </cn>'))
+        .toEqual({type: 'cn', value: '2', exponent: '10'});
+    expect(MathNode.evaluate('<cn type="e-notation">2<sep/>3</cn>')).toBe(2000);
+    expect(MathNode.astFromMathML('<cn type="integer">7</cn>')).toEqual({type: 'cn', value: '7'});
+    expect(() => MathNode.astFromMathML('<cn type="rational">1<sep/>2</cn>'))
+        .toThrow('Unsupported <cn> type: rational');
+    expect(() => MathNode.astFromMathML('<cn type="e-notation">2</cn>'))
+        .toThrow('<cn type="e-notation"> must contain a <sep/>.');
+    expect(() => exprFromMathML('<cn type="e-notation">2<sep/>0.5</cn>'))
+        .toThrow('<cn type="e-notation"> must have an integer exponent.');
+});
+
+test('number-format-formats', function() {
+    let expression = numbers('(1,5;2)', {decimal: ','});
+    expect(expression.latex).toBe('\\left(1{,}5;2\\right)');
+    expect(expression.asciimath).toBe('(1,5;2)');
+    expect(expression.text).toBe('(1.5,2)');
+    expect(expression.presentation)
+        .toBe('<mrow><mrow><mo>(</mo><mn>1,5</mn><mo>;</mo><mn>2</mn><mo>)</mo></mrow></mrow>');
+    expect(numbers('1,234', {grouping: ','}).latex).toBe('1{,}234');
+    expect(numbers('1.2e-5', {eNotation: true}).text).toBe('1.2e-5');
+
+    let fromLatex = MathNode.buildRootNode();
+    fromLatex.numberFormat = {decimal: ','};
+    fromLatex.latex = '3{,}14';
+    expect(fromLatex.value).toBe('<cn>3.14</cn>');
+
+    let fromAsciiMath = MathNode.buildRootNode();
+    fromAsciiMath.numberFormat = {decimal: ','};
+    fromAsciiMath.asciimath = expression.asciimath;
+    expect(fromAsciiMath.value).toBe(expression.value);
+
+    let matrix = MathNode.buildRootNode();
+    matrix.numberFormat = {decimal: ','};
+    matrix.asciimath = '((1,5;2);(3;4))';
+    expect(matrix.value).toBe('<matrix><matrixrow><cn>1.5</cn><cn>2</cn></matrixrow>'
+        + '<matrixrow><cn>3</cn><cn>4</cn></matrixrow></matrix>');
+    expect(matrix.asciimath).toBe('((1,5;2);(3;4))');
+    expect(() => exprFromAsciiMath('(1;2)')).toThrow('Unsupported AsciiMath symbol: ;');
+});
+
+/**
+ * Given a string representing nodes and the symbol of a unit, return an
+ * ExpressionNode containing the nodes followed by a UnitSymbolNode.
+ *
+ * @param  {String} nodes  The nodes before the unit
+ * @param  {String} symbol The unit's symbol
+ * @return {ExpressionNode} The filled expression
+ */
+function quantity(nodes, symbol) {
+    let expression = expr(nodes);
+    expression.endNode.insertAfter(MathNode.buildFromName('unit:' + symbol));
+
+    return expression;
+}
+
+test('unit-value', function() {
+    expect(quantity('5', 'km').value)
+        .toBe('<apply><times/><cn>5</cn><csymbol cd="units">km</csymbol></apply>');
+    expect(quantity('', 'Ω').ast).toEqual({type: 'csymbol', cd: 'units', name: 'Ω'});
+    expect(quantity('2m', 'm').value)
+        .toBe('<apply><times/><cn>2</cn><apply><times/><ci>m</ci>'
+            + '<csymbol cd="units">m</csymbol></apply></apply>');
+    expect(MathNode.evaluate(quantity('5', 'km').ast)).toBe(5000);
+    expect(MathNode.evaluate(quantity('2', 'min').ast)).toBe(120);
+    let sum = conc(quantity('5', 'm'), quantity('+3', 's'));
+    expect(evaluationError(sum.value).code).toBe('inconsistent-units');
+    expect(() => MathNode.buildFromName('unit:furlong')).toThrow('Unknown unit: furlong');
+});
+
+test('unit-from-mathml', function() {
+    let mml = '<apply><divide/><csymbol cd="units">m</csymbol><apply><power/>'
+        + '<csymbol cd="units">s</csymbol><cn>2</cn></apply></apply>';
+    expect(exprFromMathML(mml).value).toBe(mml);
+    expect(MathNode.astFromMathML('<csymbol cd="units"> kg </csymbol>'))
+        .toEqual({type: 'csymbol', cd: 'units', name: 'kg'});
+    expect(() => MathNode.astFromMathML('<csymbol cd="units">furlong</csymbol>'))
+        .toThrow('Unknown unit: furlong');
+    expect(() => MathNode.astFromMathML('<csymbol cd="hypergeo0">erf</csymbol>'))
+        .toThrow('Unsupported content dictionary: hypergeo0');
+});
+
+test('unit-formats', function() {
+    let expression = quantity('5', 'km');
+    expect(expression.latex).toBe('5\\mathrm{km}');
+    expect(expression.asciimath).toBe('5"km"');
+    expect(expression.text).toBe('5*km');
+    expect(expression.presentation).toBe('<mrow><mn>5</mn><mi mathvariant="normal">km</mi></mrow>');
+    expect(quantity('', 'Ω').latex).toBe('\\mathrm{\\Omega}');
+
+    expect(exprFromLatex('3\\mathrm{\\Omega}').value)
+        .toBe('<apply><times/><cn>3</cn><csymbol cd="units">Ω</csymbol></apply>');
+    let speed = '<apply><times/><cn>5</cn><apply><divide/>'
+        + '<csymbol cd="units">km</csymbol><csymbol cd="units">h</csymbol></apply></apply>';
+    expect(exprFromLatex('5\\frac{\\mathrm{km}}{\\mathrm{h}}').value).toBe(speed);
+    expect(() => exprFromLatex('\\mathrm{furlong}')).toThrow('Unsupported LaTeX unit: furlong');
+    expect(exprFromAsciiMath('5 "km"/"h"').value).toBe(speed);
+    expect(() => exprFromAsciiMath('"furlong"')).toThrow('Unsupported AsciiMath unit: furlong');
+});
+
+test('unit-dimension', function() {
+    let speed = MathNode.astFromMathML('<apply><times/><cn>5</cn><apply><divide/>'
+        + '<csymbol cd="units">km</csymbol><csymbol cd="units">h</csymbol></apply></apply>');
+    expect(MathNode.dimension(speed)).toEqual({m: 1, s: -1});
+    expect(Object.keys(MathNode.dimension('<apply><times/>'
+        + '<csymbol cd="units">s</csymbol><csymbol cd="units">s</csymbol>'
+        + '<csymbol cd="units">N</csymbol></apply>')))
+        .toEqual(['m', 'kg']);
+    expect(MathNode.dimension('<apply><root/><apply><power/>'
+        + '<csymbol cd="units">m</csymbol><cn>2</cn></apply></apply>'))
+        .toEqual({m: 1});
+    expect(MathNode.dimension('<apply><sin/><ci>x</ci></apply>')).toEqual({});
+    expect(MathNode.dimension('<apply><times/><csymbol cd="units">J</csymbol>'
+        + '<apply><power/><csymbol cd="units">N</csymbol><cn>-1</cn></apply></apply>'))
+        .toEqual({m: 1});
+
+    let error = null;
+    try {
+        MathNode.dimension('<apply><plus/><csymbol cd="units">m</csymbol>'
+            + '<csymbol cd="units">s</csymbol></apply>');
+    } catch(err) {
+        error = err;
+    }
+    expect(error).toBeInstanceOf(EvaluationError);
+    expect(error.code).toBe('inconsistent-units');
+    expect(error.operation).toBe('plus');
+    expect(() => MathNode.dimension('<apply><sin/><csymbol cd="units">m</csymbol></apply>'))
+        .toThrow('Inconsistent units in <sin/>');
+    expect(() => MathNode.dimension('<apply><power/>'
+        + '<csymbol cd="units">m</csymbol><ci>x</ci></apply>'))
+        .toThrow('Inconsistent units in <power/>');
+});
+
+test('unit-equivalent', function() {
+    let speed = (value, distance, time) => `<apply><times/><cn>${value}</cn><apply><divide/>`
+        + `<csymbol cd="units">${distance}</csymbol><csymbol cd="units">${time}</csymbol>`
+        + '</apply></apply>';
+
+    expect(MathNode.equivalent(speed(5, 'm', 's'), speed(18, 'km', 'h'))).toBe('equivalent');
+    expect(MathNode.equivalent(speed(5, 'm', 's'), speed(5, 'km', 'h'))).toBe('different');
+    let kilometre = '<apply><times/><cn>1000</cn><csymbol cd="units">m</csymbol></apply>';
+    expect(MathNode.equivalent(kilometre, '<cn>1000</cn>')).toBe('different');
+    let metres = '<apply><times/><cn>5</cn><csymbol cd="units">m</csymbol></apply>';
+    let inconsistent = '<apply><plus/><csymbol cd="units">m</csymbol>'
+        + '<csymbol cd="units">s</csymbol></apply>';
+    expect(MathNode.equivalent(metres, inconsistent)).toBe('different');
+    let kilojoules = '<apply><times/><cn>2</cn><csymbol cd="units">kJ</csymbol></apply>';
+    let newtonMetres = '<apply><times/><cn>2000</cn>'
+        + '<csymbol cd="units">N</csymbol><csymbol cd="units">m</csymbol></apply>';
+    expect(MathNode.equivalent(kilojoules, newtonMetres)).toBe('equivalent');
+});
+
+test('complex-value', function() {
+    let options = {constants: {i: 'imaginaryi'}};
+    expect(exprWithDictionary('3+4i', options).value)
+        .toBe('<apply><plus/><cn>3</cn><apply><times/><cn>4</cn><imaginaryi/></apply></apply>');
+    expect(exprWithDictionary('j', {constants: {j: 'imaginaryi'}}).ast)
+        .toEqual({type: 'imaginaryi'});
+    expect(expr('i').value).toBe('<ci>i</ci>');
+    expect(exprWithDictionary('2i', options).text).toBe('2*1j');
+    expect(() => MathNode.buildDictionary({constants: {i: 'imaginary'}}))
+        .toThrow('Unknown constant: imaginary');
+});
+
+test('complex-from-mathml', function() {
+    let loaded = MathNode.buildRootNode();
+    loaded.dictionary = {constants: {i: 'imaginaryi'}};
+    loaded.value = '<apply><times/><cn>2</cn><cn type="complex-cartesian">3<sep/>-4.5</cn></apply>';
+    expect(loaded.precis).toBe('_2(3-4.5i)');
+
+    expect(MathNode.astFromMathML('<cn type="complex-cartesian"> 3 <sep/> 4 </cn>'))
+        .toEqual({type: 'cn', value: '3', imaginary: '4'});
+    expect(MathNode.astToMathML({type: 'cn', value: '3', imaginary: '4'}))
+        .toBe('<cn type="complex-cartesian">3<sep/>4</cn>');
+    expect(() => exprFromMathML('<imaginaryi/>'))
+        .toThrow('<imaginaryi/> isn\'t a constant in the field\'s dictionary.');
+    expect(() => MathNode.astFromMathML('<cn type="complex-cartesian">3</cn>'))
+        .toThrow('<cn type="complex-cartesian"> must contain a <sep/>.');
+});
+
+test('complex-formats', function() {
+    let expression = exprWithDictionary('i^', {constants: {i: 'imaginaryi'}});
+    expr('2', expression.endNode.exponent);
+    expect(expression.text).toBe('1j^2');
+    expect(expression.latex).toBe('i^{2}');
+});
+
+test('complex-evaluate', function() {
+    let quotient = '<apply><divide/><cn type="complex-cartesian">3<sep/>4</cn>'
+        + '<cn type="complex-cartesian">1<sep/>-2</cn></apply>';
+    let value = MathNode.evaluate(quotient);
+    expect(value).toBeInstanceOf(ComplexNumber);
+    expect([value.re, value.im]).toEqual([-1, 2]);
+
+    expect(MathNode.evaluate('<apply><power/><imaginaryi/><cn>2</cn></apply>')).toBe(-1);
+    expect(MathNode.evaluate('<apply><abs/><cn type="complex-cartesian">3<sep/>4</cn></apply>'))
+        .toBe(5);
+    let product = '<apply><times/><ci>z</ci><imaginaryi/></apply>';
+    expect(MathNode.evaluate(product, {z: new ComplexNumber(0, 1)})).toBe(-1);
+    expect(MathNode.evaluate('<cn type="complex-cartesian">2<sep/>0</cn>')).toBe(2);
+
+    let euler = MathNode.evaluate('<apply><exp/><apply><times/><imaginaryi/><pi/></apply></apply>');
+    expect(euler.re).toBeCloseTo(-1, 12);
+    expect(euler.im).toBeCloseTo(0, 12);
+    let log = MathNode.evaluate('<apply><ln/><apply><minus/><imaginaryi/></apply></apply>');
+    expect([log.re, log.im]).toEqual([0, -Math.PI / 2]);
+    expect(MathNode.evaluate('<apply><sum/><bvar><ci>n</ci></bvar><lowlimit><cn>1</cn></lowlimit>'
+        + '<uplimit><cn>4</cn></uplimit><apply><power/><imaginaryi/><ci>n</ci></apply></apply>'))
+        .toBe(0);
+
+    expect(() => MathNode.evaluate('<apply><floor/><imaginaryi/></apply>'))
+        .toThrow('Cannot evaluate <floor/> of a complex number');
+    expect(() => MathNode.evaluate('<apply><divide/><imaginaryi/><cn>0</cn></apply>'))
+        .toThrow('Domain error in <divide/>');
+    expect(() => MathNode.evaluate('<apply><root/><cn>-1</cn></apply>'))
+        .toThrow('Domain error in <root/>');
+});
+
+test('complex-equivalent', function() {
+    let square = '<apply><power/><apply><plus/><cn>1</cn><imaginaryi/></apply><cn>2</cn></apply>';
+    expect(MathNode.equivalent(square, '<apply><times/><cn>2</cn><imaginaryi/></apply>'))
+        .toBe('equivalent');
+    expect(MathNode.equivalent(square, '<cn type="complex-cartesian">0<sep/>2</cn>'))
+        .toBe('equivalent');
+    expect(MathNode.equivalent(square, '<cn>2</cn>')).toBe('different');
+    let sine = '<apply><sin/><apply><times/><imaginaryi/><ci>x</ci></apply></apply>';
+    let sinh = '<apply><times/><imaginaryi/><apply><sinh/><ci>x</ci></apply></apply>';
+    expect(MathNode.equivalent(sine, sinh)).toBe('equivalent');
+});
+
+test('complex-functions', function() {
+    let sec = MathNode.evaluate('<apply><sec/><imaginaryi/></apply>');
+    expect(sec).toBeCloseTo(1 / Math.cosh(1), 12);
+    let coth = MathNode.evaluate('<apply><coth/><imaginaryi/></apply>');
+    expect(coth.re).toBeCloseTo(0, 12);
+    expect(coth.im).toBeCloseTo(-1 / Math.tan(1), 12);
+
+    let arcsin = MathNode.evaluate('<apply><arcsin/><imaginaryi/></apply>');
+    expect(arcsin.re).toBeCloseTo(0, 12);
+    expect(arcsin.im).toBeCloseTo(Math.asinh(1), 12);
+
+    //each inverse undoes its function
+    let z = '<cn type="complex-cartesian">0.5<sep/>0.25</cn>';
+    ['sin', 'cos', 'tan', 'sinh', 'cosh', 'tanh'].forEach(function(op) {
+        let value = MathNode.evaluate(`<apply><${op}/><apply><arc${op}/>${z}</apply></apply>`);
+        expect(value.re).toBeCloseTo(0.5, 12);
+        expect(value.im).toBeCloseTo(0.25, 12);
+    });
+});
+
+test('complex-branch', function() {
+    let root = '<apply><root/><cn>-4</cn></apply>';
+    expect(() => MathNode.evaluate(root)).toThrow('Domain error in <root/>');
+    let value = MathNode.evaluate(root, {}, {complex: true});
+    expect([value.re, value.im]).toEqual([0, 2]);
+
+    let ln = MathNode.evaluate('<apply><ln/><cn>-1</cn></apply>', {}, {complex: true});
+    expect([ln.re, ln.im]).toEqual([0, Math.PI]);
+    let log = MathNode.evaluate('<apply><log/><cn>-100</cn></apply>', {}, {complex: true});
+    expect(log.re).toBeCloseTo(2, 12);
+    expect(log.im).toBeCloseTo(Math.PI / Math.LN10, 12);
+    let power = MathNode.evaluate('<apply><power/><cn>-1</cn><cn>0.5</cn></apply>', {},
+        {complex: true});
+    expect(power.re).toBeCloseTo(0, 12);
+    expect(power.im).toBeCloseTo(1, 12);
+    expect(MathNode.evaluate('<apply><arcsin/><cn>2</cn></apply>', {}, {complex: true}).re)
+        .toBeCloseTo(Math.PI / 2, 12);
+
+    //operations without a complex value are still domain errors
+    expect(() => MathNode.evaluate('<apply><ln/><cn>0</cn></apply>', {}, {complex: true}))
+        .toThrow('Domain error in <ln/>');
+    expect(() => MathNode.evaluate('<apply><factorial/><cn>-1</cn></apply>', {}, {complex: true}))
+        .toThrow('Domain error in <factorial/>');
+
+    let twoI = '<apply><times/><cn>2</cn><imaginaryi/></apply>';
+    expect(MathNode.equivalent(twoI, root)).toBe('different');
+    expect(MathNode.equivalent(twoI, root, {complex: true})).toBe('equivalent');
+    let imaginaryRoot = '<apply><times/><imaginaryi/><apply><root/><ci>x</ci></apply></apply>';
+    let negativeRoot = '<apply><root/><apply><minus/><ci>x</ci></apply></apply>';
+    expect(MathNode.equivalent(imaginaryRoot, negativeRoot, {complex: true, domain: [0, 10]}))
+        .toBe('equivalent');
+});